@@ -24,10 +24,71 @@ const ALLOWED_ORIGINS = new Set([
 
 // Dynamic FogLAMP instances - will be populated at runtime
 let INSTANCES = {
-    'local': 'http://127.0.0.1:8081' // Default local instance
+    'local-port-8081': 'http://127.0.0.1:8081' // Default local instance
 };
 
 // Note: Instances are updated dynamically via the /config POST endpoint
+
+// REST prefix per instance ("foglamp" or "fledge"), sent by the add-in alongside instances.
+// Only used for the example routes shown in logs and 404 responses; requests are forwarded as-is.
+let INSTANCE_FLAVOURS = {};
+
+function exampleRoute(name, endpoint = 'ping') {
+    return `/${name}/${INSTANCE_FLAVOURS[name] || 'foglamp'}/${endpoint}`;
+}
+
+// Client certificates for instances that require FogLAMP certificate authentication.
+// Keyed by the same instance name used in the /config payload, e.g. certs/client-certs.json:
+// { "192-168-0-208-port-8081": { "cert": "site-a.pem", "key": "site-a-key.pem", "ca": "site-ca.pem", "passphrase": "..." } }
+// Relative paths resolve against the config file's directory.
+const CLIENT_CERTS_CONFIG = process.env.CLIENT_CERTS_CONFIG || path.join(__dirname, 'certs', 'client-certs.json');
+let CLIENT_CERTS = {};
+let CLIENT_CERTS_MTIME = null;
+
+function loadClientCerts() {
+    if (!fs.existsSync(CLIENT_CERTS_CONFIG)) {
+        CLIENT_CERTS = {};
+        CLIENT_CERTS_MTIME = null;
+        return;
+    }
+    // Only re-read when the config file changed (called on every /config POST)
+    const mtime = fs.statSync(CLIENT_CERTS_CONFIG).mtimeMs;
+    if (mtime === CLIENT_CERTS_MTIME) return;
+    CLIENT_CERTS_MTIME = mtime;
+    const baseDir = path.dirname(CLIENT_CERTS_CONFIG);
+    const readPem = (file) => fs.readFileSync(path.isAbsolute(file) ? file : path.join(baseDir, file));
+    const loaded = {};
+    try {
+        const entries = JSON.parse(fs.readFileSync(CLIENT_CERTS_CONFIG, 'utf8'));
+        for (const [instanceName, entry] of Object.entries(entries)) {
+            try {
+                if (!entry || !entry.cert || !entry.key) {
+                    throw new Error('"cert" and "key" are required');
+                }
+                loaded[instanceName] = {
+                    cert: readPem(entry.cert),
+                    key: readPem(entry.key),
+                    ca: entry.ca ? readPem(entry.ca) : undefined,
+                    passphrase: entry.passphrase,
+                    rejectUnauthorized: entry.rejectUnauthorized !== false
+                };
+            } catch (err) {
+                console.error(`⚠️  Client certificate for "${instanceName}" not loaded: ${err.message}`);
+            }
+        }
+    } catch (err) {
+        console.error(`⚠️  Failed to read ${CLIENT_CERTS_CONFIG}: ${err.message}`);
+    }
+    CLIENT_CERTS = loaded;
+}
+
+// Configured instances that will present a client certificate upstream
+function getCertificateInstances() {
+    return Object.keys(INSTANCES).filter(name => CLIENT_CERTS[name]);
+}
+
+loadClientCerts();
+
 // Request correlation
 let REQUEST_COUNTER = 0;
 function nextRequestId() {
@@ -63,8 +124,8 @@ function setCORSHeaders(res, req) {
     }
 }
 
-// Forward request to FogLAMP instance
-function proxyRequest(instanceUrl, clientReq, clientRes, path, requestId) {
+// Forward request to FogLAMP instance (clientCert is presented on HTTPS upstreams)
+function proxyRequest(instanceUrl, clientReq, clientRes, path, requestId, clientCert) {
     console.log(`reached-2`);
     // Normalize path to start with a single leading slash
     const normalizedPath = path && path.startsWith('/') ? path : `/${path || ''}`;
@@ -86,6 +147,15 @@ function proxyRequest(instanceUrl, clientReq, clientRes, path, requestId) {
         }
     };
 
+    if (clientCert) {
+        if (targetUrl.protocol === 'https:') {
+            Object.assign(options, clientCert);
+            console.log(`🔐 [${requestId}] Presenting client certificate`);
+        } else {
+            console.warn(`⚠️  [${requestId}] Client certificate configured but ${targetUrl.origin} is not HTTPS; sent without it`);
+        }
+    }
+
     const proxyReq = requestModule.request(options, (proxyRes) => {
         setCORSHeaders(clientRes, clientReq);
         clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
@@ -155,6 +225,7 @@ function requestListener(req, res) {
         res.end(JSON.stringify({
             status: 'ok',
             instances: Object.keys(INSTANCES),
+            certificateInstances: getCertificateInstances(),
             timestamp: new Date().toISOString()
         }));
         console.log(`🩺 [${requestId}] Health responded OK`);
@@ -170,6 +241,8 @@ function requestListener(req, res) {
             res.writeHead(200, {'Content-Type': 'application/json'});
             res.end(JSON.stringify({
                 instances: INSTANCES,
+                flavours: INSTANCE_FLAVOURS,
+                certificateInstances: getCertificateInstances(),
                 timestamp: new Date().toISOString()
             }));
             console.log(`⚙️  [${requestId}] Returned proxy configuration`);
@@ -189,6 +262,11 @@ function requestListener(req, res) {
                     const newConfig = JSON.parse(body);
                     if (newConfig.instances && typeof newConfig.instances === 'object') {
                         INSTANCES = { ...INSTANCES, ...newConfig.instances };
+                        if (newConfig.flavours && typeof newConfig.flavours === 'object') {
+                            INSTANCE_FLAVOURS = { ...INSTANCE_FLAVOURS, ...newConfig.flavours };
+                        }
+                        // Pick up certificate config changes since startup
+                        loadClientCerts();
                         console.log(`🔄 [${requestId}] Configuration updated via API → Instances: ${Object.keys(INSTANCES).join(', ')}`);
                         
                         res.writeHead(200, {'Content-Type': 'application/json'});
@@ -196,6 +274,7 @@ function requestListener(req, res) {
                             status: 'success',
                             message: 'Instances configuration updated',
                             instances: Object.keys(INSTANCES),
+                            certificateInstances: getCertificateInstances(),
                             timestamp: new Date().toISOString()
                         }));
                     } else {
@@ -220,17 +299,18 @@ function requestListener(req, res) {
         }
     }
 
-    // Route to instances
-    for (const [instanceName, instanceUrl] of Object.entries(INSTANCES)) {
+    // Route to instances (longest name first: "host-plant1" must not be taken by "host")
+    const routes = Object.entries(INSTANCES).sort((a, b) => b[0].length - a[0].length);
+    for (const [instanceName, instanceUrl] of routes) {
         const prefix = `/${instanceName}`;
-        if (pathname.startsWith(prefix)) {
+        if (pathname === prefix || pathname.startsWith(`${prefix}/`)) {
             let remainingPath = pathname.substring(prefix.length);
             if (remainingPath.length === 0) {
                 remainingPath = '/';
             }
             const remainingWithQuery = `${remainingPath}${parsedUrl.search || ''}`;
             console.log(`📡 [${requestId}] Proxying ${instanceName}: ${req.method} ${remainingWithQuery}`);
-            proxyRequest(instanceUrl, req, res, remainingWithQuery, requestId);
+            proxyRequest(instanceUrl, req, res, remainingWithQuery, requestId, CLIENT_CERTS[instanceName]);
             return;
         }
     }
@@ -242,14 +322,14 @@ function requestListener(req, res) {
     // Generate dynamic examples based on current instances
     const instanceNames = Object.keys(INSTANCES);
     const examples = instanceNames.slice(0, 3).map((name, index) => {
-        const endpoints = ['/foglamp/ping', '/foglamp/statistics', '/foglamp/asset'];
-        return `/${name}${endpoints[index] || '/foglamp/ping'}`;
+        const endpoints = ['ping', 'statistics', 'asset'];
+        return exampleRoute(name, endpoints[index] || 'ping');
     });
     
     res.end(JSON.stringify({
         error: 'Route not found',
         availableInstances: instanceNames.map(name => `/${name}`),
-        examples: examples.length > 0 ? examples : ['/local/foglamp/ping'],
+        examples: examples.length > 0 ? examples : ['/local-port-8081/foglamp/ping'],
         tip: 'Use POST /config to add more instances dynamically'
     }));
     console.warn(`❓ [${requestId}] Route not found: ${pathname}`);
@@ -341,8 +421,13 @@ server.listen(PROXY_PORT, () => {
     console.log('\n📋 Available endpoints:');
     
     Object.keys(INSTANCES).forEach(name => {
-        console.log(`   /${name}/foglamp/ping   → ${INSTANCES[name]}`);
+        console.log(`   ${exampleRoute(name)}   → ${INSTANCES[name]}`);
     });
+
+    const certNames = Object.keys(CLIENT_CERTS);
+    if (certNames.length > 0) {
+        console.log(`\n🔐 Client certificates loaded for: ${certNames.join(', ')}`);
+    }
     
     console.log(`\n🏥 Health check: ${baseUrl}/health`);
     console.log('\n⭐ Your Excel add-in can now access all instances!');
@@ -19,6 +19,8 @@ class SmartFogLAMPManager {
         this.CONNECTION_TIMEOUT_MS = 3000;
         // Resolved dynamically (prefers HTTPS for Excel Web; falls back to HTTP)
         this.PROXY_BASE_URL = null;
+        // Bind foglamp* helpers to the active instance (no fallback to other instances)
+        this.strictInstanceScope = true;
     }
 
     // Load instances from user registration system
@@ -70,20 +72,16 @@ class SmartFogLAMPManager {
         }
     }
 
-    // Generate a proxy path from a FogLAMP URL
+    // Generate a proxy path from a FogLAMP URL (mirrors getProxyName in src/js/core/endpoints.js):
+    // host with dots as dashes, the port, then any base path, e.g. "192-168-0-208-port-8081" or "gw-example-com-port-443-plant1"
     generateProxyPath(url) {
         try {
             const parsed = new URL(url);
             const host = parsed.hostname;
-            const port = parsed.port || this.DEFAULT_FOGLAMP_PORT;
-            
-            // Create a simple identifier from IP/hostname
-            if (host === '127.0.0.1' || host === 'localhost') {
-                return 'local';
-            } else {
-                // Create path like "192-168-0-208" or "hostname"
-                return host.replace(/\./g, '-').toLowerCase();
-            }
+            const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+            const pathPart = parsed.pathname.replace(/\/+$/, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+            const hostPart = (host === '127.0.0.1' || host === 'localhost') ? 'local' : host.replace(/\./g, '-').toLowerCase();
+            return pathPart ? `${hostPart}-port-${port}-${pathPart}` : `${hostPart}-port-${port}`;
         } catch (error) {
             // Fallback: use a hash of the URL
             return 'instance-' + Math.abs(url.split('').reduce((a,b) => {
@@ -93,6 +91,21 @@ class SmartFogLAMPManager {
         }
     }
 
+    // REST prefix of a registered instance: "/fledge" for Fledge gateways, otherwise "/foglamp"
+    getApiPrefix(url) {
+        try {
+            const meta = typeof getInstanceMeta === 'function' ? getInstanceMeta(url) : null;
+            return meta && meta.apiFlavour === 'fledge' ? '/fledge' : '/foglamp';
+        } catch (_e) {
+            return '/foglamp';
+        }
+    }
+
+    // Full path of a flavour-neutral endpoint ("/ping") for an instance (proxy instances carry the original URL)
+    apiPath(instance, endpoint) {
+        return `${this.getApiPrefix(instance.originalUrl || instance.url)}${endpoint}`;
+    }
+
     // Get proxy configuration for the local proxy server
     getProxyConfiguration() {
         const config = {};
@@ -105,6 +118,15 @@ class SmartFogLAMPManager {
         return config;
     }
 
+    // API flavour per proxy route, so the proxy can show correct example routes
+    getProxyFlavours() {
+        const flavours = {};
+        this.targetInstances.forEach(instance => {
+            flavours[this.generateProxyPath(instance.url)] = this.getApiPrefix(instance.url).slice(1);
+        });
+        return flavours;
+    }
+
     // Resolve proxy base URL by trying HTTPS first, then HTTP
     async resolveProxyBaseUrl() {
         const candidates = [
@@ -219,13 +241,15 @@ class SmartFogLAMPManager {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    instances: proxyConfig
+                    instances: proxyConfig,
+                    flavours: this.getProxyFlavours()
                 })
             });
 
             if (response.ok) {
                 const result = await response.json();
                 console.log('📡 Proxy server configured with instances:', result.instances);
+                this.applyCertificateInstances(result.certificateInstances || []);
                 
                 // Update proxy instances based on what was actually configured
                 this.proxyInstances = Object.keys(proxyConfig).map((path, index) => ({
@@ -246,13 +270,25 @@ class SmartFogLAMPManager {
         }
     }
 
+    // Record which registered instances the proxy authenticates with a client certificate
+    applyCertificateInstances(certificateInstances) {
+        if (typeof getInstanceMeta !== 'function' || typeof updateInstanceMeta !== 'function') return;
+        this.targetInstances.forEach(instance => {
+            const usesCert = certificateInstances.includes(this.generateProxyPath(instance.url));
+            if (!!getInstanceMeta(instance.url).clientCertAuth !== usesCert) {
+                updateInstanceMeta(instance.url, { clientCertAuth: usesCert });
+                console.log(`🔐 ${instance.url}: client certificate ${usesCert ? 'enabled' : 'disabled'} on proxy`);
+            }
+        });
+    }
+
     // Test direct connection to instance
     async testDirectConnection(instance) {
         try {
             const controller = new AbortController();
             setTimeout(() => controller.abort(), this.CONNECTION_TIMEOUT_MS);
 
-            const response = await fetch(`${instance.url}/foglamp/ping`, {
+            const response = await fetch(`${instance.url}${this.apiPath(instance, '/ping')}`, {
                 method: 'GET',
                 mode: 'cors',
                 signal: controller.signal
@@ -282,7 +318,7 @@ class SmartFogLAMPManager {
             const controller = new AbortController();
             setTimeout(() => controller.abort(), this.CONNECTION_TIMEOUT_MS);
 
-            const response = await fetch(`${instance.url}/foglamp/ping`, {
+            const response = await fetch(`${instance.url}${this.apiPath(instance, '/ping')}`, {
                 method: 'GET',
                 signal: controller.signal
             });
@@ -416,8 +452,32 @@ class SmartFogLAMPManager {
         return available.length > 0 ? available[0] : null;
     }
 
-    // Smart fetch with automatic fallback
+    // Session token header for an instance (proxy instances carry the original URL)
+    getAuthHeaders(instance) {
+        try {
+            const url = instance.originalUrl || instance.url;
+            const meta = typeof getInstanceMeta === 'function' ? getInstanceMeta(url) : null;
+            return meta && meta.authToken ? { 'Authorization': meta.authToken } : {};
+        } catch (_e) {
+            return {};
+        }
+    }
+
+    // Active instance URL from the registration system (null when none is selected)
+    getActiveInstanceUrl() {
+        try {
+            return typeof getActiveInstance === 'function' ? (getActiveInstance() || null) : null;
+        } catch (_e) {
+            return null;
+        }
+    }
+
+    // Smart fetch with automatic fallback. Endpoints are flavour-neutral ("/ping"); each instance adds its prefix.
+    // With options.instanceUrl only that instance is tried and its response is returned as-is.
     async smartFetch(endpoint, options = {}) {
+        const { instanceUrl, ...fetchOptions } = options;
+        options = fetchOptions;
+
         // Ensure we have up-to-date discovery before fetching
         if (this.availableInstances.size === 0) {
             try {
@@ -428,6 +488,10 @@ class SmartFogLAMPManager {
             }
         }
 
+        if (instanceUrl) {
+            return await this.scopedFetch(instanceUrl, endpoint, options);
+        }
+
         const sortedInstances = this.getAvailableInstances();
         
         if (sortedInstances.length === 0) {
@@ -436,9 +500,13 @@ class SmartFogLAMPManager {
 
         for (const instance of sortedInstances) {
             try {
-                const response = await fetch(`${instance.url}${endpoint}`, {
+                const response = await fetch(`${instance.url}${this.apiPath(instance, endpoint)}`, {
                     mode: 'cors',
-                    ...options
+                    ...options,
+                    headers: {
+                        ...(options.headers || {}),
+                        ...this.getAuthHeaders(instance)
+                    }
                 });
 
                 if (response.ok) {
@@ -455,6 +523,57 @@ class SmartFogLAMPManager {
         throw new Error('All FogLAMP instances are unreachable');
     }
 
+    // Fetch from exactly one registered instance (direct or via its proxy path); never falls back
+    async scopedFetch(instanceUrl, endpoint, options = {}) {
+        const target = String(instanceUrl).replace(/\/+$/, '');
+        const instance = Array.from(this.availableInstances.values())
+            .find(inst => String(inst.originalUrl || inst.url).replace(/\/+$/, '') === target);
+
+        if (!instance || !instance.accessible) {
+            const error = new Error(`Instance ${target} is not reachable; request not sent to any other instance`);
+            error.name = 'InstanceScopeError';
+            throw error;
+        }
+
+        const response = await fetch(`${instance.url}${this.apiPath(instance, endpoint)}`, {
+            mode: 'cors',
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...this.getAuthHeaders(instance)
+            }
+        });
+        response.servedBy = target;
+        return response;
+    }
+
+    // Fetch for the foglamp* helpers: bound to the active instance in strict scope
+    async helperFetch(endpoint) {
+        if (!this.strictInstanceScope) {
+            return await this.smartFetch(endpoint);
+        }
+        const activeUrl = this.getActiveInstanceUrl();
+        if (!activeUrl) {
+            const error = new Error(`No active instance selected; ${endpoint} was not sent`);
+            error.name = 'InstanceScopeError';
+            throw error;
+        }
+        const response = await this.smartFetch(endpoint, { instanceUrl: activeUrl });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${activeUrl}${endpoint}`);
+        }
+        return response;
+    }
+
+    // Parse a helper response and tag the data with the instance that served it
+    async readTagged(response) {
+        const data = await response.json();
+        if (data && typeof data === 'object' && response.servedBy) {
+            Object.defineProperty(data, '_instance', { value: response.servedBy, enumerable: false });
+        }
+        return data;
+    }
+
     // Get connection status message for UI
     getConnectionStatus() {
         const available = this.getAvailableInstances();
@@ -494,8 +613,8 @@ class SmartFogLAMPManager {
      * @returns {Promise<Object>} Ping response data
      */
     async foglampPing() {
-        const response = await this.smartFetch('/foglamp/ping');
-        return response.json();
+        const response = await this.helperFetch('/ping');
+        return this.readTagged(response);
     }
 
     /**
@@ -503,8 +622,8 @@ class SmartFogLAMPManager {
      * @returns {Promise<Object>} Statistics response data
      */
     async foglampStatistics() {
-        const response = await this.smartFetch('/foglamp/statistics');
-        return response.json();
+        const response = await this.helperFetch('/statistics');
+        return this.readTagged(response);
     }
 
     /**
@@ -512,8 +631,8 @@ class SmartFogLAMPManager {
      * @returns {Promise<Array>} Assets response data
      */
     async foglampAssets() {
-        const response = await this.smartFetch('/foglamp/asset');
-        return response.json();
+        const response = await this.helperFetch('/asset');
+        return this.readTagged(response);
     }
 
     /**
@@ -524,7 +643,7 @@ class SmartFogLAMPManager {
      * @returns {Promise<Array>} Readings response data
      */
     async foglampReadings(asset, datapoint = null, params = {}) {
-        const path = datapoint ? `/foglamp/asset/${asset}/${datapoint}` : `/foglamp/asset/${asset}`;
+        const path = datapoint ? `/asset/${asset}/${datapoint}` : `/asset/${asset}`;
         
         // Build query string
         const queryParams = new URLSearchParams();
@@ -535,8 +654,8 @@ class SmartFogLAMPManager {
         });
         
         const fullPath = queryParams.toString() ? `${path}?${queryParams.toString()}` : path;
-        const response = await this.smartFetch(fullPath);
-        return response.json();
+        const response = await this.helperFetch(fullPath);
+        return this.readTagged(response);
     }
 }
 
@@ -554,7 +673,7 @@ if (typeof window !== 'undefined') {
     window.foglampAssetsSmart = async () => await smartManager.foglampAssets();
     window.foglampAssetReadingsSmart = async (asset, datapoint, limit, skip, seconds, minutes, hours, previous) => {
         const dp = (datapoint || "").trim();
-        const path = dp ? `/foglamp/asset/${asset}/${dp}` : `/foglamp/asset/${asset}`;
+        const path = dp ? `/asset/${asset}/${dp}` : `/asset/${asset}`;
         const params = new URLSearchParams();
         
         // Add parameters based on what's provided
@@ -566,8 +685,8 @@ if (typeof window !== 'undefined') {
         if (previous != null && previous > 0) params.set("previous", String(previous));
         
         const endpoint = `${path}?${params.toString()}`;
-        const response = await smartManager.smartFetch(endpoint);
-        return response.json();
+        const response = await smartManager.helperFetch(endpoint);
+        return smartManager.readTagged(response);
     };
     
     // Log availability for debugging
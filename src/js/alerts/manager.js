@@ -0,0 +1,418 @@
+/**
+ * Active Alerts for FogLAMP DataLink
+ * Fetches /foglamp/alert per instance, shows a badge with an expandable list in each instance row,
+ * acknowledges or deletes alerts after confirmation and exports all instances' alerts to an "Alerts" sheet
+ */
+
+import { getInstances, getInstanceMeta, updateInstanceMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+
+// Most urgent first; anything unrecognized sorts last
+const URGENCY_ORDER = ['CRITICAL', 'HIGH', 'NORMAL', 'LOW'];
+
+// Sheet and badge colours per urgency
+const URGENCY_COLORS = {
+    CRITICAL: { fill: '#FEE2E2', font: '#B91C1C' },
+    HIGH: { fill: '#FEE2E2', font: '#B91C1C' },
+    NORMAL: { fill: '#FEF3C7', font: '#92400E' },
+    LOW: { fill: '#F3F4F6', font: '#374151' }
+};
+
+const ALERT_HEADERS = ['Instance', 'Instance URL', 'Urgency', 'Message', 'Timestamp', 'Key', 'Acknowledged'];
+
+/**
+ * Alert Manager Class
+ * The gateway has no acknowledge endpoint, so acknowledgements are kept per instance in the
+ * add-in's instance metadata; an alert raised again later (new timestamp) shows up as new
+ */
+export class AlertManager {
+
+    constructor() {
+        this.sheetName = 'Alerts';
+        this.alertsByUrl = new Map();   // instance URL → { alerts, fetchedAt, error }
+        this.expandedUrls = new Set();  // instance rows whose alert list is open
+        this.pending = new Map();       // instance URL → in-flight fetch
+    }
+
+    /**
+     * Fetch and normalize the alerts of one instance, most urgent and newest first
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Array>} Normalized alerts
+     */
+    async fetchAlerts(url, options = {}) {
+        const raw = await window.FogLAMP.api.alertsForUrl(url, { priority: 'interactive', ...options });
+        const { alerts } = responseNormalizer.normalizeAlerts(raw);
+        return alerts.sort((a, b) =>
+            this.urgencyRank(a.urgency) - this.urgencyRank(b.urgency) ||
+            (b.timestamp?.getTime() ?? 0) - (a.timestamp?.getTime() ?? 0)
+        );
+    }
+
+    /**
+     * Position of an urgency in URGENCY_ORDER (unknown urgencies last)
+     * @param {string} urgency - Normalized urgency
+     * @returns {number} Rank
+     */
+    urgencyRank(urgency) {
+        const idx = URGENCY_ORDER.indexOf(urgency);
+        return idx === -1 ? URGENCY_ORDER.length : idx;
+    }
+
+    /**
+     * Identity of an alert for acknowledgement: key plus the time it was raised
+     * @param {Object} alert - Normalized alert
+     * @returns {string} Acknowledgement id
+     */
+    getAckId(alert) {
+        return `${alert.key}@${alert.rawTimestamp ?? ''}`;
+    }
+
+    /**
+     * Whether an alert has been acknowledged on this instance
+     * @param {string} url - Instance URL
+     * @param {Object} alert - Normalized alert
+     * @returns {boolean} Acknowledged
+     */
+    isAcknowledged(url, alert) {
+        const acknowledged = getInstanceMeta(url).acknowledgedAlerts || [];
+        return acknowledged.includes(this.getAckId(alert));
+    }
+
+    /**
+     * Refresh the cached alert list of an instance and re-render the instance list.
+     * Acknowledgements of alerts that are no longer active are dropped.
+     * @param {string} url - Instance URL
+     * @returns {Promise<Array|null>} Alerts, or null when they could not be fetched
+     */
+    async refreshAlerts(url) {
+        if (this.pending.has(url)) return this.pending.get(url);
+
+        const task = (async () => {
+            try {
+                const alerts = await this.fetchAlerts(url);
+                this.storeAlerts(url, alerts);
+                return alerts;
+            } catch (error) {
+                this.alertsByUrl.set(url, { alerts: [], fetchedAt: new Date(), error: error.message });
+                logMessage('warn', 'Alerts not available', { instance: url, error: error.message });
+                return null;
+            } finally {
+                this.pending.delete(url);
+                window.FogLAMP.instances.renderInstanceList();
+            }
+        })();
+        this.pending.set(url, task);
+        return task;
+    }
+
+    /**
+     * Keep a freshly fetched alert list and prune acknowledgements of alerts that are gone
+     * @private
+     */
+    storeAlerts(url, alerts) {
+        this.alertsByUrl.set(url, { alerts, fetchedAt: new Date(), error: null });
+        const acknowledged = getInstanceMeta(url).acknowledgedAlerts || [];
+        const active = new Set(alerts.map(a => this.getAckId(a)));
+        const kept = acknowledged.filter(id => active.has(id));
+        if (kept.length !== acknowledged.length) {
+            updateInstanceMeta(url, { acknowledgedAlerts: kept });
+        }
+    }
+
+    /**
+     * Called after a successful ping with the ping's alert count.
+     * Builds without an alert count (older FogLAMP) have no alert API and are not queried.
+     * @param {string} url - Instance URL
+     * @param {number|null} count - Alerts reported by the ping
+     */
+    refreshFromPing(url, count) {
+        if (count == null) return;
+        const cached = this.alertsByUrl.get(url);
+        if (Number(count) === 0) {
+            if (!cached || cached.alerts.length > 0) this.storeAlerts(url, []);
+            return;
+        }
+        if (cached && !cached.error && cached.alerts.length === Number(count)) return;
+        this.refreshAlerts(url);
+    }
+
+    /**
+     * Badge plus expandable alert list for an instance row (null when there is nothing to show)
+     * @param {Object} instance - Instance metadata object
+     * @returns {HTMLElement|null} <details> element
+     */
+    createAlertsPanel(instance) {
+        const cached = this.alertsByUrl.get(instance.url);
+        if (!cached || (cached.alerts.length === 0 && !cached.error)) return null;
+
+        const open = cached.alerts.filter(a => !this.isAcknowledged(instance.url, a));
+        const top = open.length > 0 ? open[0].urgency : null;
+
+        const panel = document.createElement('details');
+        panel.className = 'alerts-panel';
+        panel.open = this.expandedUrls.has(instance.url);
+        panel.addEventListener('toggle', () => {
+            if (panel.open) this.expandedUrls.add(instance.url);
+            else this.expandedUrls.delete(instance.url);
+        });
+
+        const badge = document.createElement('summary');
+        badge.className = `alert-badge ${top === 'CRITICAL' || top === 'HIGH' ? 'urgent' : open.length > 0 ? 'open' : 'acknowledged'}`;
+        if (cached.error) {
+            badge.textContent = '🔔 alerts unavailable';
+            badge.title = cached.error;
+        } else {
+            badge.textContent = open.length > 0
+                ? `🔔 ${open.length} alert${open.length === 1 ? '' : 's'}`
+                : `🔕 ${cached.alerts.length} acknowledged`;
+            badge.title = 'Show alerts';
+        }
+        panel.appendChild(badge);
+
+        const list = document.createElement('div');
+        list.className = 'alert-list';
+        cached.alerts.forEach(alert => list.appendChild(this.createAlertRow(instance.url, alert)));
+        const refresh = document.createElement('button');
+        refresh.type = 'button';
+        refresh.className = 'action-btn';
+        refresh.textContent = 'Refresh';
+        refresh.title = 'Fetch the alert list again';
+        refresh.addEventListener('click', () => this.refreshAlerts(instance.url));
+        list.appendChild(refresh);
+        panel.appendChild(list);
+
+        return panel;
+    }
+
+    /**
+     * One alert line with Acknowledge and Delete buttons
+     * @private
+     */
+    createAlertRow(url, alert) {
+        const acknowledged = this.isAcknowledged(url, alert);
+        const row = document.createElement('div');
+        row.className = acknowledged ? 'alert-item acknowledged' : 'alert-item';
+
+        const text = document.createElement('div');
+        text.className = 'alert-text';
+        const urgency = document.createElement('strong');
+        urgency.textContent = alert.urgency;
+        const color = URGENCY_COLORS[alert.urgency];
+        if (color && !acknowledged) urgency.style.color = color.font;
+        text.appendChild(urgency);
+        text.appendChild(document.createTextNode(` ${alert.message}`));
+        const when = document.createElement('div');
+        when.textContent = [
+            alert.timestamp ? alert.timestamp.toLocaleString() : String(alert.rawTimestamp ?? ''),
+            acknowledged ? 'acknowledged' : ''
+        ].filter(Boolean).join(' • ');
+        text.appendChild(when);
+        row.appendChild(text);
+
+        if (!acknowledged) {
+            const ackBtn = document.createElement('button');
+            ackBtn.type = 'button';
+            ackBtn.className = 'action-btn';
+            ackBtn.textContent = 'Acknowledge';
+            ackBtn.addEventListener('click', () => this.acknowledgeAlert(url, alert));
+            row.appendChild(ackBtn);
+        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'action-btn remove';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.title = 'Delete the alert on the gateway';
+        deleteBtn.addEventListener('click', () => this.deleteAlert(url, alert));
+        row.appendChild(deleteBtn);
+
+        return row;
+    }
+
+    /**
+     * Acknowledge an alert after confirmation (stored in the add-in only; the gateway keeps the alert)
+     * @param {string} url - Instance the alert belongs to
+     * @param {Object} alert - Normalized alert
+     * @returns {Promise<boolean>} True when acknowledged
+     */
+    async acknowledgeAlert(url, alert) {
+        const confirmed = await window.FogLAMP.instances.confirmAction(
+            'Acknowledge alert?',
+            `Instance: ${url}\n${alert.urgency}: ${alert.message}\n\nThe alert stays active on the gateway; it is only marked as seen in this add-in.`,
+            'Acknowledge'
+        );
+        if (!confirmed) {
+            logMessage('info', 'Acknowledge alert cancelled by user', { key: alert.key });
+            return false;
+        }
+
+        const acknowledged = getInstanceMeta(url).acknowledgedAlerts || [];
+        updateInstanceMeta(url, { acknowledgedAlerts: [...new Set([...acknowledged, this.getAckId(alert)])] });
+        logMessage('info', 'Alert acknowledged', { instance: url, key: alert.key });
+        window.FogLAMP.instances.renderInstanceList();
+        return true;
+    }
+
+    /**
+     * Delete an alert on the gateway after confirmation, then refresh the instance's alerts
+     * @param {string} url - Instance the alert belongs to
+     * @param {Object} alert - Normalized alert
+     * @returns {Promise<boolean>} True when deleted
+     */
+    async deleteAlert(url, alert) {
+        const confirmed = await window.FogLAMP.instances.confirmAction(
+            'Delete alert?',
+            `Instance: ${url}\n${alert.urgency}: ${alert.message}\n\nThe alert is removed from the gateway for all users.`,
+            'Delete'
+        );
+        if (!confirmed) {
+            logMessage('info', 'Delete alert cancelled by user', { key: alert.key });
+            return false;
+        }
+
+        try {
+            await window.FogLAMP.api.deleteAlertForUrl(url, alert.key);
+            logMessage('info', 'Alert deleted', { instance: url, key: alert.key });
+            await this.refreshAlerts(url);
+            return true;
+        } catch (error) {
+            logMessage('error', 'Failed to delete alert', { instance: url, key: alert.key, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Build the alerts table across instances
+     * @param {Array} perInstance - [{ url, name, alerts, error }]
+     * @returns {Object} { headers, rows, urgencyCells: [{ row, urgency }], failed }
+     */
+    buildAlertsTable(perInstance) {
+        const excel = window.FogLAMP.excel;
+        const rows = [];
+        const urgencyCells = [];
+        let failed = 0;
+
+        perInstance.forEach(({ url, name, alerts, error }) => {
+            if (error) {
+                failed++;
+                rows.push([name, url, '', `Alerts not available: ${error}`, '', '', '']);
+                return;
+            }
+            alerts.forEach(alert => {
+                const acknowledged = this.isAcknowledged(url, alert);
+                if (!acknowledged && URGENCY_COLORS[alert.urgency]) {
+                    urgencyCells.push({ row: rows.length, urgency: alert.urgency });
+                }
+                rows.push([
+                    name,
+                    url,
+                    alert.urgency,
+                    alert.message,
+                    alert.timestamp ? excel.convertDateToOADate(alert.timestamp) : String(alert.rawTimestamp ?? ''),
+                    alert.key,
+                    acknowledged ? 'Yes' : 'No'
+                ]);
+            });
+        });
+
+        return { headers: ALERT_HEADERS, rows, urgencyCells, failed };
+    }
+
+    /**
+     * Export the active alerts of every registered instance to the "Alerts" sheet
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportAlerts(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const instanceUrls = getInstances();
+        if (!instanceUrls || instanceUrls.length === 0) {
+            logMessage('warn', 'Export Alerts: no instances registered');
+            return false;
+        }
+
+        const signal = excel.beginExport('Alerts export', options.signal);
+        if (!signal) return false;
+
+        try {
+            let fetchedCount = 0;
+            const perInstance = await Promise.all(instanceUrls.map(async (url) => {
+                const name = getDisplayName(getInstanceMeta(url));
+                try {
+                    const alerts = await this.fetchAlerts(url, { signal, priority: 'bulk' });
+                    this.storeAlerts(url, alerts);
+                    return { url, name, alerts, error: null };
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    return { url, name, alerts: [], error: error.message };
+                } finally {
+                    fetchedCount++;
+                    excel.reportProgress(`Alerts export: fetched ${fetchedCount}/${instanceUrls.length} instances`);
+                }
+            }));
+            window.FogLAMP.instances.renderInstanceList();
+
+            const { headers, rows, urgencyCells, failed } = this.buildAlertsTable(perInstance);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Alerts export: writing ${rows.length} rows`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.writeTableSheet(context, this.sheetName, headers, rows, {
+                    dateColumns: [4],
+                    signal
+                });
+                try {
+                    urgencyCells.forEach(({ row, urgency }) => {
+                        const cell = sheet.getRangeByIndexes(1 + row, 2, 1, 1);
+                        cell.format.fill.color = URGENCY_COLORS[urgency].fill;
+                        cell.format.font.color = URGENCY_COLORS[urgency].font;
+                        cell.format.font.bold = true;
+                    });
+                    await context.sync();
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+            });
+
+            const alertCount = rows.length - failed;
+            logMessage(failed > 0 ? 'warn' : 'info', 'Alerts export done', {
+                sheet: this.sheetName,
+                instances: instanceUrls.length,
+                alerts: alertCount,
+                unavailable: failed
+            });
+            excel.endExport(`Alerts export done (${alertCount} alerts from ${instanceUrls.length} instances)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Alerts export cancelled; ${outcome}`, { sheet: this.sheetName });
+                excel.endExport(`Alerts export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Alerts export failed', { error: error.message });
+            excel.endExport('Alerts export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize alert manager
+     */
+    initialize() {
+        console.log('✅ Alerts panel initialized');
+    }
+}
+
+// Create singleton instance
+export const alertManager = new AlertManager();
+
+// Export individual methods for backward compatibility
+export const handleExportAlerts = (options) => alertManager.handleExportAlerts(options);
+
+// Export singleton as default
+export default alertManager;
@@ -1,26 +1,35 @@
 /**
  * Asset Management for FogLAMP DataLink
- * Handles asset loading, synchronization, and management functionality
+ * Handles asset loading, synchronization, and management functionality,
+ * datapoint discovery for the selected asset (with the multi-select datapoint picker),
+ * and purging an asset's readings or deleting the asset (readings plus asset tracker entries)
  */
 
 import { elements } from '../ui/elements.js';
-import { getActiveInstance, getActiveInstanceWithMeta } from '../core/storage.js';
+import { getActiveInstance, getActiveInstanceWithMeta, getInstanceMeta, updateInstanceMeta, getAuthSession } from '../core/storage.js';
 import { getDisplayName } from '../core/utils.js';
+import { responseNormalizer, UNINTERPRETED } from '../core/normalizer.js';
 import { logMessage } from '../ui/console.js';
+import { appendNote } from '../ui/messages.js';
 
 /**
  * Asset Manager Class
- * Manages asset loading, caching, and UI synchronization
+ * Manages asset loading and UI synchronization (responses are cached by the API manager)
  */
 export class AssetManager {
     
     constructor() {
-        this.assetCache = new Map(); // Cache assets by instance URL
         this.syncTimeout = null;
         this.loadingStates = new Set(); // Track loading states
-        this.retryAttempts = new Map(); // Track retry attempts per instance
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // ms
+        this.removing = false;          // A purge or delete is in progress
+        this.purgeHistoryLimit = 50;    // Purge records kept per instance
+        this.purgeHistoryShown = 5;     // Purge records listed in the taskpane
+        this.discoveryTimeout = null;
+        this.discoverySeq = 0;          // Latest discovery request; older answers are dropped
+        this.discoverySampleSize = 10;  // Latest readings inspected for datapoint keys and types
+        this.datapoints = [];           // Discovered datapoints of the selected asset: [{ name, type }]
+        this.datapointAsset = null;     // Instance and asset the datapoints belong to
+        this.selectedDatapoints = [];   // Datapoint keys in the order the user picked them
     }
 
     /**
@@ -42,14 +51,16 @@ export class AssetManager {
     /**
      * Load assets for the active instance
      * Populates the asset dropdown with available assets
+     * @param {Object} options - { bypassCache: fetch fresh instead of using the API manager's cached list }
      */
-    async loadAssetsForActiveInstance() {
+    async loadAssetsForActiveInstance(options = {}) {
         const assetSelect = elements.assetSelect();
         if (!assetSelect) return;
 
         const activeInstance = getActiveInstance();
         // Capture the instance URL at the start to avoid cross-instance UI updates
         const requestInstance = activeInstance;
+        this.renderPurgeHistory();
         if (!activeInstance) {
             this.setAssetSelectState('no-instance', 'No active instance');
             return;
@@ -65,24 +76,7 @@ export class AssetManager {
         this.loadingStates.add(activeInstance);
 
         try {
-            // Check cache first
-            const cachedAssets = this.assetCache.get(activeInstance);
-            if (cachedAssets && this.isCacheValid(activeInstance)) {
-                // Guard against race: ensure active instance hasn't changed
-                if (getActiveInstance() !== requestInstance) {
-                    logMessage('info', 'Skipped cached asset populate due to instance change', {
-                        requested: requestInstance,
-                        current: getActiveInstance()
-                    });
-                    return;
-                }
-                this.populateAssetSelect(cachedAssets);
-                logMessage('info', `Loaded ${cachedAssets.length} assets from cache`);
-                return;
-            }
-
-            // Fetch fresh assets
-            const assets = await this.fetchAssetsFromInstance(activeInstance);
+            const assets = await this.fetchAssetsFromInstance(activeInstance, options);
             
             if (assets && assets.length > 0) {
                 // Guard against race: ensure active instance hasn't changed
@@ -93,9 +87,7 @@ export class AssetManager {
                     });
                     return;
                 }
-                this.cacheAssets(activeInstance, assets);
                 this.populateAssetSelect(assets);
-                this.resetRetryCount(activeInstance);
                 
                 logMessage('info', `Loaded ${assets.length} assets for active instance`, {
                     instance: activeInstance,
@@ -130,11 +122,8 @@ export class AssetManager {
             url: activeInstance.url
         });
 
-        // Clear cache to force fresh fetch
-        this.assetCache.delete(activeInstance.url);
-        
         try {
-            await this.loadAssetsForActiveInstance();
+            await this.loadAssetsForActiveInstance({ bypassCache: true });
             logMessage('info', 'Asset list refresh completed', { instance: displayName });
         } catch (error) {
             logMessage('error', 'Asset list refresh failed', { 
@@ -146,38 +135,17 @@ export class AssetManager {
 
     /**
      * Fetch assets from FogLAMP instance - STREAMLINED: Single API path only
-     * @param {string} instanceUrl - Instance URL (unused, kept for API compatibility)
+     * Bound to the given instance; no fallback to other instances or transports
+     * @param {string} instanceUrl - Instance URL
+     * @param {Object} options - { bypassCache }
      * @returns {Promise<Array>} Array of asset names
      */
-    async fetchAssetsFromInstance(instanceUrl) {
+    async fetchAssetsFromInstance(instanceUrl, options = {}) {
         try {
-            // Prefer targeting the active instance explicitly to avoid cross-instance data leaks
-            if (window.FogLAMP && window.FogLAMP.api && typeof window.FogLAMP.api.assetsForUrl === 'function' && instanceUrl) {
-                return await window.FogLAMP.api.assetsForUrl(instanceUrl);
+            if (!instanceUrl) {
+                throw new Error('No instance given; assets were not requested');
             }
-
-            // Stronger explicit fallback: call the URL-specific API path directly if available
-            if (window.FogLAMP && window.FogLAMP.api && typeof window.FogLAMP.api.apiCallForUrl === 'function' && instanceUrl) {
-                const endpoint = (window.FogLAMP.api.apiEndpoints && window.FogLAMP.api.apiEndpoints.assets) ? window.FogLAMP.api.apiEndpoints.assets : '/foglamp/asset';
-                return await window.FogLAMP.api.apiCallForUrl(instanceUrl, endpoint);
-            }
-
-            // Fallback: unified API (may use smart selection)
-            if (window.FogLAMP && window.FogLAMP.api && typeof window.FogLAMP.api.assets === 'function') {
-                return await window.FogLAMP.api.assets();
-            }
-            
-            // Fallback to smart manager
-            if (window.smartManager && typeof window.smartManager.foglampAssets === 'function') {
-                return await window.smartManager.foglampAssets();
-            }
-            
-            // Fallback to global function
-            if (typeof window.foglampAssetsSmart === 'function') {
-                return await window.foglampAssetsSmart();
-            }
-            
-            throw new Error('No asset fetch method available');
+            return await window.FogLAMP.api.assetsForUrl(instanceUrl, { priority: 'interactive', bypassCache: !!options.bypassCache });
         } catch (error) {
             logMessage('error', 'Failed to fetch assets', { 
                 instance: instanceUrl, 
@@ -221,6 +189,9 @@ export class AssetManager {
 
         // Sync with text input if available
         this.syncAssetInputs();
+
+        // The previous selection is gone with the old options
+        this.discoverDatapointsForSelectedAsset();
     }
 
     /**
@@ -295,6 +266,7 @@ export class AssetManager {
                     logMessage('info', 'Asset synced from dropdown', { asset: newSelect.value });
                 }
             }, 100);
+            this.discoverDatapointsForSelectedAsset();
         });
 
         // Sync input to dropdown with debounced typing (300ms delay)
@@ -315,102 +287,38 @@ export class AssetManager {
                     newSelect.value = ''; // Clear selection if no match
                 }
             }, 300);
-        });
 
-        logMessage('info', 'Asset input synchronization configured');
-    }
-
-    /**
-     * Cache assets for an instance
-     * @param {string} instanceUrl - Instance URL
-     * @param {Array} assets - Array of assets to cache
-     */
-    cacheAssets(instanceUrl, assets) {
-        this.assetCache.set(instanceUrl, {
-            assets: [...assets],
-            timestamp: Date.now(),
-            ttl: 5 * 60 * 1000 // 5 minutes TTL
+            // Typed names are only looked up once typing pauses
+            if (this.discoveryTimeout) clearTimeout(this.discoveryTimeout);
+            this.discoveryTimeout = setTimeout(() => this.discoverDatapointsForSelectedAsset(), 800);
         });
-    }
 
-    /**
-     * Check if cached assets are still valid
-     * @param {string} instanceUrl - Instance URL
-     * @returns {boolean} Whether cache is valid
-     */
-    isCacheValid(instanceUrl) {
-        const cached = this.assetCache.get(instanceUrl);
-        if (!cached) return false;
-        
-        return (Date.now() - cached.timestamp) < cached.ttl;
+        logMessage('info', 'Asset input synchronization configured');
     }
 
     /**
-     * Handle asset loading error with retry logic
+     * Handle asset loading error (retries already happened in the API manager's resilience policy)
      * @param {string} instanceUrl - Instance URL that failed
      * @param {Error} error - Error that occurred
      */
     async handleAssetLoadError(instanceUrl, error) {
-        const retryCount = this.retryAttempts.get(instanceUrl) || 0;
+        const circuitOpen = error?.name === 'CircuitOpenError';
+        this.setAssetSelectState('error', circuitOpen ? 'Instance paused after repeated failures' : 'Failed to load assets');
         
-        if (retryCount < this.maxRetries) {
-            this.retryAttempts.set(instanceUrl, retryCount + 1);
-            logMessage('warn', `Asset loading failed, retrying (${retryCount + 1}/${this.maxRetries})`, {
-                instance: instanceUrl,
-                error: error.message,
-                retryIn: `${this.retryDelay}ms`
-            });
-            
-            setTimeout(async () => {
-                try {
-                    await this.loadAssetsForActiveInstance();
-                } catch (retryError) {
-                    await this.handleAssetLoadError(instanceUrl, retryError);
-                }
-            }, this.retryDelay);
-            
-        } else {
-            this.setAssetSelectState('error', 'Failed to load assets');
-            this.resetRetryCount(instanceUrl);
-            
-            logMessage('error', 'Asset loading failed after retries', {
-                instance: instanceUrl,
-                error: error.message,
-                maxRetries: this.maxRetries
-            });
-        }
-    }
-
-    /**
-     * Reset retry count for an instance
-     * @param {string} instanceUrl - Instance URL
-     */
-    resetRetryCount(instanceUrl) {
-        this.retryAttempts.delete(instanceUrl);
+        logMessage('error', 'Asset loading failed', {
+            instance: instanceUrl,
+            error: error.message
+        });
     }
 
     /**
-     * Clear asset cache for specific instance or all instances
+     * Clear cached asset lists for specific instance or all instances
+     * (the list is cached by the API manager together with its other responses)
      * @param {string} instanceUrl - Optional instance URL, clears all if not provided
      */
     clearAssetCache(instanceUrl = null) {
-        if (instanceUrl) {
-            this.assetCache.delete(instanceUrl);
-            logMessage('info', 'Asset cache cleared for instance', { instance: instanceUrl });
-        } else {
-            this.assetCache.clear();
-            logMessage('info', 'All asset caches cleared');
-        }
-    }
-
-    /**
-     * Get cached assets for instance
-     * @param {string} instanceUrl - Instance URL
-     * @returns {Array|null} Cached assets or null
-     */
-    getCachedAssets(instanceUrl) {
-        const cached = this.assetCache.get(instanceUrl);
-        return cached && this.isCacheValid(instanceUrl) ? cached.assets : null;
+        window.FogLAMP?.api?.invalidateCache(instanceUrl);
+        logMessage('info', instanceUrl ? 'Asset cache cleared for instance' : 'All asset caches cleared', instanceUrl ? { instance: instanceUrl } : undefined);
     }
 
     /**
@@ -448,54 +356,417 @@ export class AssetManager {
     }
 
     /**
-     * Get asset manager statistics
-     * @returns {Object} Asset manager statistics
+     * Type of a datapoint from sample values: integer, float, string, boolean, array, object,
+     * or mixed when the samples disagree (integer and float together count as float)
+     * @param {Array} values - Non-null sample values
+     * @returns {string} Inferred type
      */
-    getAssetStats() {
+    inferDatapointType(values) {
+        const types = new Set(values.map(value => {
+            if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+            if (Array.isArray(value)) return 'array';
+            return typeof value;
+        }));
+        if (types.size === 2 && types.has('integer') && types.has('float')) return 'float';
+        if (types.size === 1) return types.values().next().value;
+        return types.size === 0 ? 'unknown' : 'mixed';
+    }
+
+    /**
+     * Discover the datapoints of an asset from its latest readings; when there are none (or they
+     * cannot be read) the summary endpoint is used instead, which only knows numeric datapoints
+     * @param {string} url - Instance URL
+     * @param {string} asset - Asset name
+     * @returns {Promise<Object>} { datapoints: [{ name, type }] sorted by name, source: 'readings'|'summary' }
+     */
+    async discoverDatapoints(url, asset) {
+        const options = { priority: 'interactive' };
+        try {
+            const raw = await window.FogLAMP.api.readingsForUrl(url, asset, null, { limit: this.discoverySampleSize }, options);
+            const samples = new Map();
+            responseNormalizer.normalizeReadings(raw).readings.forEach(r => {
+                Object.entries(r.reading).forEach(([key, value]) => {
+                    if (!samples.has(key)) samples.set(key, []);
+                    if (value != null) samples.get(key).push(value);
+                });
+            });
+            if (samples.size > 0) {
+                const datapoints = Array.from(samples, ([name, values]) => ({ name, type: this.inferDatapointType(values) }));
+                return { datapoints: datapoints.sort((a, b) => a.name.localeCompare(b.name)), source: 'readings' };
+            }
+        } catch (error) {
+            logMessage('warn', 'Latest readings not available for datapoint discovery; trying the summary', { asset, error: error.message });
+        }
+
+        const raw = await window.FogLAMP.api.readingsSummaryForUrl(url, asset, null, {}, options);
+        const names = Object.keys(responseNormalizer.normalizeSummary(raw).datapoints).filter(name => name !== UNINTERPRETED);
         return {
-            cacheSize: this.assetCache.size,
-            loadingInstances: Array.from(this.loadingStates),
-            retryingInstances: Array.from(this.retryAttempts.keys()),
-            cacheHitRatio: this.calculateCacheHitRatio()
+            datapoints: names.sort((a, b) => a.localeCompare(b)).map(name => ({ name, type: 'float' })),
+            source: 'summary'
         };
     }
 
     /**
-     * Calculate cache hit ratio
-     * @returns {number} Cache hit ratio (0-1)
+     * Discover the datapoints of the selected asset and refresh the picker.
+     * When the asset changed, picked datapoints the new asset does not have are dropped.
+     * @returns {Promise<Array>} Discovered datapoints
      */
-    calculateCacheHitRatio() {
-        // This would require tracking hits/misses over time
-        // For now, return a simple estimate based on cache size
-        return this.assetCache.size > 0 ? 0.8 : 0;
+    async discoverDatapointsForSelectedAsset() {
+        const seq = ++this.discoverySeq;
+        const url = getActiveInstance();
+        const asset = this.getSelectedAsset();
+        if (!url || !asset) {
+            this.datapoints = [];
+            this.datapointAsset = null;
+            this.selectedDatapoints = [];
+            this.renderDatapointPicker(url ? 'Select an asset to list its datapoints' : 'No active instance');
+            return [];
+        }
+
+        const key = `${url}|${asset}`;
+        const assetChanged = this.datapointAsset !== key;
+        if (assetChanged) this.datapoints = [];
+        this.renderDatapointPicker(`Discovering datapoints of ${asset}...`);
+        try {
+            const { datapoints, source } = await this.discoverDatapoints(url, asset);
+            // Guard against race: asset or instance may have changed while discovering
+            if (seq !== this.discoverySeq) return [];
+            this.datapoints = datapoints;
+            this.datapointAsset = key;
+            if (assetChanged) {
+                this.selectedDatapoints = this.selectedDatapoints.filter(name => datapoints.some(dp => dp.name === name));
+            }
+            this.renderDatapointPicker(datapoints.length === 0 ? `No datapoints found for ${asset}` : null);
+            logMessage('info', `Discovered ${datapoints.length} datapoints of ${asset}`, { source, instance: url });
+            return datapoints;
+        } catch (error) {
+            if (seq !== this.discoverySeq) return [];
+            this.datapoints = [];
+            this.renderDatapointPicker(`Could not discover datapoints: ${error.message}`);
+            logMessage('warn', 'Datapoint discovery failed', { asset, instance: url, error: error.message });
+            return [];
+        }
     }
 
     /**
-     * Initialize asset manager
+     * Render the datapoint checklist filtered by the search box. A searched key that was not discovered
+     * can still be added, so a datapoint missing from the sample is never out of reach.
+     * @param {string|null} message - Note shown instead of (or above) the list
      */
-    initialize() {
-        // Load assets for current active instance
-        this.loadAssetsForActiveInstance();
-        
-        // Set up periodic cache cleanup
-        this.setupCacheCleanup();
-        
-        console.log('✅ Asset management system initialized');
+    renderDatapointPicker(message = null) {
+        const list = elements.datapointList();
+        if (list) {
+            list.innerHTML = '';
+            const search = (elements.datapointSearch()?.value || '').trim();
+            const needle = search.toLowerCase();
+            // Picked keys that were not discovered (added by hand) stay visible
+            const known = new Set(this.datapoints.map(dp => dp.name));
+            const options = [
+                ...this.datapoints,
+                ...this.selectedDatapoints.filter(name => !known.has(name)).map(name => ({ name, type: 'added' }))
+            ].filter(dp => !needle || dp.name.toLowerCase().includes(needle));
+
+            if (message) appendNote(list, message);
+            options.forEach(dp => {
+                const label = document.createElement('label');
+                label.className = 'dp-option';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.selectedDatapoints.includes(dp.name);
+                checkbox.addEventListener('change', () => this.toggleDatapoint(dp.name, checkbox.checked));
+                const name = document.createElement('span');
+                name.textContent = dp.name;
+                const type = document.createElement('span');
+                type.className = 'small muted';
+                type.textContent = dp.type;
+                label.appendChild(checkbox);
+                label.appendChild(name);
+                label.appendChild(type);
+                const position = this.selectedDatapoints.indexOf(dp.name);
+                if (position >= 0) {
+                    const order = document.createElement('span');
+                    order.className = 'dp-order';
+                    order.textContent = String(position + 1);
+                    label.appendChild(order);
+                }
+                list.appendChild(label);
+            });
+            if (search && !known.has(search) && !this.selectedDatapoints.includes(search)) {
+                const add = document.createElement('button');
+                add.type = 'button';
+                add.textContent = `Add "${search}"`;
+                add.title = 'Export a datapoint that was not found in the latest readings';
+                add.addEventListener('click', () => {
+                    const searchEl = elements.datapointSearch();
+                    if (searchEl) searchEl.value = '';
+                    this.toggleDatapoint(search, true);
+                });
+                list.appendChild(add);
+            }
+        }
+
+        const order = elements.datapointOrder();
+        if (order) {
+            order.textContent = this.selectedDatapoints.length > 0
+                ? `Columns: ${this.selectedDatapoints.join(' → ')}`
+                : 'Columns: all datapoints';
+        }
     }
 
     /**
-     * Set up periodic cache cleanup
+     * Pick or drop a datapoint; picked datapoints are exported in the order they were picked
+     * @param {string} name - Datapoint key
+     * @param {boolean} selected - Picked or not
      */
-    setupCacheCleanup() {
-        // Clean up expired cache entries every 5 minutes
-        setInterval(() => {
-            const now = Date.now();
-            for (const [instanceUrl, cached] of this.assetCache.entries()) {
-                if (now - cached.timestamp > cached.ttl) {
-                    this.assetCache.delete(instanceUrl);
+    toggleDatapoint(name, selected) {
+        this.selectedDatapoints = this.selectedDatapoints.filter(n => n !== name);
+        if (selected) this.selectedDatapoints.push(name);
+        this.renderDatapointPicker();
+        window.FogLAMP?.events?.updateReadingsSummary();
+    }
+
+    /**
+     * Drop every picked datapoint (export all datapoints again)
+     */
+    clearDatapointSelection() {
+        this.selectedDatapoints = [];
+        this.renderDatapointPicker();
+        window.FogLAMP?.events?.updateReadingsSummary();
+    }
+
+    /**
+     * @returns {Array<string>} Picked datapoint keys in the chosen order; empty means all datapoints
+     */
+    getSelectedDatapoints() {
+        return [...this.selectedDatapoints];
+    }
+
+    /**
+     * What a purge of the asset would remove: reading count (asset list), timespan and tracker entries.
+     * Timespan and tracker are optional; the count alone is enough to confirm.
+     * @param {string} url - Instance URL
+     * @param {string} asset - Asset name
+     * @returns {Promise<Object>} { readings, oldest: Date|null, newest: Date|null, tracked: Array }
+     */
+    async describeAssetData(url, asset) {
+        const options = { priority: 'interactive', bypassCache: true };
+        const optional = (promise, what) => promise.catch(error => {
+            logMessage('warn', `Could not read the ${what} of ${asset}`, { instance: url, error: error.message });
+            return null;
+        });
+        const [assetsRaw, timespanRaw, trackRaw] = await Promise.all([
+            window.FogLAMP.api.assetsForUrl(url, options),
+            optional(window.FogLAMP.api.readingsTimespanForUrl(url, asset, null, {}, options), 'timespan'),
+            optional(window.FogLAMP.api.assetTrackerForUrl(url, { asset }, options), 'asset tracker entries')
+        ]);
+        const listed = responseNormalizer.normalizeAssets(assetsRaw).assets.find(a => a.name === asset);
+        const readings = listed?.count ?? 0;
+        const timespan = timespanRaw && readings > 0 ? responseNormalizer.normalizeTimespan(timespanRaw) : null;
+        return {
+            readings,
+            oldest: timespan?.oldest ?? null,
+            newest: timespan?.newest ?? null,
+            tracked: trackRaw ? responseNormalizer.normalizeAssetTracker(trackRaw).entries.filter(e => e.asset === asset && !e.deprecated) : []
+        };
+    }
+
+    /**
+     * @param {Object} data - Result of describeAssetData
+     * @returns {string} e.g. "1,234 readings from 01/05/2024, 10:00:00 to 02/05/2024, 09:59:00"
+     */
+    describeReadings(data) {
+        const count = `${data.readings.toLocaleString()} reading${data.readings === 1 ? '' : 's'}`;
+        if (!data.oldest || !data.newest) return data.readings > 0 ? `${count} (timespan unknown)` : count;
+        return `${count} from ${data.oldest.toLocaleString()} to ${data.newest.toLocaleString()}`;
+    }
+
+    /**
+     * Purge the readings of the selected asset after a two-step confirmation.
+     * South services that produce the asset keep adding readings afterwards.
+     * @returns {Promise<boolean>} True when the readings were purged
+     */
+    async handlePurgeAsset() {
+        return await this.removeSelectedAsset('purge');
+    }
+
+    /**
+     * Delete the selected asset after a two-step confirmation: purge its readings and deprecate its
+     * active asset tracker entries, so it no longer shows as ingested or sent
+     * @returns {Promise<boolean>} True when readings and tracker entries were removed
+     */
+    async handleDeleteAsset() {
+        return await this.removeSelectedAsset('delete');
+    }
+
+    /**
+     * Shared flow of purge and delete
+     * @param {string} mode - 'purge' | 'delete'
+     * @returns {Promise<boolean>} True when everything succeeded
+     * @private
+     */
+    async removeSelectedAsset(mode) {
+        const action = mode === 'delete' ? 'Delete asset' : 'Purge readings';
+        const active = getActiveInstanceWithMeta();
+        const asset = this.getSelectedAsset();
+        if (!active) {
+            logMessage('warn', `${action}: no active instance`);
+            return false;
+        }
+        if (!asset) {
+            logMessage('warn', `${action}: select an asset first`);
+            return false;
+        }
+        if (this.removing) {
+            logMessage('info', 'A purge or delete is already in progress');
+            return false;
+        }
+
+        const url = active.url;
+        this.removing = true;
+        try {
+            const data = await this.describeAssetData(url, asset);
+            if (mode === 'purge' && data.readings === 0) {
+                logMessage('info', `${asset} has no readings to purge`, { instance: getDisplayName(active) });
+                return false;
+            }
+            const producers = data.tracked.filter(e => e.event === 'Ingest').map(e => e.service);
+
+            // Step 1: what is about to be removed
+            const details = [
+                `Instance: ${getDisplayName(active)} (${url})`,
+                `Readings: ${this.describeReadings(data)}`
+            ];
+            if (mode === 'delete') {
+                details.push(data.tracked.length > 0
+                    ? `Tracker entries to deprecate: ${data.tracked.map(e => `${e.event} ${e.service}`).join(', ')}`
+                    : 'Tracker entries to deprecate: none');
+            }
+            if (producers.length > 0) {
+                details.push(`Still ingested by ${Array.from(new Set(producers)).join(', ')}; new readings will keep arriving unless that service is stopped.`);
+            }
+            const reviewed = await window.FogLAMP.instances.confirmAction(`${action} "${asset}"?`, details.join('\n'), 'Continue');
+            if (!reviewed) {
+                logMessage('info', `${action} cancelled by user`, { asset });
+                return false;
+            }
+
+            // Step 2: last chance
+            const confirmed = await window.FogLAMP.instances.confirmAction(
+                `Remove ${data.readings.toLocaleString()} readings of "${asset}" permanently?`,
+                `Instance: ${getDisplayName(active)} (${url})\n\nThis cannot be undone.`,
+                mode === 'delete' ? 'Delete' : 'Purge'
+            );
+            if (!confirmed) {
+                logMessage('info', `${action} cancelled by user`, { asset });
+                return false;
+            }
+
+            const failures = [];
+            try {
+                await window.FogLAMP.api.purgeAssetForUrl(url, asset);
+            } catch (error) {
+                failures.push(`purge: ${error.message}`);
+            }
+            let deprecated = 0;
+            if (mode === 'delete' && failures.length === 0) {
+                for (const entry of data.tracked) {
+                    try {
+                        await window.FogLAMP.api.deprecateTrackerEntryForUrl(url, entry);
+                        deprecated++;
+                    } catch (error) {
+                        failures.push(`deprecate ${entry.event} ${entry.service}: ${error.message}`);
+                    }
                 }
             }
-        }, 5 * 60 * 1000);
+
+            this.recordPurge(url, {
+                action: mode,
+                asset,
+                readings: data.readings,
+                oldest: data.oldest ? data.oldest.toISOString() : null,
+                newest: data.newest ? data.newest.toISOString() : null,
+                deprecated,
+                result: failures.length > 0 ? `Failed: ${failures.join('; ')}` : 'Done',
+                user: getAuthSession(url)?.user || ''
+            });
+            if (failures.length > 0) {
+                logMessage('error', `${action} failed for ${asset}`, { instance: url, failures });
+            } else {
+                logMessage('info', `${action} done: ${asset}`, { instance: url, readings: data.readings, deprecated });
+            }
+
+            // Refresh the asset list; the asset disappears from it once its readings are gone
+            this.clearAssetCache(url);
+            if (getActiveInstance() === url) {
+                if (failures.length === 0) this.setSelectedAsset('');
+                await this.loadAssetsForActiveInstance({ bypassCache: true });
+            }
+            return failures.length === 0;
+
+        } catch (error) {
+            logMessage('error', `${action} failed`, { instance: url, asset, error: error.message });
+            return false;
+        } finally {
+            this.removing = false;
+        }
+    }
+
+    /**
+     * Add a purge or delete to the instance's purge history (newest first, capped)
+     * @param {string} url - Instance URL
+     * @param {Object} record - { action, asset, readings, oldest, newest, deprecated, result, user }
+     */
+    recordPurge(url, record) {
+        const history = [{ at: new Date().toISOString(), ...record }, ...this.getPurgeHistory(url)];
+        updateInstanceMeta(url, { purgeHistory: history.slice(0, this.purgeHistoryLimit) });
+        this.renderPurgeHistory();
+    }
+
+    /**
+     * @param {string} url - Instance URL
+     * @returns {Array} Purge records of the instance, newest first
+     */
+    getPurgeHistory(url) {
+        return getInstanceMeta(url).purgeHistory || [];
+    }
+
+    /**
+     * List the latest purge records of the active instance under the purge buttons
+     */
+    renderPurgeHistory() {
+        const container = elements.purgeHistory();
+        if (!container) return;
+        container.innerHTML = '';
+        const url = getActiveInstance();
+        const history = url ? this.getPurgeHistory(url).slice(0, this.purgeHistoryShown) : [];
+        history.forEach(record => {
+            const line = document.createElement('div');
+            line.className = record.result === 'Done' ? 'small muted' : 'small purge-failed';
+            line.textContent = `${new Date(record.at).toLocaleString()} • ${record.action} ${record.asset} • ` +
+                `${record.readings} readings${record.deprecated ? `, ${record.deprecated} tracker entries` : ''} • ${record.result}`;
+            container.appendChild(line);
+        });
+    }
+
+    /**
+     * Get asset manager statistics
+     * @returns {Object} Asset manager statistics
+     */
+    getAssetStats() {
+        return {
+            loadingInstances: Array.from(this.loadingStates),
+            cache: window.FogLAMP?.api?.getStatus().cache ?? null
+        };
+    }
+
+    /**
+     * Initialize asset manager
+     */
+    initialize() {
+        // Load assets for current active instance
+        this.loadAssetsForActiveInstance();
+        
+        console.log('✅ Asset management system initialized');
     }
 
     /**
@@ -506,10 +777,12 @@ export class AssetManager {
             clearTimeout(this.syncTimeout);
             this.syncTimeout = null;
         }
+        if (this.discoveryTimeout) {
+            clearTimeout(this.discoveryTimeout);
+            this.discoveryTimeout = null;
+        }
         
-        this.assetCache.clear();
         this.loadingStates.clear();
-        this.retryAttempts.clear();
     }
 }
 
@@ -520,6 +793,8 @@ export const assetManager = new AssetManager();
 export const loadAssetsForActiveInstance = () => assetManager.loadAssetsForActiveInstance();
 export const refreshAssetListForActiveInstance = () => assetManager.refreshAssetListForActiveInstance();
 export const syncAssetInputs = () => assetManager.syncAssetInputs();
+export const handlePurgeAsset = () => assetManager.handlePurgeAsset();
+export const handleDeleteAsset = () => assetManager.handleDeleteAsset();
 
 // Export singleton as default
 export default assetManager;
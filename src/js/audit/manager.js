@@ -0,0 +1,339 @@
+/**
+ * Audit Log Export for FogLAMP DataLink
+ * Pages through the active instance's audit log (/foglamp/audit) with source, severity,
+ * time window and limit filters and writes it to a "<instance>-Audit" sheet with a per-source summary
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+
+// Row colours by severity; INFORMATION rows stay plain
+const SEVERITY_COLORS = {
+    FAILURE: '#FEE2E2',
+    ERROR: '#FEE2E2',
+    WARNING: '#FEF3C7'
+};
+
+const AUDIT_HEADERS = ['Timestamp', 'Source', 'Description', 'Severity', 'Details'];
+
+/**
+ * Audit Manager Class
+ * The audit API has no time filter, so the window is applied here and paging stops once entries are older than it
+ */
+export class AuditManager {
+
+    constructor() {
+        this.defaultLimit = 1000;
+        this.sourcesLoadedFor = null; // Instance whose log codes fill the source filter
+    }
+
+    /**
+     * Read the filters from the taskpane
+     * @returns {Object} { source, severity, window, limit }
+     */
+    getFilters() {
+        const limit = parseInt(elements.auditLimit()?.value, 10);
+        return {
+            source: elements.auditSource()?.value || '',
+            severity: elements.auditSeverity()?.value || '',
+            window: elements.auditWindow()?.value || '',
+            limit: limit > 0 ? limit : this.defaultLimit
+        };
+    }
+
+    /**
+     * Time window for a filter value
+     * @param {string} value - '' (all time), seconds back from now, or 'prev-month'
+     * @param {Date} now - Reference time
+     * @returns {Object} { start: Date|null, end: Date|null, label }
+     */
+    getTimeWindow(value, now = new Date()) {
+        if (value === 'prev-month') {
+            const end = new Date(now.getFullYear(), now.getMonth(), 1);
+            const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+            return { start, end, label: `${start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}` };
+        }
+        const seconds = parseInt(value, 10);
+        if (seconds > 0) {
+            const hours = seconds / 3600;
+            const label = hours >= 24 ? `last ${hours / 24} day(s)` : `last ${hours} hour(s)`;
+            return { start: new Date(now.getTime() - seconds * 1000), end: null, label };
+        }
+        return { start: null, end: null, label: 'all time' };
+    }
+
+    /**
+     * Fill the source filter with the active instance's log codes (once per instance)
+     * @returns {Promise<void>}
+     */
+    async loadSourceOptions() {
+        const select = elements.auditSource();
+        const active = getActiveInstanceWithMeta();
+        if (!select || !active || this.sourcesLoadedFor === active.url) return;
+
+        try {
+            const codes = await this.fetchLogCodes(active.url, { priority: 'interactive' });
+            const current = select.value;
+            select.innerHTML = '';
+            const all = document.createElement('option');
+            all.value = '';
+            all.textContent = 'All sources';
+            select.appendChild(all);
+            codes.forEach(({ code, description }) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = description ? `${code} — ${description}` : code;
+                select.appendChild(option);
+            });
+            select.value = codes.some(c => c.code === current) ? current : '';
+            this.sourcesLoadedFor = active.url;
+        } catch (error) {
+            logMessage('warn', 'Could not load audit source codes', { instance: active.url, error: error.message });
+        }
+    }
+
+    /**
+     * Audit source codes of an instance
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Array>} [{ code, description }] sorted by code
+     */
+    async fetchLogCodes(url, options = {}) {
+        const raw = await window.FogLAMP.api.auditLogCodesForUrl(url, options);
+        return responseNormalizer.normalizeAuditCodes(raw).codes.sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    /**
+     * Fetch audit entries matching the filters, newest first
+     * @param {string} url - Instance URL
+     * @param {Object} filters - { source, severity, window, limit }
+     * @param {Object} options - Request options ({ signal, priority, onProgress })
+     * @returns {Promise<Object>} { entries, window, outsideWindow: entries dropped by the time window }
+     */
+    async fetchAuditEntries(url, filters, options = {}) {
+        const timeWindow = this.getTimeWindow(filters.window);
+        const oldestOnPage = (rows) => responseNormalizer.parseTimestamp(rows[rows.length - 1]?.timestamp);
+
+        const raw = await window.FogLAMP.api.auditForUrl(url, { source: filters.source, severity: filters.severity }, {
+            ...options,
+            fetchAll: true,
+            // Entries newer than the window's end would use up the limit, so it is applied after filtering instead
+            maxRows: timeWindow.end ? undefined : filters.limit,
+            stopAfterPage: timeWindow.start ? (rows) => {
+                const oldest = oldestOnPage(rows);
+                return !!oldest && oldest < timeWindow.start;
+            } : null
+        });
+
+        const all = responseNormalizer.normalizeAudit(raw).entries;
+        const inWindow = all.filter(entry => {
+            if (!timeWindow.start && !timeWindow.end) return true;
+            if (!entry.timestamp) return false;
+            return (!timeWindow.start || entry.timestamp >= timeWindow.start) && (!timeWindow.end || entry.timestamp < timeWindow.end);
+        });
+        return {
+            entries: inWindow.slice(0, filters.limit),
+            window: timeWindow,
+            outsideWindow: all.length - inWindow.length
+        };
+    }
+
+    /**
+     * Entries per source, most frequent first
+     * @param {Array} entries - Normalized audit entries
+     * @returns {Array} [{ source, count, failures, warnings }] (failures include ERROR)
+     */
+    summarizeBySource(entries) {
+        const bySource = new Map();
+        entries.forEach(entry => {
+            const summary = bySource.get(entry.source) || { source: entry.source, count: 0, failures: 0, warnings: 0 };
+            summary.count++;
+            if (entry.severity === 'FAILURE' || entry.severity === 'ERROR') summary.failures++;
+            if (entry.severity === 'WARNING') summary.warnings++;
+            bySource.set(entry.source, summary);
+        });
+        return Array.from(bySource.values()).sort((a, b) => (b.count - a.count) || a.source.localeCompare(b.source));
+    }
+
+    /**
+     * Build the Audit sheet: filter description, per-source summary, then the log table
+     * @param {Object} instance - Instance with metadata
+     * @param {Object} filters - { source, severity, window, limit }
+     * @param {Object} result - From fetchAuditEntries
+     * @param {Map} descriptions - Source code → description
+     * @returns {Object} { headerRows, summaryHeaderRow, tableHeaderRow, totalRow, dataRows, colouredRuns: [{ from, count, color }] }
+     */
+    buildAuditSheetRows(instance, filters, result, descriptions) {
+        const excel = window.FogLAMP.excel;
+        const filterText = [
+            `source: ${filters.source || 'all'}`,
+            `severity: ${filters.severity || 'all'}`,
+            `window: ${result.window.label}`,
+            `limit: ${filters.limit}`
+        ].join(' • ');
+
+        const summary = this.summarizeBySource(result.entries);
+        const headerRows = [
+            ['Audit Log', getDisplayName(instance), instance.url],
+            ['Filters', filterText],
+            ['Exported at', new Date()],
+            [],
+            ['Source', 'Description', 'Entries', 'Failures / Errors', 'Warnings'],
+            ...summary.map(s => [s.source, descriptions.get(s.source) || '', s.count, s.failures, s.warnings]),
+            ['Total', '', result.entries.length, summary.reduce((n, s) => n + s.failures, 0), summary.reduce((n, s) => n + s.warnings, 0)],
+            [],
+            AUDIT_HEADERS
+        ];
+
+        const dataRows = result.entries.map(entry => [
+            entry.timestamp ? excel.convertDateToOADate(entry.timestamp) : String(entry.rawTimestamp ?? ''),
+            entry.source,
+            descriptions.get(entry.source) || '',
+            entry.severity,
+            entry.details == null ? '' : (typeof entry.details === 'object' ? JSON.stringify(entry.details) : String(entry.details))
+        ]);
+
+        // Consecutive rows of the same colour are formatted as one range
+        const colouredRuns = [];
+        result.entries.forEach((entry, idx) => {
+            const color = SEVERITY_COLORS[entry.severity];
+            if (!color) return;
+            const last = colouredRuns[colouredRuns.length - 1];
+            if (last && last.color === color && last.from + last.count === idx) last.count++;
+            else colouredRuns.push({ from: idx, count: 1, color });
+        });
+
+        return {
+            headerRows,
+            summaryHeaderRow: 4,
+            tableHeaderRow: headerRows.length - 1,
+            totalRow: headerRows.length - 3,
+            dataRows,
+            colouredRuns
+        };
+    }
+
+    /**
+     * Export the active instance's audit log with the taskpane filters
+     * @param {Object} options - { filters } to override the taskpane, { signal } to cancel from the caller
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportAudit(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Export Audit Log: no active instance');
+            return false;
+        }
+
+        const filters = { ...this.getFilters(), ...(options.filters || {}) };
+        const sheetName = excel.createSafeSheetName(getDisplayName(active), 'Audit');
+        const signal = excel.beginExport('Audit log export', options.signal);
+        if (!signal) return false;
+
+        try {
+            const [result, codes] = await Promise.all([
+                this.fetchAuditEntries(active.url, filters, {
+                    signal,
+                    priority: 'bulk',
+                    onProgress: ({ page, total }) => excel.reportProgress(`Audit log export: page ${page}, ${total} entries`)
+                }),
+                this.fetchLogCodes(active.url, { signal, priority: 'bulk' }).catch(error => {
+                    if (isAbortError(error)) throw error;
+                    return [];
+                })
+            ]);
+            const descriptions = new Map(codes.map(c => [c.code, c.description]));
+            const { headerRows, summaryHeaderRow, tableHeaderRow, totalRow, dataRows, colouredRuns } =
+                this.buildAuditSheetRows(active, filters, result, descriptions);
+
+            const colCount = AUDIT_HEADERS.length;
+            const top = excel.normalizeRowsForExcel(headerRows, colCount);
+            const body = excel.normalizeRowsForExcel(dataRows, colCount);
+            const firstDataRow = tableHeaderRow + 1;
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Audit log export: writing ${body.length} entries`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, sheetName);
+                try {
+                    sheet.getRangeByIndexes(0, 0, Math.max(top.length + body.length + 50, 200), colCount + 5).clear();
+                    await context.sync();
+                } catch (_e) {}
+
+                sheet.getRangeByIndexes(0, 0, top.length, colCount).values = top;
+                await excel.writeRowsInChunks(context, sheet, firstDataRow, body, colCount, {
+                    firstColumnFormat: excel.exportFormats.readings.dateFormat,
+                    signal,
+                    onChunk: ({ from, to, total }) => excel.reportProgress(`Audit log export: writing rows ${from}-${to} of ${total}`)
+                });
+
+                try {
+                    sheet.getRangeByIndexes(2, 1, 1, 1).numberFormat = [[excel.exportFormats.status.dateFormat]];
+                    [0, 1, 2].forEach(row => {
+                        const label = sheet.getRangeByIndexes(row, 0, 1, 1);
+                        label.format.fill.color = '#000000';
+                        label.format.font.color = '#FFFFFF';
+                        label.format.font.bold = true;
+                    });
+                    excel.formatHeaders(sheet.getRangeByIndexes(summaryHeaderRow, 0, 1, colCount));
+                    sheet.getRangeByIndexes(totalRow, 0, 1, colCount).format.font.bold = true;
+                    excel.formatHeaders(sheet.getRangeByIndexes(tableHeaderRow, 0, 1, colCount));
+
+                    colouredRuns.forEach(({ from, count, color }) => {
+                        sheet.getRangeByIndexes(firstDataRow + from, 0, count, colCount).format.fill.color = color;
+                    });
+
+                    sheet.getRangeByIndexes(0, 0, top.length + body.length, colCount - 1).format.autofitColumns();
+                    sheet.getRangeByIndexes(0, colCount - 1, 1, 1).format.columnWidth = 400;
+                    sheet.freezePanes.freezeRows(tableHeaderRow + 1);
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+                await context.sync();
+            });
+
+            const flagged = result.entries.filter(e => SEVERITY_COLORS[e.severity]).length;
+            logMessage('info', 'Audit log export done', {
+                sheet: sheetName,
+                entries: body.length,
+                flagged,
+                window: result.window.label,
+                outsideWindow: result.outsideWindow
+            });
+            excel.endExport(`Audit log export done (${body.length} entries, ${flagged} failures/warnings)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Audit log export cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Audit log export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Audit log export failed', { instance: active.url, error: error.message });
+            excel.endExport('Audit log export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize audit manager
+     */
+    initialize() {
+        console.log('✅ Audit log export initialized');
+    }
+}
+
+// Create singleton instance
+export const auditManager = new AuditManager();
+
+// Export individual methods for backward compatibility
+export const handleExportAudit = (options) => auditManager.handleExportAudit(options);
+
+// Export singleton as default
+export default auditManager;
@@ -0,0 +1,860 @@
+/**
+ * Configuration Explorer for FogLAMP DataLink
+ * Exports every configuration item of the active instance (/foglamp/category and its children)
+ * to a "<instance>-Config" sheet and applies values edited in that sheet back to the gateway.
+ * Compares one category across all instances and pushes a reference instance's values to targets.
+ */
+
+import { elements } from '../ui/elements.js';
+import { getInstances, getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+
+// Sheet columns; Apply finds columns by these names, so they must not be renamed.
+// Exported Value (hidden) keeps the value at export time, so Apply can tell the user's edits
+// from changes made on the gateway since then.
+const CONFIG_HEADERS = ['Category', 'Item', 'Type', 'Description', 'Default', 'Current Value', 'Read Only', 'Exported Value'];
+const EXPORTED_VALUE_COLUMN = CONFIG_HEADERS.indexOf('Exported Value');
+
+// Written instead of password values; a cell still holding it is left unchanged on Apply
+const PASSWORD_MASK = '********';
+
+// Values longer than this are truncated in the sheet and cannot be applied from it
+const MAX_CELL_TEXT = 30000;
+
+// Item types whose values are JSON documents (compared by content, not by spacing)
+const JSON_TYPES = ['json', 'list', 'kvlist', 'object'];
+
+// Labels in column A of a compare sheet; Push finds its rows by these
+const COMPARE_LABELS = {
+    category: 'Category',
+    url: 'Instance URL',
+    role: 'Push Role (Reference / Target)'
+};
+
+// Cell text for an item the instance does not have
+const MISSING = 'MISSING';
+
+/**
+ * Configuration Manager Class
+ * Apply sends only items whose sheet value differs from the value exported; an item that also
+ * changed on the gateway since the export is reported as a conflict and not sent
+ */
+export class ConfigurationManager {
+
+    constructor() {
+        this.maxDiffLines = 8; // Changes listed in the confirmation dialog (all are logged)
+    }
+
+    /**
+     * Sheet name of an instance's configuration export
+     * @param {Object} instance - Instance with metadata
+     * @returns {string} Sheet name
+     */
+    getSheetName(instance) {
+        return window.FogLAMP.excel.createSafeSheetName(getDisplayName(instance), 'Config');
+    }
+
+    /**
+     * Walk the category tree: root categories first, then their children (breadth first).
+     * Categories not reachable from a root are appended at the end.
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Array>} [{ key, displayName, description, parent }]
+     */
+    async fetchCategoryTree(url, options = {}) {
+        const api = window.FogLAMP.api;
+        const [rootsRaw, allRaw] = await Promise.all([
+            api.categoriesForUrl(url, { root: true }, options),
+            api.categoriesForUrl(url, {}, options)
+        ]);
+
+        const ordered = [];
+        const seen = new Set();
+        let level = responseNormalizer.normalizeCategories(rootsRaw).categories.map(c => ({ ...c, parent: '' }));
+        while (level.length > 0) {
+            const fresh = level.filter(c => !seen.has(c.key));
+            fresh.forEach(c => { seen.add(c.key); ordered.push(c); });
+            const children = await Promise.all(fresh.map(async (parent) => {
+                try {
+                    const raw = await api.categoryChildrenForUrl(url, parent.key, options);
+                    return responseNormalizer.normalizeCategories(raw).categories.map(c => ({ ...c, parent: parent.key }));
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    logMessage('warn', 'Could not list child categories', { category: parent.key, error: error.message });
+                    return [];
+                }
+            }));
+            level = children.flat();
+        }
+
+        responseNormalizer.normalizeCategories(allRaw).categories
+            .filter(c => !seen.has(c.key))
+            .forEach(c => { seen.add(c.key); ordered.push({ ...c, parent: '' }); });
+        return ordered;
+    }
+
+    /**
+     * Fetch the items of every category
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options plus onProgress(done, total)
+     * @returns {Promise<Array>} [{ category, item }] in category tree order
+     */
+    async fetchConfiguration(url, options = {}) {
+        const { onProgress, ...requestOptions } = options;
+        const categories = await this.fetchCategoryTree(url, requestOptions);
+        let done = 0;
+        const perCategory = await Promise.all(categories.map(async (category) => {
+            try {
+                const raw = await window.FogLAMP.api.categoryForUrl(url, category.key, requestOptions);
+                return responseNormalizer.normalizeConfigItems(raw).items.map(item => ({ category, item }));
+            } finally {
+                done++;
+                if (onProgress) onProgress(done, categories.length);
+            }
+        }));
+        return perCategory.flat();
+    }
+
+    /**
+     * Build the configuration sheet table
+     * @param {Array} entries - [{ category, item }]
+     * @returns {Object} { headers, rows, readOnlyRows: row indexes of read-only items }
+     */
+    buildConfigTable(entries) {
+        const readOnlyRows = [];
+        const rows = entries.map(({ category, item }, idx) => {
+            if (item.readOnly) readOnlyRows.push(idx);
+            const isPassword = item.type.toLowerCase() === 'password';
+            return [
+                category.key,
+                item.name,
+                item.type,
+                item.description,
+                isPassword ? PASSWORD_MASK : (item.default ?? ''),
+                isPassword ? PASSWORD_MASK : (item.value ?? ''),
+                item.readOnly ? 'Yes' : 'No',
+                isPassword ? PASSWORD_MASK : (item.value ?? '')
+            ];
+        });
+        return { headers: CONFIG_HEADERS, rows, readOnlyRows };
+    }
+
+    /**
+     * Export all configuration items of the active instance to "<instance>-Config"
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportConfiguration(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Export Configuration: no active instance');
+            return false;
+        }
+
+        const sheetName = this.getSheetName(active);
+        const signal = excel.beginExport('Configuration export', options.signal);
+        if (!signal) return false;
+
+        try {
+            excel.reportProgress('Configuration export: walking categories');
+            const entries = await this.fetchConfiguration(active.url, {
+                signal,
+                priority: 'bulk',
+                onProgress: (done, total) => excel.reportProgress(`Configuration export: read ${done}/${total} categories`)
+            });
+            const { headers, rows, readOnlyRows } = this.buildConfigTable(entries);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Configuration export: writing ${rows.length} items`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.writeTableSheet(context, sheetName, headers, rows, {
+                    textColumns: [4, 5, EXPORTED_VALUE_COLUMN],
+                    highlightRows: readOnlyRows,
+                    highlightColor: '#F3F4F6',
+                    signal
+                });
+                sheet.getRangeByIndexes(0, EXPORTED_VALUE_COLUMN, 1, 1).getEntireColumn().columnHidden = true;
+                await context.sync();
+            });
+
+            const categoryCount = new Set(entries.map(e => e.category.key)).size;
+            logMessage('info', 'Configuration export done', { sheet: sheetName, categories: categoryCount, items: rows.length });
+            excel.endExport(`Configuration export done (${categoryCount} categories, ${rows.length} items)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Configuration export cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Configuration export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Configuration export failed', { instance: active.url, error: error.message });
+            excel.endExport('Configuration export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Check an edited cell against its item type
+     * @param {Object} item - Normalized configuration item
+     * @param {any} cell - Cell value as read from Excel (string, number or boolean)
+     * @returns {Object} { value } as the string FogLAMP expects, or { error }
+     */
+    validateValue(item, cell) {
+        const raw = typeof cell === 'string' ? cell : String(cell ?? '');
+        const text = raw.trim();
+        const type = item.type.toLowerCase();
+        const inRange = (n) => {
+            if (item.minimum != null && n < item.minimum) return `below minimum ${item.minimum}`;
+            if (item.maximum != null && n > item.maximum) return `above maximum ${item.maximum}`;
+            return null;
+        };
+
+        switch (type) {
+            case 'boolean': {
+                const lower = text.toLowerCase();
+                return lower === 'true' || lower === 'false' ? { value: lower } : { error: 'must be true or false' };
+            }
+            case 'integer': {
+                if (!/^[+-]?\d+$/.test(text)) return { error: 'must be a whole number' };
+                const rangeError = inRange(Number(text));
+                return rangeError ? { error: rangeError } : { value: text };
+            }
+            case 'float': {
+                const n = Number(text);
+                if (text === '' || !isFinite(n)) return { error: 'must be a number' };
+                const rangeError = inRange(n);
+                return rangeError ? { error: rangeError } : { value: text };
+            }
+            case 'enumeration':
+                return item.options && !item.options.includes(text)
+                    ? { error: `must be one of: ${item.options.join(', ')}` }
+                    : { value: text };
+            case 'ipv4': {
+                const parts = text.split('.');
+                return parts.length === 4 && parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)
+                    ? { value: text } : { error: 'must be an IPv4 address' };
+            }
+            case 'ipv6':
+                return /^[0-9a-f:.]+$/i.test(text) && text.includes(':') ? { value: text } : { error: 'must be an IPv6 address' };
+            case 'url':
+                try {
+                    new URL(text);
+                    return { value: text };
+                } catch (_e) {
+                    return { error: 'must be a URL' };
+                }
+            default:
+                if (JSON_TYPES.includes(type)) {
+                    try {
+                        JSON.parse(text);
+                        return { value: text };
+                    } catch (_e) {
+                        return { error: 'must be valid JSON' };
+                    }
+                }
+                if (item.length != null && raw.length > item.length) return { error: `longer than ${item.length} characters` };
+                return { value: raw };
+        }
+    }
+
+    /**
+     * Comparable form of a value: numbers by value, JSON by content, booleans in lower case, anything else as text
+     * @param {string} type - Item type
+     * @param {string|null} value - Value as FogLAMP stores it
+     * @returns {string} Canonical text
+     */
+    canonicalValue(type, value) {
+        const text = value ?? '';
+        const kind = String(type).toLowerCase();
+        if ((kind === 'integer' || kind === 'float') && text.trim() !== '' && isFinite(Number(text))) return String(Number(text));
+        if (kind === 'boolean') return text.trim().toLowerCase();
+        if (JSON_TYPES.includes(kind)) {
+            try {
+                return JSON.stringify(JSON.parse(text));
+            } catch (_e) {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Whether a validated value equals the gateway's current value
+     * @param {Object} item - Normalized configuration item
+     * @param {string} value - Validated value
+     * @returns {boolean} True when nothing would change
+     */
+    isSameValue(item, value) {
+        return this.canonicalValue(item.type, item.value) === this.canonicalValue(item.type, value);
+    }
+
+    /**
+     * Compare the sheet with the values it was exported with and with the gateway's current configuration.
+     * A row is a change when its Current Value differs from its Exported Value. When the gateway's value
+     * differs from the Exported Value too, someone changed the item since the export: the row is a conflict.
+     * @param {Object} table - { headers, rows, firstRow } from readTableSheet
+     * @param {Array} entries - Live [{ category, item }]
+     * @returns {Object} { changes: [{ category, item, type, from, to, value }], errors: [{ row, category, item, message }],
+     *   conflicts: [{ row, category, item, exported, live, sheet }] }
+     */
+    computeChanges(table, entries) {
+        const col = Object.fromEntries(['Category', 'Item', 'Current Value', 'Exported Value'].map(h => [h, table.headers.indexOf(h)]));
+        const missing = Object.keys(col).filter(h => col[h] < 0);
+        if (missing.length > 0) {
+            const message = `missing column(s): ${missing.join(', ')}; export the configuration again`;
+            return { changes: [], conflicts: [], errors: [{ row: table.firstRow, message }] };
+        }
+
+        const live = new Map(entries.map(e => [`${e.category.key}\u0000${e.item.name}`, e.item]));
+        const seen = new Set();
+        const changes = [];
+        const errors = [];
+        const conflicts = [];
+
+        table.rows.forEach((row, idx) => {
+            const category = String(row[col.Category] ?? '').trim();
+            const name = String(row[col.Item] ?? '').trim();
+            if (!category && !name) return;
+            const sheetRow = table.firstRow + idx + 1; // 1-based, as shown in Excel
+            const fail = (message) => errors.push({ row: sheetRow, category, item: name, message });
+
+            const key = `${category}\u0000${name}`;
+            if (seen.has(key)) return fail('listed more than once');
+            seen.add(key);
+
+            const item = live.get(key);
+            if (!item) return fail('not found on the gateway');
+
+            const cell = row[col['Current Value']];
+            const exported = String(row[col['Exported Value']] ?? '');
+            const isPassword = item.type.toLowerCase() === 'password';
+            if (isPassword && cell === PASSWORD_MASK) return;
+            if (!isPassword && (item.value ?? '').length > MAX_CELL_TEXT) return; // truncated in the sheet
+            if (!isPassword && this.canonicalValue(item.type, String(cell ?? '')) === this.canonicalValue(item.type, exported)) return;
+
+            const result = this.validateValue(item, cell);
+            if (result.error) return fail(result.error);
+            if (this.isSameValue(item, result.value)) return;
+            if (item.readOnly) return fail('read-only item');
+
+            // Password values are not readable from the gateway, so they cannot be checked for conflicts
+            if (!isPassword && !this.isSameValue(item, exported)) {
+                conflicts.push({ row: sheetRow, category, item: name, exported, live: item.value ?? '', sheet: result.value });
+                return;
+            }
+
+            changes.push({
+                category,
+                item: name,
+                type: item.type,
+                from: isPassword ? PASSWORD_MASK : exported,
+                to: isPassword ? PASSWORD_MASK : result.value,
+                value: result.value
+            });
+        });
+
+        return { changes, errors, conflicts };
+    }
+
+    /**
+     * One diff line for the confirmation dialog
+     * @param {Object} change - Change from computeChanges
+     * @returns {string} "category › item: old → new"
+     */
+    formatChange(change) {
+        const clip = (text) => (text.length > 40 ? `${text.slice(0, 37)}...` : text);
+        return `${change.category} › ${change.item}: ${clip(change.from) || '(empty)'} → ${clip(change.to) || '(empty)'}`;
+    }
+
+    /**
+     * Read edited values from "<instance>-Config", validate them, show the diff and,
+     * once confirmed, PUT the changed items to the active instance
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} True when every change was applied (or there was nothing to apply)
+     */
+    async handleApplyConfiguration(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Apply configuration: no active instance');
+            return false;
+        }
+
+        const sheetName = this.getSheetName(active);
+        const signal = excel.beginExport('Apply configuration', options.signal);
+        if (!signal) return false;
+
+        try {
+            excel.reportProgress(`Apply configuration: reading "${sheetName}"`);
+            const table = await Excel.run(context => excel.readTableSheet(context, sheetName));
+            if (!table) {
+                logMessage('warn', `Sheet "${sheetName}" not found; export the configuration first`);
+                excel.endExport('Apply configuration: nothing to read');
+                return false;
+            }
+
+            excel.reportProgress('Apply configuration: reading current values from the gateway');
+            const entries = await this.fetchConfiguration(active.url, { signal, priority: 'interactive' });
+            const { changes, errors, conflicts } = this.computeChanges(table, entries);
+
+            if (errors.length > 0) {
+                errors.forEach(e => logMessage('error', `Row ${e.row}${e.category ? ` (${e.category} › ${e.item})` : ''}: ${e.message}`));
+                logMessage('error', `Apply configuration: ${errors.length} invalid row(s); nothing was changed`, { sheet: sheetName });
+                excel.endExport(`Apply configuration stopped (${errors.length} invalid rows)`);
+                return false;
+            }
+            conflicts.forEach(c => logMessage('warn',
+                `Row ${c.row} (${c.category} › ${c.item}) not sent: changed on the gateway since the export`,
+                { exported: c.exported, gateway: c.live, sheet: c.sheet }));
+            if (changes.length === 0) {
+                if (conflicts.length > 0) {
+                    logMessage('warn', `Apply configuration: ${conflicts.length} conflict(s) and nothing else to change; export again to pick up the gateway's values`, { sheet: sheetName });
+                    excel.endExport(`Apply configuration: nothing sent (${conflicts.length} conflicts)`);
+                    return false;
+                }
+                logMessage('info', 'Apply configuration: no values edited since the export, nothing to change', { sheet: sheetName });
+                excel.endExport('Apply configuration: no changes');
+                return true;
+            }
+
+            logMessage('info', `Configuration changes for ${getDisplayName(active)}`, {
+                changes: changes.map(c => this.formatChange(c))
+            });
+            const listed = changes.slice(0, this.maxDiffLines).map(c => this.formatChange(c));
+            if (changes.length > listed.length) listed.push(`... and ${changes.length - listed.length} more (see console)`);
+            const conflictNote = conflicts.length > 0
+                ? `\n\nNot sent: ${conflicts.length} item(s) changed on the gateway since the export (see console)`
+                : '';
+            const confirmed = await window.FogLAMP.instances.confirmAction(
+                `Apply ${changes.length} configuration change(s)?`,
+                `Instance: ${active.url}\n\n${listed.join('\n')}${conflictNote}`,
+                'Apply'
+            );
+            if (!confirmed) {
+                logMessage('info', 'Apply configuration cancelled by user');
+                excel.endExport('Apply configuration cancelled');
+                return false;
+            }
+
+            const failed = [];
+            let applied = 0;
+            for (const change of changes) {
+                throwIfAborted(signal);
+                excel.reportProgress(`Apply configuration: ${applied + failed.length + 1}/${changes.length}`);
+                try {
+                    await window.FogLAMP.api.setConfigItemForUrl(active.url, change.category, change.item, change.value, { signal });
+                    applied++;
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    failed.push(change);
+                    logMessage('error', `Failed to set ${change.category} › ${change.item}`, { error: error.message });
+                }
+            }
+
+            logMessage(failed.length + conflicts.length > 0 ? 'warn' : 'info', 'Apply configuration done', {
+                instance: active.url,
+                applied,
+                failed: failed.length,
+                conflicts: conflicts.length
+            });
+            excel.endExport(`Apply configuration done (${applied} applied${failed.length > 0 ? `, ${failed.length} failed` : ''}${conflicts.length > 0 ? `, ${conflicts.length} conflicts` : ''})`);
+            return failed.length === 0 && conflicts.length === 0;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Apply configuration cancelled; changes already sent stay applied', { instance: active.url });
+                excel.endExport('Apply configuration cancelled');
+                return false;
+            }
+            logMessage('error', 'Apply configuration failed', { instance: active.url, error: error.message });
+            excel.endExport('Apply configuration failed');
+            return false;
+        }
+    }
+
+    /**
+     * Fetch one category's items from every registered instance
+     * @param {string} category - Category key
+     * @param {Array<string>} urls - Instance URLs
+     * @param {Object} options - Request options plus onProgress(done, total)
+     * @returns {Promise<Array>} [{ url, items, error }] in instance order
+     */
+    async fetchCategoryAcrossInstances(category, urls, options = {}) {
+        const { onProgress, ...requestOptions } = options;
+        let done = 0;
+        return Promise.all(urls.map(async (url) => {
+            try {
+                const raw = await window.FogLAMP.api.categoryForUrl(url, category, requestOptions);
+                return { url, items: responseNormalizer.normalizeConfigItems(raw).items, error: null };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                return { url, items: [], error: error.message };
+            } finally {
+                done++;
+                if (onProgress) onProgress(done, urls.length);
+            }
+        }));
+    }
+
+    /**
+     * Build the compare sheet: one row per item, one column per instance.
+     * A cell differs when it does not match the value most instances have (ties go to the earlier instance).
+     * @param {string} category - Category key
+     * @param {Array} perInstance - [{ url, items, error }]
+     * @returns {Object} { rows, colCount, headerRow, differingCells: [{ row, col }], missingCells: [{ row, col }] }
+     */
+    buildCompareSheetRows(category, perInstance) {
+        const firstCol = 3; // A: Item, B: Type, C: Consistent, D..: instances
+        const colCount = perInstance.length + firstCol;
+        const pad = Array(firstCol - 1).fill('');
+        const referenceIdx = Math.max(0, perInstance.findIndex(inst => !inst.error));
+        const rows = [
+            ['Last Updated at Timestamp', ...pad, new Date()],
+            [COMPARE_LABELS.category, ...pad, category],
+            [],
+            ['Instance SNo.', ...pad, ...perInstance.map((_, i) => i + 1)],
+            [COMPARE_LABELS.url, ...pad, ...perInstance.map(inst => inst.url)],
+            ['Fetch Status', ...pad, ...perInstance.map(inst => inst.error ? `ERROR: ${inst.error}` : 'OK')],
+            [COMPARE_LABELS.role, ...pad, ...perInstance.map((_, i) => i === referenceIdx ? 'Reference' : '')],
+            [],
+            ['Item', 'Type', 'Consistent', ...perInstance.map((_, i) => `Instance ${i + 1}`)]
+        ];
+        const headerRow = rows.length - 1;
+
+        // Items in the order of the first instance that has them
+        const itemOrder = new Map();
+        perInstance.forEach(inst => inst.items.forEach(item => {
+            if (!itemOrder.has(item.name)) itemOrder.set(item.name, item.type);
+        }));
+
+        const differingCells = [];
+        const missingCells = [];
+        itemOrder.forEach((type, name) => {
+            const rowIndex = rows.length;
+            const found = perInstance.map(inst => (inst.error ? undefined : inst.items.find(i => i.name === name) || null));
+            const canonical = found.map(item => (item ? this.canonicalValue(type, item.value) : null));
+
+            const counts = new Map();
+            canonical.forEach(v => { if (v != null) counts.set(v, (counts.get(v) || 0) + 1); });
+            let majority = null;
+            counts.forEach((count, value) => { if (majority == null || count > counts.get(majority)) majority = value; });
+
+            let consistent = true;
+            const cells = found.map((item, i) => {
+                if (item === undefined) return '';
+                if (item === null) {
+                    missingCells.push({ row: rowIndex, col: i + firstCol });
+                    consistent = false;
+                    return MISSING;
+                }
+                if (canonical[i] !== majority) {
+                    differingCells.push({ row: rowIndex, col: i + firstCol });
+                    consistent = false;
+                }
+                return type.toLowerCase() === 'password' ? PASSWORD_MASK : (item.value ?? '');
+            });
+            rows.push([name, type, consistent ? 'Yes' : 'No', ...cells]);
+        });
+
+        if (itemOrder.size === 0) {
+            rows.push(['No items found', '', '', ...Array(perInstance.length).fill('')]);
+        }
+        return { rows, colCount, headerRow, differingCells, missingCells };
+    }
+
+    /**
+     * Line up the category named in the taskpane across all registered instances in a "<category>-Compare" sheet
+     * @param {Object} options - { category } (defaults to the taskpane field), { signal }
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleCompareConfiguration(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const category = (options.category ?? elements.compareCategory()?.value ?? '').trim();
+        const instanceUrls = getInstances();
+        if (!category) {
+            logMessage('warn', 'Compare configuration: enter a category name first');
+            return false;
+        }
+        if (!instanceUrls || instanceUrls.length === 0) {
+            logMessage('warn', 'Compare configuration: no instances registered');
+            return false;
+        }
+
+        const sheetName = excel.createSafeSheetName(category, 'Compare');
+        const signal = excel.beginExport('Configuration compare', options.signal);
+        if (!signal) return false;
+
+        try {
+            const perInstance = await this.fetchCategoryAcrossInstances(category, instanceUrls, {
+                signal,
+                priority: 'bulk',
+                onProgress: (done, total) => excel.reportProgress(`Configuration compare: fetched ${done}/${total} instances`)
+            });
+            const { rows, colCount, headerRow, differingCells, missingCells } = this.buildCompareSheetRows(category, perInstance);
+            const normalized = excel.normalizeRowsForExcel(rows, colCount);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Configuration compare: writing ${normalized.length} rows`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, sheetName);
+                try {
+                    sheet.getRangeByIndexes(0, 0, Math.max(normalized.length + 50, 200), Math.max(colCount + 5, 10)).clear();
+                    await context.sync();
+                } catch (_e) {}
+
+                // Values are written as text so Excel keeps them exactly as the gateways report them
+                sheet.getRangeByIndexes(headerRow + 1, 3, Math.max(normalized.length - headerRow - 1, 1), colCount - 3).numberFormat =
+                    Array(Math.max(normalized.length - headerRow - 1, 1)).fill(Array(colCount - 3).fill('@'));
+                sheet.getRangeByIndexes(0, 0, normalized.length, colCount).values = normalized;
+                await context.sync();
+
+                try {
+                    sheet.getRangeByIndexes(0, 3, 1, 1).numberFormat = [[excel.exportFormats.status.dateFormat]];
+                    [1, 3, 4, 5, 6].forEach(row => {
+                        const label = sheet.getRangeByIndexes(row, 0, 1, 3);
+                        label.format.fill.color = '#000000';
+                        label.format.font.color = '#FFFFFF';
+                        label.format.font.bold = true;
+                    });
+                    excel.formatHeaders(sheet.getRangeByIndexes(headerRow, 0, 1, colCount));
+
+                    differingCells.forEach(({ row, col }) => {
+                        sheet.getRangeByIndexes(row, col, 1, 1).format.fill.color = '#FEF3C7';
+                    });
+                    missingCells.forEach(({ row, col }) => {
+                        const cell = sheet.getRangeByIndexes(row, col, 1, 1);
+                        cell.format.fill.color = '#FEE2E2';
+                        cell.format.font.color = '#B91C1C';
+                        cell.format.font.bold = true;
+                    });
+
+                    const dataArea = sheet.getRangeByIndexes(0, 0, normalized.length, colCount);
+                    dataArea.format.verticalAlignment = 'Center';
+                    dataArea.format.autofitColumns();
+                    sheet.freezePanes.freezeAt(sheet.getRangeByIndexes(0, 0, headerRow + 1, 1));
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+                await context.sync();
+            });
+
+            const failed = perInstance.filter(inst => inst.error).length;
+            logMessage(differingCells.length + missingCells.length > 0 ? 'warn' : 'info', 'Configuration compare done', {
+                sheet: sheetName,
+                instances: instanceUrls.length,
+                unreachable: failed,
+                differing: differingCells.length,
+                missing: missingCells.length
+            });
+            excel.endExport(`Configuration compare done (${differingCells.length} differing, ${missingCells.length} missing)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Configuration compare cancelled; sheet left untouched', { sheet: sheetName });
+                excel.endExport('Configuration compare cancelled (sheet left untouched)');
+                return false;
+            }
+            logMessage('error', 'Configuration compare failed', { category, error: error.message });
+            excel.endExport('Configuration compare failed');
+            return false;
+        }
+    }
+
+    /**
+     * Read category, reference and targets from the active compare sheet
+     * @returns {Promise<Object>} { category, reference, targets } or { error }
+     */
+    async readPushSelection() {
+        const values = await Excel.run(async (context) => {
+            const used = context.workbook.worksheets.getActiveWorksheet().getUsedRangeOrNullObject(true);
+            used.load('values');
+            await context.sync();
+            return used.isNullObject ? [] : used.values;
+        });
+
+        const findRow = (label) => values.find(row => String(row[0]).trim() === label);
+        const categoryRow = findRow(COMPARE_LABELS.category);
+        const urlRow = findRow(COMPARE_LABELS.url);
+        const roleRow = findRow(COMPARE_LABELS.role);
+        if (!categoryRow || !urlRow || !roleRow) {
+            return { error: 'the active sheet is not a configuration compare sheet' };
+        }
+
+        const category = String(categoryRow[3] ?? '').trim();
+        const registered = getInstances();
+        const reference = [];
+        const targets = [];
+        for (let col = 3; col < urlRow.length; col++) {
+            const url = String(urlRow[col] ?? '').trim();
+            const role = String(roleRow[col] ?? '').trim().toLowerCase();
+            if (!url || !role) continue;
+            if (!registered.includes(url)) {
+                logMessage('warn', 'Skipping instance that is no longer registered', { instance: url });
+                continue;
+            }
+            if (role === 'reference') reference.push(url);
+            else if (role === 'target') targets.push(url);
+        }
+
+        if (!category) return { error: 'no category on the sheet' };
+        if (reference.length !== 1) return { error: `mark exactly one instance as Reference (found ${reference.length})` };
+        if (targets.length === 0) return { error: 'mark at least one instance as Target' };
+        return { category, reference: reference[0], targets: targets.filter(url => url !== reference[0]) };
+    }
+
+    /**
+     * Changes that would make a target match the reference.
+     * Read-only and password items are never pushed; items the target lacks are reported, not created.
+     * @param {Array} referenceItems - Reference instance's items
+     * @param {Array} targetItems - Target instance's items
+     * @returns {Object} { changes: [{ item, from, to }], missing: [item names] }
+     */
+    planPush(referenceItems, targetItems) {
+        const changes = [];
+        const missing = [];
+        referenceItems.forEach(ref => {
+            if (ref.readOnly || ref.type.toLowerCase() === 'password') return;
+            const target = targetItems.find(i => i.name === ref.name);
+            if (!target) {
+                missing.push(ref.name);
+                return;
+            }
+            if (target.readOnly) return;
+            if (this.canonicalValue(ref.type, ref.value) !== this.canonicalValue(ref.type, target.value)) {
+                changes.push({ item: ref.name, from: target.value ?? '', to: ref.value ?? '' });
+            }
+        });
+        return { changes, missing };
+    }
+
+    /**
+     * Push the reference instance's values of the compared category to the targets marked on the active sheet.
+     * A dry run (taskpane checkbox, on by default) only logs what would change.
+     * @param {Object} options - { dryRun } (defaults to the taskpane checkbox), { signal }
+     * @returns {Promise<boolean>} True when every target was updated (or the dry run completed)
+     */
+    async handlePushConfiguration(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const dryRun = options.dryRun ?? (elements.pushDryRun()?.checked ?? true);
+
+        const signal = excel.beginExport(dryRun ? 'Configuration push (dry run)' : 'Configuration push', options.signal);
+        if (!signal) return false;
+
+        try {
+            const selection = await this.readPushSelection();
+            if (selection.error) {
+                logMessage('warn', `Push configuration: ${selection.error}`);
+                excel.endExport('Push configuration: nothing selected');
+                return false;
+            }
+            const { category, reference, targets } = selection;
+
+            excel.reportProgress(`Push configuration: reading "${category}" from ${targets.length + 1} instances`);
+            const [ref, ...perTarget] = await this.fetchCategoryAcrossInstances(category, [reference, ...targets], { signal, priority: 'interactive' });
+            if (ref.error) {
+                logMessage('error', 'Push configuration: reference instance not reachable', { instance: reference, error: ref.error });
+                excel.endExport('Push configuration failed (reference not reachable)');
+                return false;
+            }
+
+            const plans = perTarget.map(target => ({ url: target.url, error: target.error, ...this.planPush(ref.items, target.items) }));
+            plans.forEach(plan => {
+                if (plan.error) {
+                    logMessage('error', `${plan.url}: not reachable, skipped`, { error: plan.error });
+                    return;
+                }
+                if (plan.missing.length > 0) {
+                    logMessage('warn', `${plan.url}: ${plan.missing.length} item(s) missing, not pushed`, { items: plan.missing });
+                }
+                logMessage('info', `${dryRun ? 'Dry run — ' : ''}${plan.url}: ${plan.changes.length} change(s)`, {
+                    changes: plan.changes.map(c => `${c.item}: ${c.from || '(empty)'} → ${c.to || '(empty)'}`)
+                });
+            });
+
+            const pending = plans.filter(plan => !plan.error && plan.changes.length > 0);
+            const total = pending.reduce((sum, plan) => sum + plan.changes.length, 0);
+            if (dryRun) {
+                excel.endExport(`Dry run: ${total} change(s) on ${pending.length} of ${plans.length} targets (nothing sent)`);
+                return true;
+            }
+            if (total === 0) {
+                logMessage('info', `Push configuration: targets already match ${reference}`, { category });
+                excel.endExport('Push configuration: no changes');
+                return true;
+            }
+
+            const confirmed = await window.FogLAMP.instances.confirmAction(
+                `Push "${category}" to ${pending.length} instance(s)?`,
+                `Reference: ${reference}\n\n${pending.map(plan => `${plan.url}: ${plan.changes.length} change(s)`).join('\n')}`,
+                'Push'
+            );
+            if (!confirmed) {
+                logMessage('info', 'Push configuration cancelled by user');
+                excel.endExport('Push configuration cancelled');
+                return false;
+            }
+
+            let finished = 0;
+            const results = await Promise.all(pending.map(async (plan) => {
+                let applied = 0;
+                const failed = [];
+                for (const change of plan.changes) {
+                    throwIfAborted(signal);
+                    try {
+                        await window.FogLAMP.api.setConfigItemForUrl(plan.url, category, change.item, change.to, { signal });
+                        applied++;
+                    } catch (error) {
+                        if (isAbortError(error)) throw error;
+                        failed.push({ item: change.item, error: error.message });
+                    }
+                }
+                finished++;
+                excel.reportProgress(`Push configuration: ${finished}/${pending.length} instances done`);
+                logMessage(failed.length > 0 ? 'error' : 'info', `${failed.length > 0 ? '❌' : '✅'} ${plan.url}: ${applied} applied, ${failed.length} failed`,
+                    failed.length > 0 ? { failed } : undefined);
+                return failed.length === 0;
+            }));
+
+            const ok = results.filter(Boolean).length;
+            excel.endExport(`Push configuration done (${ok}/${pending.length} instances fully updated)`);
+            return ok === pending.length;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Push configuration cancelled; changes already sent stay applied');
+                excel.endExport('Push configuration cancelled');
+                return false;
+            }
+            logMessage('error', 'Push configuration failed', { error: error.message });
+            excel.endExport('Push configuration failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize configuration manager
+     */
+    initialize() {
+        console.log('✅ Configuration explorer initialized');
+    }
+}
+
+// Create singleton instance
+export const configurationManager = new ConfigurationManager();
+
+// Export individual methods for backward compatibility
+export const handleExportConfiguration = (options) => configurationManager.handleExportConfiguration(options);
+export const handleApplyConfiguration = (options) => configurationManager.handleApplyConfiguration(options);
+export const handleCompareConfiguration = (options) => configurationManager.handleCompareConfiguration(options);
+export const handlePushConfiguration = (options) => configurationManager.handlePushConfiguration(options);
+
+// Export singleton as default
+export default configurationManager;
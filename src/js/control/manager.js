@@ -0,0 +1,510 @@
+/**
+ * Control Dispatcher for FogLAMP DataLink
+ * Lists the control entry points and scripts of the active instance (/foglamp/control), sends setpoints
+ * typed in the taskpane or read from a name/value range after confirmation, and appends every dispatch
+ * to a "Control Log" sheet
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta, getAuthSession } from '../core/storage.js';
+import { getDisplayName, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+import { renderMessage } from '../ui/messages.js';
+
+const LOG_SHEET = 'Control Log';
+const LOG_HEADERS = ['Timestamp', 'Instance', 'Instance URL', 'Target', 'Kind', 'Destination', 'Values', 'Result', 'User'];
+
+/**
+ * Control Manager Class
+ * Like schedules, the list and every dispatch are bound to the instance the list was loaded from.
+ * Targets are identified as "entry:<name>" or "script:<name>" in the target select.
+ */
+export class ControlManager {
+
+    constructor() {
+        this.loading = false;
+        this.dispatching = false;
+        this.loaded = null; // { url, entryPoints, scripts }
+    }
+
+    /**
+     * Fetch entry points and scripts; scripts are optional (older gateways only have entry points)
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Object>} { entryPoints, scripts }
+     */
+    async fetchControl(url, options = {}) {
+        const [entryRaw, scriptsRaw] = await Promise.all([
+            window.FogLAMP.api.controlEntryPointsForUrl(url, options),
+            window.FogLAMP.api.controlScriptsForUrl(url, options).catch(error => {
+                if (isAbortError(error)) throw error;
+                logMessage('warn', 'Control scripts not available', { instance: url, error: error.message });
+                return null;
+            })
+        ]);
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        return {
+            entryPoints: responseNormalizer.normalizeControlEntryPoints(entryRaw).entryPoints.sort(byName),
+            scripts: scriptsRaw ? responseNormalizer.normalizeControlScripts(scriptsRaw).scripts.sort(byName) : []
+        };
+    }
+
+    /**
+     * Load and render the control entry points and scripts of the active instance
+     * @returns {Promise<boolean>} True when loaded
+     */
+    async loadControlForActiveInstance() {
+        const listEl = elements.controlList();
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            renderMessage(listEl, 'No active instance');
+            logMessage('warn', 'Control: no active instance');
+            return false;
+        }
+        if (this.loading) {
+            logMessage('info', 'Control entry points are already loading');
+            return false;
+        }
+
+        this.loading = true;
+        renderMessage(listEl, 'Loading control entry points...');
+        try {
+            const { entryPoints, scripts } = await this.fetchControl(active.url, { priority: 'interactive' });
+            if (getActiveInstanceWithMeta()?.url !== active.url) {
+                logMessage('info', 'Skipped control list render due to instance change', { requested: active.url });
+                return false;
+            }
+            this.loaded = { url: active.url, entryPoints, scripts };
+            this.renderControl(listEl, entryPoints, scripts);
+            this.populateTargets(entryPoints, scripts);
+            logMessage('info', `Loaded ${entryPoints.length} control entry points and ${scripts.length} scripts`, {
+                instance: getDisplayName(active)
+            });
+            return true;
+        } catch (error) {
+            this.loaded = null;
+            this.populateTargets([], []);
+            renderMessage(listEl, `Failed to load control entry points: ${error.message}`);
+            logMessage('error', 'Failed to load control entry points', { instance: active.url, error: error.message });
+            return false;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Render entry points and scripts; clicking a row picks it as the dispatch target
+     * @param {HTMLElement} container - Target element
+     * @param {Array} entryPoints - Normalized entry points
+     * @param {Array} scripts - Normalized scripts
+     */
+    renderControl(container, entryPoints, scripts) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (entryPoints.length === 0 && scripts.length === 0) {
+            renderMessage(container, 'No control entry points or scripts defined');
+            return;
+        }
+
+        const items = [
+            ...entryPoints.map(e => ({
+                id: `entry:${e.name}`,
+                name: e.name,
+                detail: ['entry point', e.description, e.permitted ? '' : 'not permitted for this user'].filter(Boolean).join(' • '),
+                permitted: e.permitted
+            })),
+            ...scripts.map(s => ({
+                id: `script:${s.name}`,
+                name: s.name,
+                detail: ['script', s.steps != null ? `${s.steps} step${s.steps === 1 ? '' : 's'}` : '', s.acl ? `ACL ${s.acl}` : ''].filter(Boolean).join(' • '),
+                permitted: true
+            }))
+        ];
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = item.permitted ? 'entity-row' : 'entity-row attention';
+            row.title = item.permitted ? `Use "${item.name}" as the dispatch target` : 'The logged-in user may not invoke this entry point';
+
+            const dot = document.createElement('span');
+            dot.className = `status-dot ${item.permitted ? 'success' : 'unknown'}`;
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = item.name;
+            const detail = document.createElement('div');
+            detail.className = 'entity-detail';
+            detail.textContent = item.detail;
+            info.appendChild(name);
+            info.appendChild(detail);
+
+            row.appendChild(dot);
+            row.appendChild(info);
+            if (item.permitted) {
+                row.addEventListener('click', () => {
+                    const select = elements.controlTarget();
+                    if (!select) return;
+                    select.value = item.id;
+                    this.describeTarget();
+                });
+            }
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the target select with the permitted entry points and the scripts
+     * @param {Array} entryPoints - Normalized entry points
+     * @param {Array} scripts - Normalized scripts
+     */
+    populateTargets(entryPoints, scripts) {
+        const select = elements.controlTarget();
+        if (!select) return;
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = entryPoints.length + scripts.length > 0 ? 'Select a target...' : 'Show Control first';
+        select.appendChild(placeholder);
+
+        const addGroup = (label, prefix, names) => {
+            if (names.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = `${prefix}:${name}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+        addGroup('Entry points', 'entry', entryPoints.filter(e => e.permitted).map(e => e.name));
+        addGroup('Scripts', 'script', scripts.map(s => s.name));
+        this.describeTarget();
+    }
+
+    /**
+     * Split a target id into kind and name
+     * @param {string} id - "entry:<name>" or "script:<name>"
+     * @returns {Object|null} { kind: 'entry'|'script', name } or null when nothing is selected
+     */
+    parseTarget(id) {
+        const match = /^(entry|script):(.+)$/.exec(id || '');
+        return match ? { kind: match[1], name: match[2] } : null;
+    }
+
+    /**
+     * Show the variables of the selected entry point (with defaults) under the target select
+     * @returns {Promise<void>}
+     */
+    async describeTarget() {
+        const hint = elements.controlTargetInfo();
+        const target = this.parseTarget(elements.controlTarget()?.value);
+        if (!hint) return;
+        if (!target || !this.loaded) {
+            hint.textContent = '';
+            return;
+        }
+        if (target.kind === 'script') {
+            hint.textContent = 'Script: runs its steps once; no values are sent';
+            return;
+        }
+
+        hint.textContent = 'Loading entry point...';
+        try {
+            const entry = await this.fetchEntryPoint(this.loaded.url, target.name);
+            if (elements.controlTarget()?.value !== `entry:${target.name}`) return;
+            hint.textContent = this.describeEntryPoint(entry);
+        } catch (error) {
+            hint.textContent = `Failed to load entry point: ${error.message}`;
+        }
+    }
+
+    /**
+     * @param {string} url - Instance URL
+     * @param {string} name - Entry point name
+     * @returns {Promise<Object>} Normalized entry point
+     */
+    async fetchEntryPoint(url, name) {
+        const raw = await window.FogLAMP.api.controlEntryPointForUrl(url, name, { priority: 'interactive' });
+        return responseNormalizer.normalizeControlEntryPoint(raw);
+    }
+
+    /**
+     * One-line summary of an entry point, e.g. "write → service Sinusoid • variables: speed=10"
+     * @param {Object} entry - Normalized entry point
+     * @returns {string} Summary
+     */
+    describeEntryPoint(entry) {
+        const variables = Object.entries(entry.variables).map(([k, v]) => (v !== '' ? `${k}=${v}` : k));
+        return [
+            `${entry.type || '?'}${entry.operationName ? ` ${entry.operationName}` : ''} → ${this.describeDestination(entry)}`,
+            variables.length > 0 ? `variables: ${variables.join(', ')}` : 'no variables'
+        ].join(' • ');
+    }
+
+    /**
+     * @param {Object} entry - Normalized entry point
+     * @returns {string} e.g. "service Sinusoid" or "broadcast"
+     */
+    describeDestination(entry) {
+        return entry.destinationName ? `${entry.destination} ${entry.destinationName}` : entry.destination;
+    }
+
+    /**
+     * Parse "name=value, name=value" (also ';' or newline separated)
+     * @param {string} text - Values as typed
+     * @returns {Object} { values: { name: string }, errors: string[] }
+     */
+    parseValues(text) {
+        const values = {};
+        const errors = [];
+        String(text || '').split(/[,;\n]/).map(p => p.trim()).filter(Boolean).forEach(pair => {
+            const eq = pair.indexOf('=');
+            const name = eq > 0 ? pair.slice(0, eq).trim() : '';
+            if (!name) {
+                errors.push(`"${pair}" is not name=value`);
+                return;
+            }
+            if (name in values) errors.push(`"${name}" is given twice`);
+            values[name] = pair.slice(eq + 1).trim();
+        });
+        return { values, errors };
+    }
+
+    /**
+     * Read name/value pairs from the selected range: two columns, one pair per row; empty rows are skipped
+     * @returns {Promise<Object>} { values, errors, address }
+     */
+    async readSelectedPairs() {
+        return await Excel.run(async (context) => {
+            const range = context.workbook.getSelectedRange();
+            range.load(['address', 'values', 'columnCount']);
+            await context.sync();
+
+            const values = {};
+            const errors = [];
+            if (range.columnCount !== 2) {
+                errors.push(`select two columns (name, value); ${range.address} has ${range.columnCount}`);
+                return { values, errors, address: range.address };
+            }
+            range.values.forEach(([name, value], idx) => {
+                const key = String(name ?? '').trim();
+                if (!key && (value == null || value === '')) return;
+                if (!key) {
+                    errors.push(`row ${idx + 1} has a value but no name`);
+                    return;
+                }
+                if (key in values) errors.push(`"${key}" is given twice`);
+                values[key] = value == null ? '' : String(value);
+            });
+            return { values, errors, address: range.address };
+        });
+    }
+
+    /**
+     * Check values against an entry point: only declared variables can be set (constants are fixed)
+     * @param {Object} entry - Normalized entry point
+     * @param {Object} values - { name: value }
+     * @returns {Array<string>} Problems, empty when valid
+     */
+    validateValues(entry, values) {
+        const errors = [];
+        Object.keys(values).forEach(name => {
+            if (name in entry.constants) errors.push(`"${name}" is a constant of ${entry.name} and cannot be set`);
+            else if (!(name in entry.variables)) errors.push(`"${name}" is not a variable of ${entry.name}`);
+        });
+        return errors;
+    }
+
+    /**
+     * Dispatch the selected target with the typed (or selected) values after confirmation;
+     * every dispatch that reaches the gateway is appended to the Control Log sheet
+     * @returns {Promise<boolean>} True when the dispatcher accepted the request
+     */
+    async handleDispatch() {
+        const target = this.parseTarget(elements.controlTarget()?.value);
+        const loaded = this.loaded;
+        if (!loaded) {
+            logMessage('warn', 'Control: click Show Control first');
+            return false;
+        }
+        if (getActiveInstanceWithMeta()?.url !== loaded.url) {
+            logMessage('warn', 'Control: the active instance changed; click Show Control again', { loaded: loaded.url });
+            return false;
+        }
+        if (!target) {
+            logMessage('warn', 'Control: select an entry point or script to dispatch');
+            return false;
+        }
+        if (this.dispatching) {
+            logMessage('info', 'A control dispatch is already in progress');
+            return false;
+        }
+
+        const instance = getActiveInstanceWithMeta();
+        this.dispatching = true;
+        try {
+            const fromSelection = !!elements.controlUseSelection()?.checked;
+            const { values, errors, address } = fromSelection
+                ? await this.readSelectedPairs()
+                : this.parseValues(elements.controlValues()?.value);
+
+            let entry = null;
+            if (target.kind === 'entry') {
+                entry = await this.fetchEntryPoint(loaded.url, target.name);
+                errors.push(...this.validateValues(entry, values));
+            } else if (Object.keys(values).length > 0) {
+                errors.push(`script ${target.name} takes no values`);
+            }
+            if (errors.length > 0) {
+                logMessage('error', `Control dispatch not sent: ${errors.length} problem(s)`, { target: target.name, errors });
+                return false;
+            }
+
+            const valuesText = Object.keys(values).length > 0
+                ? Object.entries(values).map(([k, v]) => `${k} = ${v}`).join('\n')
+                : '(none)';
+            const confirmed = await window.FogLAMP.instances.confirmAction(
+                `Dispatch ${target.kind === 'entry' ? 'entry point' : 'script'} "${target.name}"?`,
+                `Instance: ${getDisplayName(instance)} (${loaded.url})\n` +
+                (entry ? `Destination: ${this.describeDestination(entry)} (${entry.type || '?'}${entry.operationName ? ` ${entry.operationName}` : ''})\n` : '') +
+                `Values${address ? ` from ${address}` : ''}:\n${valuesText}`,
+                'Dispatch'
+            );
+            if (!confirmed) {
+                logMessage('info', 'Control dispatch cancelled by user', { target: target.name });
+                return false;
+            }
+
+            // Writes are sent once (the API manager never replays PUT/POST), so the result below is the
+            // gateway's answer to this dispatch and nothing else
+            let result;
+            let ok = false;
+            try {
+                if (entry) {
+                    await window.FogLAMP.api.controlRequestForUrl(loaded.url, target.name, values);
+                } else {
+                    await this.runScript(loaded.url, target.name);
+                }
+                ok = true;
+                result = 'Accepted';
+                logMessage('info', `Control dispatch accepted: ${target.name}`, { instance: loaded.url, values });
+            } catch (error) {
+                result = this.describeFailure(error);
+                logMessage('error', `Control dispatch failed: ${target.name}`, { instance: loaded.url, result, error: error.message });
+            }
+
+            await this.appendControlLog({
+                instance,
+                target: target.name,
+                kind: target.kind === 'entry' ? `entry point (${entry.type || '?'})` : 'script',
+                destination: entry ? this.describeDestination(entry) : '',
+                values,
+                result
+            });
+            return ok;
+
+        } catch (error) {
+            logMessage('error', 'Control dispatch failed', { target: target.name, error: error.message });
+            return false;
+        } finally {
+            this.dispatching = false;
+        }
+    }
+
+    /**
+     * Result text of a failed dispatch. With an HTTP status from the gateway itself the request was rejected.
+     * Otherwise (timeout, connection lost, proxy or intermediary errors flagged error.transport) the request
+     * may still have reached the dispatcher and been carried out.
+     * @param {Error} error - Dispatch error
+     * @returns {string} Result for the console and the Control Log
+     */
+    describeFailure(error) {
+        if (typeof error.status === 'number' && !error.transport) return `Failed: ${error.message}`;
+        return `Unknown: no answer from the gateway (${error.message}); check the destination before dispatching again`;
+    }
+
+    /**
+     * Run a control script: create its schedule on the gateway, then start that schedule
+     * @param {string} url - Instance URL
+     * @param {string} name - Script name
+     * @returns {Promise<void>}
+     */
+    async runScript(url, name) {
+        await window.FogLAMP.api.scheduleControlScriptForUrl(url, name);
+        const { schedules } = responseNormalizer.normalizeSchedules(await window.FogLAMP.api.schedulesForUrl(url));
+        const schedule = schedules.find(s => s.name === name);
+        if (!schedule) throw new Error(`no schedule named "${name}" after scheduling the script`);
+        await window.FogLAMP.api.startScheduleForUrl(url, schedule.id);
+    }
+
+    /**
+     * Append one dispatch to the Control Log sheet (created with a header row when missing).
+     * A failure here is logged but does not change the dispatch result.
+     * @param {Object} entry - { instance, target, kind, destination, values, result }
+     * @returns {Promise<boolean>} True when the row was written
+     */
+    async appendControlLog(entry) {
+        const excel = window.FogLAMP.excel;
+        const row = [
+            excel.convertDateToOADate(new Date()),
+            getDisplayName(entry.instance),
+            entry.instance.url,
+            entry.target,
+            entry.kind,
+            entry.destination,
+            JSON.stringify(entry.values),
+            entry.result,
+            getAuthSession(entry.instance.url)?.user || ''
+        ];
+
+        try {
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, LOG_SHEET);
+                const used = sheet.getUsedRangeOrNullObject(true);
+                used.load('rowIndex, rowCount');
+                await context.sync();
+
+                let next = used.isNullObject ? 0 : used.rowIndex + used.rowCount;
+                if (next === 0) {
+                    const headerRange = sheet.getRangeByIndexes(0, 0, 1, LOG_HEADERS.length);
+                    headerRange.values = [LOG_HEADERS];
+                    excel.formatHeaders(headerRange);
+                    sheet.freezePanes.freezeRows(1);
+                    next = 1;
+                }
+                const rowRange = sheet.getRangeByIndexes(next, 0, 1, LOG_HEADERS.length);
+                rowRange.numberFormat = [LOG_HEADERS.map((_, i) => (i === 0 ? excel.exportFormats.status.dateFormat : i === 6 ? '@' : 'General'))];
+                rowRange.values = [row];
+                if (!entry.result.startsWith('Accepted')) rowRange.format.font.color = '#B91C1C';
+                sheet.getRangeByIndexes(0, 0, next + 1, LOG_HEADERS.length).format.autofitColumns();
+                await context.sync();
+            });
+            return true;
+        } catch (error) {
+            logMessage('warn', `Failed to write the ${LOG_SHEET} sheet`, { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Initialize control manager
+     */
+    initialize() {
+        this.populateTargets([], []);
+        console.log('✅ Control dispatcher initialized');
+    }
+}
+
+// Create singleton instance
+export const controlManager = new ControlManager();
+
+// Export individual methods for backward compatibility
+export const loadControlForActiveInstance = () => controlManager.loadControlForActiveInstance();
+export const handleDispatch = () => controlManager.handleDispatch();
+
+// Export singleton as default
+export default controlManager;
@@ -5,6 +5,12 @@
  */
 
 import { CONNECTION_CONFIG } from './config.js';
+import { createAbortError } from './utils.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { ResiliencePolicy } from './resilience.js';
+import { ResponseCache } from './response-cache.js';
+import { endpointResolver } from './endpoints.js';
+import { getInstanceMeta, updateInstanceMeta, getAuthSession, setAuthSession, clearAuthSession } from './storage.js';
 
 export class FogLAMPAPIManager {
     constructor() {
@@ -12,12 +18,46 @@ export class FogLAMPAPIManager {
         this.proxyAvailable = false;
         this.initPromise = null;
         this.platform = this.detectPlatform();
+        // Flavour-neutral paths; each instance's prefix (/foglamp or /fledge) is added per request
         this.apiEndpoints = {
-            ping: '/foglamp/ping',
-            statistics: '/foglamp/statistics', 
-            assets: '/foglamp/asset',
-            readings: '/foglamp/asset'
+            ping: '/ping',
+            statistics: '/statistics',
+            assets: '/asset',
+            readings: '/asset',
+            login: '/login',
+            logout: '/logout',
+            services: '/service',
+            schedules: '/schedule',
+            tasks: '/task',
+            categories: '/category',
+            audit: '/audit',
+            alerts: '/alert',
+            plugins: '/plugins',
+            track: '/track',
+            control: '/control',
+            support: '/support'
         };
+
+        // Page size used when paging through readings (same as the 10000 limit cap in the UI)
+        this.readingsPageSize = 10000;
+        // Page size used when paging through the audit log
+        this.auditPageSize = 500;
+
+        // Called with an instance URL when it answers 401; resolves true once the user has logged in again
+        this.authRequiredHandler = null;
+        this.pendingLogins = new Map();
+
+        // Every request waits here for a slot (per-instance and global limits, priority lanes)
+        this.scheduler = new RequestScheduler();
+
+        // Retries with backoff for idempotent calls, plus a circuit breaker per instance
+        this.resilience = new ResiliencePolicy();
+
+        // Identical in-flight GETs share one request; ping/statistics/asset list are kept briefly
+        this.cache = new ResponseCache();
+
+        // Strict scope: active-instance calls go to that instance only, with no cross-instance fallback
+        this.strictInstanceScope = CONNECTION_CONFIG.STRICT_INSTANCE_SCOPE !== false;
         
         // Platform-specific configurations
         this.platformConfig = {
@@ -109,6 +149,7 @@ export class FogLAMPAPIManager {
         
         if (window.smartManager) {
             this.smartManager = window.smartManager;
+            this.smartManager.strictInstanceScope = this.strictInstanceScope;
             return true;
         }
         
@@ -116,45 +157,116 @@ export class FogLAMPAPIManager {
         return false;
     }
 
+    /**
+     * Run a request through the scheduler
+     * @param {string} key - Instance base URL the request targets
+     * @param {Function} task - Async function performing the request
+     * @param {Object} options - Request options ({ priority, signal } are used here)
+     * @returns {Promise<any>} Task result
+     */
+    schedule(key, task, options = {}) {
+        return this.scheduler.schedule(key, task, { priority: options.priority, signal: options.signal });
+    }
+
+    /**
+     * Run a request under the resilience policy, each attempt taking its own scheduler slot
+     * (backoff waits do not hold a slot)
+     * @param {string} key - Instance base URL the request targets
+     * @param {Function} task - Async function performing one attempt
+     * @param {Object} options - Request options (method, priority, signal, retries, probe)
+     * @returns {Promise<any>} Task result
+     */
+    _send(key, task, options = {}) {
+        return this.resilience.execute(key, () => this.schedule(key, task, options), options);
+    }
+
+    /**
+     * Circuit breaker state for an instance
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Object} { state: 'closed'|'open'|'half-open', failures, openedAt, retryAt, lastError }
+     */
+    getBreakerState(baseUrl) {
+        return this.resilience.getBreakerState(baseUrl);
+    }
+
+    /**
+     * Register a callback run as (baseUrl, breakerState) when an instance's breaker changes state
+     * @param {Function} handler - State change callback
+     */
+    setBreakerStateChangeHandler(handler) {
+        this.resilience.setStateChangeHandler(handler);
+    }
+
+    /**
+     * Enable or disable strict instance scope for active-instance calls
+     * @param {boolean} enabled - True to bind calls to the active instance only
+     */
+    setStrictInstanceScope(enabled) {
+        this.strictInstanceScope = !!enabled;
+        if (this.smartManager) {
+            this.smartManager.strictInstanceScope = this.strictInstanceScope;
+        }
+    }
+
+    /**
+     * Instance that served a response
+     * @param {any} data - Data returned by an API call
+     * @returns {string|null} Instance base URL, or null when the data is untagged
+     */
+    getServingInstance(data) {
+        return (data && typeof data === 'object' && data._instance) || null;
+    }
+
+    /**
+     * Tag response data with the instance that served it (non-enumerable, so exports and JSON ignore it)
+     * @private
+     */
+    _tagInstance(data, baseUrl) {
+        if (data && typeof data === 'object' && !Object.prototype.hasOwnProperty.call(data, '_instance')) {
+            Object.defineProperty(data, '_instance', { value: baseUrl, enumerable: false });
+        }
+        return data;
+    }
+
+    /**
+     * Error for a request that could not be bound to a single instance
+     * @private
+     */
+    _createScopeError(message) {
+        const error = new Error(message);
+        error.name = 'InstanceScopeError';
+        return error;
+    }
+
     /**
      * Universal API call method - single backbone for all FogLAMP APIs
-     * Works with and without proxy across all platforms
+     * Works with and without proxy across all platforms.
+     * In strict instance scope (the default) the call is bound to the active instance via
+     * apiCallForUrl and fails instead of falling back to another instance.
      * @param {string} endpoint - API endpoint path
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options (priority: 'interactive'|'normal'|'bulk')
      * @returns {Promise<any>} API response data
      */
     async apiCall(endpoint, options = {}) {
         await this.initialize();
+
+        if (this.strictInstanceScope) {
+            const activeUrl = window.getActiveInstanceWithMeta?.()?.url;
+            if (!activeUrl) {
+                throw this._createScopeError(`No active instance selected; ${endpoint} was not sent`);
+            }
+            return await this.apiCallForUrl(activeUrl, endpoint, options);
+        }
         
         const method = options.method || 'GET';
         const timeout = options.timeout || 10000;
+        const scheduleKey = window.getActiveInstanceWithMeta?.()?.url || 'active';
         
         try {
             console.log(`🌐 API Call: ${method} ${endpoint} (Platform: ${this.platform}, Proxy: ${this.proxyAvailable})`);
-            
-            // Strategy 1: Try smart manager first (handles proxy automatically)
-            if (this.smartManager) {
-                try {
-                    const response = await this._callViaSmartManager(endpoint, options, timeout);
-                    console.log(`✅ API success via smart manager: ${endpoint}`);
-                    return response;
-                } catch (smartManagerError) {
-                    console.warn(`⚠️  Smart manager failed for ${endpoint}:`, smartManagerError.message);
-                    // Continue to fallback strategies
-                }
-            }
 
-            // Strategy 2: Try direct API call (for local instances or when proxy not needed)
-            try {
-                const response = await this._callDirectAPI(endpoint, options, timeout);
-                console.log(`✅ API success via direct call: ${endpoint}`);
-                return response;
-            } catch (directError) {
-                console.warn(`⚠️  Direct API failed for ${endpoint}:`, directError.message);
-                
-                // If we get here, both strategies failed
-                throw new Error(`All API strategies failed for ${endpoint}. Smart manager: ${this.smartManager ? 'available' : 'unavailable'}, Direct: ${directError.message}`);
-            }
+            // Retries repeat the whole strategy chain; the breaker is keyed by the active instance
+            return await this.resilience.execute(scheduleKey, () => this._callActiveInstance(endpoint, options, timeout, scheduleKey), options);
             
         } catch (error) {
             console.error(`❌ API Call failed: ${method} ${endpoint}`, error);
@@ -178,20 +290,158 @@ export class FogLAMPAPIManager {
         }
     }
 
+    /**
+     * One attempt at an active-instance call: smart manager first, then direct
+     * @private
+     */
+    async _callActiveInstance(endpoint, options, timeout, scheduleKey) {
+        // Strategy 1: Try smart manager first (handles proxy automatically)
+        if (this.smartManager) {
+            try {
+                const response = await this.schedule(scheduleKey, () => this._callViaSmartManager(endpoint, options, timeout), options);
+                console.log(`✅ API success via smart manager: ${endpoint}`);
+                return response;
+            } catch (smartManagerError) {
+                console.warn(`⚠️  Smart manager failed for ${endpoint}:`, smartManagerError.message);
+                // Continue to fallback strategies
+            }
+        }
+
+        // Strategy 2: Try direct API call (for local instances or when proxy not needed)
+        try {
+            let response;
+            try {
+                response = await this.schedule(scheduleKey, () => this._callDirectAPI(endpoint, options, timeout), options);
+            } catch (directError) {
+                const activeUrl = window.getActiveInstanceWithMeta?.()?.url;
+                if (directError.status !== 401 || !activeUrl || !(await this._handleUnauthorized(activeUrl))) {
+                    throw directError;
+                }
+                response = await this.schedule(scheduleKey, () => this._callDirectAPI(endpoint, options, timeout), options);
+            }
+            console.log(`✅ API success via direct call: ${endpoint}`);
+            return response;
+        } catch (directError) {
+            console.warn(`⚠️  Direct API failed for ${endpoint}:`, directError.message);
+            
+            // If we get here, both strategies failed; keep the direct error for retry classification
+            const error = new Error(`All API strategies failed for ${endpoint}. Smart manager: ${this.smartManager ? 'available' : 'unavailable'}, Direct: ${directError.message}`);
+            error.status = directError.status;
+            error.cause = directError;
+            throw error;
+        }
+    }
+
     /**
      * Force API call for a specific base URL (bypasses smart selection)
-     * Automatically uses proxy in web environments when available
+     * Automatically uses proxy in web environments when available.
+     * A 401 clears the stored session and re-prompts for credentials once.
+     * GETs are retried with backoff on network errors, timeouts, 5xx and 429; set probe to
+     * try an instance whose circuit breaker is open (explicit pings do this).
+     * Only this instance is ever contacted; the result is tagged with it (see getServingInstance).
+     * Identical GETs in flight share one request, and ping/statistics/asset list responses are
+     * served from a short-lived cache (CACHE_CONFIG); set bypassCache for explicit refreshes.
+     * Probes are never cached or shared, so they always reach the instance (and its circuit breaker).
+     * Any other method drops the instance's cached responses.
      * @param {string} baseUrl - Exact instance base URL
      * @param {string} endpoint - Endpoint path starting with '/'
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options (set skipAuth to send no token; priority picks the scheduler lane; bypassCache skips cached data;
+     *   responseType 'blob' returns the body as a Blob instead of parsing JSON)
      * @returns {Promise<any>} JSON data
      */
     async apiCallForUrl(baseUrl, endpoint, options = {}) {
         await this.initialize();
+        if (!baseUrl) {
+            throw this._createScopeError(`No instance given; ${endpoint} was not sent`);
+        }
+
+        const method = (options.method || 'GET').toUpperCase();
+        if (method !== 'GET') {
+            // A write may change anything this instance reports, so its cached responses are dropped
+            try {
+                return await this._fetchForUrl(baseUrl, endpoint, options);
+            } finally {
+                this.invalidateCache(baseUrl);
+            }
+        }
+
+        const { bypassCache, ...requestOptions } = options;
+        if (options.probe) {
+            return await this._fetchForUrl(baseUrl, endpoint, requestOptions);
+        }
+        const key = `${baseUrl}|${endpoint}|${options.skipAuth ? 'anon' : 'auth'}`;
+        return await this.cache.fetch(
+            key,
+            this.cache.getTtl(this._cacheKind(endpoint)),
+            (signal) => this._fetchForUrl(baseUrl, endpoint, { ...requestOptions, signal }),
+            { bypass: !!bypassCache, signal: options.signal }
+        );
+    }
+
+    /**
+     * Send one logical request to an instance: resilience + scheduler, plus one re-login on 401
+     * @private
+     */
+    async _fetchForUrl(baseUrl, endpoint, options) {
+        // The login prompt runs outside the scheduler so it does not hold a request slot
+        try {
+            const data = await this._send(baseUrl, () => this._requestForUrl(baseUrl, endpoint, options), options);
+            return this._tagInstance(data, baseUrl);
+        } catch (error) {
+            if (error.status === 401 && !options.skipAuth && await this._handleUnauthorized(baseUrl)) {
+                const data = await this._send(baseUrl, () => this._requestForUrl(baseUrl, endpoint, options), options);
+                return this._tagInstance(data, baseUrl);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cache lifetime class of an endpoint path (see CACHE_CONFIG.TTL_MS)
+     * @private
+     */
+    _cacheKind(endpoint) {
+        const path = String(endpoint).split('?')[0];
+        if (path === this.apiEndpoints.ping) return 'ping';
+        if (path === this.apiEndpoints.statistics) return 'statistics';
+        if (path === this.apiEndpoints.assets) return 'assets';
+        return null;
+    }
+
+    /**
+     * Full path of a flavour-neutral endpoint on an instance (e.g. '/ping' → '/fledge/ping')
+     * @param {string} baseUrl - Instance base URL (includes any base path)
+     * @param {string} endpoint - Endpoint path starting with '/'
+     * @returns {string} Path to append to baseUrl
+     */
+    getApiPath(baseUrl, endpoint) {
+        return endpointResolver.buildApiPath(baseUrl, endpoint);
+    }
+
+    /**
+     * Drop cached responses for one instance (or all instances)
+     * @param {string} baseUrl - Optional instance base URL
+     */
+    invalidateCache(baseUrl = null) {
+        this.cache.invalidate(baseUrl ? `${baseUrl}|` : null);
+    }
+
+    /**
+     * Perform a single request for a specific base URL (proxy first where needed, then direct)
+     * @private
+     */
+    async _requestForUrl(baseUrl, endpoint, options = {}) {
+        const headers = options.skipAuth
+            ? { 'Accept': 'application/json', 'Content-Type': 'application/json', ...options.headers }
+            : this._buildHeaders(baseUrl, options.headers);
 
         const method = options.method || 'GET';
         const timeout = options.timeout || 10000;
 
+        // Instance URL already carries the base path; add the instance's flavour prefix
+        // (rawPath requests go to a service's own listener and are sent as-is)
+        const apiPath = options.rawPath ? endpoint : endpointResolver.buildApiPath(baseUrl, endpoint);
+
         const isWeb = this.platform === 'excel-web';
         const isLocal = /^(https?:\/\/)?(localhost|127\.0\.0\.1)/i.test(baseUrl);
 
@@ -204,14 +454,23 @@ export class FogLAMPAPIManager {
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
+        // Caller cancellation (options.signal) aborts the in-flight fetch as well
+        const onCallerAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            else options.signal.addEventListener('abort', onCallerAbort, { once: true });
+        }
 
         try {
             // Prefer proxy for private-network hosts (e.g., 192.168.x.x, 10.x.x.x) OR when on web
             // Always try HTTPS proxy first, then HTTP, regardless of current proxyAvailable flag.
+            // Certificate-authenticated instances always go through the proxy, which holds the client cert.
             const isPrivateHost = this._isPrivateNetworkHost(baseUrl);
-            const shouldUseProxy = !isLocal && (isWeb || isPrivateHost);
+            const usesClientCert = this.usesClientCertificate(baseUrl);
+            const shouldUseProxy = usesClientCert || (!isLocal && (isWeb || isPrivateHost));
             if (shouldUseProxy) {
-                const path = this._getProxyPath(baseUrl);
+                const path = options.proxyName || this._getProxyPath(baseUrl);
+                const flavour = endpointResolver.getFlavour(baseUrl);
                 const httpsCandidate = `https://localhost:${CONNECTION_CONFIG.PROXY_PORT || 3001}`;
                 const httpCandidate = (CONNECTION_CONFIG.PROXY_BASE_URL || 'http://localhost:3001');
                 const proxyCandidates = [];
@@ -220,67 +479,223 @@ export class FogLAMPAPIManager {
                 if (!proxyCandidates.includes(httpCandidate)) proxyCandidates.push(httpCandidate);
 
                 for (const candidateBase of proxyCandidates) {
+                    let resp;
                     try {
-                        // Ensure mapping exists for this candidate
+                        // Ensure mapping exists for this candidate; a refused registration shows up as the proxy's "no route" 404 below
                         try {
-                            await fetch(`${candidateBase}/config`, {
+                            const configResp = await fetch(`${candidateBase}/config`, {
                                 method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ instances: { [path]: baseUrl } })
+                                body: JSON.stringify({ instances: { [path]: baseUrl }, flavours: { [path]: flavour } })
                             });
+                            if (!configResp.ok) console.warn(`⚠️  Proxy ${candidateBase} refused route ${path}: HTTP ${configResp.status}`);
                         } catch (_) {}
 
-                        const resp = await fetch(`${candidateBase}/${path}${endpoint}`, {
+                        resp = await fetch(`${candidateBase}/${path}${apiPath}`, {
                             method,
-                            headers: {
-                                'Accept': 'application/json',
-                                'Content-Type': 'application/json',
-                                ...options.headers
-                            },
+                            headers,
                             body: options.body,
                             credentials: 'omit',
                             mode: 'cors',
                             signal: controller.signal
                         });
-                        if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-                        return await resp.json();
-                    } catch (_tryNextProxy) {
-                        // Try next candidate or fall through to direct
+                    } catch (proxyError) {
+                        if (options.signal?.aborted) throw proxyError;
+                        // Transport failure (proxy not reachable on this candidate): try the next one or fall through to direct
+                        continue;
+                    }
+                    // Something answered through the proxy: surface its status as-is. Sending the request again
+                    // through another transport would replay POST/PUT/DELETE and mask the real status.
+                    // The one exception is the proxy's own "no route" 404: the request was never forwarded.
+                    if (!resp.ok) {
+                        const body = await this._readErrorBody(resp);
+                        if (resp.status === 404 && body?.error === 'Route not found') {
+                            console.warn(`⚠️  Proxy ${candidateBase} has no route ${path}; trying the next transport`);
+                            continue;
+                        }
+                        throw this._markTransportFailure(this._createHttpError(resp), body);
                     }
+                    return await this._readBody(resp, options);
                 }
             }
 
+            if (usesClientCert) {
+                throw new Error('Instance requires a client certificate and the proxy is not reachable (start proxy_server.js)');
+            }
+
             // Direct call
-            const url = `${baseUrl}${endpoint}`;
+            const url = `${baseUrl}${apiPath}`;
             const platformConfig = this.platformConfig[this.platform] || this.platformConfig.unknown;
             const resp = await fetch(url, {
                 method,
-                headers: {
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
+                headers,
                 body: options.body,
                 mode: platformConfig.corsMode,
                 credentials: platformConfig.credentials,
                 signal: controller.signal
             });
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-            return await resp.json();
+            if (!resp.ok) throw this._markTransportFailure(this._createHttpError(resp), null);
+            return await this._readBody(resp, options);
+        } catch (error) {
+            if (options.signal?.aborted) throw createAbortError('Request cancelled');
+            throw error;
         } finally {
             clearTimeout(timeoutId);
+            if (options.signal) options.signal.removeEventListener('abort', onCallerAbort);
         }
     }
 
-    _getProxyPath(targetUrl) {
+    /**
+     * Response body as JSON, or as a Blob for file downloads (options.responseType === 'blob')
+     * @private
+     */
+    async _readBody(resp, options) {
+        return options.responseType === 'blob' ? await resp.blob() : await resp.json();
+    }
+
+    /**
+     * Flag errors that were not the gateway's own answer (error.transport = true): the proxy's
+     * "instance unreachable" 500 and 502/504 from anything in between. The connection may have broken
+     * after the request was delivered, so they do not mean the request was rejected.
+     * @private
+     */
+    _markTransportFailure(error, body) {
+        if ((error.status === 500 && body?.error === 'FogLAMP instance unreachable') || error.status === 502 || error.status === 504) {
+            error.transport = true;
+        }
+        return error;
+    }
+
+    /**
+     * JSON body of an error response, or null when it has none
+     * @private
+     */
+    async _readErrorBody(resp) {
         try {
-            const parsed = new URL(targetUrl);
-            const host = parsed.hostname;
-            if (host === '127.0.0.1' || host === 'localhost') return 'local';
-            return host.replace(/\./g, '-').toLowerCase();
+            return await resp.json();
         } catch (_e) {
-            return 'instance';
+            return null;
+        }
+    }
+
+    /**
+     * Build request headers for an instance, attaching its session token when logged in
+     * @private
+     */
+    _buildHeaders(baseUrl, extraHeaders = {}) {
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        };
+        const session = baseUrl ? getAuthSession(baseUrl) : null;
+        if (session) {
+            // FogLAMP expects the raw token (no "Bearer" prefix)
+            headers['Authorization'] = session.token;
         }
+        return { ...headers, ...extraHeaders };
+    }
+
+    /**
+     * Create an Error carrying the HTTP status of a failed response
+     * @private
+     */
+    _createHttpError(response) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        return error;
+    }
+
+    /**
+     * React to a 401 from an instance: drop the stale token and ask for credentials again.
+     * Concurrent 401s for the same instance share a single prompt.
+     * @private
+     * @returns {Promise<boolean>} True when a new session was established
+     */
+    async _handleUnauthorized(baseUrl) {
+        const hadSession = !!getAuthSession(baseUrl);
+        clearAuthSession(baseUrl);
+        updateInstanceMeta(baseUrl, { authOptional: false });
+        window.logMessage?.('warn', hadSession ? '🔒 Session expired, login required' : '🔒 Login required', { url: baseUrl });
+
+        if (!this.authRequiredHandler) return false;
+
+        if (!this.pendingLogins.has(baseUrl)) {
+            const pending = Promise.resolve()
+                .then(() => this.authRequiredHandler(baseUrl))
+                .catch(() => false)
+                .finally(() => this.pendingLogins.delete(baseUrl));
+            this.pendingLogins.set(baseUrl, pending);
+        }
+        return !!(await this.pendingLogins.get(baseUrl));
+    }
+
+    /**
+     * Register the UI callback used to collect credentials when an instance requires login
+     * @param {Function} handler - async (baseUrl) => boolean
+     */
+    setAuthRequiredHandler(handler) {
+        this.authRequiredHandler = handler;
+    }
+
+    /**
+     * Check whether an instance needs a login before it can be used
+     * @param {string} baseUrl - Instance base URL
+     * @returns {boolean} True when ping reported authentication is mandatory and no session is stored
+     */
+    isLoginRequired(baseUrl) {
+        const meta = getInstanceMeta(baseUrl);
+        return meta.authOptional === false && !meta.authToken;
+    }
+
+    /**
+     * FogLAMP Login API - username/password login for a specific instance
+     * Stores the returned session token with the instance metadata
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} username - FogLAMP user name
+     * @param {string} password - FogLAMP password
+     * @returns {Promise<Object>} Login response data ({ token, uid, admin, message })
+     */
+    async login(baseUrl, username, password) {
+        const data = await this.apiCallForUrl(baseUrl, this.apiEndpoints.login, {
+            method: 'POST',
+            body: JSON.stringify({ username, password }),
+            skipAuth: true
+        });
+        if (!data || !data.token) {
+            throw new Error(data?.message || 'Login response did not include a token');
+        }
+        setAuthSession(baseUrl, { token: data.token, user: username });
+        return data;
+    }
+
+    /**
+     * FogLAMP Logout API - ends the current session for a specific instance
+     * The local token is dropped even if the server call fails
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<void>}
+     */
+    async logout(baseUrl) {
+        try {
+            if (getAuthSession(baseUrl)) {
+                await this._requestForUrl(baseUrl, this.apiEndpoints.logout, { method: 'PUT' });
+            }
+        } finally {
+            this.invalidateCache(baseUrl);
+            clearAuthSession(baseUrl);
+        }
+    }
+
+    /**
+     * Check whether the proxy presents a client certificate for an instance
+     * @param {string} baseUrl - Instance base URL
+     * @returns {boolean} True for certificate-authenticated instances
+     */
+    usesClientCertificate(baseUrl) {
+        return getInstanceMeta(baseUrl).clientCertAuth === true;
+    }
+
+    _getProxyPath(targetUrl) {
+        return endpointResolver.getProxyName(targetUrl);
     }
 
     /**
@@ -313,6 +728,7 @@ export class FogLAMPAPIManager {
         const timeoutId = setTimeout(() => controller.abort(), timeout);
         
         try {
+            // smartFetch attaches the session token of whichever instance it tries
             const response = await this.smartManager.smartFetch(endpoint, {
                 method: options.method || 'GET',
                 headers: {
@@ -327,7 +743,7 @@ export class FogLAMPAPIManager {
             clearTimeout(timeoutId);
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw this._createHttpError(response);
             }
             
             return await response.json();
@@ -347,7 +763,12 @@ export class FogLAMPAPIManager {
             throw new Error('No active instance available for direct API call');
         }
 
-        const url = `${activeInstance.url}${endpoint}`;
+        // Certificate-authenticated instances cannot be reached without the proxy
+        if (this.usesClientCertificate(activeInstance.url)) {
+            return await this._requestForUrl(activeInstance.url, endpoint, { ...options, timeout });
+        }
+
+        const url = `${activeInstance.url}${endpointResolver.buildApiPath(activeInstance.url, endpoint)}`;
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
         
@@ -356,11 +777,7 @@ export class FogLAMPAPIManager {
             
             const response = await fetch(url, {
                 method: options.method || 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
+                headers: this._buildHeaders(activeInstance.url, options.headers),
                 body: options.body,
                 mode: platformConfig.corsMode,
                 credentials: platformConfig.credentials,
@@ -370,7 +787,7 @@ export class FogLAMPAPIManager {
             clearTimeout(timeoutId);
             
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw this._createHttpError(response);
             }
             
             return await response.json();
@@ -387,8 +804,8 @@ export class FogLAMPAPIManager {
         return await this.apiCall(this.apiEndpoints.ping);
     }
 
-    async pingForUrl(baseUrl) {
-        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.ping);
+    async pingForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.ping, options);
     }
 
     /**
@@ -399,8 +816,26 @@ export class FogLAMPAPIManager {
         return await this.apiCall(this.apiEndpoints.statistics);
     }
 
-    async statisticsForUrl(baseUrl) {
-        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.statistics);
+    async statisticsForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.statistics, options);
+    }
+
+    /**
+     * FogLAMP Statistics History API for a specific base URL
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (minutes, hours, days, limit)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { interval, statistics: [{ history_ts, KEY: value, ... }] }
+     */
+    async statisticsHistoryForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const path = `${this.apiEndpoints.statistics}/history`;
+        return await this.apiCallForUrl(baseUrl, queryParams.toString() ? `${path}?${queryParams.toString()}` : path, options);
     }
 
     /**
@@ -411,8 +846,143 @@ export class FogLAMPAPIManager {
         return await this.apiCall(this.apiEndpoints.assets);
     }
 
-    async assetsForUrl(baseUrl) {
-        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.assets);
+    async assetsForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.assets, options);
+    }
+
+    /**
+     * Purge all stored readings of one asset
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} asset - Asset name
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async purgeAssetForUrl(baseUrl, asset, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.assets}/${encodeURIComponent(asset)}`, { ...options, method: 'DELETE' });
+    }
+
+    /**
+     * FogLAMP Services API - registered microservices (south, north, notification, dispatcher, ...)
+     * @returns {Promise<Object>} Services response data ({ services: [...] })
+     */
+    async services() {
+        return await this.apiCall(this.apiEndpoints.services);
+    }
+
+    async servicesForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.services, options);
+    }
+
+    /**
+     * FogLAMP Schedules API for a specific base URL
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { schedules: [...] }
+     */
+    async schedulesForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.schedules, options);
+    }
+
+    /**
+     * Enable or disable a schedule
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} scheduleId - Schedule id
+     * @param {boolean} enabled - Target state
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async setScheduleEnabledForUrl(baseUrl, scheduleId, enabled, options = {}) {
+        const action = enabled ? 'enable' : 'disable';
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.schedules}/${encodeURIComponent(scheduleId)}/${action}`, { ...options, method: 'PUT' });
+    }
+
+    /**
+     * Start a schedule immediately (runs its task once, regardless of its timing)
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} scheduleId - Schedule id
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async startScheduleForUrl(baseUrl, scheduleId, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.schedules}/start/${encodeURIComponent(scheduleId)}`, { ...options, method: 'POST' });
+    }
+
+    /**
+     * FogLAMP Tasks API (task run history) for a specific base URL
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (limit, state, name)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { tasks: [...] }
+     */
+    async tasksForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const path = queryParams.toString() ? `${this.apiEndpoints.tasks}?${queryParams.toString()}` : this.apiEndpoints.tasks;
+        return await this.apiCallForUrl(baseUrl, path, options);
+    }
+
+    /**
+     * Latest task run of every schedule
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { tasks: [...] }
+     */
+    async latestTasksForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.tasks}/latest`, options);
+    }
+
+    /**
+     * FogLAMP Configuration API - category list for a specific base URL
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters ({ root: true } for top-level categories only)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { categories: [{ key, description, displayName }] }
+     */
+    async categoriesForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const path = queryParams.toString() ? `${this.apiEndpoints.categories}?${queryParams.toString()}` : this.apiEndpoints.categories;
+        return await this.apiCallForUrl(baseUrl, path, options);
+    }
+
+    /**
+     * Items of one configuration category
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} category - Category key
+     * @returns {Promise<Object>} { itemName: { type, description, default, value, readonly, ... } }
+     */
+    async categoryForUrl(baseUrl, category, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.categories}/${encodeURIComponent(category)}`, options);
+    }
+
+    /**
+     * Child categories of a configuration category
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} category - Parent category key
+     * @returns {Promise<Object>} { categories: [{ key, description, displayName }] }
+     */
+    async categoryChildrenForUrl(baseUrl, category, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.categories}/${encodeURIComponent(category)}/children`, options);
+    }
+
+    /**
+     * Set the value of one configuration item
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} category - Category key
+     * @param {string} item - Item name
+     * @param {string} value - New value (FogLAMP stores every value as a string)
+     * @returns {Promise<Object>} The updated item
+     */
+    async setConfigItemForUrl(baseUrl, category, item, value, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.categories}/${encodeURIComponent(category)}/${encodeURIComponent(item)}`, {
+            ...options,
+            method: 'PUT',
+            body: JSON.stringify({ value })
+        });
     }
 
     /**
@@ -440,8 +1010,19 @@ export class FogLAMPAPIManager {
     /**
      * FogLAMP Asset Readings API for a specific base URL
      * Ensures proxy-safe access in Excel Web when targeting remote hosts
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} asset - Asset name
+     * @param {string} datapoint - Optional datapoint name
+     * @param {Object} params - Query parameters (limit, skip, seconds, etc.)
+     * @param {Object} options - Request options (signal) plus { fetchAll, pageSize, maxRows, onProgress } to page through all readings
+     * @returns {Promise<Array>} Readings response data
      */
-    async readingsForUrl(baseUrl, asset, datapoint = null, params = {}) {
+    async readingsForUrl(baseUrl, asset, datapoint = null, params = {}, options = {}) {
+        if (options.fetchAll) {
+            const collected = await this._fetchAllReadingsForUrl(baseUrl, asset, datapoint, params, options);
+            return this._tagInstance(collected, baseUrl);
+        }
+        const { fetchAll, pageSize, maxRows, onProgress, ...requestOptions } = options;
         const path = datapoint ? `${this.apiEndpoints.readings}/${asset}/${datapoint}` : `${this.apiEndpoints.readings}/${asset}`;
         const queryParams = new URLSearchParams();
         Object.keys(params).forEach(key => {
@@ -450,7 +1031,338 @@ export class FogLAMPAPIManager {
             }
         });
         const fullPath = queryParams.toString() ? `${path}?${queryParams.toString()}` : path;
-        return await this.apiCallForUrl(baseUrl, fullPath);
+        return await this.apiCallForUrl(baseUrl, fullPath, requestOptions);
+    }
+
+    /**
+     * Page through readings with limit/skip until the data runs out or maxRows is reached.
+     * FogLAMP returns newest first, so readings arriving mid-export shift earlier rows into
+     * the next page; those repeats are dropped by reading id (or timestamp + values).
+     * @private
+     */
+    async _fetchAllReadingsForUrl(baseUrl, asset, datapoint, params, options) {
+        const pageSize = Math.max(1, options.pageSize || this.readingsPageSize);
+        const maxRows = options.maxRows > 0 ? options.maxRows : Infinity;
+        const seen = new Set();
+        const collected = [];
+        let skip = params.skip > 0 ? params.skip : 0;
+        let page = 0;
+
+        while (collected.length < maxRows) {
+            const batch = await this.readingsForUrl(baseUrl, asset, datapoint, { ...params, limit: pageSize, skip }, { signal: options.signal, priority: options.priority });
+            const rows = Array.isArray(batch) ? batch : [];
+            page++;
+
+            let added = 0;
+            for (const reading of rows) {
+                const key = this._readingKey(reading);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                collected.push(reading);
+                added++;
+                if (collected.length >= maxRows) break;
+            }
+            skip += rows.length;
+
+            if (options.onProgress) {
+                options.onProgress({ page, pageRows: rows.length, added, total: collected.length, maxRows });
+            }
+
+            // A short page is the last one; a page of only repeats means no further progress is possible
+            if (rows.length < pageSize || added === 0) break;
+        }
+
+        return collected;
+    }
+
+    /**
+     * FogLAMP Audit Log API for a specific base URL (newest first)
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (source, severity, limit, skip)
+     * @param {Object} options - Request options (signal) plus { fetchAll, pageSize, maxRows, onProgress, stopAfterPage }
+     *   to page through the log; stopAfterPage(entries) returning true ends paging after that page
+     * @returns {Promise<Object>} { audit: [...], totalCount }
+     */
+    async auditForUrl(baseUrl, params = {}, options = {}) {
+        if (options.fetchAll) {
+            const collected = await this._fetchAllAuditForUrl(baseUrl, params, options);
+            return this._tagInstance(collected, baseUrl);
+        }
+        const { fetchAll, pageSize, maxRows, onProgress, stopAfterPage, ...requestOptions } = options;
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const path = queryParams.toString() ? `${this.apiEndpoints.audit}?${queryParams.toString()}` : this.apiEndpoints.audit;
+        return await this.apiCallForUrl(baseUrl, path, requestOptions);
+    }
+
+    /**
+     * Page through the audit log with limit/skip, like _fetchAllReadingsForUrl.
+     * Entries have no id, so repeats caused by new entries shifting pages are dropped by content.
+     * @private
+     */
+    async _fetchAllAuditForUrl(baseUrl, params, options) {
+        const pageSize = Math.max(1, options.pageSize || this.auditPageSize);
+        const maxRows = options.maxRows > 0 ? options.maxRows : Infinity;
+        const seen = new Set();
+        const collected = [];
+        let totalCount = null;
+        let skip = params.skip > 0 ? params.skip : 0;
+        let page = 0;
+
+        while (collected.length < maxRows) {
+            const batch = await this.auditForUrl(baseUrl, { ...params, limit: pageSize, skip }, { signal: options.signal, priority: options.priority });
+            const rows = Array.isArray(batch?.audit) ? batch.audit : [];
+            if (batch?.totalCount != null) totalCount = batch.totalCount;
+            page++;
+
+            let added = 0;
+            for (const entry of rows) {
+                const key = JSON.stringify(entry);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                collected.push(entry);
+                added++;
+                if (collected.length >= maxRows) break;
+            }
+            skip += rows.length;
+
+            if (options.onProgress) {
+                options.onProgress({ page, pageRows: rows.length, added, total: collected.length, maxRows, totalCount });
+            }
+
+            if (rows.length < pageSize || added === 0) break;
+            if (options.stopAfterPage && options.stopAfterPage(rows)) break;
+        }
+
+        return { audit: collected, totalCount };
+    }
+
+    /**
+     * Audit log source codes and their descriptions
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { logCode: [{ code, description }] }
+     */
+    async auditLogCodesForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.audit}/logcode`, options);
+    }
+
+    /**
+     * FogLAMP Alerts API - active alerts raised by the gateway (updates available, service failures, ...)
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { alerts: [{ key, message, urgency, timestamp }] }
+     */
+    async alertsForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.alerts, options);
+    }
+
+    /**
+     * Delete an alert
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} key - Alert key
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async deleteAlertForUrl(baseUrl, key, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.alerts}/${encodeURIComponent(key)}`, { ...options, method: 'DELETE' });
+    }
+
+    /**
+     * Installed plugins of an instance
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (type: south|north|filter|notify|rule; omit for all)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { plugins: [{ name, type, description, version, installedDirectory, packageName }] }
+     */
+    async installedPluginsForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const base = `${this.apiEndpoints.plugins}/installed`;
+        const path = queryParams.toString() ? `${base}?${queryParams.toString()}` : base;
+        return await this.apiCallForUrl(baseUrl, path, options);
+    }
+
+    /**
+     * Plugin packages available for install on an instance (not yet installed).
+     * The gateway refreshes its package lists first, so this gets a longer default timeout.
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (type; omit for all)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { plugins: ['foglamp-south-modbus', ...], link }
+     */
+    async availablePluginsForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const base = `${this.apiEndpoints.plugins}/available`;
+        const path = queryParams.toString() ? `${base}?${queryParams.toString()}` : base;
+        return await this.apiCallForUrl(baseUrl, path, { timeout: 120000, ...options });
+    }
+
+    /**
+     * Send a batch of readings to an HTTP south service (foglamp-south-http). The service listens on its
+     * own port on the instance's host, not under the REST API, so the request bypasses the flavour prefix
+     * and gets its own proxy route. POSTs are never retried, so a batch is sent at most once.
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} service - { protocol, port, uri } from the south service's configuration; the service's
+     *   scheme is its own (plain HTTP unless it is set up for HTTPS), not the REST API's, so protocol defaults to 'http:'
+     * @param {Array} readings - [{ timestamp, asset, readings: { dp: value } }]
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} The south service's response
+     */
+    async postSouthReadingsForUrl(baseUrl, service, readings, options = {}) {
+        const parsed = new URL(baseUrl);
+        const target = `${service.protocol || 'http:'}//${parsed.hostname}:${service.port}`;
+        const uri = `/${String(service.uri || 'sensor-reading').replace(/^\/+/, '')}`;
+        try {
+            return await this._fetchForUrl(target, uri, {
+                ...options,
+                method: 'POST',
+                body: JSON.stringify(readings),
+                rawPath: true,
+                skipAuth: true,
+                proxyName: `${this._getProxyPath(baseUrl)}-port-${service.port}`
+            });
+        } finally {
+            // New readings change asset counts and readings the instance reports
+            this.invalidateCache(baseUrl);
+        }
+    }
+
+    /**
+     * Control entry points (named write/operation targets an operator may invoke)
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { controls: [{ name, description, permitted }] }
+     */
+    async controlEntryPointsForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.control}/manage`, options);
+    }
+
+    /**
+     * One control entry point with its type, destination, constants and variables
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} name - Entry point name
+     * @returns {Promise<Object>} { name, description, type, operation_name, destination, constants, variables, ... }
+     */
+    async controlEntryPointForUrl(baseUrl, name, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.control}/manage/${encodeURIComponent(name)}`, options);
+    }
+
+    /**
+     * Invoke a control entry point; values fill its variables (strings, as the dispatcher expects)
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} name - Entry point name
+     * @param {Object} values - { variable: value }
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async controlRequestForUrl(baseUrl, name, values = {}, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.control}/request/${encodeURIComponent(name)}`, {
+            ...options,
+            method: 'PUT',
+            body: JSON.stringify(values)
+        });
+    }
+
+    /**
+     * Control scripts (sequences of writes, operations and delays run by the dispatcher)
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { scripts: [{ name, steps, acl }] }
+     */
+    async controlScriptsForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.control}/script`, options);
+    }
+
+    /**
+     * Create (or reuse) the manual schedule that runs a control script; start it with startScheduleForUrl
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} name - Script name
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async scheduleControlScriptForUrl(baseUrl, name, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.control}/script/${encodeURIComponent(name)}/schedule`, { ...options, method: 'POST' });
+    }
+
+    /**
+     * FogLAMP Asset Tracker API - which services and plugins ingested, filtered or sent each asset
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} params - Query parameters (asset, event: Ingest|Filter|Egress, service)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { track: [{ asset, event, service, plugin, timestamp, deprecatedTimestamp }] }
+     */
+    async assetTrackerForUrl(baseUrl, params = {}, options = {}) {
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+            if (params[key] != null && params[key] !== '') {
+                queryParams.set(key, String(params[key]));
+            }
+        });
+        const path = queryParams.toString() ? `${this.apiEndpoints.track}?${queryParams.toString()}` : this.apiEndpoints.track;
+        return await this.apiCallForUrl(baseUrl, path, options);
+    }
+
+    /**
+     * Support bundles stored on the instance
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { "bundle files": ['support-YYMMDD-HH-MM-SS.tar.gz', ...] }
+     */
+    async supportBundlesForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.support, options);
+    }
+
+    /**
+     * Create a support bundle; the gateway answers once the bundle is written, which can take minutes
+     * @param {string} baseUrl - Instance base URL
+     * @returns {Promise<Object>} { "bundle created": 'support-....tar.gz' }
+     */
+    async createSupportBundleForUrl(baseUrl, options = {}) {
+        return await this.apiCallForUrl(baseUrl, this.apiEndpoints.support, { timeout: 300000, ...options, method: 'POST' });
+    }
+
+    /**
+     * Download one support bundle
+     * @param {string} baseUrl - Instance base URL
+     * @param {string} name - Bundle file name
+     * @returns {Promise<Blob>} The bundle (gzipped tar)
+     */
+    async downloadSupportBundleForUrl(baseUrl, name, options = {}) {
+        return await this.apiCallForUrl(baseUrl, `${this.apiEndpoints.support}/${encodeURIComponent(name)}`, {
+            timeout: 300000,
+            ...options,
+            headers: { 'Accept': 'application/gzip, application/octet-stream, */*', ...options.headers },
+            responseType: 'blob'
+        });
+    }
+
+    /**
+     * Deprecate one asset tracker entry (the asset is no longer expected from that service and event)
+     * @param {string} baseUrl - Instance base URL
+     * @param {Object} entry - { service, asset, event: Ingest|Filter|Egress }
+     * @returns {Promise<Object>} FogLAMP status response
+     */
+    async deprecateTrackerEntryForUrl(baseUrl, entry, options = {}) {
+        const path = `${this.apiEndpoints.track}/service/${encodeURIComponent(entry.service)}` +
+            `/asset/${encodeURIComponent(entry.asset)}/event/${encodeURIComponent(entry.event)}`;
+        return await this.apiCallForUrl(baseUrl, path, { ...options, method: 'PUT' });
+    }
+
+    /**
+     * Identity of a reading for de-duplication across pages
+     * @private
+     */
+    _readingKey(reading) {
+        if (reading && reading.id != null) return `id:${reading.id}`;
+        const ts = reading?.timestamp ?? reading?.user_ts ?? reading?.ts ?? '';
+        return `ts:${ts}|${JSON.stringify(reading?.reading ?? reading)}`;
     }
 
     /**
@@ -472,7 +1384,7 @@ export class FogLAMPAPIManager {
     /**
      * FogLAMP Asset Readings Summary for a specific base URL
      */
-    async readingsSummaryForUrl(baseUrl, asset, datapoint = null, params = {}) {
+    async readingsSummaryForUrl(baseUrl, asset, datapoint = null, params = {}, options = {}) {
         const base = datapoint ? `${this.apiEndpoints.readings}/${asset}/${datapoint}` : `${this.apiEndpoints.readings}/${asset}`;
         const path = `${base}/summary`;
         const queryParams = new URLSearchParams();
@@ -482,7 +1394,7 @@ export class FogLAMPAPIManager {
             }
         });
         const fullPath = queryParams.toString() ? `${path}?${queryParams.toString()}` : path;
-        return await this.apiCallForUrl(baseUrl, fullPath);
+        return await this.apiCallForUrl(baseUrl, fullPath, options);
     }
 
     /**
@@ -504,7 +1416,7 @@ export class FogLAMPAPIManager {
     /**
      * FogLAMP Asset Readings Time Span for a specific base URL
      */
-    async readingsTimespanForUrl(baseUrl, asset, datapoint = null, params = {}) {
+    async readingsTimespanForUrl(baseUrl, asset, datapoint = null, params = {}, options = {}) {
         const base = datapoint ? `${this.apiEndpoints.readings}/${asset}/${datapoint}` : `${this.apiEndpoints.readings}/${asset}`;
         const path = `${base}/timespan`;
         const queryParams = new URLSearchParams();
@@ -514,7 +1426,7 @@ export class FogLAMPAPIManager {
             }
         });
         const fullPath = queryParams.toString() ? `${path}?${queryParams.toString()}` : path;
-        return await this.apiCallForUrl(baseUrl, fullPath);
+        return await this.apiCallForUrl(baseUrl, fullPath, options);
     }
 
     /**
@@ -536,7 +1448,7 @@ export class FogLAMPAPIManager {
     /**
      * FogLAMP Asset Readings Series for a specific base URL
      */
-    async readingsSeriesForUrl(baseUrl, asset, datapoint = null, params = {}) {
+    async readingsSeriesForUrl(baseUrl, asset, datapoint = null, params = {}, options = {}) {
         const base = datapoint ? `${this.apiEndpoints.readings}/${asset}/${datapoint}` : `${this.apiEndpoints.readings}/${asset}`;
         const path = `${base}/series`;
         const queryParams = new URLSearchParams();
@@ -546,7 +1458,7 @@ export class FogLAMPAPIManager {
             }
         });
         const fullPath = queryParams.toString() ? `${path}?${queryParams.toString()}` : path;
-        return await this.apiCallForUrl(baseUrl, fullPath);
+        return await this.apiCallForUrl(baseUrl, fullPath, options);
     }
 
     /**
@@ -558,8 +1470,12 @@ export class FogLAMPAPIManager {
             platform: this.platform,
             smartManagerAvailable: !!this.smartManager,
             proxyAvailable: this.proxyAvailable,
+            strictInstanceScope: this.strictInstanceScope,
             initialized: !!this.initPromise,
-            apiEndpoints: this.apiEndpoints
+            apiEndpoints: this.apiEndpoints,
+            scheduler: this.scheduler.getStats(),
+            cache: this.cache.getStats(),
+            breakers: this.resilience.getOpenBreakers()
         };
     }
 
@@ -570,6 +1486,8 @@ export class FogLAMPAPIManager {
         this.smartManager = null;
         this.proxyAvailable = false;
         this.initPromise = null;
+        this.resilience.reset();
+        this.cache.invalidate();
         
         console.log('🔄 API Manager reset, reinitializing...');
         await this.initialize();
@@ -37,9 +37,44 @@ export const CONNECTION_CONFIG = {
     DEFAULT_FOGLAMP_PORT: 8081,
     PROXY_TIMEOUT_MS: 3000,
     CONNECTION_TIMEOUT_MS: 5000,
-    PROXY_BASE_URL: 'http://localhost:3001'
+    PROXY_BASE_URL: 'http://localhost:3001',
+    // Bind every request to one instance; never let another gateway answer in its place
+    STRICT_INSTANCE_SCOPE: true
 };
 
+// Request scheduler limits (all FogLAMP traffic from the API manager)
+export const SCHEDULER_CONFIG = {
+    MAX_CONCURRENT: 8,      // Requests in flight across all instances
+    MAX_PER_INSTANCE: 4     // Requests in flight to any one instance
+};
+
+// Retry/backoff and circuit breaker policy (API manager)
+export const RESILIENCE_CONFIG = {
+    MAX_RETRIES: 3,              // Extra attempts for GETs failing with network errors, timeouts, 5xx or 429
+    BASE_DELAY_MS: 500,          // First backoff; doubles per attempt, with jitter
+    MAX_DELAY_MS: 8000,          // Backoff ceiling
+    BREAKER_THRESHOLD: 5,        // Consecutive failures that open an instance's breaker
+    BREAKER_COOLDOWN_MS: 30000   // Fail fast for this long before a trial request
+};
+
+// Response cache (API manager): identical in-flight GETs are always merged;
+// these endpoints additionally keep a successful response for the given time
+export const CACHE_CONFIG = {
+    TTL_MS: {
+        ping: 5000,           // /{flavour}/ping
+        statistics: 5000,     // /{flavour}/statistics
+        assets: 60000         // /{flavour}/asset (asset list)
+    },
+    MAX_ENTRIES: 200          // Oldest responses are dropped beyond this
+};
+
+// REST API flavours: each serves the same endpoints under its own prefix
+export const API_FLAVOURS = {
+    foglamp: { prefix: '/foglamp', label: 'FogLAMP' },
+    fledge: { prefix: '/fledge', label: 'Fledge' }
+};
+export const DEFAULT_API_FLAVOUR = 'foglamp';
+
 /**
  * Instance metadata structure reference:
  * {
@@ -49,6 +84,14 @@ export const CONNECTION_CONFIG = {
  *   lastStatus: 'success'|'failed'|'checking'|'unknown',
  *   lastPingMs: number|null,    // Ping time in milliseconds
  *   lastCheckedAt: string|null, // ISO timestamp
- *   lastError: string|null      // Error message if failed
+ *   lastError: string|null,     // Error message if failed
+ *   authOptional: boolean|null, // From ping "authenticationOptional"; null until first ping
+ *   apiFlavour: 'foglamp'|'fledge'|null, // REST prefix detected when added; null = not yet detected (treated as foglamp)
+ *   basePath: string,           // Sub-path the gateway is published under ('' at the root), part of url
+ *   version: string|null,       // Version from the last successful ping
+ *   authToken: string|null,     // Session token from /{flavour}/login
+ *   authUser: string|null,      // Username the token belongs to
+ *   authLoggedInAt: string|null, // ISO timestamp of last successful login
+ *   clientCertAuth: boolean     // Proxy presents a client certificate for this instance
  * }
  */
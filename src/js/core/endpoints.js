@@ -0,0 +1,128 @@
+/**
+ * REST Endpoint Resolution for FogLAMP DataLink
+ * Endpoints are written flavour-neutral ('/ping', '/asset/x'); each instance's
+ * API flavour (FogLAMP or Fledge) and base path decide the final URL
+ */
+
+import { API_FLAVOURS, DEFAULT_API_FLAVOUR } from './config.js';
+import { getInstanceMeta } from './storage.js';
+
+/**
+ * Endpoint Resolver Class
+ * Builds per-instance API paths and proxy route names
+ */
+export class EndpointResolver {
+
+    /**
+     * API flavour of an instance (instances added before detection count as FogLAMP)
+     * @param {string} url - Instance URL
+     * @returns {string} Flavour key from API_FLAVOURS
+     */
+    getFlavour(url) {
+        const flavour = url ? getInstanceMeta(url).apiFlavour : null;
+        return API_FLAVOURS[flavour] ? flavour : DEFAULT_API_FLAVOUR;
+    }
+
+    /**
+     * REST prefix of an instance, e.g. '/foglamp' or '/fledge'
+     * @param {string} url - Instance URL
+     * @returns {string} Prefix starting with '/'
+     */
+    getApiPrefix(url) {
+        return API_FLAVOURS[this.getFlavour(url)].prefix;
+    }
+
+    /**
+     * Path of a flavour-neutral endpoint on an instance, relative to the instance URL
+     * (which already carries the base path)
+     * @param {string} url - Instance URL
+     * @param {string} endpoint - Endpoint such as '/ping' or '/asset/sinusoid?limit=10'
+     * @returns {string} Path such as '/fledge/ping'
+     */
+    buildApiPath(url, endpoint) {
+        return `${this.getApiPrefix(url)}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+    }
+
+    /**
+     * Base path (sub-path) of an instance URL, '' when the gateway is at the root
+     * @param {string} url - Instance URL
+     * @returns {string} Path without trailing slash
+     */
+    getBasePath(url) {
+        try {
+            return new URL(url).pathname.replace(/\/+$/, '');
+        } catch (_e) {
+            return '';
+        }
+    }
+
+    /**
+     * Split a URL as typed by the user into the instance URL and a flavour hint.
+     * A trailing '/foglamp' or '/fledge' (e.g. a pasted API URL) is not part of the base path.
+     * @param {string} url - Normalized URL
+     * @returns {Object} { url, basePath, flavourHint }
+     */
+    splitInstanceUrl(url) {
+        try {
+            const parsed = new URL(url);
+            let path = parsed.pathname.replace(/\/+$/, '');
+            let flavourHint = null;
+            for (const [key, flavour] of Object.entries(API_FLAVOURS)) {
+                const lower = path.toLowerCase();
+                const suffix = [`${flavour.prefix}/ping`, flavour.prefix].find(s => lower.endsWith(s));
+                if (suffix) {
+                    path = path.slice(0, -suffix.length);
+                    flavourHint = key;
+                    break;
+                }
+            }
+            return { url: `${parsed.origin}${path}`, basePath: path, flavourHint };
+        } catch (_e) {
+            return { url, basePath: '', flavourHint: null };
+        }
+    }
+
+    /**
+     * Flavours to probe for a new instance, hinted flavour first
+     * @param {string|null} flavourHint - Flavour suggested by the typed URL
+     * @returns {Array<string>} Flavour keys
+     */
+    getProbeOrder(flavourHint = null) {
+        const keys = Object.keys(API_FLAVOURS);
+        return flavourHint && keys.includes(flavourHint)
+            ? [flavourHint, ...keys.filter(k => k !== flavourHint)]
+            : keys;
+    }
+
+    /**
+     * Route name for an instance on the local proxy: host with dots as dashes, the port, then the base path
+     * (e.g. 'gw-example-com-port-443-plant1'); localhost is 'local' (e.g. 'local-port-8081').
+     * The port keeps two gateways on one host on separate routes.
+     * @param {string} url - Instance URL
+     * @returns {string} Proxy route name
+     */
+    getProxyName(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname;
+            const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+            const pathPart = parsed.pathname.replace(/\/+$/, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+            const hostPart = (host === '127.0.0.1' || host === 'localhost') ? 'local' : host.replace(/\./g, '-').toLowerCase();
+            return pathPart ? `${hostPart}-port-${port}-${pathPart}` : `${hostPart}-port-${port}`;
+        } catch (_e) {
+            return 'instance';
+        }
+    }
+}
+
+// Create singleton instance
+export const endpointResolver = new EndpointResolver();
+
+// Export individual methods for backward compatibility
+export const getApiPrefix = (url) => endpointResolver.getApiPrefix(url);
+export const buildApiPath = (url, endpoint) => endpointResolver.buildApiPath(url, endpoint);
+export const getProxyName = (url) => endpointResolver.getProxyName(url);
+export const splitInstanceUrl = (url) => endpointResolver.splitInstanceUrl(url);
+
+// Export singleton as default
+export default endpointResolver;
@@ -0,0 +1,1140 @@
+/**
+ * Response Normalizer for FogLAMP DataLink
+ * Turns each endpoint's raw FogLAMP payload into one documented internal model,
+ * records which payload shape (and FogLAMP version) was seen per instance,
+ * and flags fields it could not interpret instead of silently dropping them
+ */
+
+/**
+ * Every normalize* result carries a meta block:
+ * @typedef {Object} NormalizeMeta
+ * @property {string} endpoint - 'ping'|'statistics'|'assets'|'readings'|'summary'|'timespan'|'series'|'services'|
+ *   'schedules'|'tasks'|'categories'|'configItems'|'audit'|'auditCodes'|'statisticsHistory'|'alerts'|
+ *   'installedPlugins'|'availablePlugins'|'assetTracker'|'controlEntryPoints'|'controlEntryPoint'|'controlScripts'|
+ *   'supportBundles'
+ * @property {string} shape - Detected payload shape (e.g. 'array<{key,value}>', 'mapping', 'alias:start/end')
+ * @property {string|null} instance - Instance that served the payload (from the API manager's _instance tag)
+ * @property {string|null} version - FogLAMP version last reported by that instance's ping
+ * @property {Array<{field: string, reason: string, raw?: any}>} issues - Fields that could not be interpreted
+ *
+ * Models:
+ * - ping:       { uptime, dataRead, dataSent, dataPurged, authenticationOptional, serviceName, hostName,
+ *                 ipAddresses: string[], health, safeMode, version, alerts }
+ * - statistics: { values: { KEY: number } }   (keys upper-cased)
+ * - statisticsHistory: { interval, keys: string[], rows: [{ timestamp: Date|null, rawTimestamp, values: { KEY: number } }] }
+ * - assets:     { assets: [{ name, count }] }
+ * - readings:   { readings: [{ id, timestamp: Date|null, rawTimestamp, asset, reading: { dp: value } }] }
+ * - summary:    { datapoints: { dp: { min, max, average } } }
+ * - timespan:   { oldest: Date|null, newest: Date|null, oldestRaw, newestRaw }
+ * - series:     { points: [{ timestamp: Date|null, rawTimestamp, min, max, average }] }
+ * - services:   { services: [{ name, type, status, protocol, address, port, managementPort }] }
+ * - schedules:  { schedules: [{ id, name, processName, type, repeatSeconds, time, day, exclusive, enabled }] }
+ * - tasks:      { tasks: [{ id, name, processName, state, startTime: Date|null, endTime: Date|null, startRaw, endRaw, exitCode, reason }] }
+ * - categories: { categories: [{ key, description, displayName }] }
+ * - configItems: { items: [{ name, type, description, displayName, default, value, readOnly, options, minimum, maximum, length, order }] }
+ * - audit:      { entries: [{ timestamp: Date|null, rawTimestamp, source, severity, details }], totalCount }
+ * - auditCodes: { codes: [{ code, description }] }
+ * - alerts:     { alerts: [{ key, message, urgency, timestamp: Date|null, rawTimestamp }] }
+ * - installedPlugins: { plugins: [{ name, type, version, description, packageName, installedDirectory }] }
+ * - availablePlugins: { packages: [{ packageName, type, name }] }
+ * - assetTracker: { entries: [{ asset, event, service, plugin, timestamp: Date|null, rawTimestamp, deprecated, deprecatedAt: Date|null }] }
+ * - controlEntryPoints: { entryPoints: [{ name, description, permitted }] }
+ * - controlEntryPoint: { name, description, type, operationName, destination, destinationName, constants, variables, anonymous }
+ * - controlScripts: { scripts: [{ name, steps, acl }] }
+ * - supportBundles: { bundles: [{ name, created: Date|null, size: number|null }] }
+ */
+
+// Marker written to cells whose source field could not be interpreted
+export const UNINTERPRETED = '(unrecognized)';
+
+const STAT_ALIASES = {
+    min: ['min', 'minimum'],
+    max: ['max', 'maximum'],
+    average: ['average', 'avg', 'mean']
+};
+
+const TIMESPAN_ALIASES = {
+    oldest: ['oldest', 'start', 'first', 'minimum', 'min', 'earliest', 'from', 'oldestTimestamp'],
+    newest: ['newest', 'end', 'last', 'maximum', 'max', 'latest', 'to', 'newestTimestamp']
+};
+
+const TIMESTAMP_KEYS = ['timestamp', 'user_ts', 'ts', 'time', 'date'];
+
+// Numeric schedule type codes used by older FogLAMP builds
+const SCHEDULE_TYPES = { 1: 'STARTUP', 2: 'TIMED', 3: 'INTERVAL', 4: 'MANUAL' };
+
+// Audit severity by FogLAMP's numeric index
+const AUDIT_SEVERITIES = { 1: 'FAILURE', 2: 'ERROR', 3: 'WARNING', 4: 'INFORMATION' };
+
+// Alert urgency by the gateway's numeric index
+const ALERT_URGENCIES = { 1: 'CRITICAL', 2: 'HIGH', 3: 'NORMAL', 4: 'LOW' };
+
+// Support bundle file name: support-YYMMDD-HH-MM-SS.tar.gz (gateway clock)
+const SUPPORT_BUNDLE_NAME = /^support-(\d{2})(\d{2})(\d{2})-(\d{2})-(\d{2})-(\d{2})/;
+
+/**
+ * Response Normalizer Class
+ * Stateless per call; remembers detected shapes per instance for diagnostics
+ */
+export class ResponseNormalizer {
+
+    constructor() {
+        this.detected = new Map(); // instance URL → { version, shapes: { endpoint: shape }, issues: { endpoint: count } }
+    }
+
+    /**
+     * Normalize any endpoint's payload
+     * @param {string} endpoint - 'ping'|'statistics'|'assets'|'readings'|'summary'|'timespan'|'series'|'services'|'schedules'|'tasks'|
+     *   'categories'|'configItems'|'audit'|'auditCodes'|'statisticsHistory'|'alerts'|'installedPlugins'|'availablePlugins'|
+     *   'assetTracker'|'controlEntryPoints'|'controlEntryPoint'|'controlScripts'|'supportBundles'
+     * @param {any} raw - Raw payload
+     * @param {Object} options - Endpoint-specific options (e.g. { datapoint } for summary)
+     * @returns {Object} Model plus meta
+     */
+    normalize(endpoint, raw, options = {}) {
+        const handlers = {
+            ping: () => this.normalizePing(raw),
+            statistics: () => this.normalizeStatistics(raw),
+            statisticsHistory: () => this.normalizeStatisticsHistory(raw),
+            assets: () => this.normalizeAssets(raw),
+            readings: () => this.normalizeReadings(raw),
+            summary: () => this.normalizeSummary(raw, options.datapoint),
+            timespan: () => this.normalizeTimespan(raw),
+            series: () => this.normalizeSeries(raw),
+            services: () => this.normalizeServices(raw),
+            schedules: () => this.normalizeSchedules(raw),
+            tasks: () => this.normalizeTasks(raw),
+            categories: () => this.normalizeCategories(raw),
+            configItems: () => this.normalizeConfigItems(raw),
+            audit: () => this.normalizeAudit(raw),
+            auditCodes: () => this.normalizeAuditCodes(raw),
+            alerts: () => this.normalizeAlerts(raw),
+            installedPlugins: () => this.normalizeInstalledPlugins(raw),
+            availablePlugins: () => this.normalizeAvailablePlugins(raw),
+            assetTracker: () => this.normalizeAssetTracker(raw),
+            controlEntryPoints: () => this.normalizeControlEntryPoints(raw),
+            controlEntryPoint: () => this.normalizeControlEntryPoint(raw),
+            controlScripts: () => this.normalizeControlScripts(raw),
+            supportBundles: () => this.normalizeSupportBundles(raw)
+        };
+        if (!handlers[endpoint]) {
+            throw new Error(`Unknown endpoint for normalization: ${endpoint}`);
+        }
+        return handlers[endpoint]();
+    }
+
+    /**
+     * Normalize /foglamp/ping
+     * @param {Object} raw - Ping payload
+     * @returns {Object} Ping model plus meta
+     */
+    normalizePing(raw) {
+        const issues = [];
+        const p = raw && typeof raw === 'object' ? raw : {};
+        if (!raw || typeof raw !== 'object') issues.push({ field: 'ping', reason: 'payload is not an object', raw });
+
+        const bool = (field) => {
+            const v = p[field];
+            if (v == null) return null;
+            if (typeof v === 'boolean') return v;
+            if (v === 'true' || v === 'false') return v === 'true';
+            issues.push({ field, reason: 'not a boolean', raw: v });
+            return null;
+        };
+
+        let ipAddresses = p.ipAddresses ?? [];
+        if (typeof ipAddresses === 'string') ipAddresses = [ipAddresses];
+        if (!Array.isArray(ipAddresses)) {
+            issues.push({ field: 'ipAddresses', reason: 'not a list', raw: p.ipAddresses });
+            ipAddresses = [];
+        }
+
+        const model = {
+            uptime: this._number(p.uptime, 'uptime', issues),
+            dataRead: this._number(p.dataRead, 'dataRead', issues),
+            dataSent: this._number(p.dataSent, 'dataSent', issues),
+            dataPurged: this._number(p.dataPurged, 'dataPurged', issues),
+            authenticationOptional: bool('authenticationOptional'),
+            serviceName: p.serviceName ?? null,
+            hostName: p.hostName ?? null,
+            ipAddresses,
+            health: p.health ?? null,
+            safeMode: bool('safeMode'),
+            version: p.version != null ? String(p.version) : null,
+            alerts: p.alerts ?? null
+        };
+
+        // Ping is where the version comes from; remember it for every later payload from this instance
+        const instance = this._instanceOf(raw);
+        if (instance && model.version) this._record(instance).version = model.version;
+
+        const shape = model.version ? `ping(v${model.version})` : 'ping(no version)';
+        return { ...model, meta: this._meta('ping', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/statistics
+     * @param {Array|Object} raw - [{ key, description, value }] or { KEY: value }
+     * @returns {Object} { values: { KEY: number }, meta }
+     */
+    normalizeStatistics(raw) {
+        const issues = [];
+        const values = {};
+        let shape = 'unknown';
+
+        if (Array.isArray(raw)) {
+            shape = 'array<{key,value}>';
+            raw.forEach((item, idx) => {
+                if (!item || item.key == null) {
+                    issues.push({ field: `statistics[${idx}]`, reason: 'entry without key', raw: item });
+                    return;
+                }
+                values[String(item.key).toUpperCase()] = this._number(item.value, `statistics.${item.key}`, issues);
+            });
+        } else if (raw && typeof raw === 'object') {
+            shape = 'mapping';
+            Object.keys(raw).forEach(key => {
+                values[key.toUpperCase()] = this._number(raw[key], `statistics.${key}`, issues);
+            });
+        } else {
+            issues.push({ field: 'statistics', reason: 'payload is neither a list nor an object', raw });
+        }
+
+        return { values, meta: this._meta('statistics', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/statistics/history
+     * @param {Object} raw - { interval, statistics: [{ history_ts, KEY: value, ... }] }
+     * @returns {Object} { interval (seconds), keys (sorted, upper-cased), rows: oldest first, meta }
+     */
+    normalizeStatisticsHistory(raw) {
+        const issues = [];
+        const rows = [];
+        const keys = new Set();
+        const list = Array.isArray(raw) ? raw : raw?.statistics;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'statistics', reason: 'payload has no statistics list', raw });
+        } else {
+            let badTimestamps = 0;
+            list.forEach((entry, idx) => {
+                if (!entry || typeof entry !== 'object') {
+                    issues.push({ field: `statistics[${idx}]`, reason: 'entry is not an object', raw: entry });
+                    return;
+                }
+                const rawTimestamp = entry.history_ts ?? entry.historyTs ?? entry.timestamp ?? null;
+                const timestamp = this.parseTimestamp(rawTimestamp);
+                if (!timestamp) badTimestamps++;
+                const values = {};
+                Object.keys(entry).forEach(key => {
+                    if (['history_ts', 'historyTs', 'timestamp'].includes(key)) return;
+                    const upper = key.toUpperCase();
+                    values[upper] = this._number(entry[key], `statistics[${idx}].${key}`, issues);
+                    keys.add(upper);
+                });
+                rows.push({ timestamp, rawTimestamp, values });
+            });
+            if (badTimestamps > 0) {
+                issues.push({ field: 'history_ts', reason: `${badTimestamps} of ${list.length} rows have no parseable timestamp` });
+            }
+            rows.sort((a, b) => (a.timestamp?.getTime() ?? Infinity) - (b.timestamp?.getTime() ?? Infinity));
+        }
+
+        return {
+            interval: this._number(raw?.interval, 'interval', issues),
+            keys: Array.from(keys).sort(),
+            rows,
+            meta: this._meta('statisticsHistory', raw, Array.isArray(raw) ? 'array<history>' : '{interval,statistics:[...]}', issues)
+        };
+    }
+
+    /**
+     * Normalize /foglamp/asset (asset list)
+     * @param {Array} raw - [{ assetCode, count }] (older builds: strings or { asset|name })
+     * @returns {Object} { assets: [{ name, count }], meta }
+     */
+    normalizeAssets(raw) {
+        const issues = [];
+        const assets = [];
+        const shapes = new Set();
+
+        if (!Array.isArray(raw)) {
+            issues.push({ field: 'assets', reason: 'payload is not a list', raw });
+        } else {
+            raw.forEach((entry, idx) => {
+                if (typeof entry === 'string') {
+                    shapes.add('string');
+                    assets.push({ name: entry, count: null });
+                    return;
+                }
+                const name = entry?.assetCode ?? entry?.asset_code ?? entry?.asset ?? entry?.name;
+                if (name == null) {
+                    issues.push({ field: `assets[${idx}]`, reason: 'no asset name', raw: entry });
+                    return;
+                }
+                shapes.add(entry.assetCode != null ? '{assetCode,count}' : '{asset|name}');
+                assets.push({ name: String(name), count: this._number(entry.count, `assets.${name}.count`, issues) });
+            });
+        }
+
+        const shape = shapes.size ? `array<${Array.from(shapes).join('|')}>` : 'empty';
+        return { assets, meta: this._meta('assets', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/asset/{code}[/{datapoint}] readings
+     * @param {Array} raw - [{ id?, timestamp|user_ts, reading: { dp: value } }]
+     * @returns {Object} { readings: [...], meta }
+     */
+    normalizeReadings(raw) {
+        const issues = [];
+        const readings = [];
+        let badTimestamps = 0;
+        let timestampKey = null;
+
+        if (!Array.isArray(raw)) {
+            issues.push({ field: 'readings', reason: 'payload is not a list', raw });
+        } else {
+            raw.forEach((r, idx) => {
+                if (!r || typeof r !== 'object') {
+                    issues.push({ field: `readings[${idx}]`, reason: 'entry is not an object', raw: r });
+                    return;
+                }
+                const key = TIMESTAMP_KEYS.find(k => r[k] != null && r[k] !== '');
+                timestampKey = timestampKey || key || null;
+                const rawTimestamp = key ? r[key] : null;
+                const timestamp = this.parseTimestamp(rawTimestamp);
+                if (!timestamp) badTimestamps++;
+                const reading = r.reading && typeof r.reading === 'object' ? r.reading : {};
+                readings.push({ id: r.id ?? null, timestamp, rawTimestamp, asset: r.asset_code ?? r.asset ?? null, reading });
+            });
+        }
+        if (badTimestamps > 0) {
+            issues.push({ field: 'timestamp', reason: `${badTimestamps} of ${readings.length} readings have no parseable timestamp` });
+        }
+
+        const shape = `array<{${timestampKey || 'no timestamp'},reading}>`;
+        return { readings, meta: this._meta('readings', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/asset/{code}[/{datapoint}]/summary
+     * Accepts a dp → stats mapping, a list of single-key mappings, or a bare stats object
+     * (which needs the datapoint name from the caller)
+     * @param {Array|Object} raw - Summary payload
+     * @param {string|null} datapoint - Datapoint the request was made for
+     * @returns {Object} { datapoints: { dp: { min, max, average } }, meta }
+     */
+    normalizeSummary(raw, datapoint = null) {
+        const issues = [];
+        const datapoints = {};
+        let shape = 'unknown';
+        let mapping = null;
+
+        if (Array.isArray(raw)) {
+            shape = 'array<{dp:stats}>';
+            mapping = raw.reduce((acc, obj) => {
+                if (obj && typeof obj === 'object') Object.assign(acc, obj);
+                return acc;
+            }, {});
+        } else if (raw && typeof raw === 'object') {
+            if (this._isStatsNode(raw)) {
+                shape = 'stats';
+                if (datapoint) {
+                    mapping = { [datapoint]: raw };
+                } else {
+                    issues.push({ field: 'summary', reason: 'bare statistics without a datapoint name', raw });
+                    mapping = { [UNINTERPRETED]: raw };
+                }
+            } else {
+                shape = 'mapping{dp:stats}';
+                mapping = raw;
+            }
+        } else if (raw != null) {
+            issues.push({ field: 'summary', reason: 'payload is neither a list nor an object', raw });
+        }
+
+        Object.keys(mapping || {}).forEach(dp => {
+            const node = mapping[dp];
+            if (!this._isStatsNode(node)) {
+                issues.push({ field: `summary.${dp}`, reason: 'no min/max/average fields', raw: node });
+                datapoints[dp] = { min: UNINTERPRETED, max: UNINTERPRETED, average: UNINTERPRETED };
+                return;
+            }
+            const stats = {};
+            Object.keys(STAT_ALIASES).forEach(stat => {
+                const alias = STAT_ALIASES[stat].find(k => node[k] != null);
+                stats[stat] = alias
+                    ? this._number(node[alias], `summary.${dp}.${stat}`, issues, UNINTERPRETED)
+                    : this._missing(`summary.${dp}.${stat}`, issues);
+            });
+            datapoints[dp] = stats;
+        });
+
+        return { datapoints, meta: this._meta('summary', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/asset/{code}/timespan (or one entry of /foglamp/asset/timespan)
+     * @param {Array|Object} raw - { oldest, newest } (aliases such as start/end are accepted and reported)
+     * @returns {Object} { oldest: Date|null, newest: Date|null, oldestRaw, newestRaw, meta }
+     */
+    normalizeTimespan(raw) {
+        const issues = [];
+        const obj = Array.isArray(raw) ? (raw[0] || {}) : (raw && typeof raw === 'object' ? raw : {});
+        if (raw == null || typeof raw !== 'object') {
+            issues.push({ field: 'timespan', reason: 'payload is not an object', raw });
+        }
+
+        const aliasesUsed = [];
+        const pick = (which) => {
+            const present = (k) => Object.prototype.hasOwnProperty.call(obj, k) && obj[k] != null && obj[k] !== '';
+            // Some builds only return a single top-level timestamp; it then bounds both ends
+            const key = TIMESPAN_ALIASES[which].find(present) || TIMESTAMP_KEYS.find(present);
+            if (!key) {
+                issues.push({ field: `timespan.${which}`, reason: 'field missing' });
+                return { raw: null, date: null };
+            }
+            aliasesUsed.push(key);
+            const value = obj[key];
+            const date = this.parseTimestamp(value);
+            if (!date) issues.push({ field: `timespan.${which}`, reason: 'unparseable timestamp', raw: value });
+            return { raw: value, date };
+        };
+
+        const oldest = pick('oldest');
+        const newest = pick('newest');
+        const shape = aliasesUsed.every(k => k === 'oldest' || k === 'newest')
+            ? `${Array.isArray(raw) ? 'array<' : ''}{oldest,newest}${Array.isArray(raw) ? '>' : ''}`
+            : `alias:${aliasesUsed.join('/')}`;
+
+        return {
+            oldest: oldest.date,
+            newest: newest.date,
+            oldestRaw: oldest.raw,
+            newestRaw: newest.raw,
+            meta: this._meta('timespan', raw, shape, issues)
+        };
+    }
+
+    /**
+     * Normalize /foglamp/asset/{code}/{datapoint}/series
+     * @param {Array} raw - [{ timestamp, min, max, average }]
+     * @returns {Object} { points: [...], meta }
+     */
+    normalizeSeries(raw) {
+        const issues = [];
+        const points = [];
+        let badTimestamps = 0;
+
+        if (!Array.isArray(raw)) {
+            issues.push({ field: 'series', reason: 'payload is not a list', raw });
+        } else {
+            raw.forEach((p, idx) => {
+                if (!p || typeof p !== 'object') {
+                    issues.push({ field: `series[${idx}]`, reason: 'entry is not an object', raw: p });
+                    return;
+                }
+                const key = TIMESTAMP_KEYS.find(k => p[k] != null && p[k] !== '');
+                const rawTimestamp = key ? p[key] : null;
+                const timestamp = this.parseTimestamp(rawTimestamp);
+                if (!timestamp) badTimestamps++;
+                const point = { timestamp, rawTimestamp };
+                Object.keys(STAT_ALIASES).forEach(stat => {
+                    const alias = STAT_ALIASES[stat].find(k => p[k] != null);
+                    point[stat] = alias ? this._number(p[alias], `series[${idx}].${stat}`, issues, UNINTERPRETED) : null;
+                });
+                points.push(point);
+            });
+        }
+        if (badTimestamps > 0) {
+            issues.push({ field: 'timestamp', reason: `${badTimestamps} of ${points.length} points have no parseable timestamp` });
+        }
+
+        return { points, meta: this._meta('series', raw, 'array<{timestamp,min,max,average}>', issues) };
+    }
+
+    /**
+     * Normalize /foglamp/service
+     * @param {Object|Array} raw - { services: [{ name, type, status, protocol, address, service_port, management_port }] }
+     * @returns {Object} { services: [{ name, type, status, protocol, address, port, managementPort }], meta }
+     */
+    normalizeServices(raw) {
+        const issues = [];
+        const services = [];
+        const list = Array.isArray(raw) ? raw : raw?.services;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'services', reason: 'payload has no services list', raw });
+        } else {
+            list.forEach((s, idx) => {
+                if (!s || typeof s !== 'object' || s.name == null) {
+                    issues.push({ field: `services[${idx}]`, reason: 'no service name', raw: s });
+                    return;
+                }
+                const name = String(s.name);
+                services.push({
+                    name,
+                    type: s.type != null ? String(s.type) : UNINTERPRETED,
+                    status: s.status != null ? String(s.status).toLowerCase() : this._missing(`services.${name}.status`, issues),
+                    protocol: s.protocol ?? null,
+                    address: s.address ?? null,
+                    port: this._number(s.service_port ?? s.servicePort ?? s.port, `services.${name}.port`, issues),
+                    managementPort: this._number(s.management_port ?? s.managementPort, `services.${name}.managementPort`, issues)
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<service>' : '{services:[...]}';
+        return { services, meta: this._meta('services', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/schedule
+     * @param {Object|Array} raw - { schedules: [{ id, name, processName, type, repeat, time, day, exclusive, enabled }] }
+     * @returns {Object} { schedules: [{ id, name, processName, type, repeatSeconds, time, day, exclusive, enabled }], meta }
+     */
+    normalizeSchedules(raw) {
+        const issues = [];
+        const schedules = [];
+        const list = Array.isArray(raw) ? raw : raw?.schedules;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'schedules', reason: 'payload has no schedules list', raw });
+        } else {
+            list.forEach((s, idx) => {
+                if (!s || typeof s !== 'object' || s.id == null) {
+                    issues.push({ field: `schedules[${idx}]`, reason: 'no schedule id', raw: s });
+                    return;
+                }
+                const name = s.name != null ? String(s.name) : String(s.id);
+                // Older builds send the type as its numeric code
+                let type = s.type;
+                if (typeof type === 'number' || /^\d+$/.test(String(type ?? ''))) {
+                    type = SCHEDULE_TYPES[Number(type)] ?? null;
+                }
+                if (type == null) issues.push({ field: `schedules.${name}.type`, reason: 'unknown schedule type', raw: s.type });
+                schedules.push({
+                    id: String(s.id),
+                    name,
+                    processName: s.processName ?? s.process_name ?? null,
+                    type: type != null ? String(type).toUpperCase() : UNINTERPRETED,
+                    repeatSeconds: this._duration(s.repeat, `schedules.${name}.repeat`, issues),
+                    time: this._duration(s.time, `schedules.${name}.time`, issues),
+                    day: this._number(s.day, `schedules.${name}.day`, issues),
+                    exclusive: s.exclusive === true || s.exclusive === 'true',
+                    enabled: s.enabled === true || s.enabled === 'true' || s.enabled === 't'
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<schedule>' : '{schedules:[...]}';
+        return { schedules, meta: this._meta('schedules', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/task and /foglamp/task/latest
+     * @param {Object|Array} raw - { tasks: [{ id, name, processName, state, startTime, endTime, exitCode, reason }] }
+     * @returns {Object} { tasks: [{ id, name, processName, state, startTime: Date, endTime: Date, startRaw, endRaw, exitCode, reason }], meta }
+     */
+    normalizeTasks(raw) {
+        const issues = [];
+        const tasks = [];
+        const list = Array.isArray(raw) ? raw : raw?.tasks;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'tasks', reason: 'payload has no tasks list', raw });
+        } else {
+            list.forEach((t, idx) => {
+                if (!t || typeof t !== 'object') {
+                    issues.push({ field: `tasks[${idx}]`, reason: 'entry is not an object', raw: t });
+                    return;
+                }
+                const startRaw = t.startTime ?? t.start_time ?? null;
+                const endRaw = t.endTime ?? t.end_time ?? null;
+                const startTime = this.parseTimestamp(startRaw);
+                const endTime = this.parseTimestamp(endRaw);
+                if (startRaw != null && startRaw !== '' && !startTime) issues.push({ field: `tasks[${idx}].startTime`, reason: 'unparseable timestamp', raw: startRaw });
+                tasks.push({
+                    id: t.id != null ? String(t.id) : null,
+                    name: t.name ?? t.schedule_name ?? null,
+                    processName: t.processName ?? t.process_name ?? null,
+                    state: t.state ?? null,
+                    startTime,
+                    endTime,
+                    startRaw,
+                    endRaw,
+                    exitCode: this._number(t.exitCode ?? t.exit_code, `tasks[${idx}].exitCode`, issues),
+                    reason: t.reason || null
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<task>' : '{tasks:[...]}';
+        return { tasks, meta: this._meta('tasks', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/category and /foglamp/category/{name}/children
+     * @param {Object|Array} raw - { categories: [{ key, description, displayName }] }
+     * @returns {Object} { categories: [{ key, description, displayName }], meta }
+     */
+    normalizeCategories(raw) {
+        const issues = [];
+        const categories = [];
+        const list = Array.isArray(raw) ? raw : raw?.categories;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'categories', reason: 'payload has no categories list', raw });
+        } else {
+            list.forEach((c, idx) => {
+                if (!c || typeof c !== 'object' || c.key == null) {
+                    issues.push({ field: `categories[${idx}]`, reason: 'no category key', raw: c });
+                    return;
+                }
+                categories.push({
+                    key: String(c.key),
+                    description: c.description ?? '',
+                    displayName: c.displayName ?? c.display_name ?? String(c.key)
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<category>' : '{categories:[...]}';
+        return { categories, meta: this._meta('categories', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/category/{name} (a mapping of item name → item)
+     * Values are kept as FogLAMP strings; JSON values that arrive as objects are serialized
+     * @param {Object} raw - { itemName: { type, description, default, value, readonly, options, minimum, maximum, length, order } }
+     * @returns {Object} { items: [{ name, type, description, displayName, default, value, readOnly, options, minimum, maximum, length, order }], meta }
+     */
+    normalizeConfigItems(raw) {
+        const issues = [];
+        const items = [];
+        const text = (v) => (v == null ? null : (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            issues.push({ field: 'category', reason: 'payload is not an item mapping', raw });
+        } else {
+            Object.entries(raw).forEach(([name, item]) => {
+                if (!item || typeof item !== 'object') {
+                    issues.push({ field: `category.${name}`, reason: 'item is not an object', raw: item });
+                    return;
+                }
+                items.push({
+                    name,
+                    type: item.type != null ? String(item.type) : this._missing(`category.${name}.type`, issues),
+                    description: item.description ?? '',
+                    displayName: item.displayName ?? name,
+                    default: text(item.default),
+                    value: text(item.value ?? item.default),
+                    readOnly: item.readonly === true || item.readonly === 'true',
+                    options: Array.isArray(item.options) ? item.options.map(String) : null,
+                    minimum: this._number(item.minimum, `category.${name}.minimum`, issues),
+                    maximum: this._number(item.maximum, `category.${name}.maximum`, issues),
+                    length: this._number(item.length, `category.${name}.length`, issues),
+                    order: this._number(item.order, `category.${name}.order`, issues)
+                });
+            });
+            items.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name));
+        }
+
+        return { items, meta: this._meta('configItems', raw, 'mapping<item>', issues) };
+    }
+
+    /**
+     * Normalize /foglamp/audit
+     * @param {Object|Array} raw - { audit: [{ timestamp, source, severity, details }], totalCount }
+     * @returns {Object} { entries: [{ timestamp: Date, rawTimestamp, source, severity, details }], totalCount, meta }
+     */
+    normalizeAudit(raw) {
+        const issues = [];
+        const entries = [];
+        const list = Array.isArray(raw) ? raw : raw?.audit;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'audit', reason: 'payload has no audit list', raw });
+        } else {
+            let badTimestamps = 0;
+            list.forEach((a, idx) => {
+                if (!a || typeof a !== 'object') {
+                    issues.push({ field: `audit[${idx}]`, reason: 'entry is not an object', raw: a });
+                    return;
+                }
+                const rawTimestamp = a.timestamp ?? a.ts ?? null;
+                const timestamp = this.parseTimestamp(rawTimestamp);
+                if (!timestamp) badTimestamps++;
+                let severity = a.severity;
+                if (typeof severity === 'number' || /^\d+$/.test(String(severity ?? ''))) {
+                    severity = AUDIT_SEVERITIES[Number(severity)] ?? null;
+                }
+                entries.push({
+                    timestamp,
+                    rawTimestamp,
+                    source: a.source != null ? String(a.source) : UNINTERPRETED,
+                    severity: severity != null ? String(severity).toUpperCase() : UNINTERPRETED,
+                    details: a.details ?? null
+                });
+            });
+            if (badTimestamps > 0) {
+                issues.push({ field: 'timestamp', reason: `${badTimestamps} of ${list.length} entries have no parseable timestamp` });
+            }
+        }
+
+        const shape = Array.isArray(raw) ? 'array<audit>' : '{audit:[...],totalCount}';
+        return {
+            entries,
+            totalCount: this._number(raw?.totalCount, 'totalCount', issues) ?? entries.length,
+            meta: this._meta('audit', raw, shape, issues)
+        };
+    }
+
+    /**
+     * Normalize /foglamp/audit/logcode
+     * @param {Object|Array} raw - { logCode: [{ code, description }] }
+     * @returns {Object} { codes: [{ code, description }], meta }
+     */
+    normalizeAuditCodes(raw) {
+        const issues = [];
+        const list = Array.isArray(raw) ? raw : raw?.logCode ?? raw?.log_code;
+        const codes = [];
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'logCode', reason: 'payload has no log code list', raw });
+        } else {
+            list.forEach((c, idx) => {
+                if (!c || c.code == null) {
+                    issues.push({ field: `logCode[${idx}]`, reason: 'no code', raw: c });
+                    return;
+                }
+                codes.push({ code: String(c.code), description: c.description ?? '' });
+            });
+        }
+        const shape = Array.isArray(raw) ? 'array<logCode>' : '{logCode:[...]}';
+        return { codes, meta: this._meta('auditCodes', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/alert
+     * @param {Object|Array} raw - { alerts: [{ key, message, urgency, timestamp }] }
+     * @returns {Object} { alerts: [{ key, message, urgency, timestamp: Date, rawTimestamp }], meta }
+     */
+    normalizeAlerts(raw) {
+        const issues = [];
+        const alerts = [];
+        const list = Array.isArray(raw) ? raw : raw?.alerts;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'alerts', reason: 'payload has no alerts list', raw });
+        } else {
+            list.forEach((a, idx) => {
+                if (!a || a.key == null) {
+                    issues.push({ field: `alerts[${idx}]`, reason: 'no key', raw: a });
+                    return;
+                }
+                let urgency = a.urgency;
+                if (typeof urgency === 'number' || /^\d+$/.test(String(urgency ?? ''))) {
+                    urgency = ALERT_URGENCIES[Number(urgency)] ?? null;
+                }
+                const rawTimestamp = a.timestamp ?? a.ts ?? null;
+                alerts.push({
+                    key: String(a.key),
+                    message: a.message != null ? String(a.message) : this._missing(`alerts.${a.key}.message`, issues),
+                    urgency: urgency != null ? String(urgency).toUpperCase() : UNINTERPRETED,
+                    timestamp: this.parseTimestamp(rawTimestamp),
+                    rawTimestamp
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<alert>' : '{alerts:[...]}';
+        return { alerts, meta: this._meta('alerts', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/plugins/installed
+     * @param {Object|Array} raw - { plugins: [{ name, type, description, version, installedDirectory, packageName }] }
+     * @returns {Object} { plugins: [{ name, type (lower case), version, description, packageName, installedDirectory }], meta }
+     */
+    normalizeInstalledPlugins(raw) {
+        const issues = [];
+        const plugins = [];
+        const list = Array.isArray(raw) ? raw : raw?.plugins;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'plugins', reason: 'payload has no plugin list', raw });
+        } else {
+            list.forEach((p, idx) => {
+                if (!p || p.name == null) {
+                    issues.push({ field: `plugins[${idx}]`, reason: 'no name', raw: p });
+                    return;
+                }
+                const name = String(p.name);
+                plugins.push({
+                    name,
+                    type: p.type != null ? String(p.type).toLowerCase() : this._missing(`plugins.${name}.type`, issues),
+                    version: p.version != null ? String(p.version) : this._missing(`plugins.${name}.version`, issues),
+                    description: p.description ?? '',
+                    packageName: p.packageName ?? null,
+                    installedDirectory: p.installedDirectory ?? null
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<plugin>' : '{plugins:[...]}';
+        return { plugins, meta: this._meta('installedPlugins', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/plugins/available
+     * Package names follow "<flavour>-<type>-<name>" (e.g. foglamp-south-modbus); other names keep an empty type
+     * @param {Object|Array} raw - { plugins: ['foglamp-south-modbus', ...], link }
+     * @returns {Object} { packages: [{ packageName, type, name }], meta }
+     */
+    normalizeAvailablePlugins(raw) {
+        const issues = [];
+        const packages = [];
+        const list = Array.isArray(raw) ? raw : raw?.plugins;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'plugins', reason: 'payload has no package list', raw });
+        } else {
+            list.forEach((p, idx) => {
+                const packageName = typeof p === 'string' ? p : p?.packageName ?? p?.name;
+                if (!packageName) {
+                    issues.push({ field: `plugins[${idx}]`, reason: 'no package name', raw: p });
+                    return;
+                }
+                const m = String(packageName).match(/^(?:foglamp|fledge)-([a-z]+)-(.+)$/i);
+                packages.push({
+                    packageName: String(packageName),
+                    type: m ? m[1].toLowerCase() : '',
+                    name: m ? m[2] : String(packageName)
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<package>' : '{plugins:[...]}';
+        return { packages, meta: this._meta('availablePlugins', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/track
+     * @param {Object|Array} raw - { track: [{ asset, event, service, plugin, timestamp, deprecatedTimestamp }] }
+     * @returns {Object} { entries: [{ asset, event (Ingest|Filter|Egress|...), service, plugin, timestamp: Date,
+     *   rawTimestamp, deprecated, deprecatedAt: Date }], meta }
+     */
+    normalizeAssetTracker(raw) {
+        const issues = [];
+        const entries = [];
+        const list = Array.isArray(raw) ? raw : raw?.track;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'track', reason: 'payload has no track list', raw });
+        } else {
+            list.forEach((t, idx) => {
+                const asset = t?.asset ?? t?.asset_code;
+                if (asset == null) {
+                    issues.push({ field: `track[${idx}]`, reason: 'no asset', raw: t });
+                    return;
+                }
+                const event = t.event != null ? String(t.event) : this._missing(`track.${asset}.event`, issues);
+                const rawTimestamp = t.timestamp ?? null;
+                const deprecatedRaw = t.deprecatedTimestamp ?? t.deprecated_ts ?? '';
+                entries.push({
+                    asset: String(asset),
+                    // "ingest" and "Ingest" both occur; keep one spelling
+                    event: event === UNINTERPRETED ? event : event.charAt(0).toUpperCase() + event.slice(1).toLowerCase(),
+                    service: t.service != null ? String(t.service) : this._missing(`track.${asset}.service`, issues),
+                    plugin: t.plugin != null ? String(t.plugin) : '',
+                    timestamp: this.parseTimestamp(rawTimestamp),
+                    rawTimestamp,
+                    deprecated: deprecatedRaw !== '' && deprecatedRaw != null,
+                    deprecatedAt: deprecatedRaw ? this.parseTimestamp(deprecatedRaw) : null
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<track>' : '{track:[...]}';
+        return { entries, meta: this._meta('assetTracker', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/control/manage
+     * @param {Object|Array} raw - { controls: [{ name, description, permitted }] }
+     * @returns {Object} { entryPoints: [{ name, description, permitted }], meta }
+     */
+    normalizeControlEntryPoints(raw) {
+        const issues = [];
+        const entryPoints = [];
+        const list = Array.isArray(raw) ? raw : raw?.controls;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'controls', reason: 'payload has no control list', raw });
+        } else {
+            list.forEach((c, idx) => {
+                if (!c || c.name == null) {
+                    issues.push({ field: `controls[${idx}]`, reason: 'no name', raw: c });
+                    return;
+                }
+                entryPoints.push({
+                    name: String(c.name),
+                    description: c.description ?? '',
+                    // Older builds do not say; the request is checked by the gateway either way
+                    permitted: c.permitted !== false
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<control>' : '{controls:[...]}';
+        return { entryPoints, meta: this._meta('controlEntryPoints', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/control/manage/{name}
+     * @param {Object} raw - { name, description, type, operation_name, destination, service|asset|script, constants, variables, anonymous }
+     * @returns {Object} { name, description, type ('write'|'operation'), operationName, destination, destinationName,
+     *   constants: { k: string }, variables: { k: string (default) }, anonymous, meta }
+     */
+    normalizeControlEntryPoint(raw) {
+        const issues = [];
+        const c = raw && typeof raw === 'object' ? raw : {};
+        if (!raw || typeof raw !== 'object') issues.push({ field: 'control', reason: 'payload is not an object', raw });
+
+        const map = (field) => {
+            const value = c[field];
+            if (value == null) return {};
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                issues.push({ field, reason: 'not a mapping', raw: value });
+                return {};
+            }
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, v == null ? '' : String(v)]));
+        };
+
+        const destination = c.destination != null ? String(c.destination).toLowerCase() : 'broadcast';
+        return {
+            name: c.name != null ? String(c.name) : this._missing('name', issues),
+            description: c.description ?? '',
+            type: c.type != null ? String(c.type).toLowerCase() : this._missing('type', issues),
+            operationName: c.operation_name ?? c.operationName ?? null,
+            destination,
+            destinationName: c[destination] != null && destination !== 'broadcast' ? String(c[destination]) : null,
+            constants: map('constants'),
+            variables: map('variables'),
+            anonymous: c.anonymous === true || c.anonymous === 'true',
+            meta: this._meta('controlEntryPoint', raw, 'control', issues)
+        };
+    }
+
+    /**
+     * Normalize /foglamp/control/script
+     * @param {Object|Array} raw - { scripts: [{ name, steps: [...], acl }] }
+     * @returns {Object} { scripts: [{ name, steps (count), acl }], meta }
+     */
+    normalizeControlScripts(raw) {
+        const issues = [];
+        const scripts = [];
+        const list = Array.isArray(raw) ? raw : raw?.scripts;
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'scripts', reason: 'payload has no script list', raw });
+        } else {
+            list.forEach((s, idx) => {
+                if (!s || s.name == null) {
+                    issues.push({ field: `scripts[${idx}]`, reason: 'no name', raw: s });
+                    return;
+                }
+                scripts.push({
+                    name: String(s.name),
+                    steps: Array.isArray(s.steps) ? s.steps.length : null,
+                    acl: s.acl ? String(s.acl) : ''
+                });
+            });
+        }
+
+        const shape = Array.isArray(raw) ? 'array<script>' : '{scripts:[...]}';
+        return { scripts, meta: this._meta('controlScripts', raw, shape, issues) };
+    }
+
+    /**
+     * Normalize /foglamp/support
+     * The gateway lists file names only; the creation time comes from the name (gateway clock, read as UTC).
+     * Entries given as objects ({ name, size, created }) are accepted as well.
+     * @param {Object|Array} raw - { "bundle files": ['support-240501-10-00-00.tar.gz', ...] }
+     * @returns {Object} { bundles: [{ name, created: Date|null, size: number|null }] newest first, meta }
+     */
+    normalizeSupportBundles(raw) {
+        const issues = [];
+        const bundles = [];
+        const list = Array.isArray(raw) ? raw : (raw?.['bundle files'] ?? raw?.bundles);
+
+        if (!Array.isArray(list)) {
+            issues.push({ field: 'bundle files', reason: 'payload has no bundle list', raw });
+        } else {
+            list.forEach((b, idx) => {
+                const name = typeof b === 'string' ? b : b?.name ?? b?.file;
+                if (!name) {
+                    issues.push({ field: `bundle files[${idx}]`, reason: 'no file name', raw: b });
+                    return;
+                }
+                const match = SUPPORT_BUNDLE_NAME.exec(String(name));
+                const created = typeof b === 'object' && b.created != null
+                    ? this.parseTimestamp(b.created)
+                    : match ? new Date(Date.UTC(2000 + Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]), Number(match[6]))) : null;
+                bundles.push({
+                    name: String(name),
+                    created,
+                    size: typeof b === 'object' ? this._number(b.size, `bundle files[${idx}].size`, issues) : null
+                });
+            });
+        }
+
+        bundles.sort((a, b) => (b.created?.getTime() ?? 0) - (a.created?.getTime() ?? 0) || b.name.localeCompare(a.name));
+        const shape = Array.isArray(raw) ? 'array<bundle>' : '{bundle files:[...]}';
+        return { bundles, meta: this._meta('supportBundles', raw, shape, issues) };
+    }
+
+    /**
+     * Parse any FogLAMP timestamp encoding to a Date (UTC):
+     * "YYYY-MM-DD HH:MM:SS.micros" strings, ISO strings, numbers in microseconds,
+     * milliseconds or seconds since epoch, Excel serial dates, and { timestamp|user_ts|... } wrappers
+     * @param {string|number|Object} value - Timestamp value
+     * @returns {Date|null} Date, or null when the value cannot be interpreted
+     */
+    parseTimestamp(value) {
+        if (value == null || value === '') return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+        let d = null;
+        if (typeof value === 'string') {
+            const m = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
+            if (m) {
+                const frac = m[7] || '0';
+                const ms = Math.round(parseInt(frac.padEnd(6, '0').slice(0, 6), 10) / 1000); // microseconds -> ms
+                d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6], ms));
+            } else {
+                d = new Date(value);
+            }
+        } else if (typeof value === 'number') {
+            if (value > 1e14) d = new Date(Math.round(value / 1000));          // microseconds
+            else if (value > 1e12) d = new Date(value);                         // milliseconds
+            else if (value > 1e9) d = new Date(value * 1000);                   // seconds
+            else if (value > 25569 && value < 100000) d = new Date((value - 25569) * 86400000); // Excel serial
+            else return null;
+        } else if (typeof value === 'object') {
+            const key = TIMESTAMP_KEYS.find(k => value[k] != null && value[k] !== '');
+            return key ? this.parseTimestamp(value[key]) : null;
+        }
+        return d && !isNaN(d.getTime()) ? d : null;
+    }
+
+    /**
+     * Detected FogLAMP version and payload shapes for an instance
+     * @param {string} url - Instance URL
+     * @returns {Object|null} { version, shapes: { endpoint: shape }, issues: { endpoint: count } }
+     */
+    getDetected(url) {
+        return this.detected.get(url) || null;
+    }
+
+    /**
+     * Detected versions and shapes for all instances seen so far
+     * @returns {Object} Map of instance URL → detection record
+     */
+    getAllDetected() {
+        return Object.fromEntries(this.detected);
+    }
+
+    /**
+     * @private
+     */
+    _isStatsNode(node) {
+        return !!node && typeof node === 'object' && !Array.isArray(node)
+            && Object.values(STAT_ALIASES).some(aliases => aliases.some(k => Object.prototype.hasOwnProperty.call(node, k)));
+    }
+
+    /**
+     * Coerce a numeric field; numeric strings are accepted, anything else is flagged
+     * @private
+     */
+    _number(value, field, issues, fallback = null) {
+        if (value == null || value === '') return null;
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+        issues.push({ field, reason: 'not a number', raw: value });
+        return fallback;
+    }
+
+    /**
+     * Coerce a duration to seconds: numbers, numeric strings, "HH:MM:SS" and "N days HH:MM:SS"
+     * @private
+     */
+    _duration(value, field, issues) {
+        if (value == null || value === '') return null;
+        if (typeof value === 'number') return value;
+        const text = String(value).trim();
+        if (!isNaN(Number(text))) return Number(text);
+        const m = text.match(/^(?:(\d+)\s+days?,?\s*)?(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+        if (m) {
+            return (Number(m[1] || 0) * 86400) + (Number(m[2]) * 3600) + (Number(m[3]) * 60) + Number(m[4]);
+        }
+        issues.push({ field, reason: 'not a duration', raw: value });
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _missing(field, issues) {
+        issues.push({ field, reason: 'field missing' });
+        return UNINTERPRETED;
+    }
+
+    /**
+     * @private
+     */
+    _instanceOf(raw) {
+        return (raw && typeof raw === 'object' && raw._instance) || null;
+    }
+
+    /**
+     * @private
+     */
+    _record(instance) {
+        if (!this.detected.has(instance)) {
+            this.detected.set(instance, { version: null, shapes: {}, issues: {} });
+        }
+        return this.detected.get(instance);
+    }
+
+    /**
+     * Build the meta block and remember the shape for the serving instance
+     * @private
+     */
+    _meta(endpoint, raw, shape, issues) {
+        const instance = this._instanceOf(raw);
+        let version = null;
+        if (instance) {
+            const record = this._record(instance);
+            record.shapes[endpoint] = shape;
+            record.issues[endpoint] = issues.length;
+            version = record.version;
+        }
+        if (issues.length > 0) {
+            console.warn(`⚠️ ${endpoint} payload from ${instance || 'unknown instance'} (${shape}): ${issues.length} field(s) not interpreted`, issues);
+        }
+        return { endpoint, shape, instance, version, issues };
+    }
+}
+
+// Create singleton instance
+export const responseNormalizer = new ResponseNormalizer();
+
+// Export individual methods for backward compatibility
+export const normalizeResponse = (endpoint, raw, options) => responseNormalizer.normalize(endpoint, raw, options);
+export const parseTimestamp = (value) => responseNormalizer.parseTimestamp(value);
+
+// Export singleton as default
+export default responseNormalizer;
@@ -0,0 +1,163 @@
+/**
+ * Request Scheduler for FogLAMP DataLink
+ * Queues every FogLAMP request behind per-instance and global concurrency limits,
+ * with priority lanes so interactive calls overtake bulk exports
+ */
+
+import { SCHEDULER_CONFIG } from './config.js';
+import { createAbortError } from './utils.js';
+
+/**
+ * Priority lanes, highest first
+ */
+export const REQUEST_PRIORITIES = ['interactive', 'normal', 'bulk'];
+
+/**
+ * Request Scheduler Class
+ * Runs queued tasks as capacity frees up; within a lane tasks start in arrival order
+ */
+export class RequestScheduler {
+
+    /**
+     * @param {Object} limits - { maxConcurrent, maxPerInstance } (defaults from SCHEDULER_CONFIG)
+     */
+    constructor(limits = {}) {
+        this.maxConcurrent = limits.maxConcurrent || SCHEDULER_CONFIG.MAX_CONCURRENT;
+        this.maxPerInstance = limits.maxPerInstance || SCHEDULER_CONFIG.MAX_PER_INSTANCE;
+        this.queues = new Map(REQUEST_PRIORITIES.map(priority => [priority, []]));
+        this.activeTotal = 0;
+        this.activeByKey = new Map(); // instance key → running task count
+        this.counters = { completed: 0, failed: 0, cancelled: 0 };
+        this.waitStats = { total: 0, count: 0, max: 0 };
+    }
+
+    /**
+     * Queue a task and resolve with its result once it has run
+     * @param {string} key - Instance key (base URL) the per-instance limit applies to
+     * @param {Function} task - Async function performing the request
+     * @param {Object} options - { priority: 'interactive'|'normal'|'bulk', signal }
+     * @returns {Promise<any>} Task result
+     */
+    schedule(key, task, options = {}) {
+        const priority = REQUEST_PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+        const { signal } = options;
+
+        if (signal?.aborted) {
+            this.counters.cancelled++;
+            return Promise.reject(createAbortError('Request cancelled'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { key: key || 'default', task, resolve, reject, signal, queuedAt: Date.now(), onAbort: null };
+
+            // Drop the entry from its queue if cancelled before it starts
+            if (signal) {
+                entry.onAbort = () => {
+                    const queue = this.queues.get(priority);
+                    const index = queue.indexOf(entry);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                        this.counters.cancelled++;
+                        reject(createAbortError('Request cancelled'));
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.queues.get(priority).push(entry);
+            this._drain();
+        });
+    }
+
+    /**
+     * Start queued tasks while global and per-instance capacity allows
+     * @private
+     */
+    _drain() {
+        while (this.activeTotal < this.maxConcurrent) {
+            const entry = this._takeNext();
+            if (!entry) return;
+            this._run(entry);
+        }
+    }
+
+    /**
+     * Remove and return the first runnable entry, scanning lanes by priority.
+     * Entries whose instance is at its limit are skipped so other instances are not held up.
+     * @private
+     */
+    _takeNext() {
+        for (const priority of REQUEST_PRIORITIES) {
+            const queue = this.queues.get(priority);
+            const index = queue.findIndex(entry => (this.activeByKey.get(entry.key) || 0) < this.maxPerInstance);
+            if (index !== -1) {
+                return queue.splice(index, 1)[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run one entry and release its slot when it settles
+     * @private
+     */
+    async _run(entry) {
+        if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+
+        const waited = Date.now() - entry.queuedAt;
+        this.waitStats.total += waited;
+        this.waitStats.count++;
+        this.waitStats.max = Math.max(this.waitStats.max, waited);
+
+        this.activeTotal++;
+        this.activeByKey.set(entry.key, (this.activeByKey.get(entry.key) || 0) + 1);
+
+        try {
+            const result = await entry.task();
+            this.counters.completed++;
+            entry.resolve(result);
+        } catch (error) {
+            if (error?.name === 'AbortError' && entry.signal?.aborted) this.counters.cancelled++;
+            else this.counters.failed++;
+            entry.reject(error);
+        } finally {
+            this.activeTotal--;
+            const remaining = (this.activeByKey.get(entry.key) || 1) - 1;
+            if (remaining > 0) this.activeByKey.set(entry.key, remaining);
+            else this.activeByKey.delete(entry.key);
+            this._drain();
+        }
+    }
+
+    /**
+     * Queue statistics for status reporting
+     * @returns {Object} Limits, running/queued counts per lane and instance, totals and wait times
+     */
+    getStats() {
+        const queued = {};
+        const byInstance = {};
+        for (const [priority, queue] of this.queues) {
+            queued[priority] = queue.length;
+            queue.forEach(entry => {
+                byInstance[entry.key] = byInstance[entry.key] || { active: 0, queued: 0 };
+                byInstance[entry.key].queued++;
+            });
+        }
+        for (const [key, active] of this.activeByKey) {
+            byInstance[key] = byInstance[key] || { active: 0, queued: 0 };
+            byInstance[key].active = active;
+        }
+
+        return {
+            limits: { maxConcurrent: this.maxConcurrent, maxPerInstance: this.maxPerInstance },
+            active: this.activeTotal,
+            queued,
+            byInstance,
+            ...this.counters,
+            avgWaitMs: this.waitStats.count ? Math.round(this.waitStats.total / this.waitStats.count) : 0,
+            maxWaitMs: this.waitStats.max
+        };
+    }
+}
+
+export default RequestScheduler;
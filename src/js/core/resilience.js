@@ -0,0 +1,298 @@
+/**
+ * Resilience Policy for FogLAMP DataLink
+ * Retries idempotent requests with exponential backoff and jitter,
+ * and keeps a circuit breaker per instance so unreachable gateways fail fast
+ */
+
+import { RESILIENCE_CONFIG } from './config.js';
+import { createAbortError } from './utils.js';
+
+/**
+ * Circuit breaker states
+ */
+export const BREAKER_STATES = {
+    CLOSED: 'closed',       // Requests flow normally
+    OPEN: 'open',           // Failing fast until the cooling-off period ends
+    HALF_OPEN: 'half-open'  // One trial request decides whether to close or re-open
+};
+
+/**
+ * Resilience Policy Class
+ * Wraps a request function with retry/backoff and per-instance circuit breaking
+ */
+export class ResiliencePolicy {
+
+    /**
+     * @param {Object} config - Overrides for RESILIENCE_CONFIG values
+     */
+    constructor(config = {}) {
+        this.config = { ...RESILIENCE_CONFIG, ...config };
+        this.breakers = new Map(); // instance key → { state, failures, openedAt, lastError, trialInFlight }
+        this.stateChangeHandler = null;
+    }
+
+    /**
+     * Register a callback invoked as (key, breakerState) whenever a breaker changes state
+     * @param {Function} handler - State change callback
+     */
+    setStateChangeHandler(handler) {
+        this.stateChangeHandler = typeof handler === 'function' ? handler : null;
+    }
+
+    /**
+     * Run a request under the policy
+     * @param {string} key - Instance key (base URL) the breaker belongs to
+     * @param {Function} request - Async function performing one attempt
+     * @param {Object} options - Request options: method, signal, retries (override), probe (bypass an open breaker)
+     * @returns {Promise<any>} Request result
+     */
+    async execute(key, request, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const maxRetries = method === 'GET'
+            ? (options.retries ?? this.config.MAX_RETRIES)
+            : 0; // Never replay non-idempotent requests
+
+        for (let attempt = 0; ; attempt++) {
+            this._checkBreaker(key, options.probe);
+
+            try {
+                const result = await request();
+                this._recordSuccess(key);
+                return result;
+            } catch (error) {
+                const retryable = this.isRetryable(error, options.signal);
+                if (retryable) this._recordFailure(key, error);
+                else this._releaseTrial(key, error);
+
+                if (!retryable || attempt >= maxRetries || this.getBreakerState(key).state === BREAKER_STATES.OPEN) {
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt);
+                console.warn(`🔁 Retry ${attempt + 1}/${maxRetries} for ${key} in ${delay}ms: ${error.message}`);
+                await this._sleep(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Whether an error is worth retrying (and counts against the breaker):
+     * network failures, timeouts, HTTP 5xx and 429. Caller cancellation never is.
+     * @param {Error} error - Error from a request attempt
+     * @param {AbortSignal} signal - Caller signal, if any
+     * @returns {boolean} True when retryable
+     */
+    isRetryable(error, signal = null) {
+        if (!error || signal?.aborted || error.name === 'CircuitOpenError') return false;
+        const cause = error.cause || error;
+        const status = error.status ?? cause.status;
+        if (typeof status === 'number') {
+            return status === 429 || status >= 500;
+        }
+        // Timeouts abort the fetch without a caller signal
+        if (cause.name === 'AbortError' || cause.name === 'TimeoutError') return true;
+        // fetch rejects with TypeError on connection/DNS/TLS failures
+        if (cause.name === 'TypeError') return true;
+        const message = String(cause.message || '').toLowerCase();
+        return ['failed to fetch', 'networkerror', 'network request failed', 'econnreset', 'econnrefused', 'etimedout', 'not reachable']
+            .some(fragment => message.includes(fragment));
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const ceiling = Math.min(this.config.MAX_DELAY_MS, this.config.BASE_DELAY_MS * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Current breaker state for an instance
+     * @param {string} key - Instance key (base URL)
+     * @returns {Object} { state, failures, openedAt, retryAt, lastError }
+     */
+    getBreakerState(key) {
+        const breaker = this.breakers.get(key);
+        if (!breaker) {
+            return { state: BREAKER_STATES.CLOSED, failures: 0, openedAt: null, retryAt: null, lastError: null };
+        }
+        // An open breaker whose cooling-off period has ended lets one trial request through
+        if (breaker.state === BREAKER_STATES.OPEN && Date.now() >= breaker.openedAt + this.config.BREAKER_COOLDOWN_MS) {
+            this._setState(key, breaker, BREAKER_STATES.HALF_OPEN);
+        }
+        return {
+            state: breaker.state,
+            failures: breaker.failures,
+            openedAt: breaker.openedAt,
+            retryAt: breaker.state === BREAKER_STATES.OPEN ? breaker.openedAt + this.config.BREAKER_COOLDOWN_MS : null,
+            lastError: breaker.lastError
+        };
+    }
+
+    /**
+     * States of all breakers that are not closed
+     * @returns {Object} Map of key → breaker state
+     */
+    getOpenBreakers() {
+        const result = {};
+        for (const key of this.breakers.keys()) {
+            const state = this.getBreakerState(key);
+            if (state.state !== BREAKER_STATES.CLOSED) result[key] = state;
+        }
+        return result;
+    }
+
+    /**
+     * Close the breaker for an instance (or all instances)
+     * @param {string} key - Optional instance key
+     */
+    reset(key = null) {
+        const keys = key ? [key] : Array.from(this.breakers.keys());
+        keys.forEach(k => {
+            const breaker = this.breakers.get(k);
+            if (breaker) {
+                clearTimeout(breaker.cooldownTimer);
+                this.breakers.delete(k);
+                if (breaker.state !== BREAKER_STATES.CLOSED) this._notify(k);
+            }
+        });
+    }
+
+    /**
+     * Throw when the breaker rejects a request; claims the trial slot when half-open
+     * @private
+     */
+    _checkBreaker(key, probe) {
+        const { state, retryAt, failures } = this.getBreakerState(key);
+        // Explicit probes (e.g. a user-initiated ping) may always test the instance
+        if (probe || state === BREAKER_STATES.CLOSED) return;
+
+        const breaker = this.breakers.get(key);
+        if (state === BREAKER_STATES.HALF_OPEN && !breaker.trialInFlight) {
+            breaker.trialInFlight = true;
+            return;
+        }
+
+        const waitSecs = retryAt ? Math.max(1, Math.ceil((retryAt - Date.now()) / 1000)) : null;
+        const error = new Error(waitSecs
+            ? `Instance unavailable: ${failures} consecutive failures, retrying in ${waitSecs}s`
+            : 'Instance unavailable: trial request in progress');
+        error.name = 'CircuitOpenError';
+        error.retryAt = retryAt;
+        throw error;
+    }
+
+    /**
+     * @private
+     */
+    _recordSuccess(key) {
+        const breaker = this.breakers.get(key);
+        if (!breaker) return;
+        clearTimeout(breaker.cooldownTimer);
+        this.breakers.delete(key);
+        if (breaker.state !== BREAKER_STATES.CLOSED) {
+            console.log(`✅ Circuit closed for ${key}`);
+            this._notify(key);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _recordFailure(key, error) {
+        const breaker = this.breakers.get(key) || { state: BREAKER_STATES.CLOSED, failures: 0, openedAt: null, lastError: null, trialInFlight: false };
+        this.breakers.set(key, breaker);
+        breaker.failures++;
+        breaker.lastError = error.message;
+        breaker.trialInFlight = false;
+
+        // A failed probe while open restarts the cooling-off period
+        if (breaker.state === BREAKER_STATES.OPEN) {
+            breaker.openedAt = Date.now();
+            this._scheduleHalfOpen(key, breaker);
+            this._notify(key);
+            return;
+        }
+
+        const failedTrial = breaker.state === BREAKER_STATES.HALF_OPEN;
+        if (failedTrial || (breaker.state === BREAKER_STATES.CLOSED && breaker.failures >= this.config.BREAKER_THRESHOLD)) {
+            breaker.openedAt = Date.now();
+            console.warn(`⛔ Circuit open for ${key} after ${breaker.failures} failures (cooling off ${this.config.BREAKER_COOLDOWN_MS}ms)`);
+            this._setState(key, breaker, BREAKER_STATES.OPEN);
+            this._scheduleHalfOpen(key, breaker);
+        }
+    }
+
+    /**
+     * Move an open breaker to half-open (and notify) once its cooling-off period ends
+     * @private
+     */
+    _scheduleHalfOpen(key, breaker) {
+        clearTimeout(breaker.cooldownTimer);
+        breaker.cooldownTimer = setTimeout(() => {
+            if (this.breakers.get(key) === breaker) this.getBreakerState(key);
+        }, this.config.BREAKER_COOLDOWN_MS + 50);
+    }
+
+    /**
+     * A non-retryable error still proves the instance answered (or the caller gave up)
+     * @private
+     */
+    _releaseTrial(key, error) {
+        const breaker = this.breakers.get(key);
+        if (!breaker || error?.name === 'CircuitOpenError') return;
+        // HTTP errors such as 401/404 mean the instance is reachable
+        if (typeof (error.status ?? error.cause?.status) === 'number') {
+            this._recordSuccess(key);
+        } else {
+            breaker.trialInFlight = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setState(key, breaker, state) {
+        if (breaker.state === state) return;
+        breaker.state = state;
+        this._notify(key);
+    }
+
+    /**
+     * @private
+     */
+    _notify(key) {
+        if (!this.stateChangeHandler) return;
+        // Deferred: handlers re-render UI that reads breaker state, which may itself change state
+        setTimeout(() => {
+            try {
+                this.stateChangeHandler(key, this.getBreakerState(key));
+            } catch (error) {
+                console.warn('Breaker state handler failed:', error.message);
+            }
+        }, 0);
+    }
+
+    /**
+     * Wait between attempts; rejects early when the caller cancels
+     * @private
+     */
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(createAbortError('Request cancelled'));
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError('Request cancelled'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+export default ResiliencePolicy;
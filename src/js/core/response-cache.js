@@ -0,0 +1,176 @@
+/**
+ * Response Cache for FogLAMP DataLink
+ * Merges identical in-flight GETs into one request and keeps short-lived
+ * copies of cheap, frequently repeated responses (ping, statistics, asset list)
+ */
+
+import { CACHE_CONFIG } from './config.js';
+import { createAbortError } from './utils.js';
+
+/**
+ * Response Cache Class
+ * Keys are opaque strings (the API manager uses instance URL + endpoint)
+ */
+export class ResponseCache {
+
+    /**
+     * @param {Object} config - Overrides for CACHE_CONFIG values
+     */
+    constructor(config = {}) {
+        this.config = { ...CACHE_CONFIG, ...config, TTL_MS: { ...CACHE_CONFIG.TTL_MS, ...(config.TTL_MS || {}) } };
+        this.entries = new Map();  // key → { data, storedAt, expiresAt }
+        this.inFlight = new Map(); // key → { promise, controller, waiters, generation }
+        this.generation = 0;       // Bumped by every invalidate()
+        this.invalidated = new Map(); // key prefix ('' = everything) → generation of its last invalidation
+        this.counters = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 };
+    }
+
+    /**
+     * Cache lifetime configured for an endpoint kind
+     * @param {string} kind - Endpoint kind (e.g. 'ping', 'assets'); unknown kinds are not cached
+     * @returns {number} TTL in milliseconds (0 = coalesce only)
+     */
+    getTtl(kind) {
+        return (kind && this.config.TTL_MS[kind]) || 0;
+    }
+
+    /**
+     * Return a fresh cached value, join an identical in-flight request, or start one
+     * @param {string} key - Request identity
+     * @param {number} ttlMs - How long a successful result stays fresh (0 = do not store)
+     * @param {Function} loader - (signal) => Promise; the signal aborts once every caller has given up
+     * @param {Object} options - { bypass: skip the stored value (in-flight requests are still shared), signal }.
+     *   A request in flight since before an invalidate() of its key is never shared: it may carry pre-write data.
+     * @returns {Promise<any>} Response data (shared between callers; treat as read-only)
+     */
+    fetch(key, ttlMs, loader, options = {}) {
+        const { bypass = false, signal = null } = options;
+        if (signal?.aborted) return Promise.reject(createAbortError('Request cancelled'));
+
+        if (bypass) {
+            this.counters.bypassed++;
+        } else {
+            const entry = this.entries.get(key);
+            if (entry && Date.now() < entry.expiresAt) {
+                this.counters.hits++;
+                return Promise.resolve(entry.data);
+            }
+        }
+
+        let flight = this.inFlight.get(key);
+        if (flight && this._isStale(key, flight.generation)) flight = null;
+        if (flight) {
+            this.counters.coalesced++;
+        } else {
+            this.counters.misses++;
+            flight = this._start(key, ttlMs, loader);
+        }
+        return this._wait(flight, signal);
+    }
+
+    /**
+     * Drop stored responses. In-flight requests are left to finish for their callers, but their
+     * result is not stored and later callers start a new request.
+     * @param {string} prefix - Optional key prefix (e.g. an instance URL); clears everything when omitted
+     */
+    invalidate(prefix = null) {
+        this.generation++;
+        if (!prefix) {
+            this.invalidated.clear();
+            this.invalidated.set('', this.generation);
+            this.entries.clear();
+            return;
+        }
+        this.invalidated.set(prefix, this.generation);
+        for (const key of Array.from(this.entries.keys())) {
+            if (key.startsWith(prefix)) this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Cache statistics for status reporting
+     * @returns {Object} Entry and in-flight counts plus hit/miss/coalesce counters
+     */
+    getStats() {
+        return {
+            entries: this.entries.size,
+            inFlight: this.inFlight.size,
+            ttlMs: { ...this.config.TTL_MS },
+            ...this.counters
+        };
+    }
+
+    /**
+     * Start the shared request; its controller aborts only when every waiter has cancelled
+     * @private
+     */
+    _start(key, ttlMs, loader) {
+        const controller = new AbortController();
+        const flight = { controller, waiters: 0, promise: null, generation: this.generation };
+
+        flight.promise = (async () => {
+            try {
+                const data = await loader(controller.signal);
+                if (ttlMs > 0 && !this._isStale(key, flight.generation)) {
+                    this._store(key, data, ttlMs);
+                }
+                return data;
+            } finally {
+                if (this.inFlight.get(key) === flight) this.inFlight.delete(key);
+            }
+        })();
+        // Waiters observe the outcome; this keeps a fully-cancelled flight from reporting an unhandled rejection
+        flight.promise.catch(() => {});
+
+        this.inFlight.set(key, flight);
+        return flight;
+    }
+
+    /**
+     * Whether the key was invalidated after the given generation (a request started then may predate a write)
+     * @private
+     */
+    _isStale(key, generation) {
+        for (const [prefix, invalidatedAt] of this.invalidated) {
+            if (invalidatedAt > generation && key.startsWith(prefix)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Resolve with the shared result, or reject early when this caller's signal aborts
+     * @private
+     */
+    _wait(flight, signal) {
+        flight.waiters++;
+        if (!signal) return flight.promise;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                flight.waiters--;
+                if (flight.waiters === 0) flight.controller.abort();
+                reject(createAbortError('Request cancelled'));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            flight.promise.then(
+                (data) => { signal.removeEventListener('abort', onAbort); resolve(data); },
+                (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+            );
+        });
+    }
+
+    /**
+     * Store a result, evicting the oldest entries beyond MAX_ENTRIES
+     * @private
+     */
+    _store(key, data, ttlMs) {
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { data, storedAt: now, expiresAt: now + ttlMs });
+        while (this.entries.size > this.config.MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+export default ResponseCache;
@@ -97,6 +97,46 @@ export class InstanceStorage {
         this.saveInstanceMetadata(allMeta);
     }
 
+    /**
+     * Get the stored login session for an instance
+     * @param {string} url - Instance URL
+     * @returns {Object|null} Session ({ token, user, loggedInAt }) or null when not logged in
+     */
+    getAuthSession(url) {
+        const meta = this.getInstanceMeta(url);
+        if (!meta.authToken) return null;
+        return {
+            token: meta.authToken,
+            user: meta.authUser || '',
+            loggedInAt: meta.authLoggedInAt || null
+        };
+    }
+
+    /**
+     * Store a login session token for an instance
+     * @param {string} url - Instance URL
+     * @param {Object} session - Session details ({ token, user })
+     */
+    setAuthSession(url, session) {
+        this.updateInstanceMeta(url, {
+            authToken: session.token,
+            authUser: session.user || '',
+            authLoggedInAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Forget the login session for an instance (logout or expired token)
+     * @param {string} url - Instance URL
+     */
+    clearAuthSession(url) {
+        this.updateInstanceMeta(url, {
+            authToken: null,
+            authUser: null,
+            authLoggedInAt: null
+        });
+    }
+
     /**
      * Get enhanced instance list with metadata
      * @returns {Array} Array of enhanced instance objects
@@ -124,6 +164,19 @@ export class InstanceStorage {
         return url;
     }
 
+    /**
+     * Path part of an instance URL (the base path a gateway is published under)
+     * @param {string} url - Normalized URL
+     * @returns {string} Path without trailing slash, '' at the root
+     */
+    getUrlPath(url) {
+        try {
+            return new URL(url).pathname.replace(/\/+$/, '');
+        } catch (_e) {
+            return '';
+        }
+    }
+
     /**
      * Add new instance
      * @param {string} baseUrl - Instance URL to add
@@ -149,6 +202,8 @@ export class InstanceStorage {
                 lastPingMs: options.lastPingMs || null,
                 lastCheckedAt: options.lastCheckedAt || null,
                 lastError: options.lastError || null,
+                apiFlavour: options.apiFlavour || null,
+                basePath: options.basePath ?? this.getUrlPath(url),
                 addedAt: new Date().toISOString()
             });
         }
@@ -292,6 +347,9 @@ export const updateInstanceMeta = (url, updates) => instanceStorage.updateInstan
 export const getEnhancedInstances = () => instanceStorage.getEnhancedInstances();
 export const getActiveInstanceWithMeta = () => instanceStorage.getActiveInstanceWithMeta();
 export const normalizeBaseUrl = (input) => instanceStorage.normalizeBaseUrl(input);
+export const getAuthSession = (url) => instanceStorage.getAuthSession(url);
+export const setAuthSession = (url, session) => instanceStorage.setAuthSession(url, session);
+export const clearAuthSession = (url) => instanceStorage.clearAuthSession(url);
 
 // Export singleton as default
 export default instanceStorage;
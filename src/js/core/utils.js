@@ -184,3 +184,33 @@ export function formatDatePattern(input, pattern) {
 export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
+
+/**
+ * Create the error thrown when an operation is cancelled through an AbortSignal
+ * @param {string} message - Error message
+ * @returns {Error} Error with name 'AbortError'
+ */
+export function createAbortError(message = 'Operation cancelled') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * Check whether an error represents a cancellation
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
@@ -4,8 +4,9 @@
  */
 
 import { elements } from '../ui/elements.js';
-import { normalizeBaseUrl, addInstance, getInstances } from '../core/storage.js';
-import { INSTANCE_STATUS } from '../core/config.js';
+import { normalizeBaseUrl, addInstance, getInstances, updateInstanceMeta } from '../core/storage.js';
+import { INSTANCE_STATUS, API_FLAVOURS } from '../core/config.js';
+import { splitInstanceUrl } from '../core/endpoints.js';
 import { logMessage } from '../ui/console.js';
 
 /**
@@ -39,7 +40,9 @@ export class EventHandlerManager {
         if (!baseUrlInput) return;
 
         const baseUrl = baseUrlInput.value.trim();
-        const url = normalizeBaseUrl(baseUrl);
+        const normalized = normalizeBaseUrl(baseUrl);
+        // A pasted API URL (".../foglamp" or ".../fledge/ping") registers the gateway itself
+        const url = normalized ? splitInstanceUrl(normalized).url : '';
 
         if (!url) {
             this.showAddFeedback("Please enter a valid URL", "error");
@@ -60,18 +63,21 @@ export class EventHandlerManager {
         this.hideAddActions();
 
         try {
-            // Ping the URL for validation
-            const pingResult = await this.pingUrlForValidation(url, 8000);
+            // Ping the URL as typed so a pasted '/fledge' path is probed first
+            const pingResult = await this.pingUrlForValidation(normalized, 8000);
             
+            const flavourLabel = API_FLAVOURS[pingResult.apiFlavour]?.label;
             if (pingResult.ok) {
                 // Success - show Add/Skip options
-                this.showAddFeedback("✅ Ping successful! Instance is reachable", "success");
+                this.showAddFeedback(`✅ Ping successful! ${flavourLabel || 'Instance'} is reachable`, "success");
                 this.toggleAddActions(true, url, pingResult);
                 
                 logMessage('info', 'Instance validation successful', { 
                     url, 
                     hostName: pingResult.hostName,
-                    status: pingResult.status
+                    status: pingResult.status,
+                    flavour: flavourLabel,
+                    basePath: pingResult.basePath || '/'
                 });
             } else {
                 // Failed - still show Add/Skip options
@@ -168,7 +174,7 @@ export class EventHandlerManager {
             logMessage('info', '🔄 Phase 2: Testing all instance connectivity...');
             
             const pingPromises = instances.map(url => 
-                this.pingInstanceSafely(url).catch(error => ({
+                this.pingInstanceSafely(url, { bypassCache: true }).catch(error => ({
                     url,
                     success: false,
                     error: error.message
@@ -304,9 +310,9 @@ export class EventHandlerManager {
             // Fetch comprehensive data for the currently active instance URL explicitly
             const activeUrl = window.getActiveInstance ? window.getActiveInstance() : (activeInstance?.url || null);
             const [ping, stats, assets] = await Promise.allSettled([
-                activeUrl ? window.FogLAMP.api.pingForUrl(activeUrl) : this.fetchPingData(),
-                activeUrl ? window.FogLAMP.api.statisticsForUrl(activeUrl) : this.fetchStatisticsData(), 
-                activeUrl ? window.FogLAMP.api.assetsForUrl(activeUrl) : this.fetchAssetsData()
+                activeUrl ? window.FogLAMP.api.pingForUrl(activeUrl, { priority: 'interactive' }) : this.fetchPingData(),
+                activeUrl ? window.FogLAMP.api.statisticsForUrl(activeUrl, { priority: 'interactive' }) : this.fetchStatisticsData(), 
+                activeUrl ? window.FogLAMP.api.assetsForUrl(activeUrl, { priority: 'interactive' }) : this.fetchAssetsData()
             ]);
 
             // Prepare summary data
@@ -363,6 +369,54 @@ export class EventHandlerManager {
             }
         });
 
+        // Services: taskpane list for the active instance and sheet export for all instances
+        this.addEventListenerSafely('loadServices', 'click', () => window.FogLAMP.services.loadServicesForActiveInstance());
+        this.addEventListenerSafely('exportServices', 'click', () => window.FogLAMP.services.handleExportServices());
+
+        // Alerts: badge and list live in the instance rows; the export covers all instances
+        this.addEventListenerSafely('exportAlerts', 'click', () => window.FogLAMP.alerts.handleExportAlerts());
+
+        // Plugin inventory across instances, and packages available for install on the active instance
+        this.addEventListenerSafely('exportInventory', 'click', () => window.FogLAMP.inventory.handleExportInventory());
+        this.addEventListenerSafely('listAvailablePlugins', 'click', () => window.FogLAMP.inventory.handleListAvailablePlugins());
+
+        // Asset lineage: chain for the selected asset in the taskpane, all assets in a sheet
+        this.addEventListenerSafely('showLineage', 'click', () => window.FogLAMP.lineage.showLineageForSelectedAsset());
+        this.addEventListenerSafely('exportLineage', 'click', () => window.FogLAMP.lineage.handleExportLineage());
+
+        // Purge readings / delete the selected asset (two-step confirmation, recorded per instance)
+        this.addEventListenerSafely('purgeAsset', 'click', () => window.FogLAMP.assets.handlePurgeAsset());
+        this.addEventListenerSafely('deleteAsset', 'click', () => window.FogLAMP.assets.handleDeleteAsset());
+
+        // Worksheet rows → readings through an HTTP south service (dry run by default)
+        this.addEventListenerSafely('ingestSelection', 'click', () => window.FogLAMP.ingest.handleIngestSelection());
+
+        // Schedules & tasks: list, enable/disable/run-now (buttons are bound per row) and run history export
+        this.addEventListenerSafely('loadSchedules', 'click', () => window.FogLAMP.schedules.loadSchedulesForActiveInstance());
+        this.addEventListenerSafely('exportTasks', 'click', () => window.FogLAMP.schedules.handleExportTasks());
+
+        // Control: entry points and scripts of the active instance, dispatch after confirmation (logged to a sheet)
+        this.addEventListenerSafely('loadControl', 'click', () => window.FogLAMP.control.loadControlForActiveInstance());
+        this.addEventListenerSafely('controlTarget', 'change', () => window.FogLAMP.control.describeTarget());
+        this.addEventListenerSafely('controlDispatch', 'click', () => window.FogLAMP.control.handleDispatch());
+
+        // Support bundles: create (waits until listed), list, download (buttons are bound per row)
+        this.addEventListenerSafely('createSupportBundle', 'click', () => window.FogLAMP.support.handleCreateBundle());
+        this.addEventListenerSafely('loadSupportBundles', 'click', () => window.FogLAMP.support.loadBundlesForActiveInstance());
+
+        // Statistics history: counters over time with chart
+        this.addEventListenerSafely('exportStatsHistory', 'click', () => window.FogLAMP.statistics.handleExportStatisticsHistory());
+
+        // Audit log: source codes load when the filter is first opened for an instance
+        this.addEventListenerSafely('auditSource', 'focus', () => window.FogLAMP.audit.loadSourceOptions());
+        this.addEventListenerSafely('exportAudit', 'click', () => window.FogLAMP.audit.handleExportAudit());
+
+        // Configuration round trip: export to a sheet, apply edited values back after confirmation
+        this.addEventListenerSafely('exportConfig', 'click', () => window.FogLAMP.configuration.handleExportConfiguration());
+        this.addEventListenerSafely('applyConfig', 'click', () => window.FogLAMP.configuration.handleApplyConfiguration());
+        this.addEventListenerSafely('compareConfig', 'click', () => window.FogLAMP.configuration.handleCompareConfiguration());
+        this.addEventListenerSafely('pushConfig', 'click', () => window.FogLAMP.configuration.handlePushConfiguration());
+
         // Export Asset Readings
         this.addEventListenerSafely('getReadings', 'click', () => {
             if (window.handleExportReadings) {
@@ -372,8 +426,17 @@ export class EventHandlerManager {
             }
         });
 
+        // Datapoint picker: search filters the checklist; picked datapoints are exported in the order picked
+        this.addEventListenerSafely('datapointSearch', 'input', () => window.FogLAMP.assets.renderDatapointPicker());
+        this.addEventListenerSafely('datapointClear', 'click', () => window.FogLAMP.assets.clearDatapointSelection());
+
+        // Cancel running export
+        this.addEventListenerSafely('cancelExport', 'click', () => {
+            window.FogLAMP.excel.cancelExport();
+        });
+
         // Update readings summary on input changes
-        ;['fl-asset-select','fl-asset','fl-datapoint','fl-limit','fl-skip','fl-seconds','fl-minutes','fl-hours','fl-previous']
+        ;['fl-asset-select','fl-asset','fl-limit','fl-skip','fl-seconds','fl-minutes','fl-hours','fl-previous']
             .forEach(id => {
                 const el = document.getElementById(id);
                 if (el) {
@@ -383,7 +446,7 @@ export class EventHandlerManager {
             });
 
         // Update readings summary on input changes
-        ['fl-asset-select','fl-asset','fl-datapoint','fl-limit','fl-skip','fl-seconds','fl-minutes','fl-hours','fl-previous','fl-ot-raw','fl-ot-combined']
+        ['fl-asset-select','fl-asset','fl-limit','fl-skip','fl-seconds','fl-minutes','fl-hours','fl-previous','fl-ot-raw','fl-ot-combined','fl-max-rows']
             .forEach(id => {
                 const el = document.getElementById(id);
                 if (el) {
@@ -546,8 +609,11 @@ export class EventHandlerManager {
             hostName: hostName,
             lastStatus: status,
             lastPingMs: pingResult.ok ? pingResult.pingMs : null,
-            lastCheckedAt: new Date().toISOString()
+            lastCheckedAt: new Date().toISOString(),
+            apiFlavour: pingResult.apiFlavour || null,
+            basePath: pingResult.basePath
         });
+        const authOptional = pingResult.data?.authenticationOptional;
 
         if (added) {
             logMessage('info', 'Instance added successfully', { 
@@ -567,6 +633,15 @@ export class EventHandlerManager {
 
             // Update UI
             this.updateUIAfterInstanceAdd();
+
+            // Instances with mandatory authentication need a login before anything else works
+            if (typeof authOptional === 'boolean') {
+                updateInstanceMeta(url, { authOptional });
+                if (authOptional === false) {
+                    logMessage('info', '🔒 Instance requires authentication', { url });
+                    window.FogLAMP.instances.promptLogin(url);
+                }
+            }
         } else {
             logMessage('error', 'Failed to add instance', { url });
         }
@@ -591,13 +666,14 @@ export class EventHandlerManager {
     /**
      * Safely ping instance with error handling
      * @param {string} url - Instance URL
+     * @param {Object} options - Ping options (e.g. bypassCache)
      * @returns {Promise<Object>} Ping result
      */
-    async pingInstanceSafely(url) {
+    async pingInstanceSafely(url, options = {}) {
         if (window.pingInstance) {
-            return await window.pingInstance(url);
+            return await window.pingInstance(url, options);
         } else if (window.instancePingManager) {
-            return await window.instancePingManager.pingInstance(url);
+            return await window.instancePingManager.pingInstance(url, options);
         } else {
             throw new Error('Ping function not available');
         }
@@ -621,46 +697,51 @@ export class EventHandlerManager {
     }
 
     /**
-     * Direct ping validation fallback
+     * Direct ping validation fallback (tries each API flavour's ping route)
      * @param {string} url - URL to ping
      * @param {number} timeout - Timeout in ms
      * @returns {Promise<Object>} Ping result
      */
     async directPingValidation(url, timeout) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        
-        try {
-            const response = await fetch(`${url}/foglamp/ping`, {
-                method: 'GET',
-                headers: { 'Accept': 'application/json' },
-                signal: controller.signal
-            });
+        const base = splitInstanceUrl(url).url;
+        let lastResult = { ok: false, error: 'Connection failed' };
+        for (const [flavour, { prefix }] of Object.entries(API_FLAVOURS)) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-            clearTimeout(timeoutId);
+            try {
+                const response = await fetch(`${base}${prefix}/ping`, {
+                    method: 'GET',
+                    headers: { 'Accept': 'application/json' },
+                    signal: controller.signal
+                });
 
-            if (response.ok) {
-                const data = await response.json();
-                return {
-                    ok: true,
-                    status: response.status,
-                    hostName: data.hostName || data.serviceName || '',
-                    data
-                };
-            } else {
-                return {
+                clearTimeout(timeoutId);
+
+                if (response.ok) {
+                    const data = await response.json();
+                    return {
+                        ok: true,
+                        status: response.status,
+                        hostName: data.hostName || data.serviceName || '',
+                        data,
+                        apiFlavour: flavour
+                    };
+                }
+                lastResult = {
                     ok: false,
                     status: response.status,
                     error: `HTTP ${response.status}`
                 };
+            } catch (error) {
+                clearTimeout(timeoutId);
+                lastResult = {
+                    ok: false,
+                    error: error.message || 'Connection failed'
+                };
             }
-        } catch (error) {
-            clearTimeout(timeoutId);
-            return {
-                ok: false,
-                error: error.message || 'Connection failed'
-            };
         }
+        return lastResult;
     }
 
     /**
@@ -759,10 +840,16 @@ export class EventHandlerManager {
                 .filter(Boolean);
             radios.forEach(r => r.addEventListener('change', () => { this.updateReadingsModeUI(); this.updateReadingsVisibility(); }));
             // Output type radios
-            const otRadios = ['fl-ot-raw','fl-ot-combined']
+            const otRadios = ['fl-ot-raw','fl-ot-combined','fl-ot-series']
                 .map(id => document.getElementById(id))
                 .filter(Boolean);
-            otRadios.forEach(r => r.addEventListener('change', () => this.updateReadingsVisibility()));
+            otRadios.forEach(r => r.addEventListener('change', () => { this.updateReadingsModeUI(); this.updateReadingsVisibility(); }));
+            // Series bucket/aggregate selects
+            [elements.seriesBucket(), elements.seriesAggregate()]
+                .filter(Boolean)
+                .forEach(sel => sel.addEventListener('change', () => this.updateReadingsSummary()));
+            const fetchAll = document.getElementById('fl-fetch-all');
+            if (fetchAll) fetchAll.addEventListener('change', () => this.updateReadingsModeUI());
             this.updateReadingsModeUI();
             this.updateReadingsVisibility();
             this.updateReadingsSummary();
@@ -783,6 +870,8 @@ export class EventHandlerManager {
             const previous = document.getElementById('fl-previous');
             const limit = document.getElementById('fl-limit');
             const skip = document.getElementById('fl-skip');
+            const fetchAll = document.getElementById('fl-fetch-all');
+            const maxRows = document.getElementById('fl-max-rows');
 
             const setEnabled = (el, enabled) => {
                 if (!el) return;
@@ -804,6 +893,12 @@ export class EventHandlerManager {
                 setEnabled(limit, false); setEnabled(skip, false);
             }
 
+            // Fetch all pages by limit/skip itself, so the single-request limit no longer applies (raw output only)
+            const otEl = document.querySelector('input[name="fl-ot"]:checked');
+            const fetchingAll = !!fetchAll?.checked && (otEl ? otEl.value : 'raw') === 'raw';
+            if (fetchingAll) setEnabled(limit, false);
+            setEnabled(maxRows, fetchingAll);
+
             this.updateReadingsSummary();
         } catch (_e) {}
     }
@@ -816,7 +911,7 @@ export class EventHandlerManager {
             const otEl = document.querySelector('input[name="fl-ot"]:checked');
             const ot = otEl ? otEl.value : 'raw';
             const asset = elements.assetSelect()?.value || elements.asset()?.value || '';
-            const datapoint = elements.datapoint()?.value?.trim() || '';
+            const datapoints = window.FogLAMP?.assets?.getSelectedDatapoints() ?? [];
             const limit = elements.limit()?.value || '100';
             const skip = elements.skip()?.value || '0';
             const seconds = elements.seconds()?.value || '';
@@ -833,10 +928,18 @@ export class EventHandlerManager {
             } else {
                 timePart = `limit=${limit}, skip=${skip}`;
             }
+            if (ot === 'raw' && elements.fetchAll()?.checked) {
+                timePart += ` • fetch all (max ${elements.maxRows()?.value || '—'} rows)`;
+            }
+            if (ot === 'series') {
+                const bucket = elements.seriesBucket()?.selectedOptions?.[0]?.textContent || 'Per minute';
+                const aggregate = elements.seriesAggregate()?.selectedOptions?.[0]?.textContent || 'Average';
+                timePart += ` • ${bucket.toLowerCase()}, ${aggregate.toLowerCase()}`;
+            }
             if (ot === 'combined') {
                 el.textContent = `Output: ${ot} • Instance-wide summary across all assets`;
             } else {
-                el.textContent = `Output: ${ot} • Mode: ${mode} • Asset: ${asset || '—'}${datapoint ? `.${datapoint}` : ''} • ${timePart}`;
+                el.textContent = `Output: ${ot} • Mode: ${mode} • Asset: ${asset || '—'}${datapoints.length > 0 ? ` [${datapoints.join(', ')}]` : ''} • ${timePart}`;
             }
         } catch (_e) {}
     }
@@ -849,15 +952,19 @@ export class EventHandlerManager {
                 const row = document.getElementById(id);
                 if (row) row.style.display = visible ? 'block' : 'none';
             };
-            // Mode section visible for raw only
-            show('fl-mode-section', ot === 'raw');
+            // Raw and series share mode, datapoint, limit/skip and time window inputs
+            const windowed = (ot === 'raw' || ot === 'series');
+            show('fl-mode-section', windowed);
             // Asset row hidden for combined (not needed)
             show('fl-asset-row', ot !== 'combined');
-            // Datapoint+limit row for raw
-            show('fl-dp-limit-row', ot === 'raw');
-            show('fl-skip-row', ot === 'raw');
+            // Datapoint picker and limit rows for raw and series (limit/skip count buckets for series)
+            show('fl-datapoint-row', windowed);
+            show('fl-dp-limit-row', windowed);
+            show('fl-skip-row', windowed);
+            show('fl-fetch-all-row', ot === 'raw');
+            show('fl-series-row', ot === 'series');
             const mode = this.getSelectedReadingsMode();
-            const timeVisible = (ot === 'raw' && mode !== 'latest');
+            const timeVisible = (windowed && mode !== 'latest');
             show('fl-timewindow-row', timeVisible);
             show('fl-previous-row', timeVisible);
             // Summary row always visible
@@ -4,10 +4,11 @@
  */
 
 import { getActiveInstanceWithMeta, getInstances } from '../core/storage.js';
-import { getDisplayName, getColumnLetter } from '../core/utils.js';
+import { getDisplayName, getColumnLetter, createAbortError, throwIfAborted, isAbortError } from '../core/utils.js';
 import { logMessage } from '../ui/console.js';
 import { elements } from '../ui/elements.js';
 import { createTimeSeriesChart } from './chart-utils.js';
+import { responseNormalizer, UNINTERPRETED } from '../core/normalizer.js';
 
 /**
  * Excel Integration Manager Class
@@ -17,6 +18,7 @@ export class ExcelIntegrationManager {
     
     constructor() {
         this.worksheetCache = new Map(); // Cache worksheets by name
+        this.activeExport = null; // { label, controller } while an export is running
         this.exportFormats = {
             status: {
                 sheetSuffix: 'Status',  // Simplified for Excel sheet name compliance
@@ -26,12 +28,88 @@ export class ExcelIntegrationManager {
             readings: {
                 sheetSuffix: 'data',  // Simplified for Excel sheet name compliance  
                 dateFormat: '[$-en-US]mm/dd/yyyy hh:mm:ss AM/PM',
-                timestampColumn: 'timestamp'
+                timestampColumn: 'timestamp',
+                writeChunkRows: 5000  // Rows per Excel request when writing large exports
             }
         };
     }
 
 
+    /**
+     * Start an export: enables the cancel button and creates the signal shared by all of its requests
+     * @param {string} label - Export name used in progress messages
+     * @param {AbortSignal} parentSignal - Optional caller signal that also cancels the export
+     * @returns {AbortSignal|null} Export signal, or null when another export is still running
+     */
+    beginExport(label, parentSignal = null) {
+        if (this.activeExport) {
+            logMessage('warn', `${label} not started: ${this.activeExport.label} is still running`);
+            return null;
+        }
+        const controller = new AbortController();
+        if (parentSignal) {
+            if (parentSignal.aborted) controller.abort();
+            else parentSignal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        this.activeExport = { label, controller };
+        const cancelBtn = elements.cancelExport();
+        if (cancelBtn) cancelBtn.disabled = false;
+        this.reportProgress(`${label}: starting…`);
+        return controller.signal;
+    }
+
+    /**
+     * Show export progress in the taskpane
+     * @param {string} message - Progress text
+     */
+    reportProgress(message) {
+        const el = elements.exportProgress();
+        if (el) el.textContent = message;
+    }
+
+    /**
+     * Finish the running export and show its outcome
+     * @param {string} message - Final progress text
+     */
+    endExport(message) {
+        this.activeExport = null;
+        const cancelBtn = elements.cancelExport();
+        if (cancelBtn) cancelBtn.disabled = true;
+        this.reportProgress(message);
+    }
+
+    /**
+     * Cancel the running export (if any)
+     * @returns {boolean} True when an export was cancelled
+     */
+    cancelExport() {
+        if (!this.activeExport) return false;
+        logMessage('warn', `Cancelling ${this.activeExport.label}`);
+        this.reportProgress(`${this.activeExport.label}: cancelling…`);
+        this.activeExport.controller.abort();
+        return true;
+    }
+
+    /**
+     * Mark a sheet whose export was cancelled part-way through writing
+     * @param {Object} context - Excel context object
+     * @param {Object} sheet - Worksheet that was partially written
+     * @param {number} row - 0-based row for the notice
+     * @param {number} col - 0-based column for the notice
+     * @param {string} message - Notice text
+     */
+    async markSheetPartial(context, sheet, row, col, message) {
+        try {
+            const cell = sheet.getRangeByIndexes(row, col, 1, 1);
+            cell.values = [[`⚠ PARTIAL EXPORT: ${message}`]];
+            cell.format.fill.color = '#FEE2E2';
+            cell.format.font.color = '#B91C1C';
+            cell.format.font.bold = true;
+            sheet.tabColor = '#DC2626';
+            await context.sync();
+        } catch (_e) {}
+    }
+
     /**
      * Ensure worksheet exists, create if needed
      * @param {Object} context - Excel context object
@@ -178,9 +256,10 @@ export class ExcelIntegrationManager {
 
     /**
      * Export status data to formatted Excel sheet
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
      * @returns {Promise<boolean>} Success status
      */
-    async handleExportStatus() {
+    async handleExportStatus(options = {}) {
         const instanceUrls = getInstances();
         if (!instanceUrls || instanceUrls.length === 0) {
             logMessage('warn', 'Export Status: no instances registered');
@@ -188,39 +267,42 @@ export class ExcelIntegrationManager {
         }
 
         const sheetName = 'Status';
+        const signal = this.beginExport('Status export', options.signal);
+        if (!signal) return false;
 
         try {
             logMessage('info', 'Starting multi-instance status export', { instances: instanceUrls.length, sheet: sheetName });
 
             // Fetch ping, statistics, assets for each instance in parallel
+            let fetchedCount = 0;
             const perInstanceResults = await Promise.all(
                 instanceUrls.map(async (url) => {
                     const [pingRes, statsRes, assetsRes] = await Promise.allSettled([
-                        window.FogLAMP.api.pingForUrl(url),
-                        window.FogLAMP.api.statisticsForUrl(url),
-                        window.FogLAMP.api.assetsForUrl(url)
+                        window.FogLAMP.api.pingForUrl(url, { signal, priority: 'bulk' }),
+                        window.FogLAMP.api.statisticsForUrl(url, { signal, priority: 'bulk' }),
+                        window.FogLAMP.api.assetsForUrl(url, { signal, priority: 'bulk' })
                     ]);
+                    fetchedCount++;
+                    this.reportProgress(`Status export: fetched ${fetchedCount}/${instanceUrls.length} instances`);
 
                     const ping = pingRes.status === 'fulfilled' ? pingRes.value : null;
                     const stats = statsRes.status === 'fulfilled' ? statsRes.value : null;
                     const assets = assetsRes.status === 'fulfilled' ? assetsRes.value : null;
 
-                    // Build quick lookup maps
+                    // Normalize into lookup maps; fields that could not be interpreted are flagged, not blanked
+                    const pingModel = ping ? responseNormalizer.normalizePing(ping) : null;
                     const statsMap = new Map();
-                    if (Array.isArray(stats)) {
-                        for (const item of stats) {
-                            if (item && item.key != null) statsMap.set(String(item.key).toUpperCase(), item.value);
-                        }
+                    if (stats) {
+                        const { values } = responseNormalizer.normalizeStatistics(stats);
+                        Object.keys(values).forEach(key => statsMap.set(key, values[key] ?? UNINTERPRETED));
                     }
 
                     const assetsMap = new Map();
-                    if (Array.isArray(assets)) {
-                        for (const a of assets) {
-                            if (a && a.assetCode != null) assetsMap.set(String(a.assetCode), a.count);
-                        }
+                    if (assets) {
+                        responseNormalizer.normalizeAssets(assets).assets.forEach(a => assetsMap.set(a.name, a.count));
                     }
 
-                    return { url, ping, statsMap, assetsMap };
+                    return { url, ping: pingModel, statsMap, assetsMap };
                 })
             );
 
@@ -234,23 +316,19 @@ export class ExcelIntegrationManager {
                 // Prefix with apostrophe to force text in Excel and avoid formula issues
                 return `'` + `- ${arr.join('\n- ')}`;
             };
+            const pingKeys = {
+                'Uptime': 'uptime', 'DataRead': 'dataRead', 'DataSent': 'dataSent', 'DataPurge': 'dataPurged',
+                'Authentication Optional': 'authenticationOptional', 'Service Name': 'serviceName', 'Hostname': 'hostName',
+                'IP Addresses': 'ipAddresses', 'Health': 'health', 'Safe Mode': 'safeMode', 'Version': 'version', 'Alerts': 'alerts'
+            };
             const getPingField = (inst, field) => {
-                const p = inst.ping || {};
-                switch (field) {
-                    case 'Uptime': return p.uptime ?? NA;
-                    case 'DataRead': return p.dataRead ?? NA;
-                    case 'DataSent': return p.dataSent ?? NA;
-                    case 'DataPurge': return p.dataPurged ?? NA;
-                    case 'Authentication Optional': return boolStr(p.authenticationOptional);
-                    case 'Service Name': return p.serviceName ?? NA;
-                    case 'Hostname': return p.hostName ?? NA;
-                    case 'IP Addresses': return arrStr(p.ipAddresses);
-                    case 'Health': return p.health ?? NA;
-                    case 'Safe Mode': return boolStr(p.safeMode);
-                    case 'Version': return p.version ?? NA;
-                    case 'Alerts': return p.alerts ?? NA;
-                    default: return NA;
-                }
+                const p = inst.ping;
+                const key = pingKeys[field];
+                if (!p || !key) return NA;
+                if (p.meta.issues.some(issue => issue.field === key)) return UNINTERPRETED;
+                if (key === 'authenticationOptional' || key === 'safeMode') return boolStr(p[key]);
+                if (key === 'ipAddresses') return arrStr(p[key]);
+                return p[key] ?? NA;
             };
 
             const statsKeys = ['BUFFERED', 'DISCARDED', 'PURGED', 'READINGS', 'UNSENT', 'UNSNPURGED'];
@@ -313,6 +391,9 @@ export class ExcelIntegrationManager {
             // Normalize and write to sheet
             const normalized = this.normalizeRowsForExcel(rows, colCount);
 
+            throwIfAborted(signal);
+            this.reportProgress(`Status export: writing ${normalized.length} rows`);
+
             await Excel.run(async (context) => {
                 const sheet = await this.ensureWorksheet(context, sheetName);
                 // Clear a safe bounding area without relying on isNullObject (compat-safe)
@@ -449,19 +530,27 @@ export class ExcelIntegrationManager {
                 logMessage('info', 'Multi-instance status export done', { sheet: sheetName, instances: instanceUrls.length, rows: normalized.length, columns: colCount });
             });
 
+            this.endExport(`Status export done (${instanceUrls.length} instances)`);
             return true;
 
         } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Status export cancelled; sheet left untouched', { sheet: sheetName });
+                this.endExport('Status export cancelled (sheet left untouched)');
+                return false;
+            }
             logMessage('error', 'Status export failed', { error: error.message });
+            this.endExport('Status export failed');
             return false;
         }
     }
 
     /**
      * Export asset readings to formatted Excel sheet
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
      * @returns {Promise<boolean>} Success status
      */
-    async handleExportReadings() {
+    async handleExportReadings(options = {}) {
         const activeInstance = getActiveInstanceWithMeta();
         if (!activeInstance) {
             logMessage('warn', 'Export Readings: no active instance');
@@ -509,6 +598,10 @@ export class ExcelIntegrationManager {
             return name || 'Readings';
         };
         const sheetName = buildReadingsSheetName();
+        const signal = this.beginExport('Readings export', options.signal);
+        if (!signal) return false;
+        let rowsWritten = 0;
+        let rowsTotal = 0;
 
         try {
             logMessage('info', 'Starting minimal readings export', { 
@@ -537,36 +630,31 @@ export class ExcelIntegrationManager {
                 // Fetch asset list for ACTIVE INSTANCE ONLY to avoid data leaks
                 let allAssets = [];
                 try {
-                    if (baseUrl && window.FogLAMP?.api?.assetsForUrl) {
-                        allAssets = await window.FogLAMP.api.assetsForUrl(baseUrl);
-                    } else if (window.FogLAMP?.api?.assets) {
-                        allAssets = await window.FogLAMP.api.assets();
-                    }
+                    allAssets = await window.FogLAMP.api.assetsForUrl(baseUrl, { signal, priority: 'bulk' });
                 } catch (_e) {}
+                throwIfAborted(signal);
                 const assetEntries = Array.isArray(allAssets) ? allAssets : [];
 
                 // Prepare per-asset timespan and summary in parallel
+                let fetchedAssets = 0;
+                this.reportProgress(`Readings export: fetched 0/${assetEntries.length} assets`);
                 const perAssetData = await Promise.all(assetEntries.map(async (a) => {
                     const assetName = (typeof a === 'string') ? a : (a.assetCode || a.asset || a.name || '');
                     const readingCount = a.count || 0;
                     let timespan = null;
                     let summary = null;
                     try {
-                        if (baseUrl && window.FogLAMP?.api?.readingsTimespanForUrl) {
-                            timespan = await window.FogLAMP.api.readingsTimespanForUrl(baseUrl, assetName, null, {});
-                        } else {
-                            timespan = await window.FogLAMP.api.readingsTimespan(assetName, null, {});
-                        }
+                        timespan = await window.FogLAMP.api.readingsTimespanForUrl(baseUrl, assetName, null, {}, { signal, priority: 'bulk' });
                     } catch (_e) {}
                     try {
-                        if (baseUrl && window.FogLAMP?.api?.readingsSummaryForUrl) {
-                            summary = await window.FogLAMP.api.readingsSummaryForUrl(baseUrl, assetName, null, {});
-                        } else {
-                            summary = await window.FogLAMP.api.readingsSummary(assetName, null, {});
-                        }
+                        summary = await window.FogLAMP.api.readingsSummaryForUrl(baseUrl, assetName, null, {}, { signal, priority: 'bulk' });
                     } catch (_e) {}
+                    fetchedAssets++;
+                    this.reportProgress(`Readings export: fetched ${fetchedAssets}/${assetEntries.length} assets`);
                     return { assetName, readingCount, timespan, summary };
                 }));
+                // Per-asset failures are tolerated above; a cancellation is not
+                throwIfAborted(signal);
 
                 // Compose rows
                 headers = [];
@@ -579,43 +667,14 @@ export class ExcelIntegrationManager {
                 // Table 1 label
                 rows.push(['Table1: Assets-wise summary']);
 
-                // Per-asset horizontal summary rows
-                const toDate = (ts) => {
-                    if (ts == null || ts === '') return '';
-                    let d = null;
-                    if (typeof ts === 'string') {
-                        d = this.parseFoglampTimestamp(ts) || new Date(ts);
-                    } else if (typeof ts === 'number') {
-                        // Handle common numeric timestamp encodings
-                        // 1) Microseconds since epoch (e.g., 1.6e15) → ms
-                        // 2) Milliseconds since epoch (>1e12 but <1e15) → ms
-                        // 3) Seconds since epoch (~1e9..1e10) → *1000
-                        // 4) Excel serial date (e.g., 45936.32) → convert from OADate to Date
-                        if (ts > 1e14) {
-                            // Likely microseconds
-                            d = new Date(Math.round(ts / 1000));
-                        } else if (ts > 1e12) {
-                            // Likely milliseconds
-                            d = new Date(ts);
-                        } else if (ts > 1e9) {
-                            // Likely seconds
-                            d = new Date(ts * 1000);
-                        } else if (ts > 25569 && ts < 100000) {
-                            // Looks like an Excel serial date already
-                            const ms = (ts - 25569) * 86400000;
-                            d = new Date(ms);
-                        } else {
-                            // Fallback best effort
-                            d = new Date(ts);
-                        }
-                    } else if (typeof ts === 'object') {
-                        // Support nested timestamp containers
-                        const inner = ts.timestamp || ts.user_ts || ts.ts || ts.time || ts.date || '';
-                        if (inner) return toDate(inner);
-                        return '';
-                    }
-                    if (!(d instanceof Date) || isNaN(d.getTime())) return '';
-                    return this.convertDateToOADate(d);
+                // Per-asset horizontal summary rows; timestamps go out as OADate,
+                // unparseable ones are marked rather than left blank
+                const timespanCell = (entry, which) => {
+                    if (entry.timespan == null) return '';
+                    const model = responseNormalizer.normalizeTimespan(entry.timespan);
+                    const date = model[which];
+                    if (date) return this.convertDateToOADate(date);
+                    return model.meta.issues.length > 0 ? UNINTERPRETED : '';
                 };
 
                 const sNoRow = ['SNo.', ...perAssetData.map((_, idx) => idx + 1)];
@@ -624,33 +683,8 @@ export class ExcelIntegrationManager {
                 assetsCount = perAssetData.length;
                 oldestRowIndex = rows.length + 3; // sNoRow(0), assetsRow(1), readingsRow(2), then oldest at 3
                 newestRowIndex = rows.length + 4; // newest follows oldest
-                // Helper to robustly extract oldest/newest timestamp from varying API shapes
-                const extractTimestamp = (node, which) => {
-                    const obj = Array.isArray(node) ? (node[0] || {}) : (node || {});
-                    const keys = which === 'oldest'
-                        ? ['oldest', 'start', 'first', 'minimum', 'min', 'earliest', 'from', 'oldestTimestamp']
-                        : ['newest', 'end', 'last', 'maximum', 'max', 'latest', 'to', 'newestTimestamp'];
-                    for (const k of keys) {
-                        if (obj && Object.prototype.hasOwnProperty.call(obj, k)) {
-                            const v = obj[k];
-                            if (v && typeof v === 'object') {
-                                const inner = v.timestamp || v.user_ts || v.ts || v.time || v.date || '';
-                                if (inner) return toDate(inner);
-                            } else if (v != null && v !== '') {
-                                return toDate(v);
-                            }
-                        }
-                    }
-                    // Fallback: sometimes timestamp fields are at the top level
-                    if (obj && typeof obj === 'object') {
-                        const fallback = obj.timestamp || obj.user_ts || obj.ts || obj.time || obj.date || '';
-                        if (fallback) return toDate(fallback);
-                    }
-                    return '';
-                };
-
-                const oldestRow = ['Oldest Reading Timestamp:', ...perAssetData.map((entry) => extractTimestamp(entry.timespan, 'oldest'))];
-                const newestRow = ['Newest Reading Timestamp:', ...perAssetData.map((entry) => extractTimestamp(entry.timespan, 'newest'))];
+                const oldestRow = ['Oldest Reading Timestamp:', ...perAssetData.map((entry) => timespanCell(entry, 'oldest'))];
+                const newestRow = ['Newest Reading Timestamp:', ...perAssetData.map((entry) => timespanCell(entry, 'newest'))];
 
                 rows.push(sNoRow);
                 rows.push(assetsRow);
@@ -668,46 +702,38 @@ export class ExcelIntegrationManager {
                 // Data rows for table 2
                 let serial = 1;
                 perAssetData.forEach((entry) => {
-                    // Normalize summary into a mapping { dpName: {min,max,average} }
-                    let mapping = {};
-                    if (Array.isArray(entry.summary)) {
-                        // Some FogLAMP deployments return an array of single-key objects per datapoint
-                        // Merge them to a single mapping
-                        mapping = entry.summary.reduce((acc, obj) => {
-                            if (obj && typeof obj === 'object') {
-                                Object.keys(obj).forEach((k) => { acc[k] = obj[k]; });
-                            }
-                            return acc;
-                        }, {});
-                    } else if (entry.summary && typeof entry.summary === 'object') {
-                        const looksLikeStats = ['min','max','average','minimum','maximum','avg']
-                            .some(k => Object.prototype.hasOwnProperty.call(entry.summary, k));
-                        mapping = looksLikeStats ? {} : entry.summary;
-                    }
-                    const keys = Object.keys(mapping).sort((a, b) => a.localeCompare(b));
-                    keys.forEach((dp) => {
-                        const node = mapping[dp] || {};
-                        const minVal = node.min ?? node.minimum ?? '';
-                        const maxVal = node.max ?? node.maximum ?? '';
-                        const avgVal = node.average ?? node.avg ?? '';
-                        rows.push([serial++, entry.assetName, dp, minVal, maxVal, avgVal]);
+                    if (entry.summary == null) return;
+                    const { datapoints } = responseNormalizer.normalizeSummary(entry.summary);
+                    Object.keys(datapoints).sort((a, b) => a.localeCompare(b)).forEach((dp) => {
+                        const { min, max, average } = datapoints[dp];
+                        rows.push([serial++, entry.assetName, dp, min ?? '', max ?? '', average ?? '']);
                     });
                 });
             } else {
                 // Fetch readings only for non-combined outputs
-                const readings = await this.fetchReadingsData(asset, exportParams.data);
+                this.reportProgress(`Readings export: fetching ${asset}`);
+                const readings = await this.fetchReadingsData(asset, exportParams.data, { signal, baseUrl: activeInstance.url });
+                // Audit guard: never write data served by a different instance than the one named on the sheet
+                const servedBy = window.FogLAMP.api.getServingInstance(readings);
+                if (servedBy && servedBy !== activeInstance.url) {
+                    throw new Error(`Readings were served by ${servedBy}, not the active instance ${activeInstance.url}`);
+                }
                 if (!readings || readings.length === 0) {
                     logMessage('warn', 'No readings data found for export', { asset });
+                    this.endExport('Readings export: no readings found');
                     return false;
                 }
-                if (ot === 'summary') {
+                if (ot === 'series') {
+                    const t = this.buildSeriesTable(readings, asset, exportParams.data.datapoint, exportParams.data.aggregate);
+                    headers = t.headers; rows = t.rows;
+                } else if (ot === 'summary') {
                     const t = this.buildSummaryTable(readings, asset, exportParams.data.datapoint);
                     headers = t.headers; rows = t.rows;
                 } else if (ot === 'timespan') {
                     const t = this.buildTimespanTable(readings, asset, exportParams.data.datapoint);
                     headers = t.headers; rows = t.rows;
                 } else {
-                    const t = this.buildSimpleReadings(readings, asset, exportParams.data.datapoint);
+                    const t = this.buildSimpleReadings(readings, asset, exportParams.data.datapoints);
                     headers = t.headers; rows = t.rows;
                 }
             }
@@ -721,6 +747,9 @@ export class ExcelIntegrationManager {
             const normalizedHeader = (Array.isArray(headers) && headers.length > 0)
                 ? this.normalizeRowsForExcel([headers], Math.max(1, targetColCount))[0]
                 : null;
+            rowsTotal = normalizedRows.length;
+
+            throwIfAborted(signal);
 
             await Excel.run(async (context) => {
                 const sheet = await this.ensureWorksheet(context, sheetName);
@@ -733,8 +762,8 @@ export class ExcelIntegrationManager {
                 await context.sync();
                 } catch (_e) {}
 
-                // Determine start rows based on output type (offset for RAW)
-                const isRawOutput = (ot === 'raw');
+                // Determine start rows based on output type (offset for RAW and SERIES, which get a chart on top)
+                const isRawOutput = (ot === 'raw' || ot === 'series');
                 const headerRowIndex = isRawOutput ? 13 : 0; // 0-based → Row 14
                 const dataStartRowIndex = isRawOutput
                     ? 14 // 0-based → Row 15
@@ -753,16 +782,25 @@ export class ExcelIntegrationManager {
 
                 // Write rows
                 if (normalizedRows && normalizedRows.length > 0) {
-                    const dataRange = sheet.getRangeByIndexes(dataStartRowIndex, 0, normalizedRows.length, Math.max(1, targetColCount));
-                    dataRange.values = normalizedRows;
                     // Apply timestamp format only when the first header is explicitly 'Timestamp'
+                    const hasTimestampColumn = Array.isArray(headers) && headers.length > 0 && String(headers[0]).toLowerCase() === 'timestamp';
                     try {
-                        if (Array.isArray(headers) && headers.length > 0 && String(headers[0]).toLowerCase() === 'timestamp') {
-                            const tsRange = sheet.getRangeByIndexes(dataStartRowIndex, 0, normalizedRows.length, 1);
-                            const fmt = this.exportFormats.readings.dateFormat;
-                            const fmtMatrix = Array(normalizedRows.length).fill([fmt]);
-                            tsRange.numberFormat = fmtMatrix;
+                        await this.writeRowsInChunks(context, sheet, dataStartRowIndex, normalizedRows, Math.max(1, targetColCount), {
+                            firstColumnFormat: hasTimestampColumn ? this.exportFormats.readings.dateFormat : null,
+                            signal,
+                            onChunk: ({ from, to, total }) => {
+                                this.reportProgress(`Readings export: writing rows ${from.toLocaleString()}–${to.toLocaleString()} of ${total.toLocaleString()}`);
+                            },
+                            onWritten: (count) => { rowsWritten = count; }
+                        });
+                    } catch (writeError) {
+                        if (isAbortError(writeError)) {
+                            await this.markSheetPartial(context, sheet, headerRowIndex, Math.max(1, targetColCount),
+                                `cancelled after ${rowsWritten.toLocaleString()} of ${rowsTotal.toLocaleString()} rows`);
                         }
+                        throw writeError;
+                    }
+                    try {
                         // For combined output, format the row cells for oldest/newest timestamps as dates
                         if (ot === 'combined' && assetsCount > 0) {
                             const fmt = this.exportFormats.readings.dateFormat;
@@ -905,12 +943,12 @@ export class ExcelIntegrationManager {
                     }
                 } catch (_e) {}
 
-                // Insert a 2D line chart for RAW readings over frozen rows (1-13)
+                // Insert a 2D line chart for RAW/SERIES readings over frozen rows (1-13)
                 // X axis: Column A (Timestamp) with formatted labels; Y axis: Columns C..last
                 try {
                     if (isRawOutput && Array.isArray(normalizedRows) && normalizedRows.length > 0 && Math.max(1, targetColCount) > 2) {
                         await createTimeSeriesChart(sheet, context, {
-                            name: 'RawReadingsChart',
+                            name: ot === 'series' ? 'SeriesReadingsChart' : 'RawReadingsChart',
                             headerRowIndex,
                             dataStartRowIndex,
                             seriesStartCol: 2, // Column C
@@ -930,9 +968,19 @@ export class ExcelIntegrationManager {
                 logMessage('info', 'Minimal readings export done', { sheet: sheetName, rows: normalizedRows.length, columns: Math.max(1, targetColCount) });
             });
 
+            this.endExport(`Readings export done (${normalizedRows.length.toLocaleString()} rows)`);
             return true;
 
         } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite
+                    ? `sheet marked partial after ${rowsWritten.toLocaleString()} of ${rowsTotal.toLocaleString()} rows`
+                    : 'sheet left untouched';
+                logMessage('warn', `Readings export cancelled; ${outcome}`, { sheet: sheetName, asset });
+                this.endExport(`Readings export cancelled (${outcome})`);
+                return false;
+            }
+            this.endExport('Readings export failed');
             logMessage('error', 'Readings export failed', {
                 instance: activeInstance.url,
                 asset,
@@ -942,6 +990,119 @@ export class ExcelIntegrationManager {
         }
     }
 
+    /**
+     * Write rows in chunks, syncing after each one so large exports stay under Excel's request size limit
+     * @param {Object} context - Excel context object
+     * @param {Object} sheet - Target worksheet
+     * @param {number} startRow - 0-based index of the first data row
+     * @param {Array<Array>} rows - Normalized (rectangular) rows
+     * @param {number} colCount - Number of columns
+     * @param {Object} options - { chunkSize, firstColumnFormat, signal, onChunk, onWritten }
+     *   signal stops before the next chunk (throws AbortError with duringWrite set);
+     *   onChunk({ from, to, total }) runs before each chunk; onWritten(count) after each sync
+     */
+    async writeRowsInChunks(context, sheet, startRow, rows, colCount, options = {}) {
+        const chunkSize = options.chunkSize || this.exportFormats.readings.writeChunkRows;
+        for (let offset = 0; offset < rows.length; offset += chunkSize) {
+            if (options.signal?.aborted) {
+                const abortError = createAbortError('Export cancelled while writing rows');
+                abortError.duringWrite = true;
+                throw abortError;
+            }
+            const chunk = rows.slice(offset, offset + chunkSize);
+            if (options.onChunk) options.onChunk({ from: offset + 1, to: offset + chunk.length, total: rows.length });
+            sheet.getRangeByIndexes(startRow + offset, 0, chunk.length, colCount).values = chunk;
+            if (options.firstColumnFormat) {
+                sheet.getRangeByIndexes(startRow + offset, 0, chunk.length, 1).numberFormat = Array(chunk.length).fill([options.firstColumnFormat]);
+            }
+            await context.sync();
+            if (options.onWritten) options.onWritten(offset + chunk.length);
+        }
+    }
+
+    /**
+     * Write a header row and data rows to a cleared sheet (header frozen, columns auto-fitted)
+     * Call inside Excel.run; rows are written in chunks like readings exports.
+     * Exports call throwIfAborted(signal) just before Excel.run: that is the last point at which
+     * cancelling leaves the sheet untouched. Later, a cancel stops between chunks (duringWrite).
+     * @param {Object} context - Excel context object
+     * @param {string} sheetName - Worksheet name (created when missing)
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Data rows
+     * @param {Object} options - { dateColumns: column indexes holding OADates, textColumns: column indexes
+     *   stored as text (no number/date conversion by Excel), highlightRows: row indexes (into rows) to
+     *   highlight, highlightColor, signal, onChunk, onWritten }
+     * @returns {Promise<Object>} The worksheet
+     */
+    async writeTableSheet(context, sheetName, headers, rows, options = {}) {
+        const colCount = Math.max(1, headers.length);
+        const normalizedRows = this.normalizeRowsForExcel(rows, colCount);
+        const sheet = await this.ensureWorksheet(context, sheetName);
+        try {
+            sheet.getRangeByIndexes(0, 0, Math.max(normalizedRows.length + 50, 200), colCount + 5).clear();
+            await context.sync();
+        } catch (_e) {}
+
+        const headerRange = sheet.getRangeByIndexes(0, 0, 1, colCount);
+        headerRange.values = [this.normalizeRowsForExcel([headers], colCount)[0]];
+        this.formatHeaders(headerRange);
+        if (normalizedRows.length > 0) {
+            (options.textColumns || []).forEach(col => {
+                sheet.getRangeByIndexes(1, col, normalizedRows.length, 1).numberFormat = Array(normalizedRows.length).fill(['@']);
+            });
+        }
+
+        await this.writeRowsInChunks(context, sheet, 1, normalizedRows, colCount, {
+            signal: options.signal,
+            onChunk: options.onChunk,
+            onWritten: options.onWritten
+        });
+
+        try {
+            if (normalizedRows.length > 0) {
+                const fmt = this.exportFormats.readings.dateFormat;
+                (options.dateColumns || []).forEach(col => {
+                    sheet.getRangeByIndexes(1, col, normalizedRows.length, 1).numberFormat = Array(normalizedRows.length).fill([fmt]);
+                });
+                (options.highlightRows || []).forEach(row => {
+                    const rng = sheet.getRangeByIndexes(1 + row, 0, 1, colCount);
+                    rng.format.fill.color = options.highlightColor || '#FEE2E2';
+                });
+                const dataRange = sheet.getRangeByIndexes(1, 0, normalizedRows.length, colCount);
+                dataRange.format.borders.getItem('InsideHorizontal').style = 'Continuous';
+                dataRange.format.borders.getItem('InsideHorizontal').color = '#E5E7EB';
+            }
+            sheet.freezePanes.freezeRows(1);
+            sheet.getRangeByIndexes(0, 0, normalizedRows.length + 1, colCount).format.autofitColumns();
+        } catch (fmtError) {
+            console.warn('Formatting error (non-fatal):', fmtError);
+        }
+
+        await context.sync();
+        return sheet;
+    }
+
+    /**
+     * Read a table written by writeTableSheet back from its sheet
+     * @param {Excel.RequestContext} context - Excel context (call inside Excel.run)
+     * @param {string} sheetName - Worksheet name
+     * @returns {Promise<Object|null>} { headers, rows, firstRow: sheet row index of rows[0] } with Excel's
+     *   cell values, or null when the sheet does not exist or is empty
+     */
+    async readTableSheet(context, sheetName) {
+        const sheet = context.workbook.worksheets.getItemOrNullObject(sheetName);
+        await context.sync();
+        if (sheet.isNullObject) return null;
+
+        const used = sheet.getUsedRangeOrNullObject(true);
+        used.load('values, rowIndex');
+        await context.sync();
+        if (used.isNullObject || used.values.length === 0) return null;
+
+        const [headers, ...rows] = used.values;
+        return { headers: headers.map(h => String(h).trim()), rows, firstRow: used.rowIndex + 1 };
+    }
+
     /**
      * Get selected asset from UI elements
      * @returns {string} Selected asset name
@@ -964,8 +1125,11 @@ export class ExcelIntegrationManager {
         const otEl = document.querySelector('input[name="fl-ot"]:checked');
         const outputType = otEl ? otEl.value : 'raw';
 
+        // Picked datapoints in the chosen order; none picked means all
+        const datapoints = window.FogLAMP?.assets?.getSelectedDatapoints() ?? [];
         const params = {
-            datapoint: elements.datapoint()?.value?.trim() || '',
+            datapoints,
+            datapoint: datapoints.length === 1 ? datapoints[0] : '',
             limit: Math.max(1, Math.min(10000, parseInt(elements.limit()?.value || '100', 10))),
             skip: Math.max(0, parseInt(elements.skip()?.value || '0', 10)),
             seconds: -1,
@@ -973,10 +1137,22 @@ export class ExcelIntegrationManager {
             hours: -1,
             previous: -1,
             mode,
-            outputType
+            outputType,
+            fetchAll: outputType === 'raw' && !!elements.fetchAll()?.checked,
+            maxRows: parseInt(elements.maxRows()?.value || '0', 10),
+            bucket: elements.seriesBucket()?.value || 'minutes',
+            aggregate: elements.seriesAggregate()?.value || 'average'
         };
 
         const errors = [];
+
+        if (params.fetchAll && !(params.maxRows > 0)) {
+            errors.push('Provide a positive maximum row count for Fetch all');
+        }
+
+        if (outputType === 'series' && datapoints.length !== 1) {
+            errors.push('Series output needs exactly one datapoint (FogLAMP aggregates one datapoint per series)');
+        }
         
         if (mode === 'latest') {
             // latest uses limit/skip only
@@ -1265,55 +1441,80 @@ export class ExcelIntegrationManager {
 
     /**
      * Build simple readings table
-     * - If a datapoint is specified or only one datapoint exists, use that single datapoint column
+     * - If datapoints are picked, exactly those columns in the picked order (blank where a reading lacks one)
      * - Otherwise include all datapoints as columns
      * Columns: Timestamp, Asset Name, <datapoint(s)>
-     * Timestamp is preserved as provided by FogLAMP (no reformatting)
+     * Timestamp is written as an Excel date serial (raw text when it cannot be parsed)
+     * @param {Array} readings - Raw readings
+     * @param {string} asset - Asset name
+     * @param {Array<string>|string|null} datapoints - Picked datapoint keys (a single key is accepted too)
      */
-    buildSimpleReadings(readings, asset, datapoint = null) {
+    buildSimpleReadings(readings, asset, datapoints = null) {
         if (!Array.isArray(readings) || readings.length === 0) {
             return { headers: ['No Data'], rows: [['No readings found']] };
         }
 
+        const normalized = responseNormalizer.normalizeReadings(readings).readings;
+        // Unparseable timestamps keep their raw text so the row is never silently blank
+        const tsCell = (r) => r.timestamp
+            ? this.convertDateToOADate(r.timestamp)
+            : (r.rawTimestamp != null ? String(r.rawTimestamp) : UNINTERPRETED);
+
         // Collect datapoints present
         const dpSet = new Set();
-        for (const r of readings) {
-            if (r && r.reading && typeof r.reading === 'object') {
-                for (const k of Object.keys(r.reading)) dpSet.add(k);
-            }
+        for (const r of normalized) {
+            for (const k of Object.keys(r.reading)) dpSet.add(k);
         }
-        const dpProvided = datapoint && String(datapoint).trim() !== '' ? String(datapoint).trim() : null;
-        const dpList = Array.from(dpSet);
-
-        // Choose datapoint strategy
-        if (dpProvided || dpList.length === 1) {
-            const dpKey = dpProvided || dpList[0];
-            const headers = ['Timestamp', 'Asset Name', dpKey];
-            const rows = readings.map(r => {
-                const ts = r.user_ts || r.timestamp || '';
-                const asDate = this.parseFoglampTimestamp(ts) || (ts ? new Date(ts) : null);
-                const tsCell = (asDate instanceof Date && !isNaN(asDate.getTime())) ? this.convertDateToOADate(asDate) : '';
-                return [
-                    tsCell,
-                    asset,
-                    r.reading && Object.prototype.hasOwnProperty.call(r.reading, dpKey) ? r.reading[dpKey] : ''
-                ];
-            });
-            return { headers, rows };
+        const picked = (Array.isArray(datapoints) ? datapoints : [datapoints])
+            .map(dp => (dp == null ? '' : String(dp).trim()))
+            .filter(Boolean);
+        const missing = picked.filter(dp => !dpSet.has(dp));
+        if (picked.length > 0 && missing.length > 0) {
+            logMessage('warn', 'Picked datapoints not present in the fetched readings are left blank', { asset, datapoints: missing });
         }
+        // Picked datapoints keep the user's order; otherwise every datapoint in order of appearance
+        const dpList = picked.length > 0 ? picked : Array.from(dpSet);
 
-        // Multiple datapoints, include all
         const headers = ['Timestamp', 'Asset Name', ...dpList];
-        const rows = readings.map(r => {
-            const ts = r.user_ts || r.timestamp || '';
-            const asDate = this.parseFoglampTimestamp(ts) || (ts ? new Date(ts) : null);
-            const tsCell = (asDate instanceof Date && !isNaN(asDate.getTime())) ? this.convertDateToOADate(asDate) : '';
-            return [
-                tsCell,
-                asset,
-                ...dpList.map(k => (r.reading && Object.prototype.hasOwnProperty.call(r.reading, k) ? r.reading[k] : ''))
-            ];
+        const rows = normalized.map(r => [
+            tsCell(r),
+            asset,
+            ...dpList.map(k => (Object.prototype.hasOwnProperty.call(r.reading, k) ? r.reading[k] : ''))
+        ]);
+        return { headers, rows };
+    }
+
+    /**
+     * Build series table: one row per bucket, oldest first
+     * Columns: Timestamp, Asset Name, <datapoint aggregate(s)>
+     * @param {Array} series - API returns [{ timestamp, min, max, average }]
+     * @param {string} asset - Asset name
+     * @param {string} datapoint - Aggregated datapoint
+     * @param {string} aggregate - 'average', 'min', 'max' or 'all'
+     * @returns {{headers: string[], rows: any[][]}}
+     */
+    buildSeriesTable(series, asset, datapoint, aggregate = 'average') {
+        const { points } = responseNormalizer.normalizeSeries(series);
+        if (points.length === 0) {
+            return { headers: ['No Data'], rows: [['No series data found']] };
+        }
+
+        const stats = aggregate === 'all' ? ['min', 'average', 'max'] : [aggregate];
+        const labels = { min: 'min', max: 'max', average: 'avg' };
+        const headers = ['Timestamp', 'Asset Name', ...stats.map(stat => `${datapoint} ${labels[stat]}`)];
+
+        // Buckets with unparseable timestamps keep their raw text and go last
+        const sorted = points.slice().sort((a, b) => {
+            if (a.timestamp && b.timestamp) return a.timestamp - b.timestamp;
+            return a.timestamp ? -1 : (b.timestamp ? 1 : 0);
         });
+        const rows = sorted.map(p => [
+            p.timestamp
+                ? this.convertDateToOADate(p.timestamp)
+                : (p.rawTimestamp != null ? String(p.rawTimestamp) : UNINTERPRETED),
+            asset,
+            ...stats.map(stat => p[stat] ?? '')
+        ]);
         return { headers, rows };
     }
 
@@ -1323,47 +1524,14 @@ export class ExcelIntegrationManager {
      */
     buildSummaryTable(summary, asset, datapoint) {
         try {
-            let chosenDatapoint = datapoint || '';
-            let node = null;
-
-            // Accept both array and object forms
-            if (Array.isArray(summary)) {
-                // Expect first element to be an object mapping dpName -> stats
-                const first = summary[0] || {};
-                if (chosenDatapoint && first && Object.prototype.hasOwnProperty.call(first, chosenDatapoint)) {
-                    node = first[chosenDatapoint];
-                } else {
-                    const keys = Object.keys(first);
-                    if (keys.length > 0) {
-                        chosenDatapoint = chosenDatapoint || keys[0];
-                        node = first[chosenDatapoint];
-                    }
-                }
-            } else if (summary && typeof summary === 'object') {
-                // Two possibilities:
-                // 1) summary is the stats object { min, max, average }
-                // 2) summary is a mapping { dpName: { min, max, average } }
-                const looksLikeStats = ['min','max','average','minimum','maximum','avg'].some(k => Object.prototype.hasOwnProperty.call(summary, k));
-                if (looksLikeStats) {
-                    node = summary;
-                } else if (chosenDatapoint && Object.prototype.hasOwnProperty.call(summary, chosenDatapoint)) {
-                    node = summary[chosenDatapoint];
-                } else {
-                    const keys = Object.keys(summary);
-                    if (keys.length > 0) {
-                        chosenDatapoint = chosenDatapoint || keys[0];
-                        node = summary[chosenDatapoint];
-                    }
-                }
-            }
-
-            const minVal = node ? (node.min ?? node.minimum ?? '') : '';
-            const maxVal = node ? (node.max ?? node.maximum ?? '') : '';
-            const avgVal = node ? (node.average ?? node.avg ?? '') : '';
+            const { datapoints } = responseNormalizer.normalizeSummary(summary, datapoint || null);
+            const names = Object.keys(datapoints);
+            const chosenDatapoint = datapoint && datapoints[datapoint] ? datapoint : (names[0] || datapoint || '');
+            const stats = datapoints[chosenDatapoint] || {};
 
             return {
                 headers: ['Asset', 'Datapoint', 'Min', 'Max', 'Average'],
-                rows: [[asset, chosenDatapoint, minVal, maxVal, avgVal]]
+                rows: [[asset, chosenDatapoint, stats.min ?? '', stats.max ?? '', stats.average ?? '']]
             };
         } catch (_e) {
             return { headers: ['No Data'], rows: [['No summary available']] };
@@ -1376,13 +1544,14 @@ export class ExcelIntegrationManager {
      */
     buildTimespanTable(tsData, asset, datapoint) {
         try {
-            // Handle either object or array (single item)
-            const obj = Array.isArray(tsData) ? (tsData[0] || {}) : (tsData || {});
-            const oldest = obj.oldest ?? '';
-            const newest = obj.newest ?? '';
+            const model = responseNormalizer.normalizeTimespan(tsData);
+            const cell = (which) => {
+                if (model[`${which}Raw`] != null) return model[`${which}Raw`];
+                return model.meta.issues.some(issue => issue.field === `timespan.${which}`) ? UNINTERPRETED : '';
+            };
             return {
                 headers: ['Asset', 'Datapoint', 'Oldest', 'Newest'],
-                rows: [[asset, datapoint || '', oldest, newest]]
+                rows: [[asset, datapoint || '', cell('oldest'), cell('newest')]]
             };
         } catch (_e) {
             return { headers: ['No Data'], rows: [['No timespan available']] };
@@ -1398,19 +1567,14 @@ export class ExcelIntegrationManager {
         if (!Array.isArray(readings) || readings.length === 0) {
             return { oldest: '', newest: '' };
         }
-        let oldestStr = '', newestStr = '';
-        let oldestTime = Number.POSITIVE_INFINITY;
-        let newestTime = Number.NEGATIVE_INFINITY;
-        for (const r of readings) {
-            const tsStr = (r && (r.user_ts || r.timestamp)) ? (r.user_ts || r.timestamp) : '';
-            if (!tsStr) continue;
-            const d = this.parseFoglampTimestamp(tsStr) || new Date(tsStr);
-            const t = d instanceof Date && !isNaN(d.getTime()) ? d.getTime() : null;
-            if (t == null) continue;
-            if (t < oldestTime) { oldestTime = t; oldestStr = tsStr; }
-            if (t > newestTime) { newestTime = t; newestStr = tsStr; }
+        let oldest = null;
+        let newest = null;
+        for (const r of responseNormalizer.normalizeReadings(readings).readings) {
+            if (!r.timestamp) continue;
+            if (!oldest || r.timestamp < oldest.timestamp) oldest = r;
+            if (!newest || r.timestamp > newest.timestamp) newest = r;
         }
-        return { oldest: oldestStr, newest: newestStr };
+        return { oldest: oldest ? oldest.rawTimestamp : '', newest: newest ? newest.rawTimestamp : '' };
     }
 
     /**
@@ -1461,23 +1625,11 @@ export class ExcelIntegrationManager {
     }
 
     /**
-     * Parse FogLAMP timestamp (e.g., "YYYY-MM-DD HH:MM:SS.micros") to JS Date (UTC)
+     * Parse a FogLAMP timestamp to a JS Date (UTC); delegates to the response normalizer
      * Returns null if parsing fails
      */
     parseFoglampTimestamp(ts) {
-        if (!ts || typeof ts !== 'string') return null;
-        const m = ts.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?/);
-        if (!m) return null;
-        const year = parseInt(m[1], 10);
-        const month = parseInt(m[2], 10) - 1;
-        const day = parseInt(m[3], 10);
-        const hour = parseInt(m[4], 10);
-        const minute = parseInt(m[5], 10);
-        const second = parseInt(m[6], 10);
-        const frac = m[7] || '0';
-        const ms = Math.round(parseInt(frac.padEnd(6, '0').slice(0, 6), 10) / 1000); // microseconds -> ms
-        const d = new Date(Date.UTC(year, month, day, hour, minute, second, ms));
-        return isNaN(d.getTime()) ? null : d;
+        return responseNormalizer.parseTimestamp(ts);
     }
 
     /**
@@ -1576,13 +1728,24 @@ export class ExcelIntegrationManager {
     }
 
     /**
-     * Fetch readings data for export
+     * Fetch readings data for export.
+     * Every request is bound to one instance; there is no fallback to other transports or instances.
      * @param {string} asset - Asset name
      * @param {Object} params - Export parameters
-     * @returns {Promise<Array>} Readings data
+     * @param {Object} options - { signal } to cancel the underlying requests; { baseUrl } to pin the instance (default: active)
+     * @returns {Promise<Array>} Readings data (tagged with the serving instance, see api.getServingInstance)
      */
-    async fetchReadingsData(asset, params) {
-        const datapoint = params.datapoint && params.datapoint.trim() !== '' ? params.datapoint : null;
+    async fetchReadingsData(asset, params, options = {}) {
+        const { signal } = options;
+        const baseUrl = options.baseUrl || getActiveInstanceWithMeta()?.url;
+        if (!baseUrl) {
+            throw new Error('No active instance selected; readings were not requested');
+        }
+        const datapoints = Array.isArray(params.datapoints)
+            ? params.datapoints
+            : (params.datapoint && params.datapoint.trim() !== '' ? [params.datapoint.trim()] : []);
+        // A single datapoint is filtered by the gateway; several are fetched whole and picked in buildSimpleReadings
+        const datapoint = datapoints.length === 1 ? datapoints[0] : null;
         // Route based on output type
         const ot = params.outputType || 'raw';
         if (ot === 'summary') {
@@ -1598,26 +1761,37 @@ export class ExcelIntegrationManager {
                 if (params.minutes && params.minutes > 0) summaryParams.minutes = params.minutes;
                 if (params.hours && params.hours > 0) summaryParams.hours = params.hours;
             }
-            const activeInstance = getActiveInstanceWithMeta();
-            const baseUrl = activeInstance?.url;
             // Summary API is asset-level (not datapoint-level)
-            if (baseUrl && window.FogLAMP?.api?.readingsSummaryForUrl) {
-                return await window.FogLAMP.api.readingsSummaryForUrl(baseUrl, asset, null, summaryParams);
-            }
-            return await window.FogLAMP.api.readingsSummary(asset, null, summaryParams);
+            return await window.FogLAMP.api.readingsSummaryForUrl(baseUrl, asset, null, summaryParams, { signal });
         } else if (ot === 'timespan') {
             // Timespan endpoint should not receive limit/skip or time window params
-            const activeInstance = getActiveInstanceWithMeta();
-            const baseUrl = activeInstance?.url;
             // Time span API is asset-level (not datapoint-level)
-            if (baseUrl && window.FogLAMP?.api?.readingsTimespanForUrl) {
-                return await window.FogLAMP.api.readingsTimespanForUrl(baseUrl, asset, null, {});
+            return await window.FogLAMP.api.readingsTimespanForUrl(baseUrl, asset, null, {}, { signal });
+        }
+
+        if (ot === 'series') {
+            // Series: FogLAMP groups by the bucket unit; limit/skip count buckets
+            const seriesParams = { group: params.bucket || 'minutes' };
+            if (params.mode === 'latest') {
+                if (params.limit && params.limit > 0) seriesParams.limit = params.limit;
+                if (params.skip && params.skip > 0) seriesParams.skip = params.skip;
+            } else {
+                if (params.mode === 'previous' && params.previous > 0) seriesParams.previous = params.previous;
+                if (params.seconds && params.seconds > 0) seriesParams.seconds = params.seconds;
+                if (params.minutes && params.minutes > 0) seriesParams.minutes = params.minutes;
+                if (params.hours && params.hours > 0) seriesParams.hours = params.hours;
             }
-            return await window.FogLAMP.api.readingsTimespan(asset, null, {});
+            logMessage('info', 'Readings request (series)', {
+                asset,
+                datapoint,
+                mode: params.mode,
+                instance: baseUrl,
+                seriesParams
+            });
+            return await window.FogLAMP.api.readingsSeriesForUrl(baseUrl, asset, datapoint, seriesParams, { signal });
         }
 
         // Default: raw readings
-        // Prefer smart manager if available for web, else unified API
         const rawParams = {};
         if (params.mode === 'latest') {
             if (params.limit && params.limit > 0) rawParams.limit = params.limit;
@@ -1643,43 +1817,30 @@ export class ExcelIntegrationManager {
         try {
             logMessage('info', 'Readings request (raw)', {
                 asset,
-                datapoint: datapoint || '(all)',
+                datapoints: datapoints.length > 0 ? datapoints : '(all)',
                 mode: params.mode,
+                instance: baseUrl,
                 rawParams
             });
         } catch (_e) {}
 
-        // Prefer targeting the active instance explicitly to avoid cross-instance selection
-        const activeInstance = getActiveInstanceWithMeta();
-        const baseUrl = activeInstance?.url;
-        if (baseUrl && window.FogLAMP?.api?.readingsForUrl) {
-            try {
-                try { logMessage('debug', 'Using FogLAMP.api.readingsForUrl with active instance', { baseUrl }); } catch (_e) {}
-                return await window.FogLAMP.api.readingsForUrl(baseUrl, asset, datapoint, rawParams);
-            } catch (_primaryError) {
-                try { logMessage('warn', 'Primary readingsForUrl failed, falling back to smart transport', { baseUrl }); } catch (_e) {}
-                // Fall through to smartManager/unified fallbacks below
-            }
+        // Fetch all: page through limit/skip on the active instance
+        if (params.fetchAll) {
+            delete rawParams.limit;
+            return await window.FogLAMP.api.readingsForUrl(baseUrl, asset, datapoint, rawParams, {
+                fetchAll: true,
+                maxRows: params.maxRows,
+                signal,
+                priority: 'bulk',
+                onProgress: ({ page, pageRows, total, maxRows }) => {
+                    logMessage('info', `Fetched page ${page}: ${pageRows} readings (${total.toLocaleString()} of max ${maxRows.toLocaleString()})`, { asset });
+                    this.reportProgress(`Readings export: fetched ${total.toLocaleString()} readings (page ${page})`);
+                }
+            });
         }
 
-        if (window.smartManager && typeof window.smartManager.foglampReadings === 'function') {
-            try { logMessage('debug', 'Using smartManager.foglampReadings transport'); } catch (_e) {}
-            return await window.smartManager.foglampReadings(asset, datapoint, rawParams);
-        } else if (typeof window.foglampAssetReadingsSmart === 'function') {
-            try { logMessage('debug', 'Using legacy window.foglampAssetReadingsSmart transport'); } catch (_e) {}
-            return await window.foglampAssetReadingsSmart(
-                asset,
-                datapoint,
-                rawParams.limit,
-                rawParams.skip,
-                rawParams.seconds,
-                rawParams.minutes,
-                rawParams.hours,
-                rawParams.previous
-            );
-        }
-        try { logMessage('debug', 'Using unified FogLAMP.api.readings transport'); } catch (_e) {}
-        return await window.FogLAMP.api.readings(asset, datapoint, rawParams);
+        // A failure here is reported as-is: answering from another transport could return another instance's data
+        return await window.FogLAMP.api.readingsForUrl(baseUrl, asset, datapoint, rawParams, { signal });
     }
 
     /**
@@ -0,0 +1,384 @@
+/**
+ * Ingest Selection for FogLAMP DataLink
+ * Sends the selected worksheet range (header row, then timestamp + datapoint columns) as readings to an
+ * HTTP south service on the active instance, in batches, and writes a result per row next to the data
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, getColumnLetter, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+
+const RESULT_HEADER = 'Ingest Result';
+
+/**
+ * Ingest Manager Class
+ * Validation works like Configuration Apply: when any row is invalid, nothing is sent
+ */
+export class IngestManager {
+
+    constructor() {
+        this.defaultBatchSize = 100;
+        this.maxBatchSize = 1000;
+    }
+
+    /**
+     * Read the options from the taskpane
+     * @returns {Object} { service, asset, batchSize, dryRun }
+     */
+    getOptions() {
+        const batchSize = parseInt(elements.ingestBatchSize()?.value, 10);
+        return {
+            service: elements.ingestService()?.value.trim() || '',
+            asset: elements.ingestAsset()?.value.trim() || '',
+            batchSize: batchSize > 0 ? Math.min(batchSize, this.maxBatchSize) : this.defaultBatchSize,
+            dryRun: elements.ingestDryRun()?.checked !== false
+        };
+    }
+
+    /**
+     * Scheme, port and URI of an HTTP south service, from its configuration category.
+     * The service listens on plain HTTP on "port" unless "enableHttp" is false, in which case it
+     * listens on HTTPS on "httpsPort"; the REST API's own scheme says nothing about it.
+     * @param {string} url - Instance URL
+     * @param {string} service - South service name
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { protocol, port, uri }
+     */
+    async fetchServiceEndpoint(url, service, options = {}) {
+        const raw = await window.FogLAMP.api.categoryForUrl(url, service, options);
+        const { items } = responseNormalizer.normalizeConfigItems(raw);
+        const setting = (name) => items.find(i => i.name === name)?.value;
+        const https = String(setting('enableHttp') ?? 'true').toLowerCase() === 'false';
+        const port = https ? setting('httpsPort') : setting('port');
+        if (!port || !/^\d+$/.test(port)) {
+            throw new Error(`"${service}" has no ${https ? 'httpsPort' : 'port'} setting; is it an HTTP south service?`);
+        }
+        return {
+            protocol: https ? 'https:' : 'http:',
+            port: Number(port),
+            uri: setting('uri') || 'sensor-reading'
+        };
+    }
+
+    /**
+     * Read the selected range of the active worksheet, plus the column right of it where results go
+     * @returns {Promise<Object>} { sheetName, address, values, rowIndex, columnIndex, columnCount, resultValues }
+     */
+    async readSelection() {
+        return await Excel.run(async (context) => {
+            const range = context.workbook.getSelectedRange();
+            range.load(['address', 'values', 'rowIndex', 'columnIndex', 'columnCount', 'rowCount']);
+            range.worksheet.load('name');
+            await context.sync();
+            const resultRange = range.worksheet.getRangeByIndexes(range.rowIndex, range.columnIndex + range.columnCount, range.rowCount, 1);
+            resultRange.load('values');
+            await context.sync();
+            return {
+                sheetName: range.worksheet.name,
+                address: range.address,
+                values: range.values,
+                rowIndex: range.rowIndex,
+                columnIndex: range.columnIndex,
+                columnCount: range.columnCount,
+                resultValues: resultRange.values
+            };
+        });
+    }
+
+    /**
+     * The result column may only be written when it is empty or holds results of an earlier run
+     * @param {Object} selection - From readSelection()
+     * @returns {string|null} Problem description, or null when the column can be written
+     */
+    checkResultColumn(selection) {
+        const [header, ...cells] = selection.resultValues.map(row => row[0]);
+        if (header === RESULT_HEADER) return null;
+        const isEmpty = (value) => value === '' || value == null;
+        if (isEmpty(header) && cells.every(isEmpty)) return null;
+        const letter = getColumnLetter(selection.columnIndex + selection.columnCount);
+        return `column ${letter} (right of the selection) holds data; results go there, so clear it or insert an empty column first`;
+    }
+
+    /**
+     * Timestamp cell to Date: Excel date serials are read as UTC (the way exports write them),
+     * text goes through the normalizer's timestamp parser
+     * @param {any} cell - Cell value
+     * @returns {Date|null} Date or null when the cell is not a timestamp
+     */
+    parseTimestampCell(cell) {
+        if (typeof cell === 'number') {
+            return cell > 0 ? new Date(Math.round((cell - 25569) * 86400000)) : null;
+        }
+        if (typeof cell === 'string' && cell.trim() !== '') {
+            return responseNormalizer.parseTimestamp(cell.trim());
+        }
+        return null;
+    }
+
+    /**
+     * FogLAMP reading timestamp, e.g. "2024-05-01 10:00:00.000000+00:00"
+     * @param {Date} date - Timestamp
+     * @returns {string} Formatted UTC timestamp
+     */
+    formatTimestamp(date) {
+        const iso = date.toISOString();
+        return `${iso.slice(0, 10)} ${iso.slice(11, 23)}000+00:00`;
+    }
+
+    /**
+     * Validate the selection and turn each data row into a reading
+     * A datapoint column is numeric when most of its filled cells are numbers; other cells in it are errors.
+     * Columns that are mostly text are sent as strings. Empty cells are left out of the reading.
+     * @param {Array<Array>} values - Selected values, header row first
+     * @param {string} asset - Asset name for every reading
+     * @returns {Object} { error } for an unusable header, else { keys, types, rows: [{ reading } | { error } | { skipped }] }
+     */
+    buildReadings(values, asset) {
+        if (!values || values.length < 2 || values[0].length < 2) {
+            return { error: 'select a header row plus data rows, with the timestamp in the first column and at least one datapoint column' };
+        }
+        const keys = values[0].slice(1).map(h => String(h ?? '').trim());
+        const emptyHeader = keys.findIndex(k => k === '');
+        if (emptyHeader >= 0) return { error: `datapoint column ${emptyHeader + 2} has no header` };
+        const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+        if (duplicate) return { error: `datapoint "${duplicate}" appears twice in the header` };
+
+        const data = values.slice(1);
+        const isEmpty = (cell) => cell == null || cell === '';
+        const types = keys.map((_, i) => {
+            const filled = data.map(row => row[i + 1]).filter(cell => !isEmpty(cell));
+            const numbers = filled.filter(cell => typeof cell === 'number').length;
+            return filled.length > 0 && numbers * 2 >= filled.length ? 'number' : 'string';
+        });
+
+        const rows = data.map(row => {
+            if (row.every(isEmpty)) return { skipped: true };
+            const timestamp = this.parseTimestampCell(row[0]);
+            if (!timestamp) return { error: `timestamp "${row[0]}" is not a date` };
+
+            const reading = {};
+            const problems = [];
+            keys.forEach((key, i) => {
+                const cell = row[i + 1];
+                if (isEmpty(cell)) return;
+                if (types[i] === 'number') {
+                    const num = typeof cell === 'number' ? cell : (typeof cell === 'string' && cell.trim() !== '' ? Number(cell) : NaN);
+                    if (!Number.isFinite(num)) problems.push(`${key} expects a number, got "${cell}"`);
+                    else reading[key] = num;
+                } else {
+                    reading[key] = String(cell);
+                }
+            });
+            if (problems.length > 0) return { error: problems.join('; ') };
+            if (Object.keys(reading).length === 0) return { error: 'no datapoint values' };
+            return { reading: { timestamp: this.formatTimestamp(timestamp), asset, readings: reading } };
+        });
+
+        return { keys, types, rows };
+    }
+
+    /**
+     * Write one result per data row in the column right of the selection (header on the header row)
+     * @param {Object} selection - From readSelection()
+     * @param {Array<string>} results - Result text per data row
+     */
+    async writeResults(selection, results) {
+        await Excel.run(async (context) => {
+            const sheet = context.workbook.worksheets.getItem(selection.sheetName);
+            const column = sheet.getRangeByIndexes(selection.rowIndex, selection.columnIndex + selection.columnCount, results.length + 1, 1);
+            column.values = [[RESULT_HEADER], ...results.map(r => [r])];
+            try {
+                window.FogLAMP.excel.formatHeaders(column.getCell(0, 0));
+                results.forEach((text, i) => {
+                    const cell = column.getCell(i + 1, 0);
+                    cell.format.fill.clear();
+                    if (/^(Error|Failed)/.test(text)) {
+                        cell.format.fill.color = '#FEE2E2';
+                        cell.format.font.color = '#B91C1C';
+                    } else if (text.startsWith('Unknown')) {
+                        cell.format.fill.color = '#FEF3C7';
+                        cell.format.font.color = '#92400E';
+                    } else {
+                        cell.format.font.color = '#000000';
+                    }
+                });
+                column.format.autofitColumns();
+            } catch (fmtError) {
+                console.warn('Formatting error (non-fatal):', fmtError);
+            }
+            await context.sync();
+        });
+    }
+
+    /**
+     * Validate the selected range and, unless dry run, send it to the HTTP south service in batches
+     * @param {Object} options - { service, asset, batchSize, dryRun } to override the taskpane, { signal } to cancel from the caller
+     * @returns {Promise<boolean>} True when every row was valid and (outside a dry run) sent
+     */
+    async handleIngestSelection(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Ingest Selection: no active instance');
+            return false;
+        }
+        const { signal: parentSignal, ...overrides } = options;
+        const settings = { ...this.getOptions(), ...overrides };
+        if (!settings.asset || !settings.service) {
+            logMessage('warn', 'Ingest Selection: enter the HTTP south service and the asset name first');
+            return false;
+        }
+
+        const signal = excel.beginExport('Ingest selection', parentSignal);
+        if (!signal) return false;
+
+        try {
+            const selection = await this.readSelection();
+            const columnProblem = this.checkResultColumn(selection);
+            if (columnProblem) {
+                logMessage('error', `Ingest Selection: ${columnProblem}`, { range: selection.address });
+                excel.endExport('Ingest selection: nothing sent');
+                return false;
+            }
+            const built = this.buildReadings(selection.values, settings.asset);
+            if (built.error) {
+                logMessage('error', `Ingest Selection: ${built.error}`, { range: selection.address });
+                excel.endExport('Ingest selection: nothing sent');
+                return false;
+            }
+
+            const firstDataRow = selection.rowIndex + 2; // 1-based sheet row of the first data row
+            const results = built.rows.map(r => (r.skipped ? '' : r.error ? `Error: ${r.error}` : ''));
+            const invalid = built.rows
+                .map((r, i) => (r.error ? { row: firstDataRow + i, error: r.error } : null))
+                .filter(Boolean);
+            const valid = built.rows.map((r, i) => ({ ...r, index: i })).filter(r => r.reading);
+
+            if (invalid.length > 0) {
+                invalid.forEach(({ row, error }) => logMessage('error', `Row ${row}: ${error}`));
+                await this.writeResults(selection, results);
+                logMessage('error', `Ingest Selection: ${invalid.length} invalid rows; nothing was sent`, { range: selection.address });
+                excel.endExport('Ingest selection: invalid rows, nothing sent');
+                return false;
+            }
+            if (valid.length === 0) {
+                logMessage('warn', 'Ingest Selection: the selection has no data rows');
+                excel.endExport('Ingest selection: nothing to send');
+                return false;
+            }
+
+            const batches = [];
+            for (let i = 0; i < valid.length; i += settings.batchSize) {
+                batches.push(valid.slice(i, i + settings.batchSize));
+            }
+            const columns = built.keys.map((k, i) => `${k} (${built.types[i]})`).join(', ');
+
+            if (settings.dryRun) {
+                valid.forEach(r => { results[r.index] = 'Valid (dry run)'; });
+                await this.writeResults(selection, results);
+                logMessage('info', `Dry run: ${valid.length} readings for ${settings.asset} in ${batches.length} batches; nothing was sent`, {
+                    columns,
+                    first: valid[0].reading
+                });
+                excel.endExport(`Ingest selection dry run: ${valid.length} readings valid`);
+                return true;
+            }
+
+            excel.reportProgress(`Ingest selection: looking up ${settings.service}`);
+            const endpoint = await this.fetchServiceEndpoint(active.url, settings.service, { signal });
+            throwIfAborted(signal);
+            const confirmed = await window.FogLAMP.instances.confirmAction(
+                `Send ${valid.length} readings to ${getDisplayName(active)}?`,
+                `Service: ${settings.service} (${endpoint.protocol.replace(':', '')} port ${endpoint.port})\nAsset: ${settings.asset}\nDatapoints: ${columns}\n` +
+                `${batches.length} batch${batches.length === 1 ? '' : 'es'} of up to ${settings.batchSize} readings.\n\nReadings cannot be removed once sent.`,
+                'Send'
+            );
+            if (!confirmed) {
+                logMessage('info', 'Ingest Selection cancelled by user');
+                excel.endExport('Ingest selection cancelled');
+                return false;
+            }
+
+            // Batches go one at a time; after a failure the rest are not sent.
+            // A batch without an answer from the service (cancelled or timed out while sending, connection lost,
+            // proxy errors) may have been ingested anyway, so it is marked Unknown rather than Not sent or Failed.
+            let sent = 0;
+            let unknown = 0;
+            let failure = null;
+            for (let b = 0; b < batches.length; b++) {
+                const label = `batch ${b + 1}/${batches.length}`;
+                if (failure || signal.aborted) {
+                    batches[b].forEach(r => { results[r.index] = failure ? 'Not sent (earlier batch failed)' : 'Not sent (cancelled)'; });
+                    continue;
+                }
+                excel.reportProgress(`Ingest selection: sending ${label}`);
+                try {
+                    await window.FogLAMP.api.postSouthReadingsForUrl(active.url, endpoint, batches[b].map(r => r.reading), { signal });
+                    batches[b].forEach(r => { results[r.index] = `Sent (${label})`; });
+                    sent += batches[b].length;
+                } catch (error) {
+                    if (isAbortError(error) && signal.aborted) {
+                        batches[b].forEach(r => { results[r.index] = `Unknown (cancelled while sending ${label})`; });
+                        unknown += batches[b].length;
+                        continue;
+                    }
+                    failure = error;
+                    if (typeof error.status !== 'number' || error.transport) {
+                        batches[b].forEach(r => { results[r.index] = `Unknown: ${error.message} (${label})`; });
+                        unknown += batches[b].length;
+                    } else {
+                        batches[b].forEach(r => { results[r.index] = `Failed: ${error.message} (${label})`; });
+                    }
+                }
+            }
+
+            await this.writeResults(selection, results);
+            if (failure || signal.aborted) {
+                const reason = failure ? failure.message : 'cancelled';
+                logMessage(failure ? 'error' : 'warn', `Ingest Selection stopped: ${sent} of ${valid.length} readings sent`, {
+                    service: settings.service,
+                    reason,
+                    unknown
+                });
+                if (unknown > 0) {
+                    logMessage('warn', `${unknown} readings may or may not have been ingested; check the asset's readings before sending the rows marked Unknown again`, {
+                        asset: settings.asset
+                    });
+                }
+                excel.endExport(`Ingest selection stopped (${sent}/${valid.length} sent)`);
+                return false;
+            }
+            logMessage('info', `Ingest Selection: ${sent} readings sent`, { service: settings.service, asset: settings.asset, batches: batches.length });
+            excel.endExport(`Ingest selection done (${sent} readings)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Ingest Selection cancelled; nothing was sent');
+                excel.endExport('Ingest selection cancelled');
+                return false;
+            }
+            logMessage('error', 'Ingest Selection failed', { instance: active.url, error: error.message });
+            excel.endExport('Ingest selection failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize ingest manager
+     */
+    initialize() {
+        console.log('✅ Ingest selection initialized');
+    }
+}
+
+// Create singleton instance
+export const ingestManager = new IngestManager();
+
+// Export individual methods for backward compatibility
+export const handleIngestSelection = (options) => ingestManager.handleIngestSelection(options);
+
+// Export singleton as default
+export default ingestManager;
@@ -3,10 +3,12 @@
  * Handles instance connectivity testing, status management, and lifecycle operations
  */
 
-import { updateInstanceMeta, setActiveInstance, getActiveInstance, getInstanceMeta } from '../core/storage.js';
-import { INSTANCE_STATUS, CONNECTION_CONFIG } from '../core/config.js';
+import { updateInstanceMeta, setActiveInstance, getInstanceMeta } from '../core/storage.js';
+import { INSTANCE_STATUS, CONNECTION_CONFIG, API_FLAVOURS } from '../core/config.js';
 import { getDisplayName } from '../core/utils.js';
 import { logMessage } from '../ui/console.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { endpointResolver } from '../core/endpoints.js';
 
 /**
  * Instance Ping Manager Class
@@ -19,8 +21,6 @@ export class InstancePingManager {
         this.pingHistory = new Map(); // Track ping history for instances
         this.defaultTimeout = 5000; // 5 seconds default timeout
         this.maxHistorySize = 10; // Keep last 10 ping results per instance
-        this.retryDelay = 1000; // 1 second delay between retries
-        this.maxRetries = 2; // Maximum automatic retries
         this.uiUpdateFunctions = { renderList: null, updateBadges: null };
     }
 
@@ -50,14 +50,16 @@ export class InstancePingManager {
     /**
      * Ping specific instance and update its status
      * @param {string} url - Instance URL to ping
-     * @param {Object} options - Ping options (timeout, retries, etc.)
+     * Retries and backoff come from the API manager's resilience policy; the ping is sent as a
+     * probe, so it also tests (and can close) an open circuit breaker.
+     * @param {Object} options - Ping options (timeout, updateUI, bypassCache for explicit refreshes)
      * @returns {Promise<Object>} Ping result with timing and status
      */
     async pingInstance(url, options = {}) {
         const {
             timeout = this.defaultTimeout,
             updateUI = true,
-            retryCount = 0
+            bypassCache = false
         } = options;
 
         // Cancel any existing ping for this URL
@@ -69,8 +71,15 @@ export class InstancePingManager {
             this.renderInstanceList();
         }
         
+        // Instances added before flavour detection are probed once
+        if (!getInstanceMeta(url).apiFlavour) {
+            try {
+                await this.detectApiFlavour(url, timeout);
+            } catch (_e) {}
+        }
+
         const startTime = performance.now();
-        logMessage('info', 'Ping started', { url, timeout, retry: retryCount });
+        logMessage('info', 'Ping started', { url, timeout });
 
         try {
             // ✅ UNIFIED API: Use single backbone for consistent proxy handling
@@ -79,16 +88,20 @@ export class InstancePingManager {
             logMessage('info', 'Using unified API for ping', { url });
             
             // STREAMLINED: Use explicit per-URL call to avoid active-instance leakage
-            data = await window.FogLAMP.api.pingForUrl(url);
+            data = await window.FogLAMP.api.pingForUrl(url, { priority: 'interactive', probe: true, bypassCache });
             
             const endTime = performance.now();
             const pingMs = Math.round(endTime - startTime);
             
+            // Normalizing also records the instance's FogLAMP version for later payloads
+            const model = responseNormalizer.normalizePing(data);
+
             const pingResult = {
                 url,
                 success: true,
                 pingMs,
-                hostName: data.hostName || data.serviceName || '',
+                hostName: model.hostName || model.serviceName || '',
+                version: model.version,
                 timestamp: new Date().toISOString(),
                 data
             };
@@ -100,8 +113,12 @@ export class InstancePingManager {
                     lastPingMs: pingMs,
                     lastCheckedAt: pingResult.timestamp,
                     hostName: pingResult.hostName,
-                    lastError: null // Clear any previous error
+                    lastError: null, // Clear any previous error
+                    authOptional: model.authenticationOptional,
+                    version: model.version
                 });
+                // Fetch the alert list in the background when the ping reports alerts
+                window.FogLAMP.alerts?.refreshFromPing(url, model.alerts);
             }
 
             this.updatePingHistory(url, pingResult);
@@ -127,22 +144,9 @@ export class InstancePingManager {
                 success: false,
                 pingMs: errorPingMs,
                 error: errorMessage,
-                timestamp: new Date().toISOString(),
-                retryCount
+                timestamp: new Date().toISOString()
             };
 
-            // Handle retry logic
-            if (retryCount < this.maxRetries && this.shouldRetry(error)) {
-                logMessage('warn', `Ping failed, retrying (${retryCount + 1}/${this.maxRetries})`, {
-                    url,
-                    error: errorMessage,
-                    retryIn: `${this.retryDelay}ms`
-                });
-
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-                return this.pingInstance(url, { ...options, retryCount: retryCount + 1 });
-            }
-
             // Update metadata with failed ping
             if (updateUI) {
                 // Do not overwrite an existing hostName on failure; if none exists, set to URL
@@ -168,46 +172,82 @@ export class InstancePingManager {
 
     /**
      * Ping URL for validation (used in add instance flow)
+     * Probes both the FogLAMP and Fledge ping routes to detect the API flavour; a trailing
+     * '/foglamp' or '/fledge' in the typed URL is taken as a hint and dropped from the base path.
      * @param {string} url - URL to ping
      * @param {number} timeoutMs - Timeout in milliseconds
-     * @returns {Promise<Object>} Ping validation result
+     * @returns {Promise<Object>} Ping validation result, including { url, apiFlavour, basePath }
      */
     async pingUrlForValidation(url, timeoutMs = 8000) {
+        const { url: instanceUrl, flavourHint } = endpointResolver.splitInstanceUrl(url);
+        // Go through the API manager's request scheduler when it is up
+        if (window.FogLAMP?.api?.schedule) {
+            return await window.FogLAMP.api.schedule(instanceUrl, () => this._probeFlavours(instanceUrl, flavourHint, timeoutMs), { priority: 'interactive' });
+        }
+        return await this._probeFlavours(instanceUrl, flavourHint, timeoutMs);
+    }
+
+    /**
+     * Detect and store the API flavour of an instance registered before flavours existed
+     * @param {string} url - Instance URL
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise<string|null>} Detected flavour, or null when no ping route answered
+     */
+    async detectApiFlavour(url, timeoutMs = this.defaultTimeout) {
+        const result = await this._probeFlavours(url, null, timeoutMs);
+        if (result.apiFlavour) {
+            updateInstanceMeta(url, { apiFlavour: result.apiFlavour, basePath: result.basePath });
+            window.FogLAMP?.api?.invalidateCache(url);
+            logMessage('info', 'API flavour detected', { url, flavour: API_FLAVOURS[result.apiFlavour].label, basePath: result.basePath || '/' });
+        }
+        return result.apiFlavour;
+    }
+
+    /**
+     * Ping every flavour's route in parallel; the first in probe order that answers wins.
+     * A 401/403 still proves the route exists.
+     * @private
+     */
+    async _probeFlavours(instanceUrl, flavourHint, timeoutMs) {
+        const basePath = endpointResolver.getBasePath(instanceUrl);
+        const order = endpointResolver.getProbeOrder(flavourHint);
+        const results = await Promise.all(order.map(flavour => this._pingUrlForValidation(instanceUrl, flavour, timeoutMs)));
+
+        const index = results.findIndex(r => r.ok || r.status === 401 || r.status === 403);
+        if (index !== -1) {
+            return { ...results[index], url: instanceUrl, apiFlavour: order[index], basePath };
+        }
+        return { ...results[0], url: instanceUrl, apiFlavour: null, basePath };
+    }
+
+    /**
+     * Validation ping of one flavour's route via proxy, then direct
+     * @private
+     */
+    async _pingUrlForValidation(url, flavour, timeoutMs) {
+        const pingPath = `${API_FLAVOURS[flavour].prefix}/ping`;
+
         // Prefer proxy validation in web contexts to avoid TLS/CORS issues
         const isHttpsPage = typeof window !== 'undefined' && window.location && window.location.protocol === 'https:';
         const proxyBaseHttps = `https://localhost:${CONNECTION_CONFIG.PROXY_PORT || 3001}`;
         const proxyBaseHttp = CONNECTION_CONFIG.PROXY_BASE_URL || 'http://localhost:3001';
         const proxyBase = isHttpsPage ? proxyBaseHttps : proxyBaseHttp;
 
-        // Helper to derive proxy path name from URL (mirrors smart-connection.js)
-        const getProxyPath = (targetUrl) => {
-            try {
-                const parsed = new URL(targetUrl);
-                const host = parsed.hostname;
-                if (host === '127.0.0.1' || host === 'localhost') {
-                    return 'local';
-                }
-                return host.replace(/\./g, '-').toLowerCase();
-            } catch (_e) {
-                return 'instance-validate';
-            }
-        };
-
         // Try via proxy first
         try {
-            const path = getProxyPath(url);
+            const path = endpointResolver.getProxyName(url);
             // Configure proxy dynamically for this single URL
             await fetch(`${proxyBase}/config`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ instances: { [path]: url } }),
+                body: JSON.stringify({ instances: { [path]: url }, flavours: { [path]: flavour } }),
                 mode: 'cors',
                 credentials: 'omit'
             });
 
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-            const response = await fetch(`${proxyBase}/${path}/foglamp/ping`, {
+            const response = await fetch(`${proxyBase}/${path}${pingPath}`, {
                 method: 'GET',
                 headers: { 'Accept': 'application/json' },
                 mode: 'cors',
@@ -229,7 +269,7 @@ export class InstancePingManager {
         try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-            const response = await fetch(`${url}/foglamp/ping`, {
+            const response = await fetch(`${url}${pingPath}`, {
                 method: 'GET',
                 headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
                 signal: controller.signal
@@ -284,24 +324,8 @@ export class InstancePingManager {
         logMessage('info', 'Fetching statistics', { url });
         
         try {
-            // Set as active temporarily to use smart API functions
-            const originalActive = getActiveInstance();
-            setActiveInstance(url);
-            
-            let stats;
-            if (window.foglampStatisticsSmart) {
-                stats = await window.foglampStatisticsSmart();
-            } else if (window.smartManager) {
-                stats = await window.smartManager.foglampStatistics();
-            } else {
-                // Fallback to direct API call
-                stats = await this.directStatisticsFetch(url);
-            }
-            
-            // Restore original active instance
-            if (originalActive) {
-                setActiveInstance(originalActive);
-            }
+            // Bound to this instance; the active instance is left alone
+            const stats = await window.FogLAMP.api.statisticsForUrl(url);
             
             logMessage('info', 'Statistics fetched successfully', { url, hasData: !!stats });
             return stats;
@@ -312,28 +336,6 @@ export class InstancePingManager {
         }
     }
 
-    /**
-     * Direct statistics fetch via REST API
-     * @param {string} url - Instance URL
-     * @returns {Promise<Object>} Statistics data
-     */
-    async directStatisticsFetch(url) {
-        const response = await fetch(`${url}/foglamp/statistics`, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            },
-            signal: AbortSignal.timeout(10000) // 10 second timeout
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        return await response.json();
-    }
-
     /**
      * Cancel ping timeout for specific URL
      * @param {string} url - Instance URL
@@ -416,26 +418,6 @@ export class InstancePingManager {
         };
     }
 
-    /**
-     * Determine if error should trigger retry
-     * @param {Error} error - Error that occurred
-     * @returns {boolean} Whether to retry
-     */
-    shouldRetry(error) {
-        const retryableErrors = [
-            'fetch aborted',
-            'NetworkError',
-            'TimeoutError',
-            'ECONNRESET',
-            'ECONNREFUSED'
-        ];
-        
-        const errorMessage = error.message || error.toString();
-        return retryableErrors.some(retryable => 
-            errorMessage.toLowerCase().includes(retryable.toLowerCase())
-        );
-    }
-
     /**
      * Get user-friendly error message
      * @param {Error} error - Error object
@@ -0,0 +1,315 @@
+/**
+ * Plugin Inventory for FogLAMP DataLink
+ * Writes an "Inventory" sheet with the installed plugins (/foglamp/plugins/installed) of every instance
+ * against version, host name and IP addresses from ping, and lists the plugins available for install
+ * on the active instance (/foglamp/plugins/available)
+ */
+
+import { elements } from '../ui/elements.js';
+import { getInstances, getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+
+// Data flow order; unknown types sort after these alphabetically
+const PLUGIN_TYPE_ORDER = ['south', 'north', 'filter', 'notify', 'rule'];
+
+// Amber marks a version older than the newest one installed in the fleet
+const OUTDATED_FILL = '#FEF3C7';
+
+/**
+ * Inventory Manager Class
+ */
+export class InventoryManager {
+
+    constructor() {
+        this.sheetName = 'Inventory';
+    }
+
+    /**
+     * Fetch ping and installed plugins of one instance
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Object>} { url, ping, plugins, error }
+     */
+    async fetchInstanceInventory(url, options = {}) {
+        const [pingResult, pluginsResult] = await Promise.allSettled([
+            window.FogLAMP.api.pingForUrl(url, options),
+            window.FogLAMP.api.installedPluginsForUrl(url, {}, options)
+        ]);
+        [pingResult, pluginsResult].forEach(r => {
+            if (r.status === 'rejected' && isAbortError(r.reason)) throw r.reason;
+        });
+
+        const ping = pingResult.status === 'fulfilled' ? responseNormalizer.normalizePing(pingResult.value) : null;
+        const plugins = pluginsResult.status === 'fulfilled'
+            ? this.sortPlugins(responseNormalizer.normalizeInstalledPlugins(pluginsResult.value).plugins)
+            : [];
+        const failed = pluginsResult.status === 'rejected' ? pluginsResult.reason : pingResult.reason;
+        return { url, ping, plugins, error: failed ? failed.message : null };
+    }
+
+    /**
+     * Order plugins by type (PLUGIN_TYPE_ORDER) and then by name
+     * @param {Array} plugins - Plugins with { type, name }
+     * @returns {Array} New sorted array
+     */
+    sortPlugins(plugins) {
+        const rank = (type) => {
+            const idx = PLUGIN_TYPE_ORDER.indexOf(type);
+            return idx >= 0 ? idx : PLUGIN_TYPE_ORDER.length;
+        };
+        return plugins.slice().sort((a, b) =>
+            (rank(a.type) - rank(b.type)) || String(a.type).localeCompare(String(b.type)) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Compare dotted version strings numerically ("1.10.0" > "1.9.2"); non-numeric parts compare as text
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative, zero or positive
+     */
+    compareVersions(a, b) {
+        const pa = String(a).split(/[.\-+]/);
+        const pb = String(b).split(/[.\-+]/);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const x = pa[i] ?? '0';
+            const y = pb[i] ?? '0';
+            const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Cells (by instance index) whose version is older than the newest in the row
+     * @param {Array<string|null>} versions - Version per instance, null where not installed
+     * @returns {Array<number>} Instance indexes with an older version (empty when all agree)
+     */
+    findOutdated(versions) {
+        const present = versions.filter(v => v != null);
+        if (new Set(present).size <= 1) return [];
+        const newest = present.reduce((max, v) => (this.compareVersions(v, max) > 0 ? v : max));
+        return versions
+            .map((v, i) => (v != null && this.compareVersions(v, newest) < 0 ? i : -1))
+            .filter(i => i >= 0);
+    }
+
+    /**
+     * Build the Inventory sheet rows
+     * @param {Array} perInstance - [{ url, ping, plugins, error }] in instance order
+     * @returns {Object} { rows, colCount, labelRows, versionRow, headerRow, outdatedCells: [{ row, col }], mismatches }
+     */
+    buildInventorySheetRows(perInstance) {
+        const NA = 'NA';
+        const colCount = perInstance.length + 2; // A: Type, B: Plugin, C..: instances
+        const rows = [
+            ['Last Updated at Timestamp', '', new Date()],
+            [],
+            ['Instance SNo.', '', ...perInstance.map((_, i) => i + 1)],
+            ['Instance URL', '', ...perInstance.map(inst => inst.url)],
+            ['Host Name', '', ...perInstance.map(inst => inst.ping?.hostName || NA)],
+            ['IP Addresses', '', ...perInstance.map(inst => inst.ping?.ipAddresses.join(', ') || NA)],
+            ['Version', '', ...perInstance.map(inst => inst.ping?.version || NA)],
+            ['Fetch Status', '', ...perInstance.map(inst => inst.error ? `ERROR: ${inst.error}` : 'OK')],
+            [],
+            ['Type', 'Plugin', ...perInstance.map((_, i) => `Instance ${i + 1}`)]
+        ];
+        const labelRows = [2, 3, 4, 5, 6, 7];
+        const versionRow = 6;
+        const headerRow = rows.length - 1;
+
+        const outdatedCells = [];
+        this.findOutdated(perInstance.map(inst => inst.ping?.version || null))
+            .forEach(i => outdatedCells.push({ row: versionRow, col: i + 2 }));
+
+        // One row per distinct type + name across all instances
+        const byKey = new Map();
+        perInstance.forEach(inst => inst.plugins.forEach(p => {
+            const key = `${p.type}|${p.name}`;
+            if (!byKey.has(key)) byKey.set(key, { type: p.type, name: p.name });
+        }));
+        const pluginKeys = this.sortPlugins(Array.from(byKey.values()));
+
+        let mismatches = 0;
+        let previousType = null;
+        pluginKeys.forEach(({ type, name }) => {
+            const rowIndex = rows.length;
+            const versions = perInstance.map(inst => inst.plugins.find(p => p.type === type && p.name === name)?.version ?? null);
+            const outdated = this.findOutdated(versions);
+            if (outdated.length > 0) mismatches++;
+            outdated.forEach(i => outdatedCells.push({ row: rowIndex, col: i + 2 }));
+            rows.push([type === previousType ? '' : type, name, ...versions.map(v => v ?? NA)]);
+            previousType = type;
+        });
+
+        if (pluginKeys.length === 0) {
+            rows.push(['', 'No plugins reported', ...Array(perInstance.length).fill(NA)]);
+        }
+        return { rows, colCount, labelRows, versionRow, headerRow, outdatedCells, mismatches };
+    }
+
+    /**
+     * Export the "Inventory" sheet: one row per installed plugin, one column per registered instance
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportInventory(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const instanceUrls = getInstances();
+        if (!instanceUrls || instanceUrls.length === 0) {
+            logMessage('warn', 'Export Inventory: no instances registered');
+            return false;
+        }
+
+        const signal = excel.beginExport('Inventory export', options.signal);
+        if (!signal) return false;
+
+        try {
+            let fetchedCount = 0;
+            const perInstance = await Promise.all(instanceUrls.map(async (url) => {
+                try {
+                    return await this.fetchInstanceInventory(url, { signal, priority: 'bulk' });
+                } finally {
+                    fetchedCount++;
+                    excel.reportProgress(`Inventory export: fetched ${fetchedCount}/${instanceUrls.length} instances`);
+                }
+            }));
+
+            const { rows, colCount, labelRows, versionRow, headerRow, outdatedCells, mismatches } = this.buildInventorySheetRows(perInstance);
+            const normalized = excel.normalizeRowsForExcel(rows, colCount);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Inventory export: writing ${normalized.length} rows`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, this.sheetName);
+                try {
+                    sheet.getRangeByIndexes(0, 0, Math.max(normalized.length + 50, 200), Math.max(colCount + 5, 10)).clear();
+                    await context.sync();
+                } catch (_e) {}
+
+                // Versions are text ("2.1" must not become a number or date)
+                const textRows = normalized.length - versionRow;
+                sheet.getRangeByIndexes(versionRow, 2, textRows, colCount - 2).numberFormat =
+                    Array(textRows).fill(Array(colCount - 2).fill('@'));
+                sheet.getRangeByIndexes(0, 0, normalized.length, colCount).values = normalized;
+                await context.sync();
+
+                try {
+                    sheet.getRangeByIndexes(0, 2, 1, 1).numberFormat = [[excel.exportFormats.status.dateFormat]];
+
+                    // Label rows: black background, white text (same look as the Services sheet)
+                    labelRows.forEach(row => {
+                        const label = sheet.getRangeByIndexes(row, 0, 1, 2);
+                        label.format.fill.color = '#000000';
+                        label.format.font.color = '#FFFFFF';
+                        label.format.font.bold = true;
+                    });
+
+                    excel.formatHeaders(sheet.getRangeByIndexes(headerRow, 0, 1, colCount));
+
+                    outdatedCells.forEach(({ row, col }) => {
+                        const cell = sheet.getRangeByIndexes(row, col, 1, 1);
+                        cell.format.fill.color = OUTDATED_FILL;
+                        cell.format.font.bold = true;
+                    });
+
+                    const dataArea = sheet.getRangeByIndexes(0, 0, normalized.length, colCount);
+                    dataArea.format.borders.getItem('InsideHorizontal').style = 'Continuous';
+                    dataArea.format.borders.getItem('InsideHorizontal').color = '#E5E7EB';
+                    dataArea.format.verticalAlignment = 'Center';
+                    dataArea.format.autofitColumns();
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+
+                await context.sync();
+            });
+
+            const failed = perInstance.filter(inst => inst.error).length;
+            logMessage(mismatches > 0 || failed > 0 ? 'warn' : 'info', 'Inventory export done', {
+                sheet: this.sheetName,
+                instances: instanceUrls.length,
+                versionMismatches: mismatches,
+                unavailable: failed
+            });
+            excel.endExport(`Inventory export done (${instanceUrls.length} instances, ${mismatches} plugin version mismatches)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Inventory export cancelled; sheet left untouched', { sheet: this.sheetName });
+                excel.endExport('Inventory export cancelled (sheet left untouched)');
+                return false;
+            }
+            logMessage('error', 'Inventory export failed', { error: error.message });
+            excel.endExport('Inventory export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Write the plugins available for install on the active instance to "<instance>-Plugins"
+     * @param {Object} options - { type } to override the taskpane filter, { signal } to cancel from the caller
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleListAvailablePlugins(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Available Plugins: no active instance');
+            return false;
+        }
+
+        const type = options.type ?? elements.availablePluginType()?.value ?? '';
+        const sheetName = excel.createSafeSheetName(getDisplayName(active), 'Plugins');
+        const signal = excel.beginExport('Available plugins', options.signal);
+        if (!signal) return false;
+
+        try {
+            // The gateway refreshes its package lists before answering; this can take a minute
+            excel.reportProgress('Available plugins: asking the gateway (may take a minute)');
+            const raw = await window.FogLAMP.api.availablePluginsForUrl(active.url, { type }, { signal, priority: 'bulk' });
+            const packages = this.sortPlugins(responseNormalizer.normalizeAvailablePlugins(raw).packages);
+
+            throwIfAborted(signal);
+            await Excel.run(async (context) => {
+                await excel.writeTableSheet(context, sheetName, ['Type', 'Plugin', 'Package'],
+                    packages.map(p => [p.type, p.name, p.packageName]), { signal });
+            });
+
+            logMessage('info', 'Available plugins listed', { instance: getDisplayName(active), type: type || 'all', packages: packages.length, sheet: sheetName });
+            excel.endExport(`Available plugins: ${packages.length} packages`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Available plugins cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Available plugins cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Failed to list available plugins', { instance: active.url, error: error.message });
+            excel.endExport('Available plugins failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize inventory manager
+     */
+    initialize() {
+        console.log('✅ Plugin inventory initialized');
+    }
+}
+
+// Create singleton instance
+export const inventoryManager = new InventoryManager();
+
+// Export individual methods for backward compatibility
+export const handleExportInventory = (options) => inventoryManager.handleExportInventory(options);
+export const handleListAvailablePlugins = (options) => inventoryManager.handleListAvailablePlugins(options);
+
+// Export singleton as default
+export default inventoryManager;
@@ -0,0 +1,293 @@
+/**
+ * Asset Lineage for FogLAMP DataLink
+ * Uses the asset tracker (/foglamp/track) to show which south service ingested an asset, which filters
+ * touched it and which north services sent it: as a chain in the taskpane for the selected asset, and as
+ * an "<instance>-Lineage" sheet covering every asset of the active instance
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+import { renderMessage, appendNote } from '../ui/messages.js';
+
+// Pipeline stages in data flow order, by tracker event
+const STAGES = [
+    { event: 'Ingest', label: 'South (ingest)' },
+    { event: 'Filter', label: 'Filters' },
+    { event: 'Egress', label: 'North (egress)' }
+];
+
+const LINEAGE_HEADERS = ['Asset', 'Status', 'Readings', 'South Services', 'Filters', 'North Services', 'Deprecated Entries', 'First Tracked'];
+
+/**
+ * Lineage Manager Class
+ * Asset status:
+ * - deprecated: every tracker entry of the asset is deprecated
+ * - orphaned:   no active Ingest entry (nothing produces the asset any more, or it was never tracked)
+ * - active:     otherwise
+ */
+export class LineageManager {
+
+    constructor() {
+        this.loading = false;
+    }
+
+    /**
+     * Group tracker entries by asset
+     * @param {Array} entries - Normalized tracker entries
+     * @returns {Map} asset → { Ingest: [], Filter: [], Egress: [], other: [], all: [] }
+     */
+    groupByAsset(entries) {
+        const byAsset = new Map();
+        entries.forEach(entry => {
+            if (!byAsset.has(entry.asset)) {
+                byAsset.set(entry.asset, { Ingest: [], Filter: [], Egress: [], other: [], all: [] });
+            }
+            const lineage = byAsset.get(entry.asset);
+            (lineage[entry.event] || lineage.other).push(entry);
+            lineage.all.push(entry);
+        });
+        return byAsset;
+    }
+
+    /**
+     * Status of an asset from its lineage
+     * @param {Object|undefined} lineage - Grouped entries of the asset (undefined when untracked)
+     * @returns {string} 'active' | 'deprecated' | 'orphaned'
+     */
+    getAssetStatus(lineage) {
+        if (lineage && lineage.all.length > 0 && lineage.all.every(e => e.deprecated)) return 'deprecated';
+        if (!lineage || !lineage.Ingest.some(e => !e.deprecated)) return 'orphaned';
+        return 'active';
+    }
+
+    /**
+     * "service (plugin)" with duplicates removed
+     * @param {Array} entries - Tracker entries of one stage
+     * @returns {Array<string>} Labels
+     */
+    describeEntries(entries) {
+        const labels = entries.map(e => (e.plugin && e.plugin !== e.service ? `${e.service} (${e.plugin})` : e.service));
+        return Array.from(new Set(labels));
+    }
+
+    /**
+     * Show the lineage of the asset selected in fl-asset-select (or typed in fl-asset)
+     * @returns {Promise<Object|null>} The asset's grouped entries, or null when nothing was shown
+     */
+    async showLineageForSelectedAsset() {
+        const container = elements.lineageView();
+        const active = getActiveInstanceWithMeta();
+        const asset = window.FogLAMP.assets.getSelectedAsset();
+        if (!active) {
+            renderMessage(container, 'No active instance');
+            logMessage('warn', 'Asset lineage: no active instance');
+            return null;
+        }
+        if (!asset) {
+            renderMessage(container, 'Select an asset first');
+            return null;
+        }
+        if (this.loading) {
+            logMessage('info', 'Asset lineage is already loading');
+            return null;
+        }
+
+        this.loading = true;
+        renderMessage(container, `Loading lineage of ${asset}...`);
+        try {
+            const raw = await window.FogLAMP.api.assetTrackerForUrl(active.url, { asset }, { priority: 'interactive' });
+            const lineage = this.groupByAsset(responseNormalizer.normalizeAssetTracker(raw).entries).get(asset);
+            // Guard against race: the active instance may have changed while loading
+            if (getActiveInstanceWithMeta()?.url !== active.url) {
+                logMessage('info', 'Skipped lineage render due to instance change', { requested: active.url });
+                return null;
+            }
+            this.renderLineage(container, asset, lineage);
+            logMessage('info', `Asset lineage of ${asset}: ${this.getAssetStatus(lineage)}`, { instance: getDisplayName(active) });
+            return lineage || null;
+        } catch (error) {
+            renderMessage(container, `Failed to load lineage: ${error.message}`);
+            logMessage('error', 'Failed to load asset lineage', { instance: active.url, asset, error: error.message });
+            return null;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Render the ingest → filter → egress chain; deprecated entries are listed separately
+     * @param {HTMLElement} container - Target element
+     * @param {string} asset - Asset name
+     * @param {Object|undefined} lineage - Grouped entries
+     */
+    renderLineage(container, asset, lineage) {
+        if (!container) return;
+        container.innerHTML = '';
+        const status = this.getAssetStatus(lineage);
+
+        const heading = document.createElement('div');
+        heading.className = 'small';
+        heading.textContent = `${asset} • ${status}`;
+        container.appendChild(heading);
+        if (!lineage) {
+            appendNote(container, 'The asset tracker has no entries for this asset');
+            return;
+        }
+
+        STAGES.forEach(({ event, label }, idx) => {
+            if (idx > 0) {
+                const arrow = document.createElement('div');
+                arrow.className = 'lineage-arrow';
+                arrow.textContent = '↓';
+                container.appendChild(arrow);
+            }
+            const current = lineage[event].filter(e => !e.deprecated);
+            const row = document.createElement('div');
+            row.className = event === 'Ingest' && current.length === 0 ? 'entity-row attention' : 'entity-row';
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = label;
+            info.appendChild(name);
+            const services = this.describeEntries(current);
+            (services.length > 0 ? services : ['none']).forEach(text => {
+                const detail = document.createElement('div');
+                detail.className = 'entity-detail';
+                detail.textContent = text;
+                info.appendChild(detail);
+            });
+            row.appendChild(info);
+            container.appendChild(row);
+        });
+
+        const deprecated = lineage.all.filter(e => e.deprecated);
+        if (deprecated.length > 0) {
+            appendNote(container, `Deprecated: ${deprecated.map(e => `${e.event} ${this.describeEntries([e])[0]}`).join('; ')}`);
+        }
+    }
+
+    /**
+     * Build the lineage table: every asset with readings plus every tracked asset
+     * @param {Array} assets - Normalized asset list ({ name, count })
+     * @param {Map} byAsset - Grouped tracker entries
+     * @param {Object} options - { problemsOnly: only deprecated and orphaned assets }
+     * @returns {Object} { headers, rows, flaggedRows, counts: { active, deprecated, orphaned } }
+     */
+    buildLineageTable(assets, byAsset, options = {}) {
+        const excel = window.FogLAMP.excel;
+        const readings = new Map(assets.map(a => [a.name, a.count]));
+        const names = Array.from(new Set([...readings.keys(), ...byAsset.keys()])).sort((a, b) => a.localeCompare(b));
+        const rows = [];
+        const flaggedRows = [];
+        const counts = { active: 0, deprecated: 0, orphaned: 0 };
+
+        names.forEach(name => {
+            const lineage = byAsset.get(name);
+            const status = this.getAssetStatus(lineage);
+            counts[status]++;
+            if (options.problemsOnly && status === 'active') return;
+            if (status !== 'active') flaggedRows.push(rows.length);
+
+            const current = (event) => this.describeEntries(lineage ? lineage[event].filter(e => !e.deprecated) : []).join('; ');
+            const deprecated = lineage ? lineage.all.filter(e => e.deprecated) : [];
+            const firstTracked = lineage
+                ? lineage.all.map(e => e.timestamp).filter(Boolean).sort((a, b) => a - b)[0] || null
+                : null;
+            rows.push([
+                name,
+                status,
+                readings.get(name) ?? '',
+                current('Ingest'),
+                current('Filter'),
+                current('Egress'),
+                deprecated.map(e => `${e.event} ${this.describeEntries([e])[0]}`).join('; '),
+                firstTracked ? excel.convertDateToOADate(firstTracked) : ''
+            ]);
+        });
+
+        return { headers: LINEAGE_HEADERS, rows, flaggedRows, counts };
+    }
+
+    /**
+     * Export the lineage of every asset on the active instance to "<instance>-Lineage"
+     * @param {Object} options - { problemsOnly } to override the taskpane checkbox, { signal } to cancel from the caller
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportLineage(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Export Lineage: no active instance');
+            return false;
+        }
+
+        const problemsOnly = options.problemsOnly ?? !!elements.lineageProblemsOnly()?.checked;
+        const sheetName = excel.createSafeSheetName(getDisplayName(active), 'Lineage');
+        const signal = excel.beginExport('Lineage export', options.signal);
+        if (!signal) return false;
+
+        try {
+            excel.reportProgress('Lineage export: fetching asset tracker and asset list');
+            const [trackRaw, assetsRaw] = await Promise.all([
+                window.FogLAMP.api.assetTrackerForUrl(active.url, {}, { signal, priority: 'bulk' }),
+                window.FogLAMP.api.assetsForUrl(active.url, { signal, priority: 'bulk' })
+            ]);
+            const byAsset = this.groupByAsset(responseNormalizer.normalizeAssetTracker(trackRaw).entries);
+            const { assets } = responseNormalizer.normalizeAssets(assetsRaw);
+            const { headers, rows, flaggedRows, counts } = this.buildLineageTable(assets, byAsset, { problemsOnly });
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Lineage export: writing ${rows.length} rows`);
+
+            await Excel.run(async (context) => {
+                await excel.writeTableSheet(context, sheetName, headers, rows, {
+                    dateColumns: [7],
+                    highlightRows: flaggedRows,
+                    highlightColor: '#FEF3C7',
+                    signal
+                });
+            });
+
+            logMessage(counts.deprecated + counts.orphaned > 0 ? 'warn' : 'info', 'Lineage export done', {
+                sheet: sheetName,
+                assets: rows.length,
+                ...counts,
+                problemsOnly
+            });
+            excel.endExport(`Lineage export done (${rows.length} assets, ${counts.deprecated} deprecated, ${counts.orphaned} orphaned)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Lineage export cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Lineage export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Lineage export failed', { instance: active.url, error: error.message });
+            excel.endExport('Lineage export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize lineage manager
+     */
+    initialize() {
+        console.log('✅ Asset lineage initialized');
+    }
+}
+
+// Create singleton instance
+export const lineageManager = new LineageManager();
+
+// Export individual methods for backward compatibility
+export const showLineageForSelectedAsset = () => lineageManager.showLineageForSelectedAsset();
+export const handleExportLineage = (options) => lineageManager.handleExportLineage(options);
+
+// Export singleton as default
+export default lineageManager;
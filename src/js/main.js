@@ -8,6 +8,7 @@ import { STORAGE_KEYS, ENHANCED_STORAGE_KEYS, INSTANCE_STATUS, DEFAULTS } from '
 import { elements } from './ui/elements.js';
 import { getDisplayName, getColumnLetter, debounce, formatTimestamp, isValidUrl } from './core/utils.js';
 import { apiManager } from './core/api-manager.js';
+import { responseNormalizer } from './core/normalizer.js';
 import { errorHandler } from './core/error-handler.js';
 import { 
     instanceStorage,
@@ -31,6 +32,17 @@ import { instanceListManager } from './ui/instances.js';
 import { assetManager } from './assets/manager.js';
 import { instancePingManager } from './instances/ping.js';
 import { excelIntegrationManager } from './excel/integration.js';
+import { serviceManager } from './services/manager.js';
+import { scheduleManager } from './schedules/manager.js';
+import { controlManager } from './control/manager.js';
+import { supportManager } from './support/manager.js';
+import { configurationManager } from './configuration/manager.js';
+import { auditManager } from './audit/manager.js';
+import { statisticsHistoryManager } from './statistics/manager.js';
+import { alertManager } from './alerts/manager.js';
+import { inventoryManager } from './inventory/manager.js';
+import { lineageManager } from './lineage/manager.js';
+import { ingestManager } from './ingest/manager.js';
 import { eventHandlerManager, handleUpdateConnections } from './events/handlers.js';
 
 /**
@@ -52,6 +64,18 @@ class FogLAMPDataLink {
         this.events = eventHandlerManager;
         this.api = apiManager; // ✅ Unified API manager - single backbone
         this.errors = errorHandler; // ✅ Office.js compliant error handling
+        this.normalizer = responseNormalizer; // Raw FogLAMP payloads → internal model
+        this.services = serviceManager;
+        this.schedules = scheduleManager;
+        this.control = controlManager;
+        this.support = supportManager;
+        this.configuration = configurationManager;
+        this.audit = auditManager;
+        this.statistics = statisticsHistoryManager;
+        this.alerts = alertManager;
+        this.inventory = inventoryManager;
+        this.lineage = lineageManager;
+        this.ingest = ingestManager;
         
         // Make all modules available globally during transition
         window.FogLAMP = {
@@ -68,6 +92,18 @@ class FogLAMPDataLink {
             events: this.events,
             api: this.api,  // ✅ Unified API manager - single backbone
             errors: this.errors, // ✅ Office.js compliant error handling
+            normalizer: this.normalizer,
+            services: this.services,
+            schedules: this.schedules,
+            control: this.control,
+            support: this.support,
+            configuration: this.configuration,
+            audit: this.audit,
+            statistics: this.statistics,
+            alerts: this.alerts,
+            inventory: this.inventory,
+            lineage: this.lineage,
+            ingest: this.ingest,
             app: this  // Expose the app instance for manual initialization
         };
         
@@ -91,18 +127,19 @@ class FogLAMPDataLink {
         window.pingUrlForValidation = (url, timeout) => this.ping.pingUrlForValidation(url, timeout);
         window.syncFromSmartManager = () => this.ping.syncFromSmartManager();
         window.syncToSmartManager = () => this.ping.syncToSmartManager();
-        window.handleExportStatus = () => this.excel.handleExportStatus();
-        window.handleExportReadings = () => this.excel.handleExportReadings();
+        window.handleExportStatus = (options) => this.excel.handleExportStatus(options);
+        window.handleExportReadings = (options) => this.excel.handleExportReadings(options);
         window.handleUpdateConnections = () => this.events.handleUpdateConnections();
         window.loadAssetsForActiveInstance = () => this.assets.loadAssetsForActiveInstance();
         window.refreshAssetListForActiveInstance = () => this.assets.refreshAssetListForActiveInstance();
         window.clearConsole = () => this.console.clearConsole();
         
         // Export smart connection API methods for backward compatibility
-        window.foglampPingSmart = async () => await window.smartManager.foglampPing();
-        window.foglampStatisticsSmart = async () => await window.smartManager.foglampStatistics();
-        window.foglampAssetsSmart = async () => await window.smartManager.foglampAssets();
-        window.foglampAssetReadingsSmart = async (...args) => await window.smartManager.foglampReadings(...args);
+        // Routed through the API manager so they are bound to the active instance (strict scope)
+        window.foglampPingSmart = async () => await this.api.ping();
+        window.foglampStatisticsSmart = async () => await this.api.statistics();
+        window.foglampAssetsSmart = async () => await this.api.assets();
+        window.foglampAssetReadingsSmart = async (asset, datapoint = null, params = {}) => await this.api.readings(asset, datapoint, params);
         
         // ✅ MIGRATION GUIDE: Functions moved to organized namespaces
         // OLD GLOBALS (removed)     → NEW ORGANIZED PATHS
@@ -140,6 +177,17 @@ class FogLAMPDataLink {
             this.assets.initialize();
             this.ping.initialize();
             this.excel.initialize();
+            this.services.initialize();
+            this.schedules.initialize();
+            this.control.initialize();
+            this.support.initialize();
+            this.configuration.initialize();
+            this.audit.initialize();
+            this.statistics.initialize();
+            this.alerts.initialize();
+            this.inventory.initialize();
+            this.lineage.initialize();
+            this.ingest.initialize();
             this.events.initialize();
             
             // Set up module cross-dependencies
@@ -167,6 +215,15 @@ class FogLAMPDataLink {
             () => this.badges.updateOverviewBadges()
         );
         
+        // Prompt for credentials whenever an instance rejects a request with 401
+        this.api.setAuthRequiredHandler((url) => this.instances.promptLogin(url));
+
+        // Reflect circuit breaker changes in the instance list and connectivity badge
+        this.api.setBreakerStateChangeHandler(() => {
+            this.instances.renderInstanceList();
+            this.badges.updateOverviewBadges();
+        });
+        
         // Set up asset manager cache clearing when instances change via organized namespace
         const originalAddInstance = this.storage.addInstance;
         const originalRemoveInstance = this.storage.removeInstance;
@@ -0,0 +1,441 @@
+/**
+ * Schedules and Tasks Browser for FogLAMP DataLink
+ * Lists schedules and task runs of the active instance (/foglamp/schedule, /foglamp/task),
+ * enables, disables or starts schedules, and exports the run history to a sheet
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer, UNINTERPRETED } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+import { renderMessage } from '../ui/messages.js';
+
+// Task states that count as a problem (besides a non-zero exit code)
+const FAILED_TASK_STATES = ['interrupted', 'canceled', 'cancelled', 'failed'];
+
+/**
+ * Schedule Manager Class
+ * Every action is bound to the instance the list was loaded from, not to whatever is active when clicked
+ */
+export class ScheduleManager {
+
+    constructor() {
+        this.loading = false;
+        this.recentTasksShown = 20;  // Task runs listed in the taskpane
+        this.exportTaskLimit = 500;  // Task runs written by Export Tasks
+    }
+
+    /**
+     * Fetch schedules plus the latest run of each one
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Object>} { schedules, latest: Map(schedule name → task) }
+     */
+    async fetchSchedules(url, options = {}) {
+        const [schedulesRaw, latestRes] = await Promise.all([
+            window.FogLAMP.api.schedulesForUrl(url, options),
+            // The latest-runs endpoint is optional; schedules are still useful without it
+            window.FogLAMP.api.latestTasksForUrl(url, options).catch(error => {
+                if (isAbortError(error)) throw error;
+                logMessage('warn', 'Latest task runs not available', { instance: url, error: error.message });
+                return null;
+            })
+        ]);
+        const schedules = responseNormalizer.normalizeSchedules(schedulesRaw).schedules
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const latest = new Map();
+        if (latestRes) {
+            responseNormalizer.normalizeTasks(latestRes).tasks.forEach(task => {
+                if (task.name) latest.set(task.name, task);
+            });
+        }
+        return { schedules, latest };
+    }
+
+    /**
+     * Fetch the task run history, newest first
+     * @param {string} url - Instance URL
+     * @param {number} limit - Maximum number of runs
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Array>} Normalized tasks
+     */
+    async fetchTasks(url, limit, options = {}) {
+        const raw = await window.FogLAMP.api.tasksForUrl(url, { limit }, options);
+        return responseNormalizer.normalizeTasks(raw).tasks
+            .sort((a, b) => (b.startTime?.getTime() ?? 0) - (a.startTime?.getTime() ?? 0));
+    }
+
+    /**
+     * @param {Object} task - Normalized task
+     * @returns {boolean} True when the run ended with a non-zero exit code or was interrupted
+     */
+    isFailedTask(task) {
+        if (!task) return false;
+        if (task.exitCode != null && task.exitCode !== 0) return true;
+        return FAILED_TASK_STATES.includes(String(task.state || '').toLowerCase());
+    }
+
+    /**
+     * Format a duration in seconds as HH:MM:SS (with a day count when needed)
+     * @param {number|null} seconds - Duration
+     * @returns {string} Formatted duration, '' when unknown
+     */
+    formatDuration(seconds) {
+        if (seconds == null || !isFinite(seconds)) return '';
+        const total = Math.round(seconds);
+        const days = Math.floor(total / 86400);
+        const pad = (n) => String(n).padStart(2, '0');
+        const hms = `${pad(Math.floor((total % 86400) / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+        return days > 0 ? `${days}d ${hms}` : hms;
+    }
+
+    /**
+     * Short local date-time for the taskpane
+     * @param {Date|null} date - Date
+     * @returns {string} Formatted time, '—' when unknown
+     */
+    formatTime(date) {
+        return date ? date.toLocaleString() : '—';
+    }
+
+    /**
+     * When a schedule runs next
+     * INTERVAL: last start + repeat; TIMED: next day/time (gateway clock taken as UTC)
+     * @param {Object} schedule - Normalized schedule
+     * @param {Object|null} lastTask - Latest run of the schedule
+     * @param {Date} now - Reference time
+     * @returns {Date|string} Next run, or a label when there is no fixed time
+     */
+    getNextRun(schedule, lastTask, now = new Date()) {
+        if (!schedule.enabled) return 'disabled';
+        if (schedule.type === 'STARTUP') return 'at startup';
+        if (schedule.type === 'MANUAL') return 'manual';
+
+        if (schedule.type === 'INTERVAL') {
+            if (!schedule.repeatSeconds) return 'continuous';
+            if (!lastTask?.startTime) return 'pending';
+            return new Date(lastTask.startTime.getTime() + schedule.repeatSeconds * 1000);
+        }
+
+        if (schedule.type === 'TIMED' && schedule.time != null) {
+            const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+            for (let d = 0; d <= 7; d++) {
+                const candidate = new Date(midnight + d * 86400000 + schedule.time * 1000);
+                const isoDay = candidate.getUTCDay() || 7; // FogLAMP days: 1 = Monday … 7 = Sunday
+                if (candidate > now && (!schedule.day || schedule.day === isoDay)) return candidate;
+            }
+        }
+        return '—';
+    }
+
+    /**
+     * Load and render schedules and recent task runs of the active instance
+     * @returns {Promise<boolean>} True when loaded
+     */
+    async loadSchedulesForActiveInstance() {
+        const schedulesEl = elements.schedulesList();
+        const tasksEl = elements.tasksList();
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            renderMessage(schedulesEl, 'No active instance');
+            renderMessage(tasksEl, '');
+            logMessage('warn', 'Schedules: no active instance');
+            return false;
+        }
+        if (this.loading) {
+            logMessage('info', 'Schedules are already loading');
+            return false;
+        }
+
+        this.loading = true;
+        renderMessage(schedulesEl, 'Loading schedules...');
+        renderMessage(tasksEl, '');
+        try {
+            const [{ schedules, latest }, tasks] = await Promise.all([
+                this.fetchSchedules(active.url, { priority: 'interactive' }),
+                this.fetchTasks(active.url, this.recentTasksShown, { priority: 'interactive' })
+            ]);
+            if (getActiveInstanceWithMeta()?.url !== active.url) {
+                logMessage('info', 'Skipped schedule list render due to instance change', { requested: active.url });
+                return false;
+            }
+            this.renderSchedules(schedulesEl, active.url, schedules, latest);
+            this.renderTasks(tasksEl, tasks);
+            logMessage('info', `Loaded ${schedules.length} schedules and ${tasks.length} recent task runs`, {
+                instance: getDisplayName(active)
+            });
+            return true;
+        } catch (error) {
+            renderMessage(schedulesEl, `Failed to load schedules: ${error.message}`);
+            logMessage('error', 'Failed to load schedules', { instance: active.url, error: error.message });
+            return false;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Render schedules with Enable/Disable and Run now buttons
+     * @param {HTMLElement} container - Target element
+     * @param {string} url - Instance the schedules belong to
+     * @param {Array} schedules - Normalized schedules
+     * @param {Map} latest - Schedule name → latest task
+     */
+    renderSchedules(container, url, schedules, latest) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (schedules.length === 0) {
+            renderMessage(container, 'No schedules defined');
+            return;
+        }
+
+        schedules.forEach(schedule => {
+            const lastTask = latest.get(schedule.name) || null;
+            const next = this.getNextRun(schedule, lastTask);
+
+            const row = document.createElement('div');
+            row.className = this.isFailedTask(lastTask) ? 'entity-row attention' : 'entity-row';
+
+            const dot = document.createElement('span');
+            dot.className = `status-dot ${schedule.enabled ? 'success' : 'unknown'}`;
+
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = schedule.name;
+            const timing = document.createElement('div');
+            timing.className = 'entity-detail';
+            timing.textContent = [
+                schedule.type,
+                schedule.repeatSeconds ? `every ${this.formatDuration(schedule.repeatSeconds)}` : '',
+                schedule.type === 'TIMED' && schedule.time != null ? `at ${this.formatDuration(schedule.time)}` : '',
+                schedule.enabled ? 'enabled' : 'disabled',
+                schedule.exclusive ? 'exclusive' : ''
+            ].filter(Boolean).join(' • ');
+            const runs = document.createElement('div');
+            runs.className = 'entity-detail';
+            const lastText = lastTask
+                ? `${this.formatTime(lastTask.startTime)} (${lastTask.state || '?'}${lastTask.exitCode != null ? `, exit ${lastTask.exitCode}` : ''})`
+                : '—';
+            runs.textContent = `last: ${lastText} • next: ${next instanceof Date ? this.formatTime(next) : next}`;
+
+            info.appendChild(name);
+            info.appendChild(timing);
+            info.appendChild(runs);
+
+            const actions = document.createElement('div');
+            actions.className = 'entity-actions';
+            const toggleBtn = document.createElement('button');
+            toggleBtn.type = 'button';
+            toggleBtn.textContent = schedule.enabled ? 'Disable' : 'Enable';
+            toggleBtn.title = `${schedule.enabled ? 'Disable' : 'Enable'} schedule "${schedule.name}"`;
+            toggleBtn.addEventListener('click', () => this.toggleSchedule(url, schedule));
+            const startBtn = document.createElement('button');
+            startBtn.type = 'button';
+            startBtn.textContent = 'Run now';
+            startBtn.title = `Start "${schedule.name}" immediately`;
+            startBtn.addEventListener('click', () => this.startSchedule(url, schedule));
+            actions.appendChild(toggleBtn);
+            actions.appendChild(startBtn);
+
+            row.appendChild(dot);
+            row.appendChild(info);
+            row.appendChild(actions);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Render recent task runs; failed runs are highlighted
+     * @param {HTMLElement} container - Target element
+     * @param {Array} tasks - Normalized tasks, newest first
+     */
+    renderTasks(container, tasks) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (tasks.length === 0) {
+            renderMessage(container, 'No task runs recorded');
+            return;
+        }
+
+        tasks.forEach(task => {
+            const row = document.createElement('div');
+            row.className = this.isFailedTask(task) ? 'entity-row attention' : 'entity-row';
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = task.name || task.processName || task.id || 'task';
+            const detail = document.createElement('div');
+            detail.className = 'entity-detail';
+            detail.textContent = [
+                task.state,
+                this.formatTime(task.startTime),
+                task.exitCode != null ? `exit ${task.exitCode}` : '',
+                task.reason
+            ].filter(Boolean).join(' • ');
+            info.appendChild(name);
+            info.appendChild(detail);
+            row.appendChild(info);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Enable or disable a schedule after confirmation, then reload the list
+     * @param {string} url - Instance the schedule belongs to
+     * @param {Object} schedule - Normalized schedule
+     * @returns {Promise<boolean>} True when the change was applied
+     */
+    async toggleSchedule(url, schedule) {
+        const enable = !schedule.enabled;
+        const action = enable ? 'Enable' : 'Disable';
+        const confirmed = await window.FogLAMP.instances.confirmAction(
+            `${action} schedule "${schedule.name}"?`,
+            `Instance: ${url}\nType: ${schedule.type}${schedule.processName ? `\nProcess: ${schedule.processName}` : ''}`,
+            action
+        );
+        if (!confirmed) {
+            logMessage('info', `${action} schedule cancelled by user`, { schedule: schedule.name });
+            return false;
+        }
+
+        try {
+            await window.FogLAMP.api.setScheduleEnabledForUrl(url, schedule.id, enable);
+            logMessage('info', `Schedule ${enable ? 'enabled' : 'disabled'}`, { instance: url, schedule: schedule.name });
+            await this.loadSchedulesForActiveInstance();
+            return true;
+        } catch (error) {
+            logMessage('error', `Failed to ${action.toLowerCase()} schedule`, { instance: url, schedule: schedule.name, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Start a schedule immediately after confirmation, then reload the list
+     * @param {string} url - Instance the schedule belongs to
+     * @param {Object} schedule - Normalized schedule
+     * @returns {Promise<boolean>} True when the schedule was started
+     */
+    async startSchedule(url, schedule) {
+        const confirmed = await window.FogLAMP.instances.confirmAction(
+            `Start schedule "${schedule.name}" now?`,
+            `Instance: ${url}\nThe task runs once immediately; its regular timing is unchanged.`,
+            'Start'
+        );
+        if (!confirmed) {
+            logMessage('info', 'Start schedule cancelled by user', { schedule: schedule.name });
+            return false;
+        }
+
+        try {
+            await window.FogLAMP.api.startScheduleForUrl(url, schedule.id);
+            logMessage('info', 'Schedule started', { instance: url, schedule: schedule.name });
+            await this.loadSchedulesForActiveInstance();
+            return true;
+        } catch (error) {
+            logMessage('error', 'Failed to start schedule', { instance: url, schedule: schedule.name, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Export the task run history of the active instance to a "<instance>-Tasks" sheet
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportTasks(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Export Tasks: no active instance');
+            return false;
+        }
+
+        const sheetName = excel.createSafeSheetName(getDisplayName(active), 'Tasks');
+        const signal = excel.beginExport('Tasks export', options.signal);
+        if (!signal) return false;
+
+        try {
+            excel.reportProgress('Tasks export: fetching task runs');
+            const tasks = await this.fetchTasks(active.url, this.exportTaskLimit, { signal, priority: 'bulk' });
+            const { headers, rows, failedRows } = this.buildTasksTable(tasks);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Tasks export: writing ${rows.length} rows`);
+
+            await Excel.run(async (context) => {
+                await excel.writeTableSheet(context, sheetName, headers, rows, {
+                    dateColumns: [4, 5],
+                    highlightRows: failedRows,
+                    signal
+                });
+            });
+
+            logMessage('info', 'Tasks export done', { sheet: sheetName, tasks: rows.length, failed: failedRows.length });
+            excel.endExport(`Tasks export done (${rows.length} runs, ${failedRows.length} failed)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Tasks export cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Tasks export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Tasks export failed', { instance: active.url, error: error.message });
+            excel.endExport('Tasks export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Build the task history table
+     * @param {Array} tasks - Normalized tasks
+     * @returns {Object} { headers, rows, failedRows: row indexes of failed runs }
+     */
+    buildTasksTable(tasks) {
+        const excel = window.FogLAMP.excel;
+        const headers = ['Task ID', 'Schedule', 'Process', 'State', 'Start Time', 'End Time', 'Duration', 'Exit Code', 'Reason'];
+        const timeCell = (date, raw) => {
+            if (date) return excel.convertDateToOADate(date);
+            return raw != null && raw !== '' ? String(raw) : '';
+        };
+        const failedRows = [];
+        const rows = tasks.map((task, idx) => {
+            if (this.isFailedTask(task)) failedRows.push(idx);
+            const duration = task.startTime && task.endTime ? (task.endTime - task.startTime) / 1000 : null;
+            return [
+                task.id ?? '',
+                task.name ?? '',
+                task.processName ?? '',
+                task.state ?? UNINTERPRETED,
+                timeCell(task.startTime, task.startRaw),
+                timeCell(task.endTime, task.endRaw),
+                this.formatDuration(duration),
+                task.exitCode ?? '',
+                task.reason ?? ''
+            ];
+        });
+        return { headers, rows, failedRows };
+    }
+
+    /**
+     * Initialize schedule manager
+     */
+    initialize() {
+        console.log('✅ Schedules and tasks browser initialized');
+    }
+}
+
+// Create singleton instance
+export const scheduleManager = new ScheduleManager();
+
+// Export individual methods for backward compatibility
+export const loadSchedulesForActiveInstance = () => scheduleManager.loadSchedulesForActiveInstance();
+export const handleExportTasks = (options) => scheduleManager.handleExportTasks(options);
+
+// Export singleton as default
+export default scheduleManager;
@@ -0,0 +1,315 @@
+/**
+ * Service Overview for FogLAMP DataLink
+ * Lists the microservices registered with each instance (/foglamp/service) in the taskpane and in a "Services" sheet
+ */
+
+import { elements } from '../ui/elements.js';
+import { getInstances, getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+import { renderMessage } from '../ui/messages.js';
+
+// Core services first, then data flow order; unknown types sort after these alphabetically
+const SERVICE_TYPE_ORDER = ['Core', 'Storage', 'Southbound', 'Northbound', 'Notification', 'Dispatcher', 'Management', 'BucketStorage'];
+
+/**
+ * Service Manager Class
+ * Fetches, orders and renders service lists; the sheet is written through the Excel integration manager
+ */
+export class ServiceManager {
+
+    constructor() {
+        this.sheetName = 'Services';
+        this.loading = false;
+    }
+
+    /**
+     * Fetch the normalized, ordered service list of one instance
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options ({ signal, priority })
+     * @returns {Promise<Array>} Services ({ name, type, status, protocol, address, port, managementPort })
+     */
+    async fetchServices(url, options = {}) {
+        const raw = await window.FogLAMP.api.servicesForUrl(url, options);
+        return this.sortServices(responseNormalizer.normalizeServices(raw).services);
+    }
+
+    /**
+     * Order services by type (SERVICE_TYPE_ORDER) and then by name
+     * @param {Array} services - Normalized services
+     * @returns {Array} New sorted array
+     */
+    sortServices(services) {
+        const rank = (type) => {
+            const idx = SERVICE_TYPE_ORDER.indexOf(type);
+            return idx >= 0 ? idx : SERVICE_TYPE_ORDER.length;
+        };
+        return services.slice().sort((a, b) =>
+            (rank(a.type) - rank(b.type)) || String(a.type).localeCompare(String(b.type)) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {Object} service - Normalized service
+     * @returns {boolean} True when FogLAMP reports the service as running
+     */
+    isRunning(service) {
+        return service?.status === 'running';
+    }
+
+    /**
+     * Service address as protocol://address:port (parts that are missing are left out)
+     * @param {Object} service - Normalized service
+     * @returns {string} Address or empty string
+     */
+    formatAddress(service) {
+        if (!service.address) return '';
+        const scheme = service.protocol ? `${service.protocol}://` : '';
+        const port = service.port != null ? `:${service.port}` : '';
+        return `${scheme}${service.address}${port}`;
+    }
+
+    /**
+     * Load and render the services of the active instance in the taskpane
+     * @returns {Promise<Array|null>} Services, or null when nothing was loaded
+     */
+    async loadServicesForActiveInstance() {
+        const container = elements.servicesList();
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            renderMessage(container, 'No active instance');
+            logMessage('warn', 'Services: no active instance');
+            return null;
+        }
+        if (this.loading) {
+            logMessage('info', 'Services are already loading');
+            return null;
+        }
+
+        this.loading = true;
+        renderMessage(container, 'Loading services...');
+        try {
+            const services = await this.fetchServices(active.url, { priority: 'interactive' });
+            // Guard against race: the active instance may have changed while loading
+            if (getActiveInstanceWithMeta()?.url !== active.url) {
+                logMessage('info', 'Skipped service list render due to instance change', { requested: active.url });
+                return null;
+            }
+            this.renderServices(container, services);
+            const stopped = services.filter(s => !this.isRunning(s)).length;
+            logMessage(stopped > 0 ? 'warn' : 'info', `Loaded ${services.length} services${stopped > 0 ? `, ${stopped} not running` : ''}`, {
+                instance: getDisplayName(active)
+            });
+            return services;
+        } catch (error) {
+            renderMessage(container, `Failed to load services: ${error.message}`);
+            logMessage('error', 'Failed to load services', { instance: active.url, error: error.message });
+            return null;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Render a service list; services that are not running are highlighted
+     * @param {HTMLElement} container - Target element
+     * @param {Array} services - Normalized services
+     */
+    renderServices(container, services) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (services.length === 0) {
+            renderMessage(container, 'No services registered');
+            return;
+        }
+
+        services.forEach(service => {
+            const running = this.isRunning(service);
+            const row = document.createElement('div');
+            row.className = running ? 'entity-row' : 'entity-row attention';
+
+            const dot = document.createElement('span');
+            dot.className = `status-dot ${running ? 'success' : 'failed'}`;
+
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = service.name;
+            const detail = document.createElement('div');
+            detail.className = 'entity-detail';
+            detail.textContent = [service.type, service.status, this.formatAddress(service)].filter(Boolean).join(' • ');
+
+            info.appendChild(name);
+            info.appendChild(detail);
+            row.appendChild(dot);
+            row.appendChild(info);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Export a "Services" sheet: one row per service, one column per registered instance
+     * @param {Object} options - { signal } to cancel from the caller (the Cancel button always can)
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportServices(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const instanceUrls = getInstances();
+        if (!instanceUrls || instanceUrls.length === 0) {
+            logMessage('warn', 'Export Services: no instances registered');
+            return false;
+        }
+
+        const signal = excel.beginExport('Services export', options.signal);
+        if (!signal) return false;
+
+        try {
+            let fetchedCount = 0;
+            const perInstance = await Promise.all(instanceUrls.map(async (url) => {
+                try {
+                    const services = await this.fetchServices(url, { signal, priority: 'bulk' });
+                    return { url, services, error: null };
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    return { url, services: [], error: error.message };
+                } finally {
+                    fetchedCount++;
+                    excel.reportProgress(`Services export: fetched ${fetchedCount}/${instanceUrls.length} instances`);
+                }
+            }));
+
+            const { rows, colCount, firstServiceRow, stoppedCells } = this.buildServicesSheetRows(perInstance);
+            const normalized = excel.normalizeRowsForExcel(rows, colCount);
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Services export: writing ${normalized.length} rows`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, this.sheetName);
+                try {
+                    sheet.getRangeByIndexes(0, 0, Math.max(normalized.length + 50, 200), Math.max(colCount + 5, 10)).clear();
+                    await context.sync();
+                } catch (_e) {}
+
+                sheet.getRangeByIndexes(0, 0, normalized.length, colCount).values = normalized;
+                await context.sync();
+
+                try {
+                    sheet.getRangeByIndexes(0, 2, 1, 1).numberFormat = [[excel.exportFormats.status.dateFormat]];
+
+                    // Label rows: black background, white text (same look as the Status sheet)
+                    [2, 3, 4].forEach(row => {
+                        const label = sheet.getRangeByIndexes(row, 0, 1, 2);
+                        label.format.fill.color = '#000000';
+                        label.format.font.color = '#FFFFFF';
+                        label.format.font.bold = true;
+                    });
+
+                    // Header for the service table
+                    excel.formatHeaders(sheet.getRangeByIndexes(firstServiceRow - 1, 0, 1, colCount));
+
+                    // Services that exist but are not running
+                    stoppedCells.forEach(({ row, col }) => {
+                        const cell = sheet.getRangeByIndexes(row, col, 1, 1);
+                        cell.format.fill.color = '#FEE2E2';
+                        cell.format.font.color = '#B91C1C';
+                        cell.format.font.bold = true;
+                    });
+
+                    const dataArea = sheet.getRangeByIndexes(0, 0, normalized.length, colCount);
+                    dataArea.format.borders.getItem('InsideHorizontal').style = 'Continuous';
+                    dataArea.format.borders.getItem('InsideHorizontal').color = '#E5E7EB';
+                    dataArea.format.verticalAlignment = 'Center';
+                    dataArea.format.autofitColumns();
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+
+                await context.sync();
+            });
+
+            logMessage(stoppedCells.length > 0 ? 'warn' : 'info', 'Services export done', {
+                sheet: this.sheetName,
+                instances: instanceUrls.length,
+                notRunning: stoppedCells.length
+            });
+            excel.endExport(`Services export done (${instanceUrls.length} instances, ${stoppedCells.length} not running)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                logMessage('warn', 'Services export cancelled; sheet left untouched', { sheet: this.sheetName });
+                excel.endExport('Services export cancelled (sheet left untouched)');
+                return false;
+            }
+            logMessage('error', 'Services export failed', { error: error.message });
+            excel.endExport('Services export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Build the Services sheet rows
+     * @param {Array} perInstance - [{ url, services, error }] in instance order
+     * @returns {Object} { rows, colCount, firstServiceRow, stoppedCells: [{ row, col }] }
+     */
+    buildServicesSheetRows(perInstance) {
+        const NA = 'NA';
+        const colCount = perInstance.length + 2; // A: Type, B: Service, C..: instances
+        const rows = [
+            ['Last Updated at Timestamp', '', new Date()],
+            [],
+            ['Instance SNo.', '', ...perInstance.map((_, i) => i + 1)],
+            ['Instance URL', '', ...perInstance.map(inst => inst.url)],
+            ['Fetch Status', '', ...perInstance.map(inst => inst.error ? `ERROR: ${inst.error}` : 'OK')],
+            [],
+            ['Type', 'Service', ...perInstance.map((_, i) => `Instance ${i + 1}`)]
+        ];
+        const firstServiceRow = rows.length;
+
+        // One row per distinct type + name across all instances
+        const byKey = new Map();
+        perInstance.forEach(inst => inst.services.forEach(s => {
+            const key = `${s.type}|${s.name}`;
+            if (!byKey.has(key)) byKey.set(key, { type: s.type, name: s.name });
+        }));
+        const serviceKeys = this.sortServices(Array.from(byKey.values()));
+
+        const stoppedCells = [];
+        let previousType = null;
+        serviceKeys.forEach(({ type, name }) => {
+            const rowIndex = rows.length;
+            const cells = perInstance.map((inst, i) => {
+                const service = inst.services.find(s => s.type === type && s.name === name);
+                if (!service) return NA;
+                if (!this.isRunning(service)) stoppedCells.push({ row: rowIndex, col: i + 2 });
+                return [service.status, this.formatAddress(service)].filter(Boolean).join(' — ');
+            });
+            rows.push([type === previousType ? '' : type, name, ...cells]);
+            previousType = type;
+        });
+
+        if (serviceKeys.length === 0) {
+            rows.push(['', 'No services reported', ...Array(perInstance.length).fill(NA)]);
+        }
+        return { rows, colCount, firstServiceRow, stoppedCells };
+    }
+
+    /**
+     * Initialize service manager
+     */
+    initialize() {
+        console.log('✅ Service overview initialized');
+    }
+}
+
+// Create singleton instance
+export const serviceManager = new ServiceManager();
+
+// Export individual methods for backward compatibility
+export const loadServicesForActiveInstance = () => serviceManager.loadServicesForActiveInstance();
+export const handleExportServices = (options) => serviceManager.handleExportServices(options);
+
+// Export singleton as default
+export default serviceManager;
@@ -0,0 +1,230 @@
+/**
+ * Statistics History Export for FogLAMP DataLink
+ * Writes /foglamp/statistics/history for a chosen window to a "<instance>-Stats" sheet
+ * (one row per history interval, one column per statistic key) with a line chart above the table
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta } from '../core/storage.js';
+import { getDisplayName, throwIfAborted, isAbortError } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { createExcelChart } from '../excel/chart-utils.js';
+import { logMessage } from '../ui/console.js';
+
+// Chart occupies A1:H13 like the readings export; the table starts below it
+const CHART_POSITION = { startCell: 'A1', endCell: 'H13' };
+const INFO_ROW = 13;
+const HEADER_ROW = 14;
+
+/**
+ * Statistics History Manager Class
+ */
+export class StatisticsHistoryManager {
+
+    constructor() {
+        this.defaultMinutes = 1440;
+    }
+
+    /**
+     * Read the options from the taskpane
+     * @returns {Object} { minutes, keys: string[] (empty = all), rates }
+     */
+    getOptions() {
+        const minutes = parseInt(elements.statsWindow()?.value, 10);
+        const keys = (elements.statsKeys()?.value || '')
+            .split(',')
+            .map(k => k.trim().toUpperCase())
+            .filter(Boolean);
+        return {
+            minutes: minutes > 0 ? minutes : this.defaultMinutes,
+            keys,
+            rates: !!elements.statsRates()?.checked
+        };
+    }
+
+    /**
+     * Human-readable window, e.g. "last 24 hours"
+     * @param {number} minutes - Window length
+     * @returns {string} Label
+     */
+    describeWindow(minutes) {
+        if (minutes % 1440 === 0) return `last ${minutes / 1440} day(s)`;
+        if (minutes % 60 === 0) return `last ${minutes / 60} hour(s)`;
+        return `last ${minutes} minute(s)`;
+    }
+
+    /**
+     * Turn history values into rates per second.
+     * Each history value is already the count for its interval (the history task stores the change
+     * since the previous run), so the rate is that value divided by the interval length.
+     * @param {Array} rows - History rows
+     * @param {Array<string>} keys - Statistic keys
+     * @param {number} interval - History interval in seconds
+     * @returns {Array} Rows with values replaced by rates per second
+     */
+    toRatesPerSecond(rows, keys, interval) {
+        return rows.map(row => {
+            const values = {};
+            keys.forEach(key => {
+                const value = row.values[key];
+                values[key] = value != null ? value / interval : null;
+            });
+            return { ...row, values };
+        });
+    }
+
+    /**
+     * Build the history table
+     * @param {Object} history - Normalized statistics history
+     * @param {Object} options - { keys, rates }; rates need a known history interval
+     * @returns {Object} { headers, rows, keys, rates } (rows start with the timestamp as an OADate)
+     */
+    buildHistoryTable(history, options) {
+        const excel = window.FogLAMP.excel;
+        const keys = options.keys.length > 0 ? options.keys.filter(k => history.keys.includes(k)) : history.keys;
+        const rates = !!options.rates && history.interval > 0;
+        const rows = rates ? this.toRatesPerSecond(history.rows, keys, history.interval) : history.rows;
+        const suffix = rates ? ' (per second)' : '';
+        return {
+            keys,
+            rates,
+            headers: ['Timestamp', ...keys.map(k => `${k}${suffix}`)],
+            rows: rows.map(row => [
+                row.timestamp ? excel.convertDateToOADate(row.timestamp) : String(row.rawTimestamp ?? ''),
+                ...keys.map(k => row.values[k] ?? '')
+            ])
+        };
+    }
+
+    /**
+     * Export statistics history of the active instance with the taskpane options
+     * @param {Object} options - { minutes, keys, rates } to override the taskpane, { signal } to cancel from the caller
+     * @returns {Promise<boolean>} Success status
+     */
+    async handleExportStatisticsHistory(options = {}) {
+        const excel = window.FogLAMP.excel;
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Export Statistics History: no active instance');
+            return false;
+        }
+
+        const { signal: parentSignal, ...overrides } = options;
+        const settings = { ...this.getOptions(), ...overrides };
+        const sheetName = excel.createSafeSheetName(getDisplayName(active), 'Stats');
+        const signal = excel.beginExport('Statistics history export', parentSignal);
+        if (!signal) return false;
+
+        try {
+            excel.reportProgress(`Statistics history export: fetching ${this.describeWindow(settings.minutes)}`);
+            const raw = await window.FogLAMP.api.statisticsHistoryForUrl(active.url, { minutes: settings.minutes }, { signal, priority: 'bulk' });
+            const history = responseNormalizer.normalizeStatisticsHistory(raw);
+
+            const unknownKeys = settings.keys.filter(k => !history.keys.includes(k));
+            if (unknownKeys.length > 0) {
+                logMessage('warn', 'Statistic keys not in the history were skipped', { keys: unknownKeys });
+            }
+            if (settings.rates && !(history.interval > 0)) {
+                logMessage('warn', 'History interval unknown; values are written as reported instead of per second', { instance: active.url });
+            }
+            const { headers, rows, keys, rates } = this.buildHistoryTable(history, settings);
+            if (keys.length === 0 || rows.length === 0) {
+                logMessage('warn', 'No statistics history for this window', { instance: active.url, window: this.describeWindow(settings.minutes) });
+                excel.endExport('Statistics history export: no data');
+                return false;
+            }
+
+            const colCount = headers.length;
+            const body = excel.normalizeRowsForExcel(rows, colCount);
+            const info = [
+                `Interval: ${history.interval != null ? `${history.interval} s` : 'unknown'}`,
+                `Window: ${this.describeWindow(settings.minutes)}`,
+                `Values: ${rates ? `per second (count per interval ÷ ${history.interval} s)` : 'count per interval'}`
+            ].join(' • ');
+
+            throwIfAborted(signal);
+            excel.reportProgress(`Statistics history export: writing ${body.length} rows`);
+
+            await Excel.run(async (context) => {
+                const sheet = await excel.ensureWorksheet(context, sheetName);
+                try {
+                    sheet.getRangeByIndexes(0, 0, Math.max(HEADER_ROW + body.length + 50, 200), Math.max(colCount + 5, 10)).clear();
+                    await context.sync();
+                } catch (_e) {}
+
+                sheet.getRangeByIndexes(INFO_ROW, 0, 1, 1).values = [[info]];
+                const headerRange = sheet.getRangeByIndexes(HEADER_ROW, 0, 1, colCount);
+                headerRange.values = [headers];
+                excel.formatHeaders(headerRange);
+                await excel.writeRowsInChunks(context, sheet, HEADER_ROW + 1, body, colCount, {
+                    firstColumnFormat: excel.exportFormats.readings.dateFormat,
+                    signal
+                });
+
+                try {
+                    sheet.getRangeByIndexes(INFO_ROW, 0, 1, 1).format.font.italic = true;
+                    sheet.getRangeByIndexes(HEADER_ROW, 0, body.length + 1, colCount).format.autofitColumns();
+                    sheet.freezePanes.freezeRows(HEADER_ROW + 1);
+                } catch (fmtError) {
+                    console.warn('Formatting error (non-fatal):', fmtError);
+                }
+                await context.sync();
+
+                // Line chart: one series per statistic key, timestamps as category labels
+                try {
+                    await createExcelChart(sheet, context, sheet.getRangeByIndexes(HEADER_ROW, 1, body.length + 1, colCount - 1), Excel.ChartSeriesBy.columns, {
+                        name: 'StatisticsHistoryChart',
+                        type: 'line',
+                        showTitle: true,
+                        title: `${getDisplayName(active)} statistics${rates ? ' per second' : ''}`,
+                        legendPosition: 'Right',
+                        position: CHART_POSITION,
+                        categoryAxis: {
+                            type: 'textAxis',
+                            range: sheet.getRangeByIndexes(HEADER_ROW + 1, 0, body.length, 1)
+                        }
+                    });
+                } catch (error) {
+                    console.warn('Failed to create chart (non-critical):', error.message);
+                }
+            });
+
+            logMessage('info', 'Statistics history export done', {
+                sheet: sheetName,
+                rows: body.length,
+                keys: keys.length,
+                interval: history.interval,
+                rates
+            });
+            excel.endExport(`Statistics history export done (${body.length} intervals, ${keys.length} statistics)`);
+            return true;
+
+        } catch (error) {
+            if (isAbortError(error)) {
+                const outcome = error.duringWrite ? 'sheet partially written' : 'sheet left untouched';
+                logMessage('warn', `Statistics history export cancelled; ${outcome}`, { sheet: sheetName });
+                excel.endExport(`Statistics history export cancelled (${outcome})`);
+                return false;
+            }
+            logMessage('error', 'Statistics history export failed', { instance: active.url, error: error.message });
+            excel.endExport('Statistics history export failed');
+            return false;
+        }
+    }
+
+    /**
+     * Initialize statistics history manager
+     */
+    initialize() {
+        console.log('✅ Statistics history export initialized');
+    }
+}
+
+// Create singleton instance
+export const statisticsHistoryManager = new StatisticsHistoryManager();
+
+// Export individual methods for backward compatibility
+export const handleExportStatisticsHistory = (options) => statisticsHistoryManager.handleExportStatisticsHistory(options);
+
+// Export singleton as default
+export default statisticsHistoryManager;
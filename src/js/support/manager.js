@@ -0,0 +1,299 @@
+/**
+ * Support Bundles for FogLAMP DataLink
+ * Creates a support bundle on the active instance (/foglamp/support), waits until it is listed,
+ * lists the stored bundles with date and size, and downloads one through the API manager (proxy when needed).
+ * Every created or downloaded bundle is recorded in the add-in console for the support ticket.
+ */
+
+import { elements } from '../ui/elements.js';
+import { getActiveInstanceWithMeta, getInstanceMeta, updateInstanceMeta } from '../core/storage.js';
+import { getDisplayName, sleep } from '../core/utils.js';
+import { responseNormalizer } from '../core/normalizer.js';
+import { logMessage } from '../ui/console.js';
+import { renderMessage } from '../ui/messages.js';
+
+/**
+ * Support Manager Class
+ * The gateway only lists file names, so a bundle's size is known once it has been downloaded here;
+ * sizes are kept in the instance metadata (supportBundleSizes) and shown from then on.
+ */
+export class SupportManager {
+
+    constructor() {
+        this.busy = false;
+        this.pollIntervalMs = 5000;  // Between bundle list checks while waiting for a new bundle
+        this.maxWaitMs = 600000;     // Give up waiting after 10 minutes
+    }
+
+    /**
+     * Fetch the bundles stored on an instance, newest first
+     * @param {string} url - Instance URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Array>} Normalized bundles with known sizes filled in
+     */
+    async fetchBundles(url, options = {}) {
+        const raw = await window.FogLAMP.api.supportBundlesForUrl(url, options);
+        const sizes = getInstanceMeta(url).supportBundleSizes || {};
+        return responseNormalizer.normalizeSupportBundles(raw).bundles
+            .map(b => ({ ...b, size: b.size ?? sizes[b.name] ?? null }));
+    }
+
+    /**
+     * @param {number|null} bytes - Size in bytes
+     * @returns {string} e.g. "12.4 MB", "size unknown" when not known
+     */
+    formatSize(bytes) {
+        if (bytes == null) return 'size unknown';
+        const units = ['bytes', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} bytes` : `${value.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Load and render the bundles of the active instance
+     * @returns {Promise<boolean>} True when loaded
+     */
+    async loadBundlesForActiveInstance() {
+        const listEl = elements.supportBundles();
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            renderMessage(listEl, 'No active instance');
+            logMessage('warn', 'Support bundles: no active instance');
+            return false;
+        }
+
+        renderMessage(listEl, 'Loading support bundles...');
+        try {
+            const bundles = await this.fetchBundles(active.url, { priority: 'interactive' });
+            if (getActiveInstanceWithMeta()?.url !== active.url) {
+                logMessage('info', 'Skipped support bundle list render due to instance change', { requested: active.url });
+                return false;
+            }
+            this.renderBundles(listEl, active.url, bundles);
+            logMessage('info', `Found ${bundles.length} support bundles`, { instance: getDisplayName(active) });
+            return true;
+        } catch (error) {
+            renderMessage(listEl, `Failed to load support bundles: ${error.message}`);
+            logMessage('error', 'Failed to load support bundles', { instance: active.url, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Render bundles with a Download button each
+     * @param {HTMLElement} container - Target element
+     * @param {string} url - Instance the bundles belong to
+     * @param {Array} bundles - Normalized bundles
+     */
+    renderBundles(container, url, bundles) {
+        if (!container) return;
+        container.innerHTML = '';
+        if (bundles.length === 0) {
+            renderMessage(container, 'No support bundles on this instance');
+            return;
+        }
+
+        bundles.forEach(bundle => {
+            const row = document.createElement('div');
+            row.className = 'entity-row';
+            const info = document.createElement('div');
+            info.className = 'entity-info';
+            const name = document.createElement('div');
+            name.className = 'entity-name';
+            name.textContent = bundle.name;
+            const detail = document.createElement('div');
+            detail.className = 'entity-detail';
+            detail.textContent = `${bundle.created ? bundle.created.toLocaleString() : 'date unknown'} • ${this.formatSize(bundle.size)}`;
+            info.appendChild(name);
+            info.appendChild(detail);
+
+            const actions = document.createElement('div');
+            actions.className = 'entity-actions';
+            const downloadBtn = document.createElement('button');
+            downloadBtn.type = 'button';
+            downloadBtn.textContent = 'Download';
+            downloadBtn.title = `Download ${bundle.name}`;
+            downloadBtn.addEventListener('click', () => this.downloadBundle(url, bundle));
+            actions.appendChild(downloadBtn);
+
+            row.appendChild(info);
+            row.appendChild(actions);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * @param {string} message - Status text under the buttons
+     * @private
+     */
+    setStatus(message) {
+        const el = elements.supportStatus();
+        if (el) el.textContent = message;
+    }
+
+    /**
+     * Create a support bundle on the active instance.
+     * The gateway normally answers with the bundle name once it is written. When the request times out
+     * or the connection drops first, the bundle list is polled until a new bundle shows up.
+     * @returns {Promise<string|null>} Name of the new bundle, or null when none was created
+     */
+    async handleCreateBundle() {
+        const active = getActiveInstanceWithMeta();
+        if (!active) {
+            logMessage('warn', 'Create support bundle: no active instance');
+            return null;
+        }
+        if (this.busy) {
+            logMessage('info', 'A support bundle operation is already running');
+            return null;
+        }
+
+        const url = active.url;
+        this.busy = true;
+        const started = Date.now();
+        try {
+            this.setStatus('Creating support bundle...');
+            const before = new Set((await this.fetchBundles(url, { priority: 'interactive' })).map(b => b.name));
+
+            let name = null;
+            try {
+                const raw = await window.FogLAMP.api.createSupportBundleForUrl(url);
+                name = raw?.['bundle created'] ?? raw?.bundle ?? null;
+            } catch (error) {
+                // The gateway rejected the request; nothing to wait for
+                if (error.status) throw error;
+                logMessage('info', 'Support bundle request ended before the gateway answered; waiting for the bundle to appear', {
+                    instance: url,
+                    error: error.message
+                });
+            }
+
+            while (!name) {
+                const waited = Date.now() - started;
+                if (waited > this.maxWaitMs) {
+                    throw new Error(`no new bundle listed after ${Math.round(waited / 60000)} minutes`);
+                }
+                this.setStatus(`Waiting for the support bundle (${Math.round(waited / 1000)} s)...`);
+                await sleep(this.pollIntervalMs);
+                const bundles = await this.fetchBundles(url, { priority: 'interactive' });
+                name = bundles.find(b => !before.has(b.name))?.name ?? null;
+            }
+
+            const seconds = Math.round((Date.now() - started) / 1000);
+            this.setStatus(`Support bundle created: ${name}`);
+            logMessage('info', `Support bundle created on ${getDisplayName(active)}: ${name}`, {
+                instance: url,
+                bundle: name,
+                hostName: active.hostName || null,
+                version: active.version || null,
+                seconds
+            });
+            if (getActiveInstanceWithMeta()?.url === url) await this.loadBundlesForActiveInstance();
+            return name;
+
+        } catch (error) {
+            this.setStatus(`Support bundle failed: ${error.message}`);
+            logMessage('error', 'Failed to create support bundle', { instance: url, error: error.message });
+            return null;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Download a bundle and hand it to the browser as a file
+     * @param {string} url - Instance the bundle belongs to
+     * @param {Object} bundle - Normalized bundle
+     * @returns {Promise<boolean>} True when the file was handed over
+     */
+    async downloadBundle(url, bundle) {
+        if (this.busy) {
+            logMessage('info', 'A support bundle operation is already running');
+            return false;
+        }
+
+        this.busy = true;
+        try {
+            this.setStatus(`Downloading ${bundle.name}...`);
+            const blob = await window.FogLAMP.api.downloadSupportBundleForUrl(url, bundle.name, { priority: 'interactive' });
+            const sha256 = await this.digest(blob);
+
+            const sizes = getInstanceMeta(url).supportBundleSizes || {};
+            updateInstanceMeta(url, { supportBundleSizes: { ...sizes, [bundle.name]: blob.size } });
+            this.saveBlob(blob, bundle.name);
+
+            this.setStatus(`Downloaded ${bundle.name} (${this.formatSize(blob.size)})`);
+            logMessage('info', `Support bundle downloaded: ${bundle.name}`, {
+                instance: url,
+                bundle: bundle.name,
+                created: bundle.created ? bundle.created.toISOString() : null,
+                size: blob.size,
+                sha256
+            });
+            if (getActiveInstanceWithMeta()?.url === url) await this.loadBundlesForActiveInstance();
+            return true;
+        } catch (error) {
+            this.setStatus(`Download failed: ${error.message}`);
+            logMessage('error', 'Failed to download support bundle', { instance: url, bundle: bundle.name, error: error.message });
+            return false;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * SHA-256 of the bundle so the file attached to a ticket can be matched with this log entry
+     * @param {Blob} blob - Bundle
+     * @returns {Promise<string|null>} Hex digest, null where Web Crypto is not available
+     */
+    async digest(blob) {
+        try {
+            if (!globalThis.crypto?.subtle) return null;
+            const hash = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+            return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+        } catch (_e) {
+            return null;
+        }
+    }
+
+    /**
+     * Save a Blob through a temporary download link
+     * @param {Blob} blob - File content
+     * @param {string} fileName - Suggested file name
+     * @private
+     */
+    saveBlob(blob, fileName) {
+        const href = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke later; some hosts read the URL after click() returns
+        setTimeout(() => URL.revokeObjectURL(href), 60000);
+    }
+
+    /**
+     * Initialize support manager
+     */
+    initialize() {
+        console.log('✅ Support bundles initialized');
+    }
+}
+
+// Create singleton instance
+export const supportManager = new SupportManager();
+
+// Export individual methods for backward compatibility
+export const handleCreateBundle = () => supportManager.handleCreateBundle();
+export const loadBundlesForActiveInstance = () => supportManager.loadBundlesForActiveInstance();
+
+// Export singleton as default
+export default supportManager;
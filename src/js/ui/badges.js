@@ -89,7 +89,17 @@ export class BadgeManager {
                 connBadge.className = 'badge unknown';
             } else {
                 const status = reachableCount > 0 ? 'success' : 'failed';
-                connBadge.textContent = `${reachableCount}/${instances.length} connected`;
+                // Instances whose circuit breaker is open (failing fast) are reported separately
+                const pausedCount = instances.filter(i => {
+                    const breaker = window.FogLAMP?.api?.getBreakerState?.(i.url);
+                    return breaker && breaker.state !== 'closed';
+                }).length;
+                connBadge.textContent = pausedCount > 0
+                    ? `${reachableCount}/${instances.length} connected • ⛔ ${pausedCount} paused`
+                    : `${reachableCount}/${instances.length} connected`;
+                connBadge.title = pausedCount > 0
+                    ? 'Paused instances failed repeatedly; requests fail fast until the cooling-off period ends or a ping succeeds'
+                    : '';
                 connBadge.className = `badge ${status}`;
             }
         }
@@ -29,19 +29,77 @@ export const elements = {
     emptyInstances: () => document.getElementById("empty-instances"),
     checkSummary: () => document.getElementById("fl-check-summary"),
     summary: () => document.getElementById("fl-summary"),
+    loadServices: () => document.getElementById("fl-load-services"),
+    servicesList: () => document.getElementById("fl-services-list"),
+    loadSchedules: () => document.getElementById("fl-load-schedules"),
+    schedulesList: () => document.getElementById("fl-schedules-list"),
+    tasksList: () => document.getElementById("fl-tasks-list"),
+    exportTasks: () => document.getElementById("fl-export-tasks"),
+    loadControl: () => document.getElementById("fl-load-control"),
+    controlList: () => document.getElementById("fl-control-list"),
+    controlTarget: () => document.getElementById("fl-control-target"),
+    controlTargetInfo: () => document.getElementById("fl-control-target-info"),
+    controlValues: () => document.getElementById("fl-control-values"),
+    controlUseSelection: () => document.getElementById("fl-control-use-selection"),
+    controlDispatch: () => document.getElementById("fl-control-dispatch"),
+    createSupportBundle: () => document.getElementById("fl-create-support-bundle"),
+    loadSupportBundles: () => document.getElementById("fl-load-support-bundles"),
+    supportStatus: () => document.getElementById("fl-support-status"),
+    supportBundles: () => document.getElementById("fl-support-bundles"),
 
     // Data actions
     writeStatus: () => document.getElementById("fl-write-status"),
+    exportServices: () => document.getElementById("fl-export-services"),
+    exportAlerts: () => document.getElementById("fl-export-alerts"),
+    exportInventory: () => document.getElementById("fl-export-inventory"),
+    availablePluginType: () => document.getElementById("fl-available-plugin-type"),
+    listAvailablePlugins: () => document.getElementById("fl-list-available-plugins"),
+    showLineage: () => document.getElementById("fl-show-lineage"),
+    lineageView: () => document.getElementById("fl-lineage-view"),
+    purgeAsset: () => document.getElementById("fl-purge-asset"),
+    deleteAsset: () => document.getElementById("fl-delete-asset"),
+    purgeHistory: () => document.getElementById("fl-purge-history"),
+    lineageProblemsOnly: () => document.getElementById("fl-lineage-problems-only"),
+    exportLineage: () => document.getElementById("fl-export-lineage"),
+    ingestService: () => document.getElementById("fl-ingest-service"),
+    ingestAsset: () => document.getElementById("fl-ingest-asset"),
+    ingestBatchSize: () => document.getElementById("fl-ingest-batch"),
+    ingestDryRun: () => document.getElementById("fl-ingest-dry-run"),
+    ingestSelection: () => document.getElementById("fl-ingest-selection"),
+    statsWindow: () => document.getElementById("fl-stats-window"),
+    statsKeys: () => document.getElementById("fl-stats-keys"),
+    statsRates: () => document.getElementById("fl-stats-rates"),
+    exportStatsHistory: () => document.getElementById("fl-export-stats-history"),
+    auditSource: () => document.getElementById("fl-audit-source"),
+    auditSeverity: () => document.getElementById("fl-audit-severity"),
+    auditWindow: () => document.getElementById("fl-audit-window"),
+    auditLimit: () => document.getElementById("fl-audit-limit"),
+    exportAudit: () => document.getElementById("fl-export-audit"),
+    exportConfig: () => document.getElementById("fl-export-config"),
+    applyConfig: () => document.getElementById("fl-apply-config"),
+    compareCategory: () => document.getElementById("fl-compare-category"),
+    compareConfig: () => document.getElementById("fl-compare-config"),
+    pushConfig: () => document.getElementById("fl-push-config"),
+    pushDryRun: () => document.getElementById("fl-push-dry-run"),
     assetSelect: () => document.getElementById("fl-asset-select"),
     asset: () => document.getElementById("fl-asset"),
-    datapoint: () => document.getElementById("fl-datapoint"),
+    datapointSearch: () => document.getElementById("fl-datapoint-search"),
+    datapointList: () => document.getElementById("fl-datapoint-list"),
+    datapointOrder: () => document.getElementById("fl-datapoint-order"),
+    datapointClear: () => document.getElementById("fl-datapoint-clear"),
     limit: () => document.getElementById("fl-limit"),
     skip: () => document.getElementById("fl-skip"),
     seconds: () => document.getElementById("fl-seconds"),
     minutes: () => document.getElementById("fl-minutes"),
     hours: () => document.getElementById("fl-hours"),
     previous: () => document.getElementById("fl-previous"),
+    fetchAll: () => document.getElementById("fl-fetch-all"),
+    maxRows: () => document.getElementById("fl-max-rows"),
+    seriesBucket: () => document.getElementById("fl-series-bucket"),
+    seriesAggregate: () => document.getElementById("fl-series-aggregate"),
     getReadings: () => document.getElementById("fl-get-readings"),
+    exportProgress: () => document.getElementById("fl-export-progress"),
+    cancelExport: () => document.getElementById("fl-cancel-export"),
 
     // Console
     status: () => document.getElementById("fl-status")
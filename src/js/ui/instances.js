@@ -6,6 +6,7 @@
 import { elements } from './elements.js';
 import { getEnhancedInstances, getActiveInstance, updateInstanceMeta } from '../core/storage.js';
 import { logMessage } from './console.js';
+import { API_FLAVOURS } from '../core/config.js';
 
 /**
  * Instance List Manager Class
@@ -190,17 +191,28 @@ export class InstanceListManager {
     }
 
     /**
-     * Create instance metadata display
+     * Create instance metadata display (including the active alerts badge)
      * @param {Object} instance - Instance metadata object
      * @returns {HTMLElement|null} Metadata element or null
      */
     createInstanceMetadata(instance) {
-        if (!instance.lastPingMs && !instance.lastCheckedAt) return null;
+        const breakerLabel = this.getBreakerLabel(instance.url);
+        const apiLabel = this.getApiLabel(instance);
+        const alertsPanel = window.FogLAMP.alerts?.createAlertsPanel(instance) || null;
+        if (!instance.lastPingMs && !instance.lastCheckedAt && !breakerLabel && !apiLabel && !alertsPanel) return null;
 
         const metadata = document.createElement('div');
         metadata.className = 'instance-metadata';
 
         const parts = [];
+
+        if (apiLabel) {
+            parts.push(apiLabel);
+        }
+
+        if (breakerLabel) {
+            parts.push(breakerLabel);
+        }
         
         if (instance.lastPingMs && instance.lastStatus === 'success') {
             parts.push(`${instance.lastPingMs}ms`);
@@ -211,14 +223,38 @@ export class InstanceListManager {
             parts.push(`checked ${timeAgo}`);
         }
 
-        if (parts.length > 0) {
+        if (instance.clientCertAuth) {
+            parts.push('🔐 client certificate (via proxy)');
+        }
+
+        if (instance.authToken) {
+            parts.push(`🔓 ${instance.authUser || 'logged in'}`);
+        } else if (instance.authOptional === false) {
+            parts.push('🔒 login required');
+        }
+
+        if (parts.length > 0 || alertsPanel) {
             metadata.textContent = parts.join(' • ');
+            // Alert badge with its expandable list goes under the text line
+            if (alertsPanel) metadata.appendChild(alertsPanel);
             return metadata;
         }
 
         return null;
     }
 
+    /**
+     * API flavour and base path of an instance, e.g. "Fledge · /plant1"
+     * (empty until the flavour has been detected)
+     * @param {Object} instance - Instance metadata object
+     * @returns {string} Label or empty string
+     */
+    getApiLabel(instance) {
+        const flavour = API_FLAVOURS[instance.apiFlavour];
+        if (!flavour) return '';
+        return instance.basePath ? `${flavour.label} · ${instance.basePath}` : flavour.label;
+    }
+
     /**
      * Create instance action buttons
      * @param {Object} instance - Instance metadata object
@@ -256,6 +292,18 @@ export class InstanceListManager {
         });
 
         actions.appendChild(pingBtn);
+
+        // Login/Logout button (only for instances that need or hold a session)
+        if (instance.authToken) {
+            actions.appendChild(this.createActionButton('Logout', 'logout', () => {
+                this.logoutInstance(instance.url);
+            }));
+        } else if (instance.authOptional === false) {
+            actions.appendChild(this.createActionButton('Login', 'login', () => {
+                this.promptLogin(instance.url);
+            }));
+        }
+
         actions.appendChild(removeBtn);
 
         return actions;
@@ -369,11 +417,8 @@ export class InstanceListManager {
             // Update badges if available
             window.FogLAMP.badges.updateOverviewBadges();
             
-            // Clear any cached assets and force refresh for the new active instance
-            try { window.FogLAMP?.assets?.clearAssetCache?.(); } catch (_e) {}
-            if (typeof window.refreshAssetListForActiveInstance === 'function') {
-                await window.refreshAssetListForActiveInstance();
-            } else if (typeof window.loadAssetsForActiveInstance === 'function') {
+            // Load assets for the new active instance (a list fetched moments ago is reused)
+            if (typeof window.loadAssetsForActiveInstance === 'function') {
                 await window.loadAssetsForActiveInstance();
             }
 
@@ -392,7 +437,7 @@ export class InstanceListManager {
     }
 
     /**
-     * Ping instance and update status
+     * Ping instance and update status (row Ping button: always a fresh request, never the cached ping)
      * @param {string} url - Instance URL to ping
      */
     async pingInstance(url) {
@@ -402,7 +447,7 @@ export class InstanceListManager {
         }
 
         try {
-            await window.pingInstance(url);
+            await window.pingInstance(url, { bypassCache: true });
             this.renderInstanceList();
             
             // Update badges if available (ping status affects connectivity badge)
@@ -455,6 +500,55 @@ export class InstanceListManager {
         }
     }
 
+    /**
+     * Ask for credentials and log in to an instance
+     * @param {string} url - Instance URL
+     * @returns {Promise<boolean>} True when login succeeded
+     */
+    promptLogin(url) {
+        const instance = window.getInstanceMeta ? window.getInstanceMeta(url) : { url };
+        const displayName = window.getDisplayName ? window.getDisplayName(instance) : url;
+
+        return new Promise(resolve => {
+            this.showLoginDialog(
+                `Log in to "${displayName}"`,
+                instance.authUser || '',
+                async (username, password) => {
+                    try {
+                        await window.FogLAMP.api.login(url, username, password);
+                        logMessage('info', '🔓 Logged in', { url, user: username });
+                        this.renderInstanceList();
+                        return null;
+                    } catch (error) {
+                        logMessage('warn', 'Login failed', { url, user: username, error: error.message });
+                        return error.status === 401 ? 'Invalid username or password' : error.message;
+                    }
+                },
+                (loggedIn) => {
+                    if (!loggedIn) {
+                        logMessage('info', 'Login cancelled by user', { url });
+                    }
+                    resolve(loggedIn);
+                }
+            );
+        });
+    }
+
+    /**
+     * Log out of an instance and forget its session token
+     * @param {string} url - Instance URL
+     */
+    async logoutInstance(url) {
+        try {
+            await window.FogLAMP.api.logout(url);
+            logMessage('info', '🔒 Logged out', { url });
+        } catch (error) {
+            // Token is dropped locally regardless; the server session will expire on its own
+            logMessage('warn', 'Logout request failed, local session cleared', { url, error: error.message });
+        }
+        this.renderInstanceList();
+    }
+
     /**
      * Get status title for tooltip
      * @param {Object} instance - Instance metadata object
@@ -477,10 +571,30 @@ export class InstanceListManager {
         if (instance.lastError && instance.lastStatus === 'failed') {
             title += `\n${instance.lastError}`;
         }
+
+        const breakerLabel = this.getBreakerLabel(instance.url);
+        if (breakerLabel) {
+            title += `\n${breakerLabel} (Ping to test it now)`;
+        }
         
         return title;
     }
 
+    /**
+     * Describe an instance's circuit breaker when it is not closed
+     * @param {string} url - Instance URL
+     * @returns {string|null} Label such as "⛔ paused, retry in 25s", or null when closed
+     */
+    getBreakerLabel(url) {
+        const breaker = window.FogLAMP?.api?.getBreakerState?.(url);
+        if (!breaker || breaker.state === 'closed') return null;
+        if (breaker.state === 'half-open') {
+            return '⏳ paused, next request is a trial';
+        }
+        const secs = Math.max(1, Math.ceil((breaker.retryAt - Date.now()) / 1000));
+        return `⛔ paused after ${breaker.failures} failures, retry in ${secs}s`;
+    }
+
     /**
      * Extract hostname from URL
      * @param {string} url - Full URL string
@@ -686,12 +800,63 @@ export class InstanceListManager {
                 color: #047857;
             }
             
+            .action-btn.login:hover,
+            .action-btn.logout:hover {
+                background: #fffbeb;
+                border-color: #f59e0b;
+                color: #b45309;
+            }
+            
             .action-btn.remove:hover {
                 background: #fef2f2;
                 border-color: #f87171;
                 color: #dc2626;
             }
             
+            .alerts-panel {
+                margin-top: 2px;
+            }
+            
+            .alert-badge {
+                display: inline-block;
+                padding: 1px 6px;
+                border-radius: 8px;
+                font-size: 10px;
+                font-weight: 600;
+                cursor: pointer;
+                list-style: none;
+            }
+            
+            .alert-badge.urgent { background: #fee2e2; color: #b91c1c; }
+            .alert-badge.open { background: #fef3c7; color: #92400e; }
+            .alert-badge.acknowledged { background: #f3f4f6; color: #6b7280; }
+            
+            .alert-list {
+                margin-top: 4px;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                align-items: flex-start;
+            }
+            
+            .alert-item {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                width: 100%;
+                color: #374151;
+            }
+            
+            .alert-item.acknowledged {
+                color: #9ca3af;
+            }
+            
+            .alert-text {
+                flex: 1;
+                min-width: 0;
+                overflow-wrap: anywhere;
+            }
+            
             .highlight-success {
                 background: #dcfce7 !important;
                 border-color: #16a34a !important;
@@ -725,28 +890,43 @@ export class InstanceListManager {
      * @param {string} message Dialog message  
      * @param {Function} onConfirm Callback for confirmation
      * @param {Function} onCancel Callback for cancellation
+     * @param {string} confirmLabel Text of the confirm button (default "Remove")
      */
-    showConfirmDialog(title, message, onConfirm, onCancel) {
+    showConfirmDialog(title, message, onConfirm, onCancel, confirmLabel = 'Remove') {
         // Check if Office.js dialog API is available
         if (typeof Office !== 'undefined' && Office.context && Office.context.ui && Office.context.ui.displayDialogAsync) {
-            this.showOfficeDialog(title, message, onConfirm, onCancel);
+            this.showOfficeDialog(title, message, onConfirm, onCancel, confirmLabel);
         } else {
             // Fallback to simple browser confirm for non-Office environments
-            this.showBrowserConfirm(title, message, onConfirm, onCancel);
+            this.showBrowserConfirm(title, message, onConfirm, onCancel, confirmLabel);
         }
     }
 
+    /**
+     * Promise form of showConfirmDialog
+     * @param {string} title Dialog title
+     * @param {string} message Dialog message
+     * @param {string} confirmLabel Text of the confirm button
+     * @returns {Promise<boolean>} True when the user confirmed
+     */
+    confirmAction(title, message, confirmLabel) {
+        return new Promise(resolve => {
+            this.showConfirmDialog(title, message, () => resolve(true), () => resolve(false), confirmLabel);
+        });
+    }
+
     /**
      * Show Office.js native dialog
      * @param {string} title Dialog title
      * @param {string} message Dialog message  
      * @param {Function} onConfirm Callback for confirmation
      * @param {Function} onCancel Callback for cancellation
+     * @param {string} confirmLabel Text of the confirm button
      */
-    showOfficeDialog(title, message, onConfirm, onCancel) {
+    showOfficeDialog(title, message, onConfirm, onCancel, confirmLabel = 'Remove') {
         try {
             // Create dialog HTML content
-            const dialogHtml = this.createConfirmDialogHtml(title, message);
+            const dialogHtml = this.createConfirmDialogHtml(title, message, confirmLabel);
             
             // Create a data URL for the dialog content
             const dataUrl = `data:text/html;charset=utf-8,${encodeURIComponent(dialogHtml)}`;
@@ -784,13 +964,13 @@ export class InstanceListManager {
                 } else {
                     // Error opening dialog, fallback to browser confirm
                     console.warn('Office.js dialog failed, using browser confirm:', asyncResult.error);
-                    this.showBrowserConfirm(title, message, onConfirm, onCancel);
+                    this.showBrowserConfirm(title, message, onConfirm, onCancel, confirmLabel);
                 }
             });
             
         } catch (error) {
             console.warn('Office.js dialog error, using browser confirm:', error);
-            this.showBrowserConfirm(title, message, onConfirm, onCancel);
+            this.showBrowserConfirm(title, message, onConfirm, onCancel, confirmLabel);
         }
     }
 
@@ -798,9 +978,12 @@ export class InstanceListManager {
      * Create HTML content for Office.js dialog
      * @param {string} title Dialog title
      * @param {string} message Dialog message
+     * @param {string} confirmLabel Text of the confirm button
      * @returns {string} HTML content
      */
-    createConfirmDialogHtml(title, message) {
+    createConfirmDialogHtml(title, message, confirmLabel = 'Remove') {
+        // Messages can carry gateway or sheet values; show them as text, not markup
+        const esc = (text) => String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
         return `<!DOCTYPE html>
 <html>
 <head>
@@ -826,6 +1009,8 @@ export class InstanceListManager {
             line-height: 1.4;
             margin-bottom: 20px;
             white-space: pre-line;
+            max-height: 110px;
+            overflow-y: auto;
         }
         .dialog-buttons {
             display: flex;
@@ -859,11 +1044,11 @@ export class InstanceListManager {
     </style>
 </head>
 <body>
-    <div class="dialog-header">${title}</div>
-    <div class="dialog-message">${message}</div>
+    <div class="dialog-header">${esc(title)}</div>
+    <div class="dialog-message">${esc(message)}</div>
     <div class="dialog-buttons">
         <button class="dialog-button cancel-button" onclick="sendResponse('cancel')">Cancel</button>
-        <button class="dialog-button confirm-button" onclick="sendResponse('confirm')">Remove</button>
+        <button class="dialog-button confirm-button" onclick="sendResponse('confirm')">${esc(confirmLabel)}</button>
     </div>
     
     <script>
@@ -898,8 +1083,9 @@ export class InstanceListManager {
      * @param {string} message Dialog message  
      * @param {Function} onConfirm Callback for confirmation
      * @param {Function} onCancel Callback for cancellation
+     * @param {string} confirmLabel Text of the confirm button
      */
-    showBrowserConfirm(title, message, onConfirm, onCancel) {
+    showBrowserConfirm(title, message, onConfirm, onCancel, confirmLabel = 'Remove') {
         // Create overlay
         const overlay = document.createElement('div');
         overlay.style.cssText = `
@@ -942,6 +1128,8 @@ export class InstanceListManager {
             color: #605e5c;
             line-height: 1.4;
             margin-bottom: 16px;
+            max-height: 50vh;
+            overflow-y: auto;
         `;
 
         const buttons = document.createElement('div');
@@ -964,7 +1152,7 @@ export class InstanceListManager {
 
         const confirmBtn = document.createElement('button');
         confirmBtn.type = 'button';
-        confirmBtn.textContent = 'Remove';
+        confirmBtn.textContent = confirmLabel;
         confirmBtn.style.cssText = `
             padding: 8px 14px;
             background: #d13438;
@@ -1012,6 +1200,147 @@ export class InstanceListManager {
         setTimeout(() => cancelBtn.focus(), 0);
         document.addEventListener('keydown', onKeydown);
     }
+
+    /**
+     * In-app login modal (kept in the taskpane so the password never leaves it)
+     * @param {string} title Dialog title
+     * @param {string} defaultUser Pre-filled username
+     * @param {Function} onSubmit async (username, password) => error message or null on success
+     * @param {Function} onClose Called with true after a successful login, false when cancelled
+     */
+    showLoginDialog(title, defaultUser, onSubmit, onClose) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.35);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 9999;
+        `;
+
+        const form = document.createElement('form');
+        form.style.cssText = `
+            width: 320px;
+            max-width: 90vw;
+            background: #ffffff;
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            box-shadow: 0 10px 25px rgba(0,0,0,0.15);
+            padding: 16px;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            color: #323130;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        `;
+
+        const header = document.createElement('div');
+        header.textContent = title;
+        header.style.cssText = `
+            font-size: 16px;
+            font-weight: 600;
+            margin-bottom: 4px;
+        `;
+
+        const userInput = document.createElement('input');
+        userInput.type = 'text';
+        userInput.placeholder = 'Username';
+        userInput.autocomplete = 'username';
+        userInput.value = defaultUser || '';
+
+        const passwordInput = document.createElement('input');
+        passwordInput.type = 'password';
+        passwordInput.placeholder = 'Password';
+        passwordInput.autocomplete = 'current-password';
+
+        const error = document.createElement('div');
+        error.style.cssText = `
+            font-size: 12px;
+            color: #dc2626;
+            min-height: 14px;
+        `;
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = `
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+        `;
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = `
+            padding: 8px 14px;
+            background: #ffffff;
+            border: 1px solid #8a8886;
+            border-radius: 2px;
+            cursor: pointer;
+        `;
+
+        const loginBtn = document.createElement('button');
+        loginBtn.type = 'submit';
+        loginBtn.textContent = 'Log in';
+        loginBtn.style.cssText = `
+            padding: 8px 14px;
+            background: #0078d4;
+            color: #ffffff;
+            border: 1px solid #0078d4;
+            border-radius: 2px;
+            cursor: pointer;
+            font-weight: 600;
+        `;
+
+        const close = (loggedIn) => {
+            document.removeEventListener('keydown', onKeydown);
+            if (overlay && overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            if (onClose) onClose(loggedIn);
+        };
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close(false);
+        };
+
+        cancelBtn.addEventListener('click', () => close(false));
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const username = userInput.value.trim();
+            if (!username || !passwordInput.value) {
+                error.textContent = 'Username and password are required';
+                return;
+            }
+            loginBtn.disabled = true;
+            error.textContent = '';
+            const failure = await onSubmit(username, passwordInput.value);
+            loginBtn.disabled = false;
+            if (failure) {
+                error.textContent = failure;
+                passwordInput.value = '';
+                passwordInput.focus();
+            } else {
+                close(true);
+            }
+        });
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(loginBtn);
+
+        form.appendChild(header);
+        form.appendChild(userInput);
+        form.appendChild(passwordInput);
+        form.appendChild(error);
+        form.appendChild(buttons);
+        overlay.appendChild(form);
+        document.body.appendChild(overlay);
+
+        setTimeout(() => (userInput.value ? passwordInput : userInput).focus(), 0);
+        document.addEventListener('keydown', onKeydown);
+    }
 }
 
 // Create singleton instance
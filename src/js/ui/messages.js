@@ -0,0 +1,27 @@
+/**
+ * Inline messages for FogLAMP DataLink
+ * Small muted notes shown inside taskpane lists ("Loading...", "No active instance", load errors)
+ */
+
+/**
+ * Append a note line to a container
+ * @param {HTMLElement} container - Target element
+ * @param {string} message - Text to show
+ */
+export function appendNote(container, message) {
+    const note = document.createElement('div');
+    note.className = 'small muted';
+    note.textContent = message;
+    container.appendChild(note);
+}
+
+/**
+ * Replace a container's content with a single note line; an empty message just clears it
+ * @param {HTMLElement} container - Target element (ignored when missing)
+ * @param {string} message - Text to show
+ */
+export function renderMessage(container, message) {
+    if (!container) return;
+    container.innerHTML = '';
+    if (message) appendNote(container, message);
+}